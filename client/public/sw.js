@@ -0,0 +1,17 @@
+// Service worker showing EULens vote digests sent by Web Push (server/notifications.js)
+
+self.addEventListener('push', event => {
+  const digest = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(digest.title || 'EULens', {
+      body: digest.body,
+      tag: digest.tag,
+      data: { url: digest.url || '/my' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
@@ -5,6 +5,7 @@ import Footer from './components/Footer';
 import IntroAnimation from './components/IntroAnimation';
 import BillsList from './components/BillsList';
 import BillDetail from './components/BillDetail';
+import ProcedureTimeline from './components/ProcedureTimeline';
 import Parliament from './components/Parliament';
 import MEPProfile from './components/MEPProfile';
 import Stats from './components/Stats';
@@ -12,6 +13,11 @@ import PoliticalCompass from './components/PoliticalCompass';
 import VAA from './components/VAA/VAA';
 import ChatMEP from './components/ChatMEP';
 import About from './components/About';
+import Admin from './components/Admin/Admin';
+import Login from './components/Login';
+import Account from './components/Account';
+import MyEULens from './components/MyEULens';
+import Unsubscribe from './components/Unsubscribe';
 import './App.css';
 
 export default function App() {
@@ -34,6 +40,7 @@ export default function App() {
           <Route path="/" element={<BillsList />} />
           <Route path="/bills/:id" element={<BillDetail />} />
           <Route path="/bill/:id" element={<BillDetail />} />
+          <Route path="/procedures/:procedureId" element={<ProcedureTimeline />} />
           <Route path="/parliament" element={<Parliament />} />
           <Route path="/meps" element={<Parliament />} />
           <Route path="/meps/:mepId" element={<MEPProfile />} />
@@ -44,6 +51,11 @@ export default function App() {
           <Route path="/vaa" element={<VAA />} />
           <Route path="/chat" element={<ChatMEP />} />
           <Route path="/about" element={<About />} />
+          <Route path="/admin" element={<Admin />} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/account" element={<Account />} />
+          <Route path="/my" element={<MyEULens />} />
+          <Route path="/unsubscribe" element={<Unsubscribe />} />
         </Routes>
         <Footer />
       </div>
@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+/**
+ * Citizen account session. Signing in with an email link (see server/accounts.js) gives a
+ * session token, kept in localStorage and sent as `Authorization: Bearer <token>` by
+ * accountApi. useAccount() shares the signed-in account across components.
+ */
+
+const STORAGE_KEY = 'eulens-session';
+
+export const accountApi = axios.create({ baseURL: '/api' });
+
+accountApi.interceptors.request.use(config => {
+  const token = localStorage.getItem(STORAGE_KEY);
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// An expired or revoked session signs out
+accountApi.interceptors.response.use(null, error => {
+  if (error.response?.status === 401 && localStorage.getItem(STORAGE_KEY)) {
+    localStorage.removeItem(STORAGE_KEY);
+    setAccount(null);
+  }
+  return Promise.reject(error);
+});
+
+// The server's { error } message, or a generic one
+export function accountError(error) {
+  return error.response?.data?.error || error.message;
+}
+
+// Shared account state: undefined until loaded, then the account or null
+let currentAccount;
+let accountRequest = null;
+const listeners = new Set();
+
+function setAccount(account) {
+  currentAccount = account;
+  listeners.forEach(listener => listener(account));
+}
+
+function loadAccount() {
+  if (!accountRequest) {
+    accountRequest = localStorage.getItem(STORAGE_KEY)
+      ? accountApi.get('/account').then(res => res.data).catch(() => null)
+      : Promise.resolve(null);
+    accountRequest.then(setAccount);
+  }
+  return accountRequest;
+}
+
+export function signIn(token, account) {
+  localStorage.setItem(STORAGE_KEY, token);
+  accountRequest = Promise.resolve(account);
+  setAccount(account);
+}
+
+// Forget the session locally, e.g. after the account was deleted
+export function clearSession() {
+  localStorage.removeItem(STORAGE_KEY);
+  accountRequest = Promise.resolve(null);
+  setAccount(null);
+}
+
+export async function signOut() {
+  try {
+    await accountApi.post('/auth/logout');
+  } finally {
+    clearSession();
+  }
+}
+
+// Replace the shared account after a profile change
+export function updateAccount(account) {
+  setAccount(account);
+}
+
+/**
+ * Hook returning { account, loading }: account is null when signed out
+ */
+export function useAccount() {
+  const [account, setLocalAccount] = useState(currentAccount);
+
+  useEffect(() => {
+    listeners.add(setLocalAccount);
+    loadAccount();
+    return () => listeners.delete(setLocalAccount);
+  }, []);
+
+  return { account: account || null, loading: account === undefined };
+}
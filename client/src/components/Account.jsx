@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { accountApi, accountError, useAccount, updateAccount, signOut, clearSession } from '../account';
+import NotificationSettings from './NotificationSettings';
+import './Account.css';
+
+function ProfileSection({ account }) {
+  const [countries, setCountries] = useState([]);
+  const [profile, setProfile] = useState({ display_name: account.display_name, country_code: account.country_code });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get('/api/countries')
+      .then(res => setCountries([...res.data].sort((a, b) => a.name.localeCompare(b.name))))
+      .catch(err => console.error('Error fetching countries:', err));
+  }, []);
+
+  async function save(e) {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const res = await accountApi.patch('/account', profile);
+      updateAccount(res.data);
+      setMessage('Saved');
+      setError(null);
+    } catch (err) {
+      setError(accountError(err));
+      setMessage(null);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <section className="card account-card">
+      <h2>Profile</h2>
+      <form className="account-form" onSubmit={save}>
+        <label>
+          Display name
+          <input
+            type="text"
+            value={profile.display_name}
+            onChange={e => setProfile({ ...profile, display_name: e.target.value })}
+            maxLength="40"
+          />
+        </label>
+        <label>
+          Country
+          <select value={profile.country_code} onChange={e => setProfile({ ...profile, country_code: e.target.value })}>
+            {countries.map(country => <option key={country.code} value={country.code}>{country.name}</option>)}
+          </select>
+        </label>
+        <p className="account-hint">
+          Signed in as {account.email}. Only you can see this address; posts show your display name
+          and country.
+        </p>
+        {error && <p className="account-error">{error}</p>}
+        {message && <p className="account-message">{message}</p>}
+        <button type="submit" className="btn-primary" disabled={saving}>Save profile</button>
+      </form>
+    </section>
+  );
+}
+
+function DataSection() {
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  async function exportData() {
+    try {
+      const res = await accountApi.get('/account/export', { responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `eulens-account-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(accountError(err));
+    }
+  }
+
+  async function deleteAccount() {
+    if (!window.confirm('Delete your account and everything linked to it? Your posts are replaced by "[deleted]". This cannot be undone.')) {
+      return;
+    }
+    try {
+      await accountApi.delete('/account');
+      clearSession();
+      navigate('/');
+    } catch (err) {
+      setError(accountError(err));
+    }
+  }
+
+  return (
+    <section className="card account-card">
+      <h2>Your data</h2>
+      <p className="account-hint">
+        Download everything EULens stores about you: profile, follows, posts, upvotes, reports, VAA
+        answers and sessions. Deleting your account removes all of it.
+      </p>
+      {error && <p className="account-error">{error}</p>}
+      <div className="account-actions">
+        <button className="btn-secondary" onClick={exportData}>Download my data</button>
+        <button className="account-delete" onClick={deleteAccount}>Delete my account</button>
+      </div>
+    </section>
+  );
+}
+
+/**
+ * The signed-in participant's account: profile, data export and deletion
+ */
+export default function Account() {
+  const { account, loading } = useAccount();
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!account) return <Navigate to="/login" replace />;
+
+  return (
+    <main className="container account-page">
+      <div className="account-header">
+        <h1>My account</h1>
+        <button className="btn-secondary" onClick={signOut}>Sign out</button>
+      </div>
+      <ProfileSection account={account} />
+      <NotificationSettings />
+      <DataSection />
+    </main>
+  );
+}
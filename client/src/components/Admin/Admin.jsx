@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { adminApi, adminError, getAdminKey, setAdminKey, clearAdminKey } from './adminApi';
+import CurationPanel from './CurationPanel';
+import VAAQuestionsPanel from './VAAQuestionsPanel';
+import JobsPanel from './JobsPanel';
+import MetadataPanel from './MetadataPanel';
+import DataQualityPanel from './DataQualityPanel';
+import ModerationPanel from './ModerationPanel';
+import WebhooksPanel from './WebhooksPanel';
+import './Admin.css';
+
+const TABS = [
+  { id: 'curation', label: 'Curation' },
+  { id: 'vaa', label: 'VAA Questions' },
+  { id: 'moderation', label: 'Moderation' },
+  { id: 'jobs', label: 'Jobs' },
+  { id: 'quality', label: 'Data Quality' },
+  { id: 'webhooks', label: 'Webhooks' },
+  { id: 'metadata', label: 'Metadata' }
+];
+
+function AdminLogin({ onSignIn, error }) {
+  const [key, setKey] = useState('');
+
+  return (
+    <div className="admin-login card">
+      <h2>Admin Sign-in</h2>
+      <p>Enter an admin API key. Keys are issued with <code>npm run admin-keys -- create</code>.</p>
+      <form onSubmit={e => { e.preventDefault(); if (key.trim()) onSignIn(key.trim()); }}>
+        <input
+          type="password"
+          value={key}
+          onChange={e => setKey(e.target.value)}
+          placeholder="eul_..."
+          autoFocus
+        />
+        {error && <p className="admin-error">{error}</p>}
+        <button type="submit" className="btn-primary">Sign in</button>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Admin area: curation of summaries, axis tags and VAA questions, discussion moderation,
+ * data jobs, webhooks and metadata.
+ * Everything goes through the authenticated /api/admin routes; controls a key's roles do
+ * not allow are disabled.
+ */
+export default function Admin() {
+  const [admin, setAdmin] = useState(null); // { name, roles }
+  const [checking, setChecking] = useState(!!getAdminKey());
+  const [loginError, setLoginError] = useState(null);
+  const [activeTab, setActiveTab] = useState('curation');
+
+  // A revoked key signs the session out on the next request
+  useEffect(() => {
+    const interceptor = adminApi.interceptors.response.use(null, error => {
+      if (error.response?.status === 401) signOut();
+      return Promise.reject(error);
+    });
+    return () => adminApi.interceptors.response.eject(interceptor);
+  }, []);
+
+  useEffect(() => {
+    if (getAdminKey()) fetchIdentity();
+  }, []);
+
+  async function fetchIdentity() {
+    try {
+      setChecking(true);
+      const res = await adminApi.get('/me');
+      setAdmin(res.data);
+      setLoginError(null);
+    } catch (error) {
+      clearAdminKey();
+      setLoginError(adminError(error));
+    } finally {
+      setChecking(false);
+    }
+  }
+
+  function signIn(key) {
+    setAdminKey(key);
+    fetchIdentity();
+  }
+
+  function signOut() {
+    clearAdminKey();
+    setAdmin(null);
+  }
+
+  if (checking) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!admin) {
+    return (
+      <div className="admin container">
+        <AdminLogin onSignIn={signIn} error={loginError} />
+      </div>
+    );
+  }
+
+  const can = role => admin.roles.includes(role);
+
+  return (
+    <div className="admin container">
+      <div className="admin-header">
+        <h1>Admin</h1>
+        <div className="admin-identity">
+          Signed in as <strong>{admin.name}</strong>
+          {admin.roles.map(role => <span key={role} className="badge badge-primary">{role}</span>)}
+          <button className="admin-signout" onClick={signOut}>Sign out</button>
+        </div>
+      </div>
+
+      <div className="admin-tabs">
+        {TABS.map(tab => (
+          <button
+            key={tab.id}
+            className={`admin-tab ${activeTab === tab.id ? 'active' : ''}`}
+            onClick={() => setActiveTab(tab.id)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'curation' && <CurationPanel canEdit={can('editor')} />}
+      {activeTab === 'vaa' && <VAAQuestionsPanel canEdit={can('editor')} />}
+      {activeTab === 'moderation' && <ModerationPanel canModerate={can('editor')} />}
+      {activeTab === 'jobs' && <JobsPanel canRun={can('operator')} />}
+      {activeTab === 'quality' && <DataQualityPanel />}
+      {activeTab === 'webhooks' && <WebhooksPanel canManage={can('operator')} />}
+      {activeTab === 'metadata' && <MetadataPanel />}
+    </div>
+  );
+}
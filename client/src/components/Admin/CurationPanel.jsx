@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { adminApi, adminError } from './adminApi';
+
+const AXES = [
+  { value: 'economic', label: 'Economic' },
+  { value: 'eu_integration', label: 'EU integration' },
+  { value: 'environment', label: 'Environment' },
+  { value: 'social', label: 'Social' }
+];
+
+const FILTERS = [
+  { value: 'any', label: 'Missing anything' },
+  { value: 'summary', label: 'No summary' },
+  { value: 'axes', label: 'No axis tags' }
+];
+
+function TagForm({ bill, onTagged }) {
+  const [axis, setAxis] = useState(AXES.find(a => !bill.axes.includes(a.value))?.value || 'economic');
+  const [direction, setDirection] = useState(1);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function tag() {
+    try {
+      setSaving(true);
+      setError(null);
+      await adminApi.post('/tag-vote', { bill_id: bill.id, axis, direction });
+      onTagged(bill.id, axis);
+    } catch (err) {
+      setError(adminError(err));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="admin-inline-form">
+      <select value={axis} onChange={e => setAxis(e.target.value)}>
+        {AXES.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+      </select>
+      <select value={direction} onChange={e => setDirection(parseInt(e.target.value))}>
+        <option value={1}>Yes = right / conservative</option>
+        <option value={-1}>Yes = left / progressive</option>
+      </select>
+      <button className="admin-small-btn" onClick={tag} disabled={saving}>Tag</button>
+      {error && <span className="admin-error">{error}</span>}
+    </div>
+  );
+}
+
+/**
+ * Bills missing an AI summary or compass axis tags, with inline axis tagging
+ */
+export default function CurationPanel({ canEdit }) {
+  const [filter, setFilter] = useState('any');
+  const [data, setData] = useState({ total: 0, bills: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [tagging, setTagging] = useState(null);
+
+  useEffect(() => {
+    fetchBills();
+  }, [filter]);
+
+  async function fetchBills() {
+    try {
+      setLoading(true);
+      const res = await adminApi.get('/bills-missing', { params: { missing: filter, limit: 200 } });
+      setData(res.data);
+      setError(null);
+    } catch (err) {
+      setError(adminError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function handleTagged(billId, axis) {
+    setTagging(null);
+    setData(prev => ({
+      ...prev,
+      bills: prev.bills.map(b => (b.id === billId ? { ...b, axes: [...new Set([...b.axes, axis])].sort() } : b))
+    }));
+  }
+
+  return (
+    <section className="admin-panel card">
+      <div className="admin-panel-header">
+        <h2>Bills Needing Curation</h2>
+        <select className="admin-filter" value={filter} onChange={e => setFilter(e.target.value)}>
+          {FILTERS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+        </select>
+      </div>
+      <p className="admin-panel-note">
+        Summaries are generated with <code>npm run summarize</code>. Axis tags place votes on the
+        compass axes and are added here.
+        {data.total > data.bills.length && ` Showing the ${data.bills.length} most recent of ${data.total}.`}
+      </p>
+
+      {error && <p className="admin-error">{error}</p>}
+      {loading ? (
+        <div className="loading"><div className="spinner"></div></div>
+      ) : data.bills.length === 0 ? (
+        <p className="admin-empty">Nothing left to curate.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Bill</th>
+              <th>Date</th>
+              <th>Summary</th>
+              <th>Axes</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.bills.map(bill => (
+              <React.Fragment key={bill.id}>
+                <tr>
+                  <td>
+                    <Link to={`/bills/${bill.id}`}>{bill.title}</Link>
+                    <div className="admin-subtle">{bill.eu_id}{bill.category && ` • ${bill.category}`}</div>
+                  </td>
+                  <td className="admin-nowrap">{bill.date_adopted ? new Date(bill.date_adopted).toLocaleDateString() : '—'}</td>
+                  <td>{bill.has_summary ? '✓' : <span className="admin-missing">missing</span>}</td>
+                  <td>
+                    {bill.axes.length > 0
+                      ? bill.axes.map(axis => <span key={axis} className="badge badge-success">{axis}</span>)
+                      : <span className="admin-missing">none</span>}
+                  </td>
+                  <td>
+                    {canEdit && (
+                      <button
+                        className="admin-small-btn"
+                        onClick={() => setTagging(tagging === bill.id ? null : bill.id)}
+                      >
+                        {tagging === bill.id ? 'Cancel' : 'Tag axis'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {tagging === bill.id && (
+                  <tr className="admin-form-row">
+                    <td colSpan={5}>
+                      <TagForm bill={bill} onTagged={handleTagged} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
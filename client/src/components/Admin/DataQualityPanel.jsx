@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { adminApi, adminError } from './adminApi';
+
+function formatValue(check, value) {
+  return check.metric === 'share' ? `${(value * 100).toFixed(1)}%` : value;
+}
+
+function CheckDetails({ details }) {
+  if (details.length === 0) return <p className="admin-empty">No examples recorded.</p>;
+  const columns = Object.keys(details[0]);
+
+  return (
+    <table className="admin-table admin-dq-details">
+      <thead>
+        <tr>{columns.map(column => <th key={column}>{column.replace(/_/g, ' ')}</th>)}</tr>
+      </thead>
+      <tbody>
+        {details.map((item, i) => (
+          <tr key={i}>
+            {columns.map(column => <td key={column}>{item[column] ?? '—'}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Data quality reports written by the validation step after each import
+ */
+export default function DataQualityPanel() {
+  const [reports, setReports] = useState([]);
+  const [selected, setSelected] = useState('latest');
+  const [report, setReport] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReports();
+  }, []);
+
+  useEffect(() => {
+    fetchReport(selected);
+  }, [selected]);
+
+  async function fetchReports() {
+    try {
+      const res = await adminApi.get('/data-quality/reports', { params: { limit: 50 } });
+      setReports(res.data);
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  async function fetchReport(id) {
+    try {
+      setLoading(true);
+      setExpanded(null);
+      const res = await adminApi.get(`/data-quality/reports/${id}`);
+      setReport(res.data);
+      setError(null);
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setReport(null);
+      } else {
+        setError(adminError(err));
+      }
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function refresh() {
+    fetchReports();
+    fetchReport(selected);
+  }
+
+  return (
+    <section className="admin-panel card">
+      <div className="admin-panel-header">
+        <h2>Data Quality</h2>
+        <div className="admin-inline-form">
+          <select className="admin-filter" value={selected} onChange={e => setSelected(e.target.value)}>
+            <option value="latest">Latest report</option>
+            {reports.map(r => (
+              <option key={r.id} value={r.id}>
+                #{r.id} • {new Date(r.created_at).toLocaleString()} • {r.status}
+              </option>
+            ))}
+          </select>
+          <button className="admin-small-btn" onClick={refresh}>Refresh</button>
+        </div>
+      </div>
+      <p className="admin-panel-note">
+        The checks run after every import. A check above its fail threshold stops the update
+        before summaries and statistics are rebuilt; run them again with the Validate data job.
+      </p>
+
+      {error && <p className="admin-error">{error}</p>}
+      {loading ? (
+        <div className="loading"><div className="spinner"></div></div>
+      ) : !report ? (
+        <p className="admin-empty">No data quality report yet.</p>
+      ) : (
+        <>
+          <p className="admin-dq-summary">
+            <span className={`admin-dq-status ${report.status}`}>{report.status}</span>
+            Report #{report.id} from {new Date(report.created_at).toLocaleString()}
+            {report.snapshot_checksum && (
+              <span className="admin-subtle"> • snapshot <code>{report.snapshot_checksum.slice(0, 12)}</code></span>
+            )}
+          </p>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Check</th>
+                <th>Result</th>
+                <th>Warn above</th>
+                <th>Fail above</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.checks.map(check => (
+                <React.Fragment key={check.name}>
+                  <tr>
+                    <td>
+                      <span className={`admin-dq-status ${check.status}`}>{check.status}</span>
+                      {check.label}
+                    </td>
+                    <td className="admin-nowrap">
+                      {formatValue(check, check.measured)}
+                      {check.metric === 'share' && (
+                        <div className="admin-subtle">{check.value} of {check.total}</div>
+                      )}
+                    </td>
+                    <td>{formatValue(check, check.thresholds.warn)}</td>
+                    <td>{formatValue(check, check.thresholds.fail)}</td>
+                    <td>
+                      {check.value > 0 && (
+                        <button
+                          className="admin-small-btn"
+                          onClick={() => setExpanded(expanded === check.name ? null : check.name)}
+                        >
+                          {expanded === check.name ? 'Hide' : 'Examples'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {expanded === check.name && (
+                    <tr className="admin-form-row">
+                      <td colSpan={5}>
+                        {check.median !== undefined && (
+                          <p className="admin-subtle">Median turnout {(check.median * 100).toFixed(1)}%</p>
+                        )}
+                        <CheckDetails details={check.details} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { adminApi, adminError } from './adminApi';
+
+const POLL_INTERVAL = 3000;
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = Math.floor(seconds / 60);
+  return minutes < 60 ? `${minutes}m ${Math.round(seconds % 60)}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+const isActive = job => job.status === 'queued' || job.status === 'running';
+
+function JobLogs({ jobId, active }) {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchJob();
+    if (!active) return undefined;
+    const timer = setInterval(fetchJob, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [jobId, active]);
+
+  async function fetchJob() {
+    try {
+      const res = await adminApi.get(`/jobs/${jobId}`);
+      setJob(res.data);
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  if (error) return <p className="admin-error">{error}</p>;
+  if (!job) return <div className="loading"><div className="spinner"></div></div>;
+
+  return (
+    <div className="admin-job-logs">
+      {job.error && <p className="admin-error">{job.error}</p>}
+      {job.steps.map(step => (
+        <div key={step.position} className="admin-job-step">
+          <div className="admin-job-step-header">
+            <span className={`admin-job-status ${step.status}`}>{step.status}</span>
+            <strong>{step.name}</strong>
+            <span className="admin-subtle">
+              {step.optional && 'optional • '}
+              {formatDuration(step.duration_seconds)}
+              {step.exit_code !== null && ` • exit code ${step.exit_code}`}
+            </span>
+          </div>
+          {step.log && <pre className="admin-log">{step.log}</pre>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Queue pipeline jobs and follow their history, step statuses and logs
+ */
+export default function JobsPanel({ canRun }) {
+  const [jobTypes, setJobTypes] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    adminApi.get('/job-types')
+      .then(res => setJobTypes(res.data))
+      .catch(err => setError(adminError(err)));
+    fetchJobs();
+    const timer = setInterval(fetchJobs, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  async function fetchJobs() {
+    try {
+      const res = await adminApi.get('/jobs', { params: { limit: 30 } });
+      setJobs(res.data);
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  async function act(request, successMessage) {
+    try {
+      setError(null);
+      await request();
+      setMessage(successMessage);
+      fetchJobs();
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  const labelOf = type => jobTypes.find(t => t.type === type)?.label || type;
+
+  return (
+    <section className="admin-panel card">
+      <h2>Jobs</h2>
+      <p className="admin-panel-note">
+        Jobs run one at a time in the order they were queued. Failed jobs are retried automatically
+        with a growing delay. Status refreshes every few seconds.
+      </p>
+      {message && <p className="admin-message">{message}</p>}
+      {error && <p className="admin-error">{error}</p>}
+
+      <div className="admin-jobs">
+        {jobTypes.map(jobType => {
+          const active = jobs.find(j => j.type === jobType.type && isActive(j));
+          return (
+            <div key={jobType.type} className="admin-job">
+              <div>
+                <h3>{jobType.label}</h3>
+                <p className="admin-subtle">
+                  {jobType.steps.map(step => step.name + (step.optional ? ' (optional)' : '')).join(' → ')}
+                </p>
+              </div>
+              <button
+                className="admin-small-btn primary"
+                onClick={() => act(() => adminApi.post('/jobs', { type: jobType.type }), `${jobType.label} queued`)}
+                disabled={!canRun || !!active}
+                title={canRun ? '' : 'Requires the operator role'}
+              >
+                {active ? (active.status === 'running' ? 'Running…' : 'Queued') : 'Start'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <h3 className="admin-section-title">History</h3>
+      {jobs.length === 0 ? (
+        <p className="admin-empty">No jobs have run yet.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Job</th>
+              <th>Status</th>
+              <th>Steps</th>
+              <th>Started</th>
+              <th>Duration</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {jobs.map(job => (
+              <React.Fragment key={job.id}>
+                <tr>
+                  <td>{job.id}</td>
+                  <td>
+                    {labelOf(job.type)}
+                    <div className="admin-subtle">
+                      {job.trigger}{job.requested_by && ` by ${job.requested_by}`}
+                      {job.max_attempts > 1 && ` • attempt ${job.attempt} of ${job.max_attempts}`}
+                    </div>
+                  </td>
+                  <td>
+                    <span className={`admin-job-status ${job.status}`}>{job.status}</span>
+                    {job.status === 'queued' && new Date(job.run_after) > new Date() && (
+                      <div className="admin-subtle">from {formatTime(job.run_after)}</div>
+                    )}
+                    {job.cancel_requested && job.status === 'running' && (
+                      <div className="admin-subtle">cancelling…</div>
+                    )}
+                  </td>
+                  <td>
+                    <div className="admin-step-chips">
+                      {job.steps.map(step => (
+                        <span key={step.name} className={`admin-step-chip ${step.status}`} title={`${step.name}: ${step.status}`}>
+                          {step.name}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="admin-nowrap">{formatTime(job.started_at)}</td>
+                  <td className="admin-nowrap">{formatDuration(job.duration_seconds)}</td>
+                  <td className="admin-nowrap">
+                    <button className="admin-small-btn" onClick={() => setExpanded(expanded === job.id ? null : job.id)}>
+                      {expanded === job.id ? 'Hide logs' : 'Logs'}
+                    </button>
+                    {canRun && isActive(job) && !job.cancel_requested && (
+                      <button
+                        className="admin-small-btn"
+                        onClick={() => act(() => adminApi.post(`/jobs/${job.id}/cancel`), `Job ${job.id} cancelled`)}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    {canRun && !isActive(job) && (
+                      <button
+                        className="admin-small-btn"
+                        onClick={() => act(() => adminApi.post(`/jobs/${job.id}/rerun`), `${labelOf(job.type)} queued again`)}
+                      >
+                        Re-run
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {expanded === job.id && (
+                  <tr className="admin-form-row">
+                    <td colSpan={7}>
+                      <JobLogs jobId={job.id} active={isActive(job)} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { adminApi, adminError } from './adminApi';
+
+function age(timestamp) {
+  const hours = (Date.now() - new Date(timestamp).getTime()) / 3600000;
+  if (hours < 1) return 'less than an hour ago';
+  if (hours < 48) return `${Math.round(hours)} hours ago`;
+  return `${Math.round(hours / 24)} days ago`;
+}
+
+function formatSize(bytes) {
+  if (bytes === null) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * When each metadata entry (import diffs, precomputed statistics, ...) was last written
+ */
+export default function MetadataPanel() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchMetadata();
+  }, []);
+
+  async function fetchMetadata() {
+    try {
+      setLoading(true);
+      const res = await adminApi.get('/metadata');
+      setEntries(res.data);
+    } catch (err) {
+      setError(adminError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <section className="admin-panel card">
+      <div className="admin-panel-header">
+        <h2>Metadata</h2>
+        <button className="admin-small-btn" onClick={fetchMetadata}>Refresh</button>
+      </div>
+      {error && <p className="admin-error">{error}</p>}
+      {loading ? (
+        <div className="loading"><div className="spinner"></div></div>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Key</th>
+              <th>Updated</th>
+              <th>Size</th>
+              <th>Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.key}>
+                <td><code>{entry.key}</code></td>
+                <td className="admin-nowrap" title={new Date(entry.updated_at).toLocaleString()}>
+                  {age(entry.updated_at)}
+                </td>
+                <td className="admin-nowrap">{formatSize(entry.size)}</td>
+                <td className="admin-metadata-value">{entry.size === null ? '—' : entry.value ?? <span className="admin-subtle">(large value)</span>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
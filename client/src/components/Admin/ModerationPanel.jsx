@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { adminApi, adminError } from './adminApi';
+
+const QUEUES = [
+  { value: 'open', label: 'Reported' },
+  { value: 'hidden', label: 'Hidden' }
+];
+
+const REASON_LABELS = {
+  spam: 'Spam',
+  abuse: 'Abusive',
+  misinformation: 'Misinformation',
+  off_topic: 'Off topic',
+  other: 'Other'
+};
+
+function ReportList({ reports }) {
+  return (
+    <ul className="admin-mod-reports">
+      {reports.map((report, i) => (
+        <li key={i}>
+          <strong>{REASON_LABELS[report.reason] || report.reason}</strong>
+          {report.note && <> – {report.note}</>}
+          <span className="admin-subtle"> • {new Date(report.created_at).toLocaleString()}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Discussion moderation: reported posts (some already hidden automatically) and hidden
+ * posts, with hide and restore. Either action resolves the post's open reports.
+ */
+export default function ModerationPanel({ canModerate }) {
+  const [queue, setQueue] = useState('open');
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [queue]);
+
+  async function fetchQueue() {
+    try {
+      setLoading(true);
+      const res = await adminApi.get('/moderation', { params: { queue, limit: 100 } });
+      setPosts(res.data);
+      setError(null);
+    } catch (err) {
+      setError(adminError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function moderate(post, action) {
+    const key = `${post.type}-${post.id}`;
+    let reason;
+    if (action === 'hide') {
+      reason = window.prompt('Reason for hiding (shown in the audit log)', 'Breaks the discussion rules');
+      if (reason === null) return;
+    }
+    try {
+      setBusy(key);
+      await adminApi.post(`/moderation/${post.type}/${post.id}/${action}`, { reason });
+      setPosts(prev => prev.filter(p => `${p.type}-${p.id}` !== key));
+      setError(null);
+    } catch (err) {
+      setError(adminError(err));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  return (
+    <section className="admin-panel card">
+      <div className="admin-panel-header">
+        <h2>Discussion Moderation</h2>
+        <div className="admin-inline-form">
+          <select className="admin-filter" value={queue} onChange={e => setQueue(e.target.value)}>
+            {QUEUES.map(q => <option key={q.value} value={q.value}>{q.label}</option>)}
+          </select>
+          <button className="admin-small-btn" onClick={fetchQueue}>Refresh</button>
+        </div>
+      </div>
+      <p className="admin-panel-note">
+        Posts reported by three participants are hidden until reviewed. Hiding or restoring a
+        post closes its open reports.
+      </p>
+
+      {error && <p className="admin-error">{error}</p>}
+      {loading ? (
+        <div className="loading"><div className="spinner"></div></div>
+      ) : posts.length === 0 ? (
+        <p className="admin-empty">{queue === 'open' ? 'No open reports.' : 'No hidden posts.'}</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Post</th>
+              <th>Reports</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {posts.map(post => (
+              <tr key={`${post.type}-${post.id}`}>
+                <td>
+                  <div className="admin-subtle">
+                    {post.type === 'discussion' ? 'Discussion' : 'Comment'} on{' '}
+                    <Link to={`/bills/${post.bill_id}`}>{post.bill_title}</Link>
+                    {post.type === 'comment' && <> in “{post.title}”</>}
+                  </div>
+                  {post.type === 'discussion' && <strong>{post.title}</strong>}
+                  <p className="admin-mod-content">{post.content}</p>
+                  <div className="admin-subtle">
+                    By <code>{post.author_id?.slice(0, 8)}</code> • {new Date(post.created_at).toLocaleString()} • 👍 {post.upvotes}
+                  </div>
+                </td>
+                <td>
+                  {post.report_count > 0 ? <ReportList reports={post.reports} /> : '—'}
+                </td>
+                <td className="admin-nowrap">
+                  <span className={`admin-mod-status ${post.status}`}>{post.status}</span>
+                  {post.hidden_reason && (
+                    <div className="admin-subtle">
+                      {post.hidden_reason === 'reports' ? 'by reports' : post.hidden_reason}
+                    </div>
+                  )}
+                </td>
+                <td className="admin-nowrap">
+                  {canModerate && (
+                    <div className="admin-inline-form">
+                      {(post.status === 'visible' || post.report_count > 0) && (
+                        <button
+                          className="admin-small-btn primary"
+                          disabled={busy === `${post.type}-${post.id}`}
+                          onClick={() => moderate(post, 'hide')}
+                        >
+                          Hide
+                        </button>
+                      )}
+                      <button
+                        className="admin-small-btn"
+                        disabled={busy === `${post.type}-${post.id}`}
+                        onClick={() => moderate(post, 'restore')}
+                      >
+                        {post.status === 'hidden' ? 'Restore' : 'Dismiss reports'}
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
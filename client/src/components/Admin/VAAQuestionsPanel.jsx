@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { adminApi, adminError } from './adminApi';
+
+function QuestionEditor({ question, onSaved, onCancel }) {
+  const [text, setText] = useState(question.question_text);
+  const [category, setCategory] = useState(question.category || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function save() {
+    try {
+      setSaving(true);
+      const res = await adminApi.put(`/vaa-questions/${question.id}`, {
+        question_text: text,
+        category: category || null
+      });
+      onSaved(res.data);
+    } catch (err) {
+      setError(adminError(err));
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="admin-question-editor">
+      <textarea value={text} onChange={e => setText(e.target.value)} rows={3} />
+      <input value={category} onChange={e => setCategory(e.target.value)} placeholder="Category" />
+      <div className="admin-inline-form">
+        <button className="admin-small-btn primary" onClick={save} disabled={saving || !text.trim()}>Save</button>
+        <button className="admin-small-btn" onClick={onCancel}>Cancel</button>
+        {error && <span className="admin-error">{error}</span>}
+      </div>
+    </div>
+  );
+}
+
+function NewQuestionForm({ onCreated }) {
+  const [billId, setBillId] = useState('');
+  const [text, setText] = useState('');
+  const [category, setCategory] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function create(e) {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      await adminApi.post('/vaa-question', {
+        bill_id: parseInt(billId),
+        question_text: text,
+        category: category || null
+      });
+      setBillId('');
+      setText('');
+      setCategory('');
+      onCreated();
+    } catch (err) {
+      setError(adminError(err));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="admin-new-question" onSubmit={create}>
+      <h3>Add a Question</h3>
+      <div className="admin-inline-form">
+        <input type="number" value={billId} onChange={e => setBillId(e.target.value)} placeholder="Bill id" min={1} />
+        <input value={category} onChange={e => setCategory(e.target.value)} placeholder="Category" />
+      </div>
+      <textarea
+        value={text}
+        onChange={e => setText(e.target.value)}
+        rows={2}
+        placeholder="Should the EU...?"
+      />
+      <div className="admin-inline-form">
+        <button type="submit" className="admin-small-btn primary" disabled={saving || !billId || !text.trim()}>
+          Add question
+        </button>
+        {error && <span className="admin-error">{error}</span>}
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Edit, activate and reorder the VAA questions. The order here is the order the quiz uses.
+ */
+export default function VAAQuestionsPanel({ canEdit }) {
+  const [questions, setQuestions] = useState([]);
+  const [orderChanged, setOrderChanged] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchQuestions();
+  }, []);
+
+  async function fetchQuestions() {
+    try {
+      setLoading(true);
+      const res = await adminApi.get('/vaa-questions');
+      setQuestions(res.data);
+      setOrderChanged(false);
+      setError(null);
+    } catch (err) {
+      setError(adminError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function move(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= questions.length) return;
+    const reordered = [...questions];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setQuestions(reordered);
+    setOrderChanged(true);
+  }
+
+  async function saveOrder() {
+    try {
+      await adminApi.put('/vaa-questions/order', { ids: questions.map(q => q.id) });
+      await fetchQuestions();
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  async function toggleActive(question) {
+    try {
+      const res = await adminApi.put(`/vaa-questions/${question.id}`, { is_active: !question.is_active });
+      replaceQuestion(res.data);
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  function replaceQuestion(updated) {
+    setQuestions(prev => prev.map(q => (q.id === updated.id ? { ...q, ...updated } : q)));
+    setEditing(null);
+  }
+
+  if (loading) {
+    return <div className="loading"><div className="spinner"></div></div>;
+  }
+
+  return (
+    <section className="admin-panel card">
+      <div className="admin-panel-header">
+        <h2>VAA Questions ({questions.filter(q => q.is_active).length} active of {questions.length})</h2>
+        {canEdit && orderChanged && (
+          <div className="admin-inline-form">
+            <button className="admin-small-btn primary" onClick={saveOrder}>Save order</button>
+            <button className="admin-small-btn" onClick={fetchQuestions}>Discard</button>
+          </div>
+        )}
+      </div>
+      {error && <p className="admin-error">{error}</p>}
+
+      <ol className="admin-question-list">
+        {questions.map((question, index) => (
+          <li key={question.id} className={question.is_active ? '' : 'inactive'}>
+            {canEdit && (
+              <div className="admin-move">
+                <button onClick={() => move(index, -1)} disabled={index === 0} title="Move up">▲</button>
+                <button onClick={() => move(index, 1)} disabled={index === questions.length - 1} title="Move down">▼</button>
+              </div>
+            )}
+            <div className="admin-question-body">
+              {editing === question.id ? (
+                <QuestionEditor question={question} onSaved={replaceQuestion} onCancel={() => setEditing(null)} />
+              ) : (
+                <>
+                  <p className="admin-question-text">{question.question_text}</p>
+                  <div className="admin-subtle">
+                    <Link to={`/bills/${question.bill_id}`}>{question.bill_title}</Link>
+                    {question.category && ` • ${question.category}`}
+                    {!question.is_active && ' • inactive'}
+                  </div>
+                </>
+              )}
+            </div>
+            {canEdit && editing !== question.id && (
+              <div className="admin-question-actions">
+                <button className="admin-small-btn" onClick={() => setEditing(question.id)}>Edit</button>
+                <button className="admin-small-btn" onClick={() => toggleActive(question)}>
+                  {question.is_active ? 'Deactivate' : 'Activate'}
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {canEdit && <NewQuestionForm onCreated={fetchQuestions} />}
+    </section>
+  );
+}
@@ -0,0 +1,369 @@
+import React, { useState, useEffect } from 'react';
+import { adminApi, adminError } from './adminApi';
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function DeliveryDetails({ deliveryId, canManage, onRedelivered }) {
+  const [delivery, setDelivery] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    adminApi.get(`/webhook-deliveries/${deliveryId}`)
+      .then(res => setDelivery(res.data))
+      .catch(err => setError(adminError(err)));
+  }, [deliveryId]);
+
+  async function redeliver() {
+    try {
+      await adminApi.post(`/webhook-deliveries/${deliveryId}/redeliver`);
+      onRedelivered();
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  if (error) return <p className="admin-error">{error}</p>;
+  if (!delivery) return <div className="loading"><div className="spinner"></div></div>;
+
+  return (
+    <div className="admin-job-logs">
+      <div className="admin-inline-form">
+        <strong>Payload</strong>
+        {canManage && <button className="admin-small-btn" onClick={redeliver}>Redeliver</button>}
+      </div>
+      <pre className="admin-log">{JSON.stringify(delivery.data, null, 2)}</pre>
+      {delivery.attempt_log.length === 0 ? (
+        <p className="admin-empty">Not attempted yet.</p>
+      ) : delivery.attempt_log.map(attempt => (
+        <div key={`${attempt.attempt}-${attempt.created_at}`} className="admin-job-step">
+          <div className="admin-job-step-header">
+            <span className={`admin-job-status ${attempt.error ? 'failed' : 'succeeded'}`}>
+              {attempt.status_code || 'error'}
+            </span>
+            <strong>Attempt {attempt.attempt}</strong>
+            <span className="admin-subtle">
+              {formatTime(attempt.created_at)} • {attempt.duration_ms} ms
+              {attempt.error && ` • ${attempt.error}`}
+            </span>
+          </div>
+          {attempt.response_body && <pre className="admin-log">{attempt.response_body}</pre>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function DeliveryLog({ webhookId, canManage }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [status, setStatus] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [webhookId, status]);
+
+  async function fetchDeliveries() {
+    try {
+      const res = await adminApi.get(`/webhooks/${webhookId}/deliveries`, {
+        params: { limit: 50, status: status || undefined }
+      });
+      setDeliveries(res.data);
+      setError(null);
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  return (
+    <div className="admin-job-logs">
+      <div className="admin-inline-form">
+        <select className="admin-filter" value={status} onChange={e => setStatus(e.target.value)}>
+          <option value="">All deliveries</option>
+          <option value="pending">Pending</option>
+          <option value="succeeded">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+        <button className="admin-small-btn" onClick={fetchDeliveries}>Refresh</button>
+      </div>
+      {error && <p className="admin-error">{error}</p>}
+      {deliveries.length === 0 ? (
+        <p className="admin-empty">No deliveries yet.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Event</th>
+              <th>Status</th>
+              <th>Attempts</th>
+              <th>Last response</th>
+              <th>Queued</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {deliveries.map(delivery => (
+              <React.Fragment key={delivery.id}>
+                <tr>
+                  <td>{delivery.id}</td>
+                  <td><code>{delivery.event_type}</code></td>
+                  <td>
+                    <span className={`admin-job-status ${delivery.status}`}>{delivery.status}</span>
+                    {delivery.status === 'pending' && delivery.attempts > 0 && (
+                      <div className="admin-subtle">retry at {formatTime(delivery.next_attempt_at)}</div>
+                    )}
+                  </td>
+                  <td>{delivery.attempts}</td>
+                  <td>{delivery.last_error || delivery.last_status_code || '—'}</td>
+                  <td className="admin-nowrap">{formatTime(delivery.created_at)}</td>
+                  <td>
+                    <button
+                      className="admin-small-btn"
+                      onClick={() => setExpanded(expanded === delivery.id ? null : delivery.id)}
+                    >
+                      {expanded === delivery.id ? 'Hide' : 'Details'}
+                    </button>
+                  </td>
+                </tr>
+                {expanded === delivery.id && (
+                  <tr className="admin-form-row">
+                    <td colSpan={7}>
+                      <DeliveryDetails
+                        deliveryId={delivery.id}
+                        canManage={canManage}
+                        onRedelivered={() => { setExpanded(null); fetchDeliveries(); }}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function NewWebhook({ eventTypes, onCreated }) {
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [events, setEvents] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  function toggleEvent(type) {
+    setEvents(events.includes(type) ? events.filter(e => e !== type) : [...events, type]);
+  }
+
+  async function create(e) {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const res = await adminApi.post('/webhooks', { url, events, description: description || null });
+      setUrl('');
+      setDescription('');
+      setEvents([]);
+      onCreated(res.data);
+    } catch (err) {
+      setError(adminError(err));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="admin-new-question" onSubmit={create}>
+      <h3>Add a Webhook</h3>
+      <div className="admin-inline-form">
+        <input
+          className="admin-webhook-url"
+          value={url}
+          onChange={e => setUrl(e.target.value)}
+          placeholder="https://example.org/hooks/eulens"
+        />
+        <input value={description} onChange={e => setDescription(e.target.value)} placeholder="Description" />
+      </div>
+      <div className="admin-inline-form">
+        {eventTypes.map(eventType => (
+          <label key={eventType.type} className="admin-webhook-event" title={eventType.description}>
+            <input
+              type="checkbox"
+              checked={events.includes(eventType.type)}
+              onChange={() => toggleEvent(eventType.type)}
+            />
+            <code>{eventType.type}</code>
+          </label>
+        ))}
+      </div>
+      <div className="admin-inline-form">
+        <button type="submit" className="admin-small-btn primary" disabled={saving || !url.trim() || events.length === 0}>
+          Add webhook
+        </button>
+        {error && <span className="admin-error">{error}</span>}
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Webhooks called after imports, with their delivery log. Secrets are shown once, when a
+ * webhook is created or its secret rotated.
+ */
+export default function WebhooksPanel({ canManage }) {
+  const [eventTypes, setEventTypes] = useState([]);
+  const [webhooks, setWebhooks] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [secret, setSecret] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    adminApi.get('/webhook-event-types')
+      .then(res => setEventTypes(res.data))
+      .catch(err => setError(adminError(err)));
+    fetchWebhooks();
+  }, []);
+
+  async function fetchWebhooks() {
+    try {
+      const res = await adminApi.get('/webhooks');
+      setWebhooks(res.data);
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  async function act(request, successMessage) {
+    try {
+      setError(null);
+      setSecret(null);
+      const res = await request();
+      if (res.data.secret) setSecret(res.data.secret);
+      setMessage(successMessage);
+      fetchWebhooks();
+    } catch (err) {
+      setError(adminError(err));
+    }
+  }
+
+  function remove(webhook) {
+    if (!window.confirm(`Delete the webhook to ${webhook.url} and its delivery log?`)) return;
+    act(() => adminApi.delete(`/webhooks/${webhook.id}`), 'Webhook deleted');
+  }
+
+  return (
+    <section className="admin-panel card">
+      <div className="admin-panel-header">
+        <h2>Webhooks</h2>
+        <button className="admin-small-btn" onClick={fetchWebhooks}>Refresh</button>
+      </div>
+      <p className="admin-panel-note">
+        After each import, subscribed webhooks receive a signed POST per new bill, summary, MEP
+        or group change. Failed deliveries are retried with a growing delay, up to 6 attempts;
+        paused webhooks keep their pending deliveries until resumed.
+      </p>
+      {message && <p className="admin-message">{message}</p>}
+      {secret && (
+        <p className="admin-message">
+          Signing secret: <code>{secret}</code> — copy it now, it is not shown again.
+        </p>
+      )}
+      {error && <p className="admin-error">{error}</p>}
+
+      {webhooks.length === 0 ? (
+        <p className="admin-empty">No webhooks registered.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>URL</th>
+              <th>Events</th>
+              <th>Deliveries</th>
+              <th>Last delivery</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {webhooks.map(webhook => (
+              <React.Fragment key={webhook.id}>
+                <tr>
+                  <td>
+                    <code>{webhook.url}</code>
+                    <div className="admin-subtle">
+                      {!webhook.active && 'paused • '}
+                      {webhook.description || `added by ${webhook.created_by}`}
+                    </div>
+                  </td>
+                  <td>{webhook.events.map(event => <div key={event}><code>{event}</code></div>)}</td>
+                  <td className="admin-nowrap">
+                    {webhook.succeeded} sent • {webhook.pending} pending • {webhook.failed} failed
+                  </td>
+                  <td className="admin-nowrap">{formatTime(webhook.last_delivery_at)}</td>
+                  <td className="admin-nowrap">
+                    <button
+                      className="admin-small-btn"
+                      onClick={() => setExpanded(expanded === webhook.id ? null : webhook.id)}
+                    >
+                      {expanded === webhook.id ? 'Hide log' : 'Log'}
+                    </button>
+                    {canManage && (
+                      <>
+                        <button
+                          className="admin-small-btn"
+                          disabled={!webhook.active}
+                          title={webhook.active ? undefined : 'Resume the webhook to ping it'}
+                          onClick={() => act(() => adminApi.post(`/webhooks/${webhook.id}/ping`), 'Ping queued')}
+                        >
+                          Ping
+                        </button>
+                        <button
+                          className="admin-small-btn"
+                          onClick={() => act(
+                            () => adminApi.put(`/webhooks/${webhook.id}`, { active: !webhook.active }),
+                            webhook.active ? 'Webhook paused' : 'Webhook resumed'
+                          )}
+                        >
+                          {webhook.active ? 'Pause' : 'Resume'}
+                        </button>
+                        <button
+                          className="admin-small-btn"
+                          onClick={() => act(() => adminApi.post(`/webhooks/${webhook.id}/rotate-secret`), 'Secret rotated')}
+                        >
+                          Rotate secret
+                        </button>
+                        <button className="admin-small-btn" onClick={() => remove(webhook)}>Delete</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+                {expanded === webhook.id && (
+                  <tr className="admin-form-row">
+                    <td colSpan={5}>
+                      <DeliveryLog webhookId={webhook.id} canManage={canManage} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canManage && (
+        <NewWebhook
+          eventTypes={eventTypes}
+          onCreated={data => {
+            setSecret(data.secret);
+            setMessage('Webhook added');
+            fetchWebhooks();
+          }}
+        />
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,33 @@
+import axios from 'axios';
+
+/**
+ * Axios instance for /api/admin, sending the admin API key of this browser session.
+ * The key is kept in sessionStorage, so closing the tab signs out.
+ */
+
+const STORAGE_KEY = 'eulens-admin-key';
+
+export function getAdminKey() {
+  return sessionStorage.getItem(STORAGE_KEY);
+}
+
+export function setAdminKey(key) {
+  sessionStorage.setItem(STORAGE_KEY, key);
+}
+
+export function clearAdminKey() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+export const adminApi = axios.create({ baseURL: '/api/admin' });
+
+adminApi.interceptors.request.use(config => {
+  const key = getAdminKey();
+  if (key) config.headers.Authorization = `Bearer ${key}`;
+  return config;
+});
+
+// The server's { error } message, or a generic one
+export function adminError(error) {
+  return error.response?.data?.error || error.message;
+}
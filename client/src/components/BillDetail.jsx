@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
 import {
   BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid,
@@ -7,6 +7,11 @@ import {
 } from 'recharts';
 import Hemicycle from './Hemicycle';
 import MEPVoteTable from './MEPVoteTable';
+import VoteExplanation from './VoteExplanation';
+import SwingSimulator from './SwingSimulator';
+import DataDownloads from './DataDownloads';
+import Discussions from './Discussions';
+import FollowButton from './FollowButton';
 import './BillDetail.css';
 
 export default function BillDetail() {
@@ -16,24 +21,11 @@ export default function BillDetail() {
   const [votes, setVotes] = useState([]);
   const [mepVotes, setMepVotes] = useState([]);
   const [nonVoters, setNonVoters] = useState([]);
-  const [discussions, setDiscussions] = useState([]);
   const [summary, setSummary] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('hemicycle');
-  const [newDiscussion, setNewDiscussion] = useState({ title: '', content: '', country: 'AT' });
-  const [submitting, setSubmitting] = useState(false);
   const [showArguments, setShowArguments] = useState(false);
 
-  const EU_COUNTRIES = {
-    'AT': 'Austria', 'BE': 'Belgium', 'BG': 'Bulgaria', 'HR': 'Croatia',
-    'CY': 'Cyprus', 'CZ': 'Czechia', 'DK': 'Denmark', 'EE': 'Estonia',
-    'FI': 'Finland', 'FR': 'France', 'DE': 'Germany', 'GR': 'Greece',
-    'HU': 'Hungary', 'IE': 'Ireland', 'IT': 'Italy', 'LV': 'Latvia',
-    'LT': 'Lithuania', 'LU': 'Luxembourg', 'MT': 'Malta', 'NL': 'Netherlands',
-    'PL': 'Poland', 'PT': 'Portugal', 'RO': 'Romania', 'SK': 'Slovakia',
-    'SI': 'Slovenia', 'ES': 'Spain', 'SE': 'Sweden'
-  };
-
   // Parse markdown bold (**text**) to React elements
   function parseMarkdownBold(text) {
     if (!text) return text;
@@ -112,17 +104,15 @@ export default function BillDetail() {
   async function fetchBillDetail() {
     try {
       setLoading(true);
-      const [billRes, votesRes, discussionsRes, mepVotesRes, nonVotersRes] = await Promise.all([
+      const [billRes, votesRes, mepVotesRes, nonVotersRes] = await Promise.all([
         axios.get(`/api/bills/${id}`),
         axios.get(`/api/votes/${id}`),
-        axios.get(`/api/bills/${id}/discussions`),
         axios.get(`/api/bills/${id}/mep-votes`),
         axios.get(`/api/bills/${id}/non-voters`).catch(() => ({ data: [] }))
       ]);
 
       setBill(billRes.data.bill);
       setVotes(billRes.data.votes);
-      setDiscussions(billRes.data.discussions);
       setSummary(billRes.data.summary);
       setMepVotes(mepVotesRes.data);
       setNonVoters(nonVotersRes.data);
@@ -133,29 +123,6 @@ export default function BillDetail() {
     }
   }
 
-  async function handleSubmitDiscussion(e) {
-    e.preventDefault();
-    if (!newDiscussion.title.trim() || !newDiscussion.content.trim()) return;
-
-    try {
-      setSubmitting(true);
-      await axios.post('/api/discussions', {
-        bill_id: id,
-        country_code: newDiscussion.country,
-        title: newDiscussion.title,
-        content: newDiscussion.content,
-        author_id: `user-${Date.now()}`
-      });
-
-      setNewDiscussion({ title: '', content: '', country: 'AT' });
-      fetchBillDetail();
-    } catch (error) {
-      console.error('Error submitting discussion:', error);
-    } finally {
-      setSubmitting(false);
-    }
-  }
-
   if (loading) {
     return (
       <main className="container">
@@ -212,6 +179,7 @@ export default function BillDetail() {
           <div className="header-badges">
             <span className={`status-badge status-${bill.status}`}>{bill.status}</span>
             <span className="category-badge">{bill.category}</span>
+            {bill.category && <FollowButton type="category" id={bill.category} label={bill.category} />}
           </div>
           <h1>{bill.title}</h1>
           <p className="bill-meta">
@@ -303,6 +271,14 @@ export default function BillDetail() {
                 {bill.procedure_type}: {bill.procedure_id}
               </span>
             )}
+            {bill.procedure_id && (
+              <Link
+                to={`/procedures/${encodeURIComponent(bill.procedure_id)}`}
+                className="procedure-timeline-link"
+              >
+                All votes in this procedure →
+              </Link>
+            )}
           </div>
         </header>
 
@@ -377,11 +353,20 @@ export default function BillDetail() {
             >
               Individual MEPs
             </button>
+            <button
+              className={`tab ${activeTab === 'analysis' ? 'active' : ''}`}
+              onClick={() => setActiveTab('analysis')}
+            >
+              Why It {bill.status === 'rejected' ? 'Failed' : 'Passed'}
+            </button>
           </div>
 
           <div className="tab-content">
             {activeTab === 'hemicycle' && (
-              <Hemicycle mepVotes={mepVotes} nonVoters={nonVoters} />
+              <div className="hemicycle-with-simulator">
+                <Hemicycle mepVotes={mepVotes} nonVoters={nonVoters} />
+                <SwingSimulator key={id} billId={id} />
+              </div>
             )}
 
             {activeTab === 'country' && chartData.length > 0 && (
@@ -411,61 +396,24 @@ export default function BillDetail() {
             {activeTab === 'meps' && (
               <MEPVoteTable mepVotes={mepVotes} />
             )}
+
+            {activeTab === 'analysis' && (
+              <VoteExplanation billId={id} />
+            )}
           </div>
         </section>
 
-        {/* Discussions */}
-        <section className="discussions-section">
-          <div className="card">
-            <h2>European Discussion</h2>
-            <form onSubmit={handleSubmitDiscussion} className="discussion-form">
-              <input
-                type="text"
-                placeholder="What's your perspective?"
-                value={newDiscussion.title}
-                onChange={(e) => setNewDiscussion({ ...newDiscussion, title: e.target.value })}
-                maxLength="200"
-              />
-              <textarea
-                placeholder="Share your thoughts with other Europeans..."
-                value={newDiscussion.content}
-                onChange={(e) => setNewDiscussion({ ...newDiscussion, content: e.target.value })}
-                maxLength="1000"
-                rows="4"
-              />
-              <select
-                value={newDiscussion.country}
-                onChange={(e) => setNewDiscussion({ ...newDiscussion, country: e.target.value })}
-              >
-                {Object.entries(EU_COUNTRIES).map(([code, name]) => (
-                  <option key={code} value={code}>{name}</option>
-                ))}
-              </select>
-              <button type="submit" className="btn-primary" disabled={submitting}>
-                {submitting ? 'Posting...' : 'Share Perspective'}
-              </button>
-            </form>
-          </div>
+        <DataDownloads
+          title="Download this vote"
+          downloads={[
+            { label: 'MEP votes', dataset: 'votes', params: { bill: id } },
+            { label: 'Bill details', dataset: 'bills', params: { bill: id } },
+            { label: 'Summary', dataset: 'summaries', params: { bill: id } }
+          ]}
+        />
 
-          {discussions.length > 0 && (
-            <div className="discussions-list card mt-3">
-              <h3>Recent Perspectives</h3>
-              {discussions.map(discussion => (
-                <div key={discussion.id} className="discussion-item">
-                  <div className="discussion-header">
-                    <span className="country-tag">{discussion.country_code}</span>
-                    <span className="discussion-date">{new Date(discussion.created_at).toLocaleDateString()}</span>
-                  </div>
-                  <h4>{discussion.title}</h4>
-                  <p>{discussion.content}</p>
-                  <div className="discussion-footer">
-                    <span className="upvotes">👍 {discussion.upvotes}</span>
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
-        </section>
+        {/* Discussions */}
+        <Discussions billId={id} />
       </div>
     </main>
   );
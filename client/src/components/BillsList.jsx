@@ -10,6 +10,13 @@ export default function BillsList() {
   const [page, setPage] = useState(1);
   const [pagination, setPagination] = useState({ totalPages: 1, totalBills: 0 });
   const [categories, setCategories] = useState(['all']);
+  const [searchInput, setSearchInput] = useState('');
+  const [query, setQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [procedureTypeFilter, setProcedureTypeFilter] = useState('all');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [facets, setFacets] = useState({ category: [], status: [], procedure_type: [] });
   const [loadingSeconds, setLoadingSeconds] = useState(0);
   const timerRef = useRef(null);
   const initialLoadDone = useRef(false);
@@ -28,6 +35,7 @@ export default function BillsList() {
         setCategories(['all', ...cats]);
         setBills(billsRes.data.bills || []);
         setPagination(billsRes.data.pagination || { totalPages: 1, totalBills: 0 });
+        setFacets(billsRes.data.facets || { category: [], status: [], procedure_type: [] });
       } catch (error) {
         console.error('Error loading initial data:', error);
       } finally {
@@ -38,6 +46,15 @@ export default function BillsList() {
     loadInitialData();
   }, []);
 
+  // Debounce the search box so we don't query on every keystroke
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setQuery(searchInput.trim());
+      setPage(1);
+    }, 400);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
   // Fetch bills on page/filter change (skip the initial load)
   useEffect(() => {
     if (!initialLoadDone.current) return;
@@ -46,9 +63,15 @@ export default function BillsList() {
       try {
         const params = { page, limit: 20 };
         if (filter !== 'all') params.category = filter;
+        if (query) params.q = query;
+        if (statusFilter !== 'all') params.status = statusFilter;
+        if (procedureTypeFilter !== 'all') params.procedure_type = procedureTypeFilter;
+        if (dateFrom) params.from = dateFrom;
+        if (dateTo) params.to = dateTo;
         const response = await axios.get('/api/bills', { params });
         setBills(response.data.bills || []);
         setPagination(response.data.pagination || { totalPages: 1, totalBills: 0 });
+        setFacets(response.data.facets || { category: [], status: [], procedure_type: [] });
       } catch (error) {
         console.error('Error fetching bills:', error);
       } finally {
@@ -56,7 +79,7 @@ export default function BillsList() {
       }
     }
     fetchBills();
-  }, [page, filter]);
+  }, [page, filter, query, statusFilter, procedureTypeFilter, dateFrom, dateTo]);
 
   // Track elapsed seconds while loading for user feedback
   useEffect(() => {
@@ -77,6 +100,36 @@ export default function BillsList() {
     setPage(1); // Reset to first page when filter changes
   }
 
+  function handleStatusChange(status) {
+    setStatusFilter(status);
+    setPage(1);
+  }
+
+  function handleProcedureTypeChange(type) {
+    setProcedureTypeFilter(type);
+    setPage(1);
+  }
+
+  function clearSearch() {
+    setSearchInput('');
+    setQuery('');
+    setStatusFilter('all');
+    setProcedureTypeFilter('all');
+    setDateFrom('');
+    setDateTo('');
+    setFilter('all');
+    setPage(1);
+  }
+
+  // Facet count for a value, shown next to its filter chip
+  function facetCount(facet, value) {
+    const entry = facets[facet]?.find(f => f.value === value);
+    return entry ? entry.count : 0;
+  }
+
+  const hasActiveSearch = query || statusFilter !== 'all' || procedureTypeFilter !== 'all' ||
+    dateFrom || dateTo || filter !== 'all';
+
   return (
     <main className="container">
       <div className="bills-header">
@@ -84,6 +137,34 @@ export default function BillsList() {
         <p className="subtitle">Track, analyze, and discuss current EU decisions</p>
       </div>
 
+      <div className="bills-search">
+        <input
+          type="search"
+          className="bills-search-input"
+          placeholder="Search by keyword or procedure reference (e.g. 2024/0123(COD))"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <div className="bills-date-range">
+          <label>
+            From
+            <input
+              type="date"
+              value={dateFrom}
+              onChange={(e) => { setDateFrom(e.target.value); setPage(1); }}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="date"
+              value={dateTo}
+              onChange={(e) => { setDateTo(e.target.value); setPage(1); }}
+            />
+          </label>
+        </div>
+      </div>
+
       <div className="filters">
         {categories.map(cat => (
           <button
@@ -92,6 +173,31 @@ export default function BillsList() {
             onClick={() => handleFilterChange(cat)}
           >
             {cat.charAt(0).toUpperCase() + cat.slice(1)}
+            {cat !== 'all' && <span className="facet-count">{facetCount('category', cat)}</span>}
+          </button>
+        ))}
+      </div>
+
+      <div className="filters filters-secondary">
+        {['all', ...facets.status.map(f => f.value)].map(status => (
+          <button
+            key={status}
+            className={`filter-chip ${statusFilter === status ? 'active' : ''}`}
+            onClick={() => handleStatusChange(status)}
+          >
+            {status === 'all' ? 'Any result' : status}
+            {status !== 'all' && <span className="facet-count">{facetCount('status', status)}</span>}
+          </button>
+        ))}
+        <span className="filters-divider" />
+        {['all', ...facets.procedure_type.map(f => f.value)].map(type => (
+          <button
+            key={type}
+            className={`filter-chip ${procedureTypeFilter === type ? 'active' : ''}`}
+            onClick={() => handleProcedureTypeChange(type)}
+          >
+            {type === 'all' ? 'Any procedure' : type}
+            {type !== 'all' && <span className="facet-count">{facetCount('procedure_type', type)}</span>}
           </button>
         ))}
       </div>
@@ -99,6 +205,10 @@ export default function BillsList() {
       <div className="bills-info">
         Showing {bills.length} of {pagination.totalBills} bills
         {filter !== 'all' && ` in ${filter}`}
+        {query && ` matching "${query}"`}
+        {hasActiveSearch && (
+          <button className="clear-search-btn" onClick={clearSearch}>Clear filters</button>
+        )}
       </div>
 
       {loading ? (
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import DelegationCohesion from './DelegationCohesion';
 import './CountriesList.css';
 
 const EU_COUNTRIES = {
@@ -17,6 +18,7 @@ export default function CountriesList({ embedded = false }) {
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('name');
+  const [activeTab, setActiveTab] = useState('states');
 
   useEffect(() => {
     fetchCountries();
@@ -70,108 +72,133 @@ export default function CountriesList({ embedded = false }) {
           <p className="subtitle">{countries.length} countries in the European Union</p>
         </header>
 
-        <div className="filters-section card">
-          <div className="filters-row">
-            <div className="filter-group">
-              <label>Search</label>
-              <input
-                type="text"
-                placeholder="Search by name or code..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="search-input"
-              />
-            </div>
-
-            <div className="filter-group">
-              <label>Sort By</label>
-              <select
-                value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
-              >
-                <option value="name">Name</option>
-                <option value="mep_count">Number of MEPs</option>
-                <option value="accession_year">EU Accession Year</option>
-              </select>
-            </div>
-          </div>
-
-          <div className="results-count">
-            Showing {filteredCountries.length} of {countries.length} countries
-          </div>
+        <div className="countries-tabs">
+          <button
+            className={`tab ${activeTab === 'states' ? 'active' : ''}`}
+            onClick={() => setActiveTab('states')}
+          >
+            Member States
+          </button>
+          <button
+            className={`tab ${activeTab === 'cohesion' ? 'active' : ''}`}
+            onClick={() => setActiveTab('cohesion')}
+          >
+            Delegation Cohesion
+          </button>
         </div>
 
-        <div className="countries-grid">
-          {filteredCountries.map(country => {
-            const yesPercent = country.total_votes > 0 
-              ? Math.round((country.yes_votes / country.total_votes) * 100) 
-              : 0;
-            const noPercent = country.total_votes > 0 
-              ? Math.round((country.no_votes / country.total_votes) * 100) 
-              : 0;
-            const abstainPercent = country.total_votes > 0 
-              ? Math.round((country.abstain_votes / country.total_votes) * 100) 
-              : 0;
+        {activeTab === 'cohesion' && (
+          <section className="card">
+            <DelegationCohesion />
+          </section>
+        )}
 
-            return (
-              <div key={country.code} className="country-card card">
-                <div className="country-header">
-                  <h3 className="country-name">{country.name}</h3>
-                  <span className="country-code">{country.code}</span>
+        {activeTab === 'states' && (
+          <>
+            <div className="filters-section card">
+              <div className="filters-row">
+                <div className="filter-group">
+                  <label>Search</label>
+                  <input
+                    type="text"
+                    placeholder="Search by name or code..."
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    className="search-input"
+                  />
                 </div>
-                <div className="country-stats">
-                  <div className="stat-item">
-                    <span className="stat-value">{country.mep_count || 0}</span>
-                    <span className="stat-label">MEPs</span>
-                  </div>
-                  <div className="stat-item">
-                    <span className="stat-value">{country.accession_year || 'N/A'}</span>
-                    <span className="stat-label">Joined EU</span>
-                  </div>
+
+                <div className="filter-group">
+                  <label>Sort By</label>
+                  <select
+                    value={sortBy}
+                    onChange={(e) => setSortBy(e.target.value)}
+                  >
+                    <option value="name">Name</option>
+                    <option value="mep_count">Number of MEPs</option>
+                    <option value="accession_year">EU Accession Year</option>
+                  </select>
                 </div>
-                {country.total_votes > 0 && (
-                  <div className="country-votes">
-                    <div className="vote-breakdown">
-                      <div className="vote-bar">
-                        <div 
-                          className="vote-segment yes" 
-                          style={{ width: `${yesPercent}%` }}
-                          title={`Yes: ${yesPercent}%`}
-                        />
-                        <div 
-                          className="vote-segment no" 
-                          style={{ width: `${noPercent}%` }}
-                          title={`No: ${noPercent}%`}
-                        />
-                        <div 
-                          className="vote-segment abstain" 
-                          style={{ width: `${abstainPercent}%` }}
-                          title={`Abstain: ${abstainPercent}%`}
-                        />
+              </div>
+
+              <div className="results-count">
+                Showing {filteredCountries.length} of {countries.length} countries
+              </div>
+            </div>
+
+            <div className="countries-grid">
+              {filteredCountries.map(country => {
+                const yesPercent = country.total_votes > 0 
+                  ? Math.round((country.yes_votes / country.total_votes) * 100) 
+                  : 0;
+                const noPercent = country.total_votes > 0 
+                  ? Math.round((country.no_votes / country.total_votes) * 100) 
+                  : 0;
+                const abstainPercent = country.total_votes > 0 
+                  ? Math.round((country.abstain_votes / country.total_votes) * 100) 
+                  : 0;
+
+                return (
+                  <div key={country.code} className="country-card card">
+                    <div className="country-header">
+                      <h3 className="country-name">{country.name}</h3>
+                      <span className="country-code">{country.code}</span>
+                    </div>
+                    <div className="country-stats">
+                      <div className="stat-item">
+                        <span className="stat-value">{country.mep_count || 0}</span>
+                        <span className="stat-label">MEPs</span>
                       </div>
-                      <div className="vote-labels">
-                        <span className="yes">{yesPercent}% Yes</span>
-                        <span className="no">{noPercent}% No</span>
-                        <span className="abstain">{abstainPercent}% Abstain</span>
+                      <div className="stat-item">
+                        <span className="stat-value">{country.accession_year || 'N/A'}</span>
+                        <span className="stat-label">Joined EU</span>
                       </div>
                     </div>
+                    {country.total_votes > 0 && (
+                      <div className="country-votes">
+                        <div className="vote-breakdown">
+                          <div className="vote-bar">
+                            <div 
+                              className="vote-segment yes" 
+                              style={{ width: `${yesPercent}%` }}
+                              title={`Yes: ${yesPercent}%`}
+                            />
+                            <div 
+                              className="vote-segment no" 
+                              style={{ width: `${noPercent}%` }}
+                              title={`No: ${noPercent}%`}
+                            />
+                            <div 
+                              className="vote-segment abstain" 
+                              style={{ width: `${abstainPercent}%` }}
+                              title={`Abstain: ${abstainPercent}%`}
+                            />
+                          </div>
+                          <div className="vote-labels">
+                            <span className="yes">{yesPercent}% Yes</span>
+                            <span className="no">{noPercent}% No</span>
+                            <span className="abstain">{abstainPercent}% Abstain</span>
+                          </div>
+                        </div>
+                      </div>
+                    )}
                   </div>
-                )}
-              </div>
-            );
-          })}
-        </div>
+                );
+              })}
+            </div>
 
-        {filteredCountries.length === 0 && (
-          <div className="no-results card">
-            <p>No countries found matching your search.</p>
-            <button
-              onClick={() => setSearchTerm('')}
-              className="btn-primary"
-            >
-              Clear Search
-            </button>
-          </div>
+            {filteredCountries.length === 0 && (
+              <div className="no-results card">
+                <p>No countries found matching your search.</p>
+                <button
+                  onClick={() => setSearchTerm('')}
+                  className="btn-primary"
+                >
+                  Clear Search
+                </button>
+              </div>
+            )}
+          </>
         )}
       </div>
     </main>
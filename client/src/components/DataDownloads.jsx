@@ -0,0 +1,36 @@
+import React from 'react';
+import './DataDownloads.css';
+
+const FORMATS = [['csv', 'CSV'], ['ndjson', 'NDJSON']];
+
+function exportUrl(dataset, params, format) {
+  const query = new URLSearchParams({ ...params, format });
+  return `/api/export/${dataset}?${query}`;
+}
+
+/**
+ * Download links for the bulk export API.
+ * `downloads` is a list of { label, dataset, params } using the /api/export filters.
+ */
+export default function DataDownloads({ title = 'Download data', downloads }) {
+  return (
+    <section className="data-downloads card">
+      <h3>{title}</h3>
+      <ul className="data-downloads-list">
+        {downloads.map(({ label, dataset, params = {} }) => (
+          <li key={label}>
+            <span className="data-downloads-label">{label}</span>
+            {FORMATS.map(([format, name]) => (
+              <a key={format} className="data-downloads-link" href={exportUrl(dataset, params, format)} download>
+                {name}
+              </a>
+            ))}
+          </li>
+        ))}
+      </ul>
+      <p className="data-downloads-note">
+        Column definitions are in the <a href="/api/export/dictionary" target="_blank" rel="noreferrer">data dictionary</a>.
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer
+} from 'recharts';
+import { useGroupRegistry } from '../groupRegistry';
+import './DelegationCohesion.css';
+
+/**
+ * National delegation cohesion and per-MEP "country vs group" loyalty.
+ * Shared by the Stats page and the Countries tab of the Parliament page.
+ */
+export default function DelegationCohesion() {
+  const [data, setData] = useState({ countries: [], meps: [], categories: [] });
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ category: 'all', from: '', to: '', country: 'all' });
+  const { resolveGroup } = useGroupRegistry();
+
+  useEffect(() => {
+    fetchCohesion();
+  }, [filters]);
+
+  async function fetchCohesion() {
+    try {
+      setLoading(true);
+      const params = {};
+      if (filters.category !== 'all') params.category = filters.category;
+      if (filters.from) params.from = filters.from;
+      if (filters.to) params.to = filters.to;
+      if (filters.country !== 'all') params.country = filters.country;
+      const res = await axios.get('/api/stats/country-cohesion', { params });
+      setData(res.data);
+    } catch (error) {
+      console.error('Error fetching country cohesion:', error);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function updateFilter(key, value) {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  }
+
+  const countryOptions = [...data.countries].sort((a, b) => a.country_name.localeCompare(b.country_name));
+
+  return (
+    <div className="delegation-cohesion">
+      <div className="cohesion-filters">
+        <div className="filter-group">
+          <label>Policy Area</label>
+          <select value={filters.category} onChange={(e) => updateFilter('category', e.target.value)}>
+            <option value="all">All areas</option>
+            {data.categories.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label>From</label>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+        </div>
+        <div className="filter-group">
+          <label>To</label>
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Calculating delegation cohesion...</p>
+        </div>
+      ) : (
+        <>
+          <h3>Delegation Cohesion</h3>
+          <p className="section-description">
+            How unified is each national delegation? Cohesion is the average percentage of a
+            country's MEPs voting with the delegation's majority position, across all political groups.
+          </p>
+          {data.countries.length === 0 ? (
+            <p className="no-data">No votes match these filters.</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={Math.max(300, data.countries.length * 22)}>
+              <BarChart data={data.countries} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" domain={[0, 100]} unit="%" />
+                <YAxis dataKey="country_name" type="category" width={110} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => `${value}%`} />
+                <Bar dataKey="avg_cohesion" name="Cohesion" fill="#003399" radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+
+          <div className="loyalty-header">
+            <h3>Country vs Group Loyalty</h3>
+            <select value={filters.country} onChange={(e) => updateFilter('country', e.target.value)}>
+              <option value="all">All countries</option>
+              {countryOptions.map(country => (
+                <option key={country.country_code} value={country.country_code}>{country.country_name}</option>
+              ))}
+            </select>
+          </div>
+          <p className="section-description">
+            When the rest of an MEP's national delegation and the rest of their political group
+            take different majority positions, which side does the MEP vote with? Only MEPs with
+            at least 5 such conflicts are shown.
+          </p>
+          <div className="loyalty-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>MEP</th>
+                  <th>Country</th>
+                  <th>Group</th>
+                  <th>Conflicts</th>
+                  <th>With Country</th>
+                  <th>With Group</th>
+                  <th>Country Loyalty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.meps.map(mep => {
+                  const group = resolveGroup(mep.political_group);
+                  return (
+                    <tr key={mep.mep_id}>
+                      <td><Link to={`/meps/${mep.mep_id}`}>{mep.mep_name}</Link></td>
+                      <td>{mep.country_code}</td>
+                      <td>
+                        <span className="group-chip" style={{ borderColor: group.color }}>
+                          {group.short_name}
+                        </span>
+                      </td>
+                      <td>{mep.conflicts}</td>
+                      <td>{mep.sided_with_country}</td>
+                      <td>{mep.sided_with_group}</td>
+                      <td>
+                        <div className="loyalty-bar" title={`${mep.country_loyalty}% with country`}>
+                          <div className="loyalty-country" style={{ width: `${mep.country_loyalty}%` }} />
+                        </div>
+                        <span className="loyalty-value">{mep.country_loyalty}%</span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {data.meps.length === 0 && (
+              <p className="no-data">No MEPs with enough country/group conflicts for these filters.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
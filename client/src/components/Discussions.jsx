@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { accountApi, accountError, useAccount } from '../account';
+import { LOGIN_RETURN_KEY } from './Login';
+import './Discussions.css';
+
+const REPORT_REASONS = [
+  ['spam', 'Spam'],
+  ['abuse', 'Abusive or hateful'],
+  ['misinformation', 'Misinformation'],
+  ['off_topic', 'Off topic'],
+  ['other', 'Other']
+];
+
+function UpvoteButton({ type, post, onChange }) {
+  const { account } = useAccount();
+  const [busy, setBusy] = useState(false);
+
+  async function toggle() {
+    try {
+      setBusy(true);
+      const url = `/${type === 'discussion' ? 'discussions' : 'comments'}/${post.id}/vote`;
+      const res = post.voted ? await accountApi.delete(url) : await accountApi.post(url);
+      onChange(res.data);
+    } catch (error) {
+      alert(accountError(error));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <button
+      className={`discussion-action upvotes ${post.voted ? 'voted' : ''}`}
+      onClick={toggle}
+      disabled={busy || post.own || !account}
+      title={!account ? 'Sign in to upvote' : post.own ? 'Your post' : post.voted ? 'Remove upvote' : 'Upvote'}
+    >
+      👍 {post.upvotes}
+    </button>
+  );
+}
+
+function ReportButton({ type, id }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('spam');
+  const [note, setNote] = useState('');
+  const [status, setStatus] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    try {
+      await accountApi.post(`/${type === 'discussion' ? 'discussions' : 'comments'}/${id}/report`, {
+        reason,
+        note: note.trim() || undefined
+      });
+      setStatus('Reported - thank you');
+      setOpen(false);
+    } catch (error) {
+      setStatus(accountError(error));
+    }
+  }
+
+  if (status) return <span className="discussion-report-status">{status}</span>;
+
+  if (!open) {
+    return <button className="discussion-action" onClick={() => setOpen(true)}>Report</button>;
+  }
+
+  return (
+    <form className="discussion-report-form" onSubmit={submit}>
+      <select value={reason} onChange={e => setReason(e.target.value)}>
+        {REPORT_REASONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+      </select>
+      <input
+        type="text"
+        placeholder="Details (optional)"
+        value={note}
+        onChange={e => setNote(e.target.value)}
+        maxLength="500"
+      />
+      <button type="submit" className="discussion-action">Send report</button>
+      <button type="button" className="discussion-action" onClick={() => setOpen(false)}>Cancel</button>
+    </form>
+  );
+}
+
+function CommentForm({ discussionId, parentId = null, onPosted, onCancel }) {
+  const [content, setContent] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!content.trim()) return;
+    try {
+      setSubmitting(true);
+      const res = await accountApi.post(`/discussions/${discussionId}/comments`, {
+        content,
+        parent_id: parentId
+      });
+      setContent('');
+      setError(null);
+      onPosted(res.data);
+    } catch (err) {
+      setError(accountError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <form className="comment-form" onSubmit={submit}>
+      <textarea
+        placeholder={parentId ? 'Write a reply...' : 'Join the discussion...'}
+        value={content}
+        onChange={e => setContent(e.target.value)}
+        maxLength="2000"
+        rows="2"
+      />
+      {error && <p className="discussion-error">{error}</p>}
+      <div className="comment-form-actions">
+        <button type="submit" className="btn-primary" disabled={submitting}>
+          {submitting ? 'Posting...' : parentId ? 'Reply' : 'Comment'}
+        </button>
+        {onCancel && <button type="button" className="discussion-action" onClick={onCancel}>Cancel</button>}
+      </div>
+    </form>
+  );
+}
+
+// Apply `change` to the comment with `id` anywhere in the tree
+function updateComment(comments, id, change) {
+  return comments.map(comment => comment.id === id
+    ? change(comment)
+    : { ...comment, replies: updateComment(comment.replies, id, change) });
+}
+
+function CommentItem({ comment, discussionId, signedIn, depth, onUpdate, onCommented }) {
+  const [replying, setReplying] = useState(false);
+
+  return (
+    <li className={`comment ${depth > 0 ? 'comment-reply' : ''}`}>
+      {comment.hidden || comment.deleted ? (
+        <p className="comment-hidden">
+          {comment.deleted ? 'This comment was deleted.' : 'This comment was removed by moderation.'}
+        </p>
+      ) : (
+        <>
+          <div className="discussion-header">
+            {comment.country_code && <span className="country-tag">{comment.country_code}</span>}
+            {comment.author && <span className="discussion-author">{comment.author}</span>}
+            <span className="discussion-date">{new Date(comment.created_at).toLocaleString()}</span>
+          </div>
+          <p className="comment-content">{comment.content}</p>
+          <div className="discussion-footer">
+            <UpvoteButton
+              type="comment"
+              post={comment}
+              onChange={vote => onUpdate(comment.id, c => ({ ...c, ...vote }))}
+            />
+            {signedIn && <button className="discussion-action" onClick={() => setReplying(!replying)}>Reply</button>}
+            {signedIn && !comment.own && <ReportButton type="comment" id={comment.id} />}
+          </div>
+          {replying && (
+            <CommentForm
+              discussionId={discussionId}
+              parentId={comment.id}
+              onPosted={reply => {
+                onUpdate(comment.id, c => ({ ...c, replies: [...c.replies, reply] }));
+                onCommented();
+                setReplying(false);
+              }}
+              onCancel={() => setReplying(false)}
+            />
+          )}
+        </>
+      )}
+      {comment.replies.length > 0 && (
+        <ul className="comment-list">
+          {comment.replies.map(reply => (
+            <CommentItem
+              key={reply.id}
+              comment={reply}
+              discussionId={discussionId}
+              signedIn={signedIn}
+              depth={depth + 1}
+              onUpdate={onUpdate}
+              onCommented={onCommented}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function DiscussionThread({ discussionId, signedIn, onCommented }) {
+  const [comments, setComments] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    accountApi.get(`/discussions/${discussionId}`)
+      .then(res => setComments(res.data.comments))
+      .catch(err => setError(accountError(err)));
+  }, [discussionId]);
+
+  function handleUpdate(id, change) {
+    setComments(prev => updateComment(prev, id, change));
+  }
+
+  if (error) return <p className="discussion-error">{error}</p>;
+  if (!comments) return <p className="discussion-date">Loading comments...</p>;
+
+  return (
+    <div className="discussion-thread">
+      {comments.length > 0 && (
+        <ul className="comment-list">
+          {comments.map(comment => (
+            <CommentItem
+              key={comment.id}
+              comment={comment}
+              discussionId={discussionId}
+              signedIn={signedIn}
+              depth={0}
+              onUpdate={handleUpdate}
+              onCommented={onCommented}
+            />
+          ))}
+        </ul>
+      )}
+      {signedIn && (
+        <CommentForm
+          discussionId={discussionId}
+          onPosted={comment => {
+            setComments(prev => [...prev, comment]);
+            onCommented();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Citizen discussions of a bill: perspectives with threaded comments, upvotes and reports.
+ * Anyone can read; posting, upvoting and reporting need an account. Posts reported by
+ * several participants are hidden until a moderator reviews them.
+ */
+export default function Discussions({ billId }) {
+  const location = useLocation();
+  const { account } = useAccount();
+  const [discussions, setDiscussions] = useState([]);
+  const [sort, setSort] = useState('top');
+  const [openId, setOpenId] = useState(null);
+  const [newDiscussion, setNewDiscussion] = useState({ title: '', content: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchDiscussions();
+  }, [billId, sort, account?.id]);
+
+  async function fetchDiscussions() {
+    try {
+      const res = await accountApi.get(`/bills/${billId}/discussions`, { params: { sort } });
+      setDiscussions(res.data);
+    } catch (err) {
+      console.error('Error fetching discussions:', err);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!newDiscussion.title.trim() || !newDiscussion.content.trim()) return;
+
+    try {
+      setSubmitting(true);
+      const res = await accountApi.post('/discussions', {
+        bill_id: billId,
+        title: newDiscussion.title,
+        content: newDiscussion.content
+      });
+      setNewDiscussion({ title: '', content: '' });
+      setDiscussions(prev => [res.data, ...prev]);
+      setError(null);
+    } catch (err) {
+      setError(accountError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  function updateDiscussion(id, change) {
+    setDiscussions(prev => prev.map(d => (d.id === id ? change(d) : d)));
+  }
+
+  return (
+    <section className="discussions-section">
+      <div className="card">
+        <h2>European Discussion</h2>
+        {account ? (
+          <form onSubmit={handleSubmit} className="discussion-form">
+            <input
+              type="text"
+              placeholder="What's your perspective?"
+              value={newDiscussion.title}
+              onChange={(e) => setNewDiscussion({ ...newDiscussion, title: e.target.value })}
+              maxLength="200"
+            />
+            <textarea
+              placeholder="Share your thoughts with other Europeans..."
+              value={newDiscussion.content}
+              onChange={(e) => setNewDiscussion({ ...newDiscussion, content: e.target.value })}
+              maxLength="2000"
+              rows="4"
+            />
+            <p className="discussion-date">
+              Posting as {account.display_name} ({account.country})
+            </p>
+            {error && <p className="discussion-error">{error}</p>}
+            <button type="submit" className="btn-primary" disabled={submitting}>
+              {submitting ? 'Posting...' : 'Share Perspective'}
+            </button>
+          </form>
+        ) : (
+          <p className="discussion-signin">
+            <Link to="/login" onClick={() => sessionStorage.setItem(LOGIN_RETURN_KEY, location.pathname)}>
+              Sign in
+            </Link>{' '}
+            to share your perspective, reply, upvote or report posts.
+          </p>
+        )}
+      </div>
+
+      {discussions.length > 0 && (
+        <div className="discussions-list card mt-3">
+          <div className="discussions-list-header">
+            <h3>Perspectives</h3>
+            <div className="discussion-sort">
+              {[['top', 'Top'], ['new', 'Newest']].map(([value, label]) => (
+                <button
+                  key={value}
+                  className={`discussion-action ${sort === value ? 'active' : ''}`}
+                  onClick={() => setSort(value)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {discussions.map(discussion => (
+            <div key={discussion.id} className="discussion-item">
+              <div className="discussion-header">
+                {discussion.country_code && <span className="country-tag">{discussion.country_code}</span>}
+                {discussion.author && <span className="discussion-author">{discussion.author}</span>}
+                <span className="discussion-date">{new Date(discussion.created_at).toLocaleDateString()}</span>
+              </div>
+              <h4>{discussion.title}</h4>
+              {discussion.deleted
+                ? <p className="comment-hidden">This perspective was deleted by its author.</p>
+                : <p>{discussion.content}</p>}
+              <div className="discussion-footer">
+                <UpvoteButton
+                  type="discussion"
+                  post={discussion}
+                  onChange={vote => updateDiscussion(discussion.id, d => ({ ...d, ...vote }))}
+                />
+                <button
+                  className="discussion-action"
+                  onClick={() => setOpenId(openId === discussion.id ? null : discussion.id)}
+                >
+                  💬 {discussion.comment_count} {discussion.comment_count === 1 ? 'comment' : 'comments'}
+                </button>
+                {account && !discussion.own && !discussion.deleted && <ReportButton type="discussion" id={discussion.id} />}
+              </div>
+              {openId === discussion.id && (
+                <DiscussionThread
+                  discussionId={discussion.id}
+                  signedIn={Boolean(account)}
+                  onCommented={() => updateDiscussion(discussion.id, d => ({ ...d, comment_count: d.comment_count + 1 }))}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
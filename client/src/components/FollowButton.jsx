@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { accountError, useAccount } from '../account';
+import { useFollows, follow, unfollow } from '../follows';
+import { LOGIN_RETURN_KEY } from './Login';
+import './FollowButton.css';
+
+/**
+ * Follow or unfollow an MEP, group, country or category. Signed-out visitors are sent to
+ * sign in and brought back here.
+ */
+export default function FollowButton({ type, id, label }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { account } = useAccount();
+  const { isFollowing } = useFollows();
+  const [busy, setBusy] = useState(false);
+  const following = isFollowing(type, id);
+
+  async function toggle() {
+    if (!account) {
+      sessionStorage.setItem(LOGIN_RETURN_KEY, location.pathname);
+      navigate('/login');
+      return;
+    }
+    try {
+      setBusy(true);
+      await (following ? unfollow(type, id) : follow(type, id));
+    } catch (error) {
+      alert(accountError(error));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <button
+      className={`follow-button ${following ? 'following' : ''}`}
+      onClick={toggle}
+      disabled={busy}
+      title={following ? `Stop following ${label}` : `Follow ${label} in My EULens`}
+    >
+      {following ? '✓ Following' : '+ Follow'}
+    </button>
+  );
+}
@@ -1,57 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { useGroupRegistry, UNKNOWN_GROUP } from '../groupRegistry';
 import './GroupsList.css';
 
-// More subtle, muted colors
-const GROUP_COLORS = {
-  'EPP': '#4A6FA5',        // Muted blue
-  'S&D': '#C85A5A',        // Muted red
-  'Renew': '#D4AF37',      // Muted gold
-  'Greens/EFA': '#5A9F7A', // Muted green
-  'ECR': '#7BA8C4',        // Muted light blue
-  'ID': '#3A4A5A',         // Muted dark blue
-  'The Left': '#8B5A5A',   // Muted dark red
-  'GUE/NGL': '#8B5A5A',    // Muted dark red
-  'PfE': '#3A4A5A',        // Muted dark blue
-  'ESN': '#6A6A6A',        // Muted gray
-  'NI': '#9A9A9A',         // Light gray
-  'Unknown': '#B0B0B0'     // Very light gray
-};
-
-// Short names for political groups
-const GROUP_SHORT_NAMES = {
-  'The Left group in the European Parliament - GUE/NGL': 'GUE/NGL',
-  'The Left in the European Parliament - GUE/NGL': 'GUE/NGL',
-  'Group of the Greens/European Free Alliance': 'Greens/EFA',
-  'Group of the Progressive Alliance of Socialists and Democrats in the European Parliament': 'S&D',
-  'Renew Europe Group': 'Renew',
-  'Group of the European People\'s Party (Christian Democrats)': 'EPP',
-  'European Conservatives and Reformists Group': 'ECR',
-  'Patriots for Europe Group': 'PfE',
-  'Europe of Sovereign Nations Group': 'ESN',
-  'Non-attached Members': 'NI'
-};
-
-function getShortName(name) {
-  if (GROUP_SHORT_NAMES[name]) return GROUP_SHORT_NAMES[name];
-  const lower = name.toLowerCase();
-  if (lower.includes('left') || lower.includes('gue')) return 'GUE/NGL';
-  if (lower.includes('green')) return 'Greens/EFA';
-  if (lower.includes('socialist') || lower.includes('s&d')) return 'S&D';
-  if (lower.includes('renew')) return 'Renew';
-  if (lower.includes('people') || lower.includes('epp')) return 'EPP';
-  if (lower.includes('conservative') || lower.includes('ecr')) return 'ECR';
-  if (lower.includes('patriot')) return 'PfE';
-  if (lower.includes('sovereign') || lower.includes('esn')) return 'ESN';
-  if (lower.includes('non-attached') || lower.includes('ni')) return 'NI';
-  return name.substring(0, 30);
-}
-
 export default function GroupsList({ embedded = false }) {
   const [groups, setGroups] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('mep_count');
+  const { resolveGroup } = useGroupRegistry();
 
   useEffect(() => {
     fetchGroups();
@@ -136,8 +93,11 @@ export default function GroupsList({ embedded = false }) {
 
         <div className="groups-grid">
           {filteredGroups.map(group => {
-            const shortName = getShortName(group.group_name);
-            const groupColor = GROUP_COLORS[shortName] || GROUP_COLORS['Unknown'];
+            const registered = resolveGroup(group.group_name);
+            const shortName = registered === UNKNOWN_GROUP
+              ? group.group_name.substring(0, 30)
+              : registered.short_name;
+            const groupColor = registered.color;
             const yesPercent = group.total_votes > 0 
               ? Math.round((group.yes_votes / group.total_votes) * 100) 
               : 0;
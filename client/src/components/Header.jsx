@@ -1,8 +1,11 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { useAccount } from '../account';
 import './Header.css';
 
 export default function Header() {
+  const { account } = useAccount();
+
   return (
     <header className="header">
       <div className="container">
@@ -19,6 +22,14 @@ export default function Header() {
             <Link to="/chat" className="nav-link">Chat with MEP</Link>
             <Link to="/vaa" className="nav-link nav-highlight">Find Your Match</Link>
             <Link to="/about" className="nav-link">About</Link>
+            {account ? (
+              <>
+                <Link to="/my" className="nav-link">My EULens</Link>
+                <Link to="/account" className="nav-link nav-account">{account.display_name}</Link>
+              </>
+            ) : (
+              <Link to="/login" className="nav-link">Sign in</Link>
+            )}
           </nav>
         </div>
       </div>
@@ -1,133 +1,8 @@
 import React, { useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useGroupRegistry, UNKNOWN_GROUP } from '../groupRegistry';
 import './Hemicycle.css';
 
-// Political group order from left to right (as in actual EU Parliament)
-const GROUP_ORDER = [
-  'The Left in the European Parliament',
-  'Greens/European Free Alliance',
-  'Progressive Alliance of Socialists and Democrats',
-  'Renew Europe',
-  'European People\'s Party',
-  'European Conservatives and Reformists',
-  'Patriots for Europe',
-  'Europe of Sovereign Nations',
-  'Non-attached Members',
-  'Unknown'
-];
-
-// Map full names to canonical names (handles various name formats from data sources)
-const GROUP_CANONICAL = {
-  // The Left / GUE-NGL
-  'The Left group in the European Parliament - GUE/NGL': 'The Left in the European Parliament',
-  'The Left in the European Parliament - GUE/NGL': 'The Left in the European Parliament',
-  'The Left in the European Parliament': 'The Left in the European Parliament',
-  'GUE/NGL': 'The Left in the European Parliament',
-  'The Left': 'The Left in the European Parliament',
-
-  // Greens/EFA
-  'Group of the Greens/European Free Alliance': 'Greens/European Free Alliance',
-  'Greens/European Free Alliance': 'Greens/European Free Alliance',
-  'Greens/EFA': 'Greens/European Free Alliance',
-  'Verts/ALE': 'Greens/European Free Alliance',
-
-  // S&D (Socialists & Democrats)
-  'Group of the Progressive Alliance of Socialists and Democrats in the European Parliament': 'Progressive Alliance of Socialists and Democrats',
-  'Progressive Alliance of Socialists and Democrats in the European Parliament': 'Progressive Alliance of Socialists and Democrats',
-  'Progressive Alliance of Socialists and Democrats': 'Progressive Alliance of Socialists and Democrats',
-  'S&D': 'Progressive Alliance of Socialists and Democrats',
-
-  // Renew Europe
-  'Renew Europe Group': 'Renew Europe',
-  'Renew Europe': 'Renew Europe',
-  'Renew': 'Renew Europe',
-
-  // EPP (European People's Party)
-  'Group of the European People\'s Party (Christian Democrats)': 'European People\'s Party',
-  'European People\'s Party (Christian Democrats)': 'European People\'s Party',
-  'European People\'s Party': 'European People\'s Party',
-  'EPP': 'European People\'s Party',
-
-  // ECR (European Conservatives and Reformists)
-  'European Conservatives and Reformists Group': 'European Conservatives and Reformists',
-  'European Conservatives and Reformists': 'European Conservatives and Reformists',
-  'ECR': 'European Conservatives and Reformists',
-
-  // Patriots for Europe
-  'Patriots for Europe Group': 'Patriots for Europe',
-  'Patriots for Europe': 'Patriots for Europe',
-  'PfE': 'Patriots for Europe',
-
-  // Europe of Sovereign Nations
-  'Europe of Sovereign Nations Group': 'Europe of Sovereign Nations',
-  'Europe of Sovereign Nations': 'Europe of Sovereign Nations',
-  'ESN': 'Europe of Sovereign Nations',
-
-  // Non-attached
-  'Non-attached Members': 'Non-attached Members',
-  'Non-Inscrits': 'Non-attached Members',
-  'NI': 'Non-attached Members',
-
-  'Unknown': 'Unknown'
-};
-
-// Function to find canonical group name with fuzzy matching
-function getCanonicalGroup(rawGroup) {
-  if (!rawGroup) return 'Unknown';
-
-  // Direct match
-  if (GROUP_CANONICAL[rawGroup]) {
-    return GROUP_CANONICAL[rawGroup];
-  }
-
-  // Try case-insensitive partial matching
-  const lowerRaw = rawGroup.toLowerCase();
-
-  if (lowerRaw.includes('left') || lowerRaw.includes('gue')) {
-    return 'The Left in the European Parliament';
-  }
-  if (lowerRaw.includes('green') || lowerRaw.includes('verts') || lowerRaw.includes('efa') || lowerRaw.includes('free alliance')) {
-    return 'Greens/European Free Alliance';
-  }
-  if (lowerRaw.includes('socialist') || lowerRaw.includes('s&d') || lowerRaw.includes('democrat') && lowerRaw.includes('progressive')) {
-    return 'Progressive Alliance of Socialists and Democrats';
-  }
-  if (lowerRaw.includes('renew')) {
-    return 'Renew Europe';
-  }
-  if (lowerRaw.includes('people') || lowerRaw.includes('epp') || lowerRaw.includes('christian democrat')) {
-    return 'European People\'s Party';
-  }
-  if (lowerRaw.includes('conservative') || lowerRaw.includes('reformist') || lowerRaw.includes('ecr')) {
-    return 'European Conservatives and Reformists';
-  }
-  if (lowerRaw.includes('patriot') || lowerRaw.includes('pfe')) {
-    return 'Patriots for Europe';
-  }
-  if (lowerRaw.includes('sovereign') || lowerRaw.includes('esn')) {
-    return 'Europe of Sovereign Nations';
-  }
-  if (lowerRaw.includes('non-attached') || lowerRaw.includes('non-inscrits') || lowerRaw === 'ni') {
-    return 'Non-attached Members';
-  }
-
-  return 'Unknown';
-}
-
-// Short names for display
-const GROUP_SHORT_NAMES = {
-  'The Left in the European Parliament': 'GUE/NGL',
-  'Greens/European Free Alliance': 'Greens/EFA',
-  'Progressive Alliance of Socialists and Democrats': 'S&D',
-  'Renew Europe': 'Renew',
-  'European People\'s Party': 'EPP',
-  'European Conservatives and Reformists': 'ECR',
-  'Patriots for Europe': 'PfE',
-  'Europe of Sovereign Nations': 'ESN',
-  'Non-attached Members': 'NI',
-  'Unknown': '?'
-};
-
 // Vote colors
 const VOTE_COLORS = {
   yes: '#4ade80',
@@ -222,6 +97,14 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
   const navigate = useNavigate();
   const [hoveredSeat, setHoveredSeat] = useState(null);
   const [tooltipPos, setTooltipPos] = useState({ x: 0, y: 0 });
+  const { groups, resolveGroup } = useGroupRegistry();
+
+  // Political group order from left to right (registry seat order)
+  const groupOrder = useMemo(
+    () => [...groups.map(g => g.name), UNKNOWN_GROUP.name],
+    [groups]
+  );
+  const shortName = (group) => resolveGroup(group).short_name;
 
   // Total MEPs = voters + non-voters (from database of current MEPs)
   const totalMeps = mepVotes.length + nonVoters.length;
@@ -232,19 +115,17 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
 
     // Group MEPs by canonical group
     const grouped = {};
-    GROUP_ORDER.forEach(g => { grouped[g] = []; });
+    groupOrder.forEach(g => { grouped[g] = []; });
 
     // Add MEPs who voted
     mepVotes.forEach(mep => {
-      const rawGroup = mep.mep_group || 'Unknown';
-      const canonicalGroup = getCanonicalGroup(rawGroup);
+      const canonicalGroup = resolveGroup(mep.mep_group).name;
       grouped[canonicalGroup].push({ ...mep, canonicalGroup });
     });
 
     // Add all non-voters with their actual names
     nonVoters.forEach(mep => {
-      const rawGroup = mep.mep_group || 'Unknown';
-      const canonicalGroup = getCanonicalGroup(rawGroup);
+      const canonicalGroup = resolveGroup(mep.mep_group).name;
       grouped[canonicalGroup].push({
         ...mep,
         canonicalGroup,
@@ -255,12 +136,12 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
 
     // Flatten into single ordered array (left to right politically)
     const result = [];
-    GROUP_ORDER.forEach(g => {
+    groupOrder.forEach(g => {
       grouped[g].forEach(mep => result.push(mep));
     });
 
     return result;
-  }, [mepVotes, nonVoters]);
+  }, [mepVotes, nonVoters, groupOrder, resolveGroup]);
 
   // Generate seat positions
   const seatPositions = useMemo(() => {
@@ -274,7 +155,7 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
       return {
         ...seat,
         mep: mep,
-        group: mep?.canonicalGroup || 'Unknown'
+        group: mep?.canonicalGroup || UNKNOWN_GROUP.name
       };
     });
   }, [seatPositions, orderedMeps]);
@@ -285,14 +166,13 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
     const counts = {};
 
     // Initialize all groups
-    GROUP_ORDER.forEach(g => {
+    groupOrder.forEach(g => {
       counts[g] = { total: 0, yes: 0, no: 0, abstain: 0, did_not_vote: 0 };
     });
 
     // Count actual votes
     mepVotes.forEach(mep => {
-      const rawGroup = mep.mep_group || 'Unknown';
-      const group = getCanonicalGroup(rawGroup);
+      const group = resolveGroup(mep.mep_group).name;
       if (!counts[group]) {
         counts[group] = { total: 0, yes: 0, no: 0, abstain: 0, did_not_vote: 0 };
       }
@@ -302,8 +182,7 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
 
     // Count actual non-voters
     nonVoters.forEach(mep => {
-      const rawGroup = mep.mep_group || 'Unknown';
-      const group = getCanonicalGroup(rawGroup);
+      const group = resolveGroup(mep.mep_group).name;
       if (!counts[group]) {
         counts[group] = { total: 0, yes: 0, no: 0, abstain: 0, did_not_vote: 0 };
       }
@@ -312,7 +191,7 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
     });
 
     return counts;
-  }, [mepVotes, nonVoters]);
+  }, [mepVotes, nonVoters, groupOrder, resolveGroup]);
 
   const handleMouseEnter = (seat, event) => {
     setHoveredSeat(seat);
@@ -399,7 +278,7 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
       <div className="hemicycle-groups">
         <h4>By Political Group</h4>
         <div className="group-bars">
-          {GROUP_ORDER.filter(g => groupCounts[g]).map(group => {
+          {groupOrder.filter(g => groupCounts[g]).map(group => {
             const counts = groupCounts[group];
             if (!counts || counts.total === 0) return null;
             const yesPercent = (counts.yes / counts.total) * 100;
@@ -410,7 +289,7 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
             return (
               <div key={group} className="group-bar-row">
                 <div className="group-name" title={group}>
-                  {GROUP_SHORT_NAMES[group] || group.substring(0, 10)}
+                  {shortName(group)}
                 </div>
                 <div className="group-bar">
                   <div
@@ -457,7 +336,7 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
                 <strong>{hoveredSeat.mep.mep_name || 'Unknown MEP'}</strong>
                 {hoveredSeat.mep.country && <div>{hoveredSeat.mep.country}</div>}
                 <div className="tooltip-group">
-                  {GROUP_SHORT_NAMES[hoveredSeat.mep.canonicalGroup] || hoveredSeat.mep.mep_group}
+                  {shortName(hoveredSeat.mep.canonicalGroup)}
                 </div>
                 <div className="tooltip-vote did-not-vote">
                   Did not vote
@@ -468,7 +347,7 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
                 <strong>{hoveredSeat.mep.mep_name}</strong>
                 <div>{hoveredSeat.mep.country}</div>
                 <div className="tooltip-group">
-                  {GROUP_SHORT_NAMES[hoveredSeat.mep.canonicalGroup] || hoveredSeat.mep.mep_group}
+                  {shortName(hoveredSeat.mep.canonicalGroup)}
                 </div>
                 <div className={`tooltip-vote ${hoveredSeat.mep.vote}`}>
                   Voted: {hoveredSeat.mep.vote?.toUpperCase()}
@@ -479,7 +358,7 @@ export default function Hemicycle({ mepVotes, nonVoters = [] }) {
             <>
               <div className="tooltip-empty-label">Empty seat</div>
               <div className="tooltip-group">
-                {GROUP_SHORT_NAMES[hoveredSeat.group] || hoveredSeat.group}
+                {shortName(hoveredSeat.group)}
               </div>
             </>
           )}
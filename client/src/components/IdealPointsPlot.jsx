@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useMemo, lazy, Suspense } from 'react';
+import axios from 'axios';
+import { useGroupRegistry } from '../groupRegistry';
+import './IdealPointsPlot.css';
+
+const Plot = lazy(() => import('react-plotly.js'));
+
+// Error bars span the 95% interval of each estimate
+const INTERVAL = 1.96;
+
+/**
+ * Ideal points from the Bayesian IRT model, with their uncertainty: a 2D map with error
+ * bars and a ranking of MEPs on the first dimension.
+ */
+export default function IdealPointsPlot() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [display, setDisplay] = useState('map'); // 'map' or 'ranking'
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const { resolveGroup } = useGroupRegistry();
+
+  useEffect(() => {
+    fetchIdealPoints();
+  }, []);
+
+  async function fetchIdealPoints() {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/stats/ideal-points');
+      setData(res.data);
+    } catch (error) {
+      console.error('Error fetching ideal points:', error);
+      setData({ meps: [], fit: null });
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const groups = useMemo(() => {
+    if (!data) return [];
+    const names = [...new Set(data.meps.map(m => resolveGroup(m.group).name))];
+    return names.sort((a, b) => resolveGroup(a).seat_order - resolveGroup(b).seat_order);
+  }, [data, resolveGroup]);
+
+  const visibleMeps = useMemo(() => {
+    if (!data) return [];
+    if (!selectedGroup) return data.meps;
+    return data.meps.filter(m => resolveGroup(m.group).name === selectedGroup);
+  }, [data, selectedGroup, resolveGroup]);
+
+  // One trace per group, so error bars take the group colour
+  const traces = useMemo(() => {
+    const ranked = [...visibleMeps].sort((a, b) => a.x - b.x);
+    const rank = new Map(ranked.map((m, i) => [m.mepId, i + 1]));
+    const twoDimensional = display === 'map' && visibleMeps.some(m => m.y !== null);
+
+    return groups.map(group => {
+      const info = resolveGroup(group);
+      const meps = visibleMeps.filter(m => resolveGroup(m.group).name === group);
+      return {
+        type: 'scatter',
+        mode: 'markers',
+        name: info.short_name,
+        x: meps.map(m => m.x),
+        y: meps.map(m => (twoDimensional ? m.y : rank.get(m.mepId))),
+        hovertext: meps.map(m => (
+          `${m.name}<br>${info.short_name} • ${m.country}<br>` +
+          `Dim 1: ${m.x.toFixed(2)} ± ${(INTERVAL * m.seX).toFixed(2)}` +
+          (m.y !== null ? `<br>Dim 2: ${m.y.toFixed(2)} ± ${(INTERVAL * m.seY).toFixed(2)}` : '') +
+          `<br>${m.votes} votes`
+        )),
+        hoverinfo: 'text',
+        marker: { color: info.color, size: display === 'map' ? 6 : 4, opacity: 0.85 },
+        error_x: { type: 'data', array: meps.map(m => INTERVAL * m.seX), color: info.color, thickness: 1, width: 0, opacity: 0.4 },
+        error_y: twoDimensional
+          ? { type: 'data', array: meps.map(m => INTERVAL * m.seY), color: info.color, thickness: 1, width: 0, opacity: 0.4 }
+          : { visible: false }
+      };
+    }).filter(trace => trace.x.length > 0);
+  }, [visibleMeps, groups, display, resolveGroup]);
+
+  if (loading) {
+    return (
+      <div className="pca-loading">
+        <div className="spinner"></div>
+        <p>Loading ideal points...</p>
+      </div>
+    );
+  }
+
+  if (!data || data.meps.length === 0) {
+    return <div className="pca-empty">No ideal points have been estimated yet.</div>;
+  }
+
+  const { fit } = data;
+
+  return (
+    <div className="ideal-points">
+      <div className="ideal-points-toolbar">
+        <div className="ideal-points-display">
+          <button className={`ideal-display-btn ${display === 'map' ? 'active' : ''}`} onClick={() => setDisplay('map')}>
+            Map
+          </button>
+          <button className={`ideal-display-btn ${display === 'ranking' ? 'active' : ''}`} onClick={() => setDisplay('ranking')}>
+            Ranking
+          </button>
+        </div>
+        {fit && fit.classified !== null && (
+          <span className="ideal-points-fit" title="Share of yes/no votes on the predicted side of each cut line, and the aggregate proportional reduction in error">
+            Classifies {(fit.classified * 100).toFixed(1)}% of votes • APRE {fit.apre.toFixed(2)} • {fit.bills} roll calls
+          </span>
+        )}
+      </div>
+
+      <div className="pca-legend">
+        <button
+          className={`pca-legend-item ${!selectedGroup ? 'active' : ''}`}
+          onClick={() => setSelectedGroup(null)}
+        >
+          <span className="legend-dot" style={{ background: '#475569' }}></span>
+          All ({data.meps.length})
+        </button>
+        {groups.map(group => (
+          <button
+            key={group}
+            className={`pca-legend-item ${selectedGroup === group ? 'active' : ''}`}
+            onClick={() => setSelectedGroup(selectedGroup === group ? null : group)}
+            title={group}
+          >
+            <span className="legend-dot" style={{ background: resolveGroup(group).color }}></span>
+            {resolveGroup(group).short_name}
+          </button>
+        ))}
+      </div>
+
+      <div className="ideal-points-plot">
+        <Suspense fallback={<div className="pca-loading"><div className="spinner"></div><p>Loading chart...</p></div>}>
+          <Plot
+            data={traces}
+            layout={{
+              autosize: true,
+              height: display === 'map' ? 600 : 700,
+              margin: { l: 50, r: 20, t: 20, b: 50 },
+              paper_bgcolor: 'rgba(0,0,0,0)',
+              plot_bgcolor: 'rgba(0,0,0,0)',
+              xaxis: { title: 'Dimension 1', gridcolor: '#e2e8f0', zerolinecolor: '#cbd5e1' },
+              yaxis: display === 'map'
+                ? { title: 'Dimension 2', gridcolor: '#e2e8f0', zerolinecolor: '#cbd5e1', scaleanchor: 'x' }
+                : { title: 'Rank', autorange: 'reversed', showgrid: false, zeroline: false },
+              showlegend: false,
+              hovermode: 'closest'
+            }}
+            config={{
+              displayModeBar: true,
+              modeBarButtonsToRemove: ['toImage', 'sendDataToCloud'],
+              displaylogo: false,
+            }}
+            style={{ width: '100%', height: '100%' }}
+            useResizeHandler={true}
+          />
+        </Suspense>
+      </div>
+
+      <div className="pca-info">
+        <p>
+          <strong>How to read this:</strong> Each MEP's position is estimated with an item response
+          model: the probability of voting yes depends on which side of each vote's cut line they sit.
+          Unlike PCA, only yes and no votes are modelled, and every estimate comes with its
+          uncertainty — bars show the 95% interval, so MEPs with few votes or inconsistent voting
+          have long bars. {display === 'ranking' && 'The ranking orders MEPs along the first dimension.'}
+        </p>
+      </div>
+    </div>
+  );
+}
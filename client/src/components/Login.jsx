@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { accountApi, accountError, signIn } from '../account';
+import './Account.css';
+
+// Where to go after signing in, set by pages that link here
+export const LOGIN_RETURN_KEY = 'eulens-login-return';
+
+function ProfileForm({ onSubmit, submitting, error }) {
+  const [countries, setCountries] = useState([]);
+  const [countryCode, setCountryCode] = useState('');
+  const [displayName, setDisplayName] = useState('');
+
+  useEffect(() => {
+    axios.get('/api/countries')
+      .then(res => setCountries([...res.data].sort((a, b) => a.name.localeCompare(b.name))))
+      .catch(err => console.error('Error fetching countries:', err));
+  }, []);
+
+  return (
+    <form
+      className="account-form"
+      onSubmit={e => { e.preventDefault(); onSubmit({ country_code: countryCode, display_name: displayName.trim() || undefined }); }}
+    >
+      <p>Welcome! Two things before your account is created:</p>
+      <label>
+        Your country
+        <select value={countryCode} onChange={e => setCountryCode(e.target.value)} required>
+          <option value="">Choose…</option>
+          {countries.map(country => <option key={country.code} value={country.code}>{country.name}</option>)}
+        </select>
+      </label>
+      <label>
+        Display name <span className="account-hint">(optional - we pick a random one otherwise)</span>
+        <input
+          type="text"
+          value={displayName}
+          onChange={e => setDisplayName(e.target.value)}
+          maxLength="40"
+          placeholder="citizen-…"
+        />
+      </label>
+      <p className="account-hint">
+        Your email address is never shown to anyone. Posts show your display name and country.
+      </p>
+      {error && <p className="account-error">{error}</p>}
+      <button type="submit" className="btn-primary" disabled={submitting || !countryCode}>
+        {submitting ? 'Creating account...' : 'Create account'}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Passwordless sign-in: request an email link, then follow it back here with ?token=
+ */
+export default function Login() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+  const [newAccount, setNewAccount] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  // A login token works once, so it is only ever sent once per page load
+  const verifiedToken = useRef(null);
+
+  useEffect(() => {
+    if (token && verifiedToken.current !== token) {
+      verifiedToken.current = token;
+      verify({});
+    }
+  }, [token]);
+
+  async function verify(profile) {
+    try {
+      setSubmitting(true);
+      const res = await accountApi.post('/auth/verify', { token, ...profile });
+      signIn(res.data.token, res.data.account);
+      const returnTo = sessionStorage.getItem(LOGIN_RETURN_KEY) || '/my';
+      sessionStorage.removeItem(LOGIN_RETURN_KEY);
+      navigate(returnTo, { replace: true });
+    } catch (err) {
+      if (err.response?.data?.new_account) {
+        setNewAccount(true);
+        setError(profile.country_code ? accountError(err) : null);
+      } else {
+        setError(accountError(err));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function requestLink(e) {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await accountApi.post('/auth/login', { email });
+      setSent(true);
+      setError(null);
+    } catch (err) {
+      setError(accountError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <main className="container account-page">
+      <div className="card account-card">
+        <h1>Sign in</h1>
+        {token ? (
+          newAccount ? (
+            <ProfileForm onSubmit={verify} submitting={submitting} error={error} />
+          ) : error ? (
+            <>
+              <p className="account-error">{error}</p>
+              <button className="btn-secondary" onClick={() => navigate('/login', { replace: true })}>
+                Request a new link
+              </button>
+            </>
+          ) : (
+            <div className="loading"><div className="spinner"></div></div>
+          )
+        ) : sent ? (
+          <p>
+            Check your inbox: we sent a sign-in link to <strong>{email}</strong>. It works once and
+            expires in 15 minutes.
+          </p>
+        ) : (
+          <form className="account-form" onSubmit={requestLink}>
+            <p>
+              No password needed. Enter your email and we will send you a link to sign in, or to
+              create a pseudonymous account if you are new.
+            </p>
+            <input
+              type="email"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              placeholder="you@example.org"
+              required
+              autoFocus
+            />
+            {error && <p className="account-error">{error}</p>}
+            <button type="submit" className="btn-primary" disabled={submitting}>
+              {submitting ? 'Sending...' : 'Email me a sign-in link'}
+            </button>
+          </form>
+        )}
+      </div>
+    </main>
+  );
+}
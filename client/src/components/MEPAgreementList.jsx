@@ -1,5 +1,6 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { useGroupRegistry } from '../groupRegistry';
 import './MEPAgreementList.css';
 
 // Color scale for agreement percentage (matching PartyAgreementMatrix)
@@ -11,21 +12,9 @@ function getColor(percentage) {
   return '#ef4444'; // Red
 }
 
-// Political group colors
-const GROUP_COLORS = {
-  'EPP': '#0056A0',
-  'S&D': '#E02027',
-  'Renew': '#FFD700',
-  'Greens/EFA': '#009E47',
-  'ECR': '#5BC0DE',
-  'ID': '#002244',
-  'The Left': '#8B0000',
-  'GUE/NGL': '#8B0000',
-  'NI': '#808080',
-  'Unknown': '#CCCCCC'
-};
-
 export default function MEPAgreementList({ data, showPairwise = false }) {
+  const { resolveGroup } = useGroupRegistry();
+
   if (!data || data.length === 0) {
     return <div className="mep-agreement-empty">No agreement data available</div>;
   }
@@ -50,8 +39,8 @@ export default function MEPAgreementList({ data, showPairwise = false }) {
               {data.map((row, idx) => {
                 const agreementPct = parseFloat(row.agreement_pct);
                 const color = getColor(agreementPct);
-                const group1Color = GROUP_COLORS[row.mep1_group] || GROUP_COLORS['Unknown'];
-                const group2Color = GROUP_COLORS[row.mep2_group] || GROUP_COLORS['Unknown'];
+                const group1Color = resolveGroup(row.mep1_group).color;
+                const group2Color = resolveGroup(row.mep2_group).color;
                 
                 return (
                   <tr key={idx}>
@@ -111,7 +100,7 @@ export default function MEPAgreementList({ data, showPairwise = false }) {
         {data.map((mep, idx) => {
           const agreementPct = parseFloat(mep.agreement_pct);
           const color = getColor(agreementPct);
-          const groupColor = GROUP_COLORS[mep.political_group] || GROUP_COLORS['Unknown'];
+          const groupColor = resolveGroup(mep.political_group).color;
           
           return (
             <Link
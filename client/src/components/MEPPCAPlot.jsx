@@ -2,44 +2,24 @@ import React, { useState, useEffect, useMemo, lazy, Suspense } from 'react';
 import { Link } from 'react-router-dom';
 import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell, Customized } from 'recharts';
 import axios from 'axios';
+import { useGroupRegistry } from '../groupRegistry';
+import { computePCA } from '@shared/pca.js';
+import PCATrajectories from './PCATrajectories';
+import IdealPointsPlot from './IdealPointsPlot';
 import './MEPPCAPlot.css';
 
 // Lazy load Plotly for 3D view (it's a large library)
 const Plot = lazy(() => import('react-plotly.js'));
 
-// Political group colors (using full names from database)
-const GROUP_COLORS = {
-  "European People's Party": '#0066CC',
-  'Progressive Alliance of Socialists and Democrats': '#E02027',
-  'Renew Europe': '#FFD700',
-  'Greens/European Free Alliance': '#009E47',
-  'European Conservatives and Reformists': '#0099CC',
-  'The Left in the European Parliament': '#8B0000',
-  'Patriots for Europe': '#1a3a5c',
-  'Europe of Sovereign Nations': '#5c3d2e',
-  'Non-attached Members': '#999999'
-};
-
-// Short names for display
-const GROUP_SHORT_NAMES = {
-  "European People's Party": 'EPP',
-  'Progressive Alliance of Socialists and Democrats': 'S&D',
-  'Renew Europe': 'Renew',
-  'Greens/European Free Alliance': 'Greens/EFA',
-  'European Conservatives and Reformists': 'ECR',
-  'The Left in the European Parliament': 'The Left',
-  'Patriots for Europe': 'PfE',
-  'Europe of Sovereign Nations': 'ESN',
-  'Non-attached Members': 'NI'
-};
-
 export default function MEPPCAPlot() {
   const [pcaData, setPcaData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedGroup, setSelectedGroup] = useState(null);
-  const [viewMode, setViewMode] = useState('meps'); // 'meps', 'groups', or '3d'
+  const [viewMode, setViewMode] = useState('meps'); // 'meps', 'groups', '3d', 'timeline', or 'ideal'
   const [showAxisInfo, setShowAxisInfo] = useState(false);
+  const { resolveGroup } = useGroupRegistry();
+  const shortName = (group) => resolveGroup(group).short_name;
 
   useEffect(() => {
     fetchData();
@@ -80,57 +60,25 @@ export default function MEPPCAPlot() {
     }
   }
 
-  // Simple PCA implementation for fallback
-  function computePCAFallback(data, numComponents = 3) {
-    const n = data.length;
-    if (n === 0) return { projections: [], variance: [] };
-    const m = data[0].length;
-    
-    const means = new Array(m).fill(0);
-    for (let j = 0; j < m; j++) {
-      for (let i = 0; i < n; i++) means[j] += data[i][j];
-      means[j] /= n;
-    }
+  // Fallback: compute PCA in the browser from the raw voting vectors
+  const fallbackPCA = useMemo(() => {
+    if (!pcaData?.fallback || !pcaData.meps || !pcaData.billIds) return null;
+    const { meps, billIds } = pcaData;
+    const billIdToIndex = {};
+    billIds.forEach((id, idx) => { billIdToIndex[id] = idx; });
     
-    const centered = data.map(row => row.map((val, j) => val - means[j]));
-    const components = [];
-    const variances = [];
-    let currentData = centered.map(row => [...row]);
-    
-    for (let comp = 0; comp < numComponents; comp++) {
-      let pc = new Array(m).fill(1);
-      let norm = Math.sqrt(pc.reduce((sum, v) => sum + v * v, 0));
-      pc = pc.map(v => v / norm);
-      
-      for (let iter = 0; iter < 100; iter++) {
-        const xpc = currentData.map(row => row.reduce((sum, v, j) => sum + v * pc[j], 0));
-        const newPc = new Array(m).fill(0);
-        for (let j = 0; j < m; j++) {
-          for (let i = 0; i < n; i++) newPc[j] += currentData[i][j] * xpc[i];
-        }
-        norm = Math.sqrt(newPc.reduce((sum, v) => sum + v * v, 0));
-        if (norm < 1e-10) break;
-        pc = newPc.map(v => v / norm);
-      }
-      
-      const sum = pc.reduce((a, b) => a + b, 0);
-      if (sum > 0) pc = pc.map(v => -v);
-      
-      components.push(pc);
-      const projections = currentData.map(row => row.reduce((sum, v, j) => sum + v * pc[j], 0));
-      variances.push(projections.reduce((sum, v) => sum + v * v, 0) / n);
-      
-      for (let i = 0; i < n; i++) {
-        const proj = projections[i];
-        for (let j = 0; j < m; j++) currentData[i][j] -= proj * pc[j];
-      }
-    }
+    // Votes the MEP did not cast stay null (missing), see shared/pca.js
+    const matrix = meps.map(mep => {
+      const row = new Array(billIds.length).fill(null);
+      mep.votes.forEach(v => {
+        const idx = billIdToIndex[v.bill_id];
+        if (idx !== undefined) row[idx] = v.vote;
+      });
+      return row;
+    });
     
-    const finalProjections = centered.map(row => 
-      components.map(pc => row.reduce((sum, v, j) => sum + v * pc[j], 0))
-    );
-    return { projections: finalProjections, variance: variances };
-  }
+    return computePCA(matrix, 3);
+  }, [pcaData]);
 
   // Transform data into points for visualization
   const pcaPoints = useMemo(() => {
@@ -141,51 +89,41 @@ export default function MEPPCAPlot() {
       return pcaData.meps.map(mep => ({
         mep_id: mep.mepId,
         name: mep.name,
-        group: mep.group,
+        group: resolveGroup(mep.group).name,
         x: mep.x,
         y: mep.y,
         z: mep.z || 0,
-        color: GROUP_COLORS[mep.group] || '#808080'
+        color: resolveGroup(mep.group).color
       }));
     }
     
     // Fallback: compute PCA on the fly
-    if (pcaData.fallback && pcaData.meps && pcaData.billIds) {
-      const { meps, billIds } = pcaData;
-      const billIdToIndex = {};
-      billIds.forEach((id, idx) => { billIdToIndex[id] = idx; });
-      
-      const matrix = meps.map(mep => {
-        const row = new Array(billIds.length).fill(0);
-        mep.votes.forEach(v => {
-          const idx = billIdToIndex[v.bill_id];
-          if (idx !== undefined) row[idx] = v.vote;
-        });
-        return row;
-      });
+    if (fallbackPCA) {
+      const { projections } = fallbackPCA;
       
-      const { projections } = computePCAFallback(matrix, 3);
-      
-      return meps.map((mep, i) => ({
+      return pcaData.meps.map((mep, i) => ({
         mep_id: mep.mep_id,
         name: mep.mep_name,
-        group: mep.mep_group,
+        group: resolveGroup(mep.mep_group).name,
         x: projections[i][0],
         y: projections[i][1],
         z: projections[i][2] || 0,
-        color: GROUP_COLORS[mep.mep_group] || '#808080'
+        color: resolveGroup(mep.mep_group).color
       }));
     }
     
     return [];
-  }, [pcaData]);
+  }, [pcaData, fallbackPCA, resolveGroup]);
 
-  // Get variance explained from pre-computed data
+  // Share of the total voting variance captured by each axis
   const varianceExplained = useMemo(() => {
+    const explained = fallbackPCA?.explainedVariance || pcaData?.explainedVariance;
+    if (explained && explained.length > 0) return explained.map(v => (v * 100).toFixed(1));
+    // Snapshots from before explained variance was stored: share among the computed axes
     if (!pcaData?.variance || pcaData.variance.length === 0) return [];
     const totalVariance = pcaData.variance.reduce((a, b) => a + b, 0);
     return pcaData.variance.map(v => ((v / totalVariance) * 100).toFixed(1));
-  }, [pcaData]);
+  }, [pcaData, fallbackPCA]);
   // Get bill loadings from pre-computed data
   const topBillsPerComponent = useMemo(() => {
     if (!pcaData?.billLoadings || pcaData.billLoadings.length === 0) return [];
@@ -198,12 +136,12 @@ export default function MEPPCAPlot() {
     });
   }, [pcaData]);
 
-  // Get unique groups for legend
+  // Get unique groups for legend, in seating order (left to right)
   const groups = useMemo(() => {
     if (!pcaPoints || pcaPoints.length === 0) return [];
     const uniqueGroups = [...new Set(pcaPoints.map(p => p.group))].filter(Boolean);
-    return uniqueGroups.sort();
-  }, [pcaPoints]);
+    return uniqueGroups.sort((a, b) => resolveGroup(a).seat_order - resolveGroup(b).seat_order);
+  }, [pcaPoints, resolveGroup]);
 
   // Compute group centroids and standard deviations for Groups view
   const groupData = useMemo(() => {
@@ -241,7 +179,7 @@ export default function MEPPCAPlot() {
       
       return {
         group,
-        shortName: GROUP_SHORT_NAMES[group] || group,
+        shortName: shortName(group),
         x: meanX,
         y: meanY,
         z: meanZ,
@@ -249,10 +187,10 @@ export default function MEPPCAPlot() {
         stdX,
         stdY,
         stdZ,
-        color: GROUP_COLORS[group] || '#808080'
+        color: resolveGroup(group).color
       };
     });
-  }, [pcaPoints]);
+  }, [pcaPoints, resolveGroup]);
 
   // Filter data based on selected group
   const filteredData = useMemo(() => {
@@ -323,12 +261,11 @@ export default function MEPPCAPlot() {
           </div>
         );
       }
-      const shortName = GROUP_SHORT_NAMES[data.group] || data.group || 'Non-attached';
       return (
         <div className="pca-tooltip">
           <strong style={{ color: '#1e293b' }}>{data.name}</strong>
           <div className="pca-tooltip-group" style={{ color: data.color }}>
-            {shortName}
+            {shortName(data.group)}
           </div>
         </div>
       );
@@ -358,6 +295,18 @@ export default function MEPPCAPlot() {
         >
           3D View
         </button>
+        <button
+          className={`pca-view-btn ${viewMode === 'timeline' ? 'active' : ''}`}
+          onClick={() => setViewMode('timeline')}
+        >
+          Over Time
+        </button>
+        <button
+          className={`pca-view-btn ${viewMode === 'ideal' ? 'active' : ''}`}
+          onClick={() => setViewMode('ideal')}
+        >
+          Ideal Points
+        </button>
       </div>
 
       {/* Legend - only show for MEPs view */}
@@ -372,7 +321,6 @@ export default function MEPPCAPlot() {
           </button>
           {groups.map(group => {
             const count = pcaPoints.filter(p => p.group === group).length;
-            const shortName = GROUP_SHORT_NAMES[group] || group;
             return (
               <button
                 key={group}
@@ -380,8 +328,8 @@ export default function MEPPCAPlot() {
                 onClick={() => setSelectedGroup(selectedGroup === group ? null : group)}
                 title={group}
               >
-                <span className="legend-dot" style={{ background: GROUP_COLORS[group] || '#808080' }}></span>
-                {shortName} ({count})
+                <span className="legend-dot" style={{ background: resolveGroup(group).color }}></span>
+                {shortName(group)} ({count})
               </button>
             );
           })}
@@ -535,7 +483,7 @@ export default function MEPPCAPlot() {
                     x: pcaPoints.map(p => p.x),
                     y: pcaPoints.map(p => p.y),
                     z: pcaPoints.map(p => p.z),
-                    text: pcaPoints.map(p => `${p.name}<br>${GROUP_SHORT_NAMES[p.group] || p.group}`),
+                    text: pcaPoints.map(p => `${p.name}<br>${shortName(p.group)}`),
                     hoverinfo: 'text',
                     marker: {
                       size: 4,
@@ -599,8 +547,14 @@ export default function MEPPCAPlot() {
         </>
       )}
 
+      {/* Animated trajectories over rolling windows */}
+      {viewMode === 'timeline' && <PCATrajectories />}
+
+      {/* Ideal-point estimates with uncertainty */}
+      {viewMode === 'ideal' && <IdealPointsPlot />}
+
       {/* Axis Interpretation */}
-      {varianceExplained.length > 0 && (
+      {varianceExplained.length > 0 && viewMode !== 'ideal' && (
         <div className="pca-axis-info">
           <button 
             className="pca-axis-toggle"
@@ -6,21 +6,11 @@ import {
   Tooltip, Legend, ResponsiveContainer
 } from 'recharts';
 import MEPAgreementList from './MEPAgreementList';
+import DataDownloads from './DataDownloads';
+import FollowButton from './FollowButton';
+import { useGroupRegistry } from '../groupRegistry';
 import './MEPProfile.css';
 
-// Political group colors (matching Hemicycle)
-const GROUP_COLORS = {
-  'EPP': '#0056A0',
-  'S&D': '#E02027',
-  'Renew': '#FFD700',
-  'Greens/EFA': '#009E47',
-  'ECR': '#5BC0DE',
-  'ID': '#002244',
-  'The Left': '#8B0000',
-  'NI': '#808080',
-  'Unknown': '#CCCCCC'
-};
-
 const VOTE_COLORS = {
   yes: '#4ade80',
   no: '#ef4444',
@@ -34,6 +24,8 @@ export default function MEPProfile() {
   const [mep, setMep] = useState(null);
   const [votes, setVotes] = useState([]);
   const [stats, setStats] = useState(null);
+  const [groupHistory, setGroupHistory] = useState([]);
+  const { resolveGroup } = useGroupRegistry();
   const [similarMeps, setSimilarMeps] = useState([]);
   const [loadingSimilarMeps, setLoadingSimilarMeps] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -69,6 +61,13 @@ export default function MEPProfile() {
     } finally {
       setLoading(false);
     }
+
+    try {
+      const historyRes = await axios.get(`/api/meps/${mepId}/groups`);
+      setGroupHistory(historyRes.data);
+    } catch (error) {
+      console.error('Error fetching group history:', error);
+    }
   }
 
   async function fetchVotes() {
@@ -155,7 +154,22 @@ export default function MEPProfile() {
     ? Math.round((participation.voted / participation.total) * 100)
     : 0;
 
-  const groupColor = GROUP_COLORS[mep.political_group] || GROUP_COLORS['Unknown'];
+  const groupColor = resolveGroup(mep.political_group).color;
+
+  // Group timeline: segment widths are proportional to the time spent in each group
+  const today = new Date();
+  const timeline = groupHistory.map(membership => {
+    const start = new Date(membership.start_date);
+    const end = membership.end_date ? new Date(membership.end_date) : today;
+    return {
+      ...membership,
+      days: Math.max(1, (end - start) / (1000 * 60 * 60 * 24)),
+      color: resolveGroup(membership.group_name).color
+    };
+  });
+  const timelineDays = timeline.reduce((sum, m) => sum + m.days, 0);
+  const groupShortByName = Object.fromEntries(groupHistory.map(m => [m.group_name, m.group_short]));
+  const formatMonth = (date) => new Date(date).toLocaleDateString('en-GB', { year: 'numeric', month: 'short' });
 
   return (
     <main className="container">
@@ -188,6 +202,7 @@ export default function MEPProfile() {
               <span className="country-badge">
                 {mep.country_name || mep.country_code}
               </span>
+              <FollowButton type="mep" id={mepId} label={mep.name} />
             </div>
             {mep.date_of_birth && (
               <p className="profile-meta">
@@ -272,6 +287,40 @@ export default function MEPProfile() {
           </div>
         </section>
 
+        {/* Political Group Timeline */}
+        {timeline.length > 0 && (
+          <section className="group-timeline card">
+            <h3>Political Group History</h3>
+            <div className="timeline-bar">
+              {timeline.map((m) => (
+                <div
+                  key={`${m.group_code}-${m.start_date}`}
+                  className="timeline-segment"
+                  style={{ flexGrow: m.days / timelineDays, backgroundColor: m.color }}
+                  title={`${m.group_name}: ${formatMonth(m.start_date)} – ${m.end_date ? formatMonth(m.end_date) : 'present'}`}
+                >
+                  {m.days / timelineDays > 0.12 && m.group_short}
+                </div>
+              ))}
+            </div>
+            <ul className="timeline-list">
+              {[...timeline].reverse().map((m) => (
+                <li key={`${m.group_code}-${m.start_date}`}>
+                  <span className="timeline-dot" style={{ backgroundColor: m.color }}></span>
+                  <span className="timeline-group">{m.group_name}</span>
+                  <span className="timeline-dates">
+                    {formatMonth(m.start_date)} – {m.end_date ? formatMonth(m.end_date) : 'present'}
+                    {m.term && ` · term ${m.term}`}
+                  </span>
+                  {m.vote_count > 0 && (
+                    <span className="timeline-votes">{m.vote_count} votes</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
         {/* Tabs */}
         <div className="profile-tabs">
           <button
@@ -330,6 +379,7 @@ export default function MEPProfile() {
                       <th>Date</th>
                       <th>Bill</th>
                       <th>Category</th>
+                      {groupHistory.length > 1 && <th>Group</th>}
                       <th>Vote</th>
                     </tr>
                   </thead>
@@ -349,6 +399,11 @@ export default function MEPProfile() {
                         <td className="category-cell">
                           <span className="category-tag">{vote.category || 'General'}</span>
                         </td>
+                        {groupHistory.length > 1 && (
+                          <td className="group-cell" title={vote.mep_group}>
+                            {groupShortByName[vote.mep_group] || vote.mep_group || '-'}
+                          </td>
+                        )}
                         <td className="vote-cell">
                           <span className={`vote-badge ${vote.vote}`}>
                             {vote.vote === 'did_not_vote' ? 'Did not vote' : vote.vote.toUpperCase()}
@@ -402,6 +457,13 @@ export default function MEPProfile() {
             </section>
           )}
         </div>
+
+        <DataDownloads
+          title="Download voting record"
+          downloads={[
+            { label: `All votes cast by ${mep.name}`, dataset: 'votes', params: { mep: mepId } }
+          ]}
+        />
       </div>
     </main>
   );
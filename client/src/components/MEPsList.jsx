@@ -2,19 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { useGroupRegistry } from '../groupRegistry';
 import './MEPsList.css';
 
-const GROUP_COLORS = {
-  'EPP': '#003399',
-  'S&D': '#E30613',
-  'Renew': '#FFD700',
-  'Greens/EFA': '#009933',
-  'ECR': '#0054A5',
-  'ID': '#004A77',
-  'The Left': '#8B0000',
-  'NI': '#999999'
-};
-
 const EU_COUNTRIES = {
   'AT': 'Austria', 'BE': 'Belgium', 'BG': 'Bulgaria', 'HR': 'Croatia',
   'CY': 'Cyprus', 'CZ': 'Czechia', 'DK': 'Denmark', 'EE': 'Estonia',
@@ -27,6 +17,7 @@ const EU_COUNTRIES = {
 
 export default function MEPsList({ embedded = false }) {
   const [meps, setMeps] = useState([]);
+  const { resolveGroup } = useGroupRegistry();
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -259,7 +250,7 @@ export default function MEPsList({ embedded = false }) {
                 <div className="mep-meta">
                   <span
                     className="group-badge"
-                    style={{ backgroundColor: GROUP_COLORS[mep.political_group] || '#999' }}
+                    style={{ backgroundColor: resolveGroup(mep.political_group).color }}
                   >
                     {mep.political_group || 'NI'}
                   </span>
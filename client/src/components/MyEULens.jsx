@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import axios from 'axios';
+import { accountApi, accountError, useAccount } from '../account';
+import { useFollows, follow, unfollow } from '../follows';
+import { useGroupRegistry } from '../groupRegistry';
+import './MyEULens.css';
+
+const FOLLOW_SECTIONS = [
+  ['mep', 'MEPs'],
+  ['group', 'Political groups'],
+  ['country', 'Countries'],
+  ['category', 'Policy areas']
+];
+
+const PAGE_SIZE = 20;
+
+// A select that follows the chosen option right away
+function AddFollow({ type, placeholder, options }) {
+  const { isFollowing } = useFollows();
+  const [error, setError] = useState(null);
+  const available = options.filter(option => !isFollowing(type, option.value));
+
+  async function add(value) {
+    if (!value) return;
+    try {
+      await follow(type, value);
+      setError(null);
+    } catch (err) {
+      setError(accountError(err));
+    }
+  }
+
+  return (
+    <>
+      <select className="my-add-follow" value="" onChange={e => add(e.target.value)}>
+        <option value="">{placeholder}</option>
+        {available.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      {error && <p className="my-error">{error}</p>}
+    </>
+  );
+}
+
+function FollowManager() {
+  const { follows } = useFollows();
+  const { groups } = useGroupRegistry();
+  const [countries, setCountries] = useState([]);
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    axios.get('/api/countries')
+      .then(res => setCountries([...res.data].sort((a, b) => a.name.localeCompare(b.name))))
+      .catch(err => console.error('Error fetching countries:', err));
+    axios.get('/api/bills', { params: { limit: 1 } })
+      .then(res => setCategories(res.data.facets.category.map(facet => facet.value)))
+      .catch(err => console.error('Error fetching categories:', err));
+  }, []);
+
+  const adders = {
+    mep: <Link to="/meps" className="my-follow-hint">Follow MEPs from their profile →</Link>,
+    group: (
+      <AddFollow
+        type="group"
+        placeholder="Follow a group…"
+        options={groups.map(g => ({ value: g.code, label: g.short_name }))}
+      />
+    ),
+    country: (
+      <AddFollow
+        type="country"
+        placeholder="Follow a country…"
+        options={countries.map(c => ({ value: c.code, label: c.name }))}
+      />
+    ),
+    category: (
+      <AddFollow
+        type="category"
+        placeholder="Follow a policy area…"
+        options={categories.map(c => ({ value: c, label: c }))}
+      />
+    )
+  };
+
+  return (
+    <aside className="card my-follows">
+      <h2>Following</h2>
+      {FOLLOW_SECTIONS.map(([type, title]) => {
+        const items = follows.filter(f => f.target_type === type);
+        return (
+          <div key={type} className="my-follow-section">
+            <h3>{title}</h3>
+            {items.length > 0 && (
+              <ul className="my-follow-chips">
+                {items.map(item => (
+                  <li key={item.target_id} className="my-follow-chip">
+                    {type === 'mep' ? <Link to={`/meps/${item.target_id}`}>{item.label}</Link> : item.label}
+                    <button
+                      className="my-unfollow"
+                      onClick={() => unfollow(type, item.target_id).catch(err => alert(accountError(err)))}
+                      title={`Stop following ${item.label}`}
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {adders[type]}
+          </div>
+        );
+      })}
+    </aside>
+  );
+}
+
+function FeedItem({ item }) {
+  const { bill, totals, highlights } = item;
+
+  return (
+    <article className={`card my-feed-item ${item.notable ? 'notable' : ''}`}>
+      <div className="my-feed-meta">
+        <span className={`status-badge status-${bill.status}`}>{bill.status}</span>
+        {bill.category && <span className="category-badge">{bill.category}</span>}
+        {bill.date_adopted && (
+          <span className="my-feed-date">{new Date(bill.date_adopted).toLocaleDateString()}</span>
+        )}
+      </div>
+      <h3><Link to={`/bills/${bill.id}`}>{bill.title}</Link></h3>
+      <p className="my-feed-totals">
+        {totals.yes} yes · {totals.no} no · {totals.abstain} abstain
+      </p>
+      <ul className="my-highlights">
+        {highlights.map((highlight, i) => (
+          <li key={i} className={`my-highlight my-highlight-${highlight.type} ${highlight.notable ? 'notable' : ''}`}>
+            {highlight.type === 'mep'
+              ? <Link to={`/meps/${highlight.mep_id}`}>{highlight.text}</Link>
+              : highlight.text}
+          </li>
+        ))}
+      </ul>
+    </article>
+  );
+}
+
+/**
+ * "My EULens": the latest votes on what the account follows, and the follows themselves
+ */
+export default function MyEULens() {
+  const { account, loading: accountLoading } = useAccount();
+  const { follows, loading: followsLoading } = useFollows();
+  const [items, setItems] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [notableOnly, setNotableOnly] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // The feed starts over whenever the follows change
+  const followKey = follows.map(f => `${f.target_type}:${f.target_id}`).join(',');
+
+  useEffect(() => {
+    if (account && !followsLoading) fetchFeed(0);
+  }, [account?.id, followsLoading, followKey]);
+
+  async function fetchFeed(offset = 0) {
+    try {
+      setLoading(true);
+      const res = await accountApi.get('/feed', { params: { limit: PAGE_SIZE, offset } });
+      setItems(prev => (offset === 0 ? res.data.items : [...prev, ...res.data.items]));
+      setHasMore(res.data.has_more);
+      setError(null);
+    } catch (err) {
+      setError(accountError(err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (accountLoading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!account) return <Navigate to="/login" replace />;
+
+  const shown = notableOnly ? items.filter(item => item.notable) : items;
+
+  return (
+    <main className="container my-eulens">
+      <header className="page-header">
+        <h1>My EULens</h1>
+        <p className="subtitle">The latest votes on the MEPs, groups, countries and policy areas you follow</p>
+      </header>
+
+      <div className="my-layout">
+        <section className="my-feed">
+          <div className="my-feed-toolbar">
+            <label className="my-notable-toggle">
+              <input type="checkbox" checked={notableOnly} onChange={e => setNotableOnly(e.target.checked)} />
+              Only what stands out
+            </label>
+          </div>
+
+          {error && <p className="my-error">{error}</p>}
+          {!followsLoading && follows.length === 0 && (
+            <div className="card my-empty">
+              <p>
+                You are not following anything yet. Follow MEPs from their profile, policy areas from a
+                vote's page, or pick groups and countries here.
+              </p>
+            </div>
+          )}
+          {follows.length > 0 && !loading && shown.length === 0 && (
+            <p className="my-empty">No votes to show.</p>
+          )}
+
+          {shown.map(item => <FeedItem key={item.bill.id} item={item} />)}
+
+          {loading && <div className="loading"><div className="spinner"></div></div>}
+          {hasMore && !loading && (
+            <button className="btn-secondary my-load-more" onClick={() => fetchFeed(items.length)}>
+              Load more
+            </button>
+          )}
+        </section>
+
+        <FollowManager />
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { accountApi, accountError } from '../account';
+import { pushSupported, isPushSubscribed, subscribePush, unsubscribePush } from '../push';
+
+/**
+ * Email and Web Push digests of new votes on what the account follows
+ */
+export default function NotificationSettings() {
+  const [settings, setSettings] = useState(null);
+  const [deviceSubscribed, setDeviceSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    accountApi.get('/notifications')
+      .then(res => setSettings(res.data))
+      .catch(err => setError(accountError(err)));
+    isPushSubscribed().then(setDeviceSubscribed).catch(() => setDeviceSubscribed(false));
+  }, []);
+
+  async function save(change) {
+    const res = await accountApi.put('/notifications', change);
+    setSettings(res.data);
+  }
+
+  async function run(action) {
+    try {
+      setBusy(true);
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(accountError(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function togglePush(enabled) {
+    return run(async () => {
+      if (enabled) {
+        await subscribePush(settings.push_public_key);
+        setDeviceSubscribed(true);
+        await save({ push: true });
+      } else {
+        await unsubscribePush();
+        setDeviceSubscribed(false);
+        // Keep push on while other devices are still subscribed
+        await save({ push: settings.push_devices > 1 });
+      }
+    });
+  }
+
+  if (!settings) {
+    return (
+      <section className="card account-card">
+        <h2>Notifications</h2>
+        {error ? <p className="account-error">{error}</p> : <p className="account-hint">Loading...</p>}
+      </section>
+    );
+  }
+
+  let pushHint = null;
+  if (!settings.push_available) pushHint = 'Push notifications are not set up on this server.';
+  else if (!pushSupported()) pushHint = 'This browser does not support push notifications.';
+
+  return (
+    <section className="card account-card">
+      <h2>Notifications</h2>
+      <p className="account-hint">
+        After each weekly update, get a digest of the new votes on what you follow in My EULens:
+        new votes in your policy areas, how your MEPs voted, and who broke with their group.
+      </p>
+      <div className="account-form">
+        <label className="account-checkbox">
+          <input
+            type="checkbox"
+            checked={settings.email}
+            disabled={busy}
+            onChange={e => run(() => save({ email: e.target.checked }))}
+          />
+          Email digest
+        </label>
+        <label className="account-checkbox">
+          <input
+            type="checkbox"
+            checked={settings.push && deviceSubscribed}
+            disabled={busy || Boolean(pushHint)}
+            onChange={e => togglePush(e.target.checked)}
+          />
+          Push notifications on this device
+        </label>
+        {pushHint && <p className="account-hint">{pushHint}</p>}
+        {settings.push && settings.push_devices > 0 && (
+          <p className="account-hint">
+            Push digests go to {settings.push_devices} {settings.push_devices === 1 ? 'device' : 'devices'}.
+          </p>
+        )}
+        {error && <p className="account-error">{error}</p>}
+      </div>
+      {settings.recent.length > 0 && (
+        <>
+          <h3 className="account-subheading">Recent digests</h3>
+          <ul className="account-deliveries">
+            {settings.recent.map((delivery, i) => (
+              <li key={i}>
+                {new Date(delivery.created_at).toLocaleString()} · {delivery.channel} · {delivery.votes}{' '}
+                {delivery.votes === 1 ? 'vote' : 'votes'}
+                {delivery.status === 'failed' && <span className="account-error"> · not delivered</span>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useMemo, lazy, Suspense } from 'react';
+import axios from 'axios';
+import { useGroupRegistry } from '../groupRegistry';
+import './PCATrajectories.css';
+
+const Plot = lazy(() => import('react-plotly.js'));
+
+const MAX_SELECTED_MEPS = 8;
+
+function shortMonth(date) {
+  return new Date(date).toLocaleDateString('en-GB', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+}
+
+/**
+ * Animated view of the political compass over rolling windows. Every window is aligned to the
+ * whole-legislature PCA, so a move across the chart is a change in voting behaviour.
+ */
+export default function PCATrajectories() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selectedMeps, setSelectedMeps] = useState([]);
+  const [search, setSearch] = useState('');
+  const { resolveGroup } = useGroupRegistry();
+
+  useEffect(() => {
+    fetchTrajectories();
+  }, []);
+
+  async function fetchTrajectories() {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/stats/mep-pca-trajectories');
+      setData(res.data);
+    } catch (error) {
+      console.error('Error fetching PCA trajectories:', error);
+      setData({ frames: [], meps: {} });
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Group centroids per frame, keyed by canonical group name
+  const centroids = useMemo(() => {
+    if (!data) return [];
+    return data.frames.map(frame => {
+      const sums = {};
+      frame.meps.forEach(mep => {
+        const group = resolveGroup(mep.group).name;
+        if (!sums[group]) sums[group] = { x: 0, y: 0, count: 0 };
+        sums[group].x += mep.x;
+        sums[group].y += mep.y;
+        sums[group].count += 1;
+      });
+      const result = {};
+      Object.entries(sums).forEach(([group, s]) => {
+        result[group] = { x: s.x / s.count, y: s.y / s.count, count: s.count };
+      });
+      return result;
+    });
+  }, [data, resolveGroup]);
+
+  const groups = useMemo(() => {
+    const names = new Set(centroids.flatMap(frame => Object.keys(frame)));
+    return [...names].sort((a, b) => resolveGroup(a).seat_order - resolveGroup(b).seat_order);
+  }, [centroids, resolveGroup]);
+
+  const mepOptions = useMemo(() => {
+    if (!data) return [];
+    return Object.entries(data.meps)
+      .map(([id, mep]) => ({ id: Number(id), ...mep }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [data]);
+
+  // Same range on every frame so movement is not hidden by rescaling
+  const range = useMemo(() => {
+    if (!data || data.frames.length === 0) return { x: [-1, 1], y: [-1, 1] };
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    data.frames.forEach(frame => frame.meps.forEach(mep => {
+      xMin = Math.min(xMin, mep.x);
+      xMax = Math.max(xMax, mep.x);
+      yMin = Math.min(yMin, mep.y);
+      yMax = Math.max(yMax, mep.y);
+    }));
+    const padX = (xMax - xMin) * 0.05 || 1;
+    const padY = (yMax - yMin) * 0.05 || 1;
+    return { x: [xMin - padX, xMax + padX], y: [yMin - padY, yMax + padY] };
+  }, [data]);
+
+  function addMep(value) {
+    setSearch(value);
+    const match = mepOptions.find(mep => mep.name === value);
+    if (!match) return;
+    setSelectedMeps(prev => (
+      prev.includes(match.id) || prev.length >= MAX_SELECTED_MEPS ? prev : [...prev, match.id]
+    ));
+    setSearch('');
+  }
+
+  function removeMep(id) {
+    setSelectedMeps(prev => prev.filter(mepId => mepId !== id));
+  }
+
+  // Plotly animates between frames trace by trace, so every frame has the same traces:
+  // all MEPs, one trail per group, one trail per selected MEP
+  function tracesForFrame(index) {
+    const frame = data.frames[index];
+    const history = data.frames.slice(0, index + 1);
+
+    const trail = (points, color, name, label) => ({
+      type: 'scatter',
+      mode: label ? 'lines+markers+text' : 'lines+markers',
+      name,
+      x: points.map(p => p.x),
+      y: points.map(p => p.y),
+      text: points.map((_, i) => (label && i === points.length - 1 ? label : '')),
+      textposition: 'top center',
+      textfont: { color, size: 12 },
+      hovertext: points.map(p => `${name}<br>${p.label}`),
+      hoverinfo: 'text',
+      line: { color, width: 2 },
+      marker: {
+        color,
+        size: points.map((_, i) => (i === points.length - 1 ? 12 : 4)),
+        line: { color: 'white', width: 1 }
+      }
+    });
+
+    const groupTraces = groups.map(group => {
+      const points = [];
+      history.forEach((f, i) => {
+        const centroid = centroids[i][group];
+        if (centroid) points.push({ ...centroid, label: f.label });
+      });
+      const info = resolveGroup(group);
+      return trail(points, info.color, info.short_name, info.short_name);
+    });
+
+    const mepTraces = selectedMeps.map(id => {
+      const points = [];
+      let group = null;
+      history.forEach(f => {
+        const mep = f.meps.find(m => m.id === id);
+        if (mep) {
+          points.push({ x: mep.x, y: mep.y, label: f.label });
+          group = mep.group;
+        }
+      });
+      const name = data.meps[id]?.name || `MEP ${id}`;
+      const trace = trail(points, resolveGroup(group).color, name, name);
+      trace.line.dash = 'dot';
+      trace.marker.symbol = 'diamond';
+      return trace;
+    });
+
+    return [
+      {
+        type: 'scatter',
+        mode: 'markers',
+        name: 'MEPs',
+        x: frame.meps.map(m => m.x),
+        y: frame.meps.map(m => m.y),
+        hovertext: frame.meps.map(m => `${data.meps[m.id]?.name || m.id}<br>${resolveGroup(m.group).short_name}`),
+        hoverinfo: 'text',
+        marker: { size: 5, color: frame.meps.map(m => resolveGroup(m.group).color), opacity: 0.25 }
+      },
+      ...groupTraces,
+      ...mepTraces
+    ];
+  }
+
+  const plotFrames = useMemo(() => {
+    if (!data || data.frames.length === 0) return [];
+    return data.frames.map((frame, i) => ({ name: frame.key, data: tracesForFrame(i) }));
+  }, [data, centroids, groups, selectedMeps, resolveGroup]);
+
+  if (loading) {
+    return (
+      <div className="pca-loading">
+        <div className="spinner"></div>
+        <p>Loading trajectories...</p>
+      </div>
+    );
+  }
+
+  if (!data || data.frames.length === 0) {
+    return <div className="pca-empty">No trajectories have been computed yet.</div>;
+  }
+
+  const animation = (duration) => ({
+    mode: 'immediate',
+    frame: { duration, redraw: false },
+    transition: { duration: duration * 0.8 }
+  });
+
+  const lastIndex = data.frames.length - 1;
+
+  return (
+    <div className="pca-trajectories">
+      <div className="trajectory-controls">
+        <input
+          type="text"
+          list="trajectory-mep-options"
+          placeholder={selectedMeps.length >= MAX_SELECTED_MEPS ? `Up to ${MAX_SELECTED_MEPS} MEPs` : 'Follow an MEP...'}
+          value={search}
+          disabled={selectedMeps.length >= MAX_SELECTED_MEPS}
+          onChange={(e) => addMep(e.target.value)}
+        />
+        <datalist id="trajectory-mep-options">
+          {mepOptions.map(mep => (
+            <option key={mep.id} value={mep.name}>{mep.country}</option>
+          ))}
+        </datalist>
+        {selectedMeps.map(id => (
+          <span key={id} className="trajectory-chip">
+            {data.meps[id]?.name || id}
+            <button onClick={() => removeMep(id)} title="Stop following">×</button>
+          </span>
+        ))}
+      </div>
+
+      <div className="trajectory-plot">
+        <Suspense fallback={<div className="pca-loading"><div className="spinner"></div><p>Loading animation...</p></div>}>
+          <Plot
+            data={plotFrames[lastIndex].data}
+            frames={plotFrames}
+            layout={{
+              autosize: true,
+              height: 600,
+              margin: { l: 40, r: 20, t: 20, b: 40 },
+              paper_bgcolor: 'rgba(0,0,0,0)',
+              plot_bgcolor: 'rgba(0,0,0,0)',
+              xaxis: { title: 'PC1', range: range.x, gridcolor: '#e2e8f0', zerolinecolor: '#cbd5e1' },
+              yaxis: { title: 'PC2', range: range.y, gridcolor: '#e2e8f0', zerolinecolor: '#cbd5e1' },
+              showlegend: false,
+              hovermode: 'closest',
+              updatemenus: [{
+                type: 'buttons',
+                showactive: false,
+                direction: 'left',
+                x: 0,
+                y: 0,
+                xanchor: 'left',
+                yanchor: 'top',
+                pad: { t: 60 },
+                buttons: [
+                  { label: '▶ Play', method: 'animate', args: [null, { ...animation(500), fromcurrent: true }] },
+                  { label: '❚❚ Pause', method: 'animate', args: [[null], animation(0)] }
+                ]
+              }],
+              sliders: [{
+                active: lastIndex,
+                x: 0.15,
+                len: 0.85,
+                y: 0,
+                yanchor: 'top',
+                pad: { t: 50 },
+                currentvalue: { prefix: 'Window starting ', font: { size: 13 } },
+                steps: data.frames.map(frame => ({
+                  label: shortMonth(frame.from),
+                  method: 'animate',
+                  args: [[frame.key], animation(500)]
+                }))
+              }]
+            }}
+            config={{
+              displayModeBar: true,
+              modeBarButtonsToRemove: ['toImage', 'sendDataToCloud'],
+              displaylogo: false,
+            }}
+            style={{ width: '100%', height: '100%' }}
+            useResizeHandler={true}
+          />
+        </Suspense>
+      </div>
+
+      <div className="pca-info">
+        <p>
+          <strong>How to read this:</strong> Each frame is a PCA of {data.windowMonths} months of votes,
+          rotated and scaled onto the whole-legislature compass so the axes mean the same thing in
+          every frame. Lines trace each group's average position through time; follow individual MEPs
+          with the search box. Press Play or drag the slider to move through the legislature.
+        </p>
+      </div>
+    </div>
+  );
+}
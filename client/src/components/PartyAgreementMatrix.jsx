@@ -1,52 +1,9 @@
 import React, { useMemo } from 'react';
+import { useGroupRegistry, UNKNOWN_GROUP } from '../groupRegistry';
 import './PartyAgreementMatrix.css';
 
-// Short names for political groups
-const GROUP_SHORT_NAMES = {
-  'The Left group in the European Parliament - GUE/NGL': 'GUE/NGL',
-  'The Left in the European Parliament - GUE/NGL': 'GUE/NGL',
-  'Group of the Greens/European Free Alliance': 'Greens/EFA',
-  'Group of the Progressive Alliance of Socialists and Democrats in the European Parliament': 'S&D',
-  'Renew Europe Group': 'Renew',
-  'Group of the European People\'s Party (Christian Democrats)': 'EPP',
-  'European Conservatives and Reformists Group': 'ECR',
-  'Patriots for Europe Group': 'PfE',
-  'Europe of Sovereign Nations Group': 'ESN',
-  'Non-attached Members': 'NI'
-};
-
-function getShortName(name) {
-  // Direct match
-  if (GROUP_SHORT_NAMES[name]) return GROUP_SHORT_NAMES[name];
-
-  // Partial match
-  const lower = name.toLowerCase();
-  if (lower.includes('left') || lower.includes('gue')) return 'GUE/NGL';
-  if (lower.includes('green')) return 'Greens/EFA';
-  if (lower.includes('socialist') || lower.includes('s&d')) return 'S&D';
-  if (lower.includes('renew')) return 'Renew';
-  if (lower.includes('people') || lower.includes('epp')) return 'EPP';
-  if (lower.includes('conservative') || lower.includes('ecr')) return 'ECR';
-  if (lower.includes('patriot')) return 'PfE';
-  if (lower.includes('sovereign') || lower.includes('esn')) return 'ESN';
-  if (lower.includes('non-attached') || lower.includes('ni')) return 'NI';
-
-  // Fallback: return full name if short
-  return name.length > 15 ? name.substring(0, 15) + '...' : name;
-}
-
-// Political group order (left to right)
-const GROUP_ORDER = [
-  'GUE/NGL',
-  'Greens/EFA',
-  'S&D',
-  'Renew',
-  'EPP',
-  'ECR',
-  'PfE',
-  'ESN',
-  'NI'
-];
+// Identity and Democracy was dissolved in the 10th legislature
+const DISSOLVED_GROUPS = ['ID'];
 
 // Color scale for agreement percentage
 function getColor(percentage) {
@@ -58,37 +15,37 @@ function getColor(percentage) {
 }
 
 export default function PartyAgreementMatrix({ data }) {
+  const { resolveGroup } = useGroupRegistry();
+
   // Build matrix from pairwise data
   const { matrix, groups } = useMemo(() => {
     if (!data || data.length === 0) return { matrix: {}, groups: [] };
 
-    // Collect all unique groups, filtering out Identity and Democracy (dissolved in 10th legislature)
-    const groupSet = new Set();
+    // Resolve a group to its registry entry, or null for dissolved groups
+    const resolve = (name) => {
+      const group = resolveGroup(name);
+      if (DISSOLVED_GROUPS.includes(group.code)) return null;
+      if (group === UNKNOWN_GROUP) {
+        const label = name || UNKNOWN_GROUP.name;
+        return { ...UNKNOWN_GROUP, short_name: label.length > 15 ? label.substring(0, 15) + '...' : label };
+      }
+      return group;
+    };
+
+    // Collect all unique groups, filtering out dissolved groups
+    const groupMap = new Map();
     data.forEach(row => {
-      const lower1 = (row.group1 || '').toLowerCase();
-      const lower2 = (row.group2 || '').toLowerCase();
-      
-      // Skip Identity and Democracy groups
-      if (lower1.includes('identity') && lower1.includes('democracy')) return;
-      if (lower2.includes('identity') && lower2.includes('democracy')) return;
-      
-      const g1 = getShortName(row.group1);
-      const g2 = getShortName(row.group2);
-      
-      // Double check short names
-      if (g1 !== 'ID' && !g1.toLowerCase().includes('identity')) groupSet.add(g1);
-      if (g2 !== 'ID' && !g2.toLowerCase().includes('identity')) groupSet.add(g2);
+      const g1 = resolve(row.group1);
+      const g2 = resolve(row.group2);
+      if (!g1 || !g2) return;
+      groupMap.set(g1.short_name, g1);
+      groupMap.set(g2.short_name, g2);
     });
 
-    // Sort groups by political spectrum order
-    const sortedGroups = Array.from(groupSet).sort((a, b) => {
-      const aIdx = GROUP_ORDER.indexOf(a);
-      const bIdx = GROUP_ORDER.indexOf(b);
-      if (aIdx === -1 && bIdx === -1) return a.localeCompare(b);
-      if (aIdx === -1) return 1;
-      if (bIdx === -1) return -1;
-      return aIdx - bIdx;
-    });
+    // Sort groups by political spectrum order (registry seat order)
+    const sortedGroups = Array.from(groupMap.values())
+      .sort((a, b) => a.seat_order - b.seat_order || a.short_name.localeCompare(b.short_name))
+      .map(g => g.short_name);
 
     // Build matrix
     const mat = {};
@@ -99,21 +56,12 @@ export default function PartyAgreementMatrix({ data }) {
       });
     });
 
-    // Fill in values from data, excluding Identity and Democracy
+    // Fill in values from data, excluding dissolved groups
     data.forEach(row => {
-      const lower1 = (row.group1 || '').toLowerCase();
-      const lower2 = (row.group2 || '').toLowerCase();
-      
-      // Skip if either group is Identity and Democracy
-      if (lower1.includes('identity') && lower1.includes('democracy')) return;
-      if (lower2.includes('identity') && lower2.includes('democracy')) return;
-      
-      const g1 = getShortName(row.group1);
-      const g2 = getShortName(row.group2);
-      
-      // Double check the short names aren't ID
-      if (g1 === 'ID' || g2 === 'ID') return;
-      
+      const g1 = resolve(row.group1)?.short_name;
+      const g2 = resolve(row.group2)?.short_name;
+      if (!g1 || !g2) return;
+
       const pct = parseFloat(row.agreement_pct);
 
       if (mat[g1] && mat[g1][g2] === null) mat[g1][g2] = pct;
@@ -121,7 +69,7 @@ export default function PartyAgreementMatrix({ data }) {
     });
 
     return { matrix: mat, groups: sortedGroups };
-  }, [data]);
+  }, [data, resolveGroup]);
 
   if (groups.length === 0) {
     return <div className="matrix-empty">No agreement data available</div>;
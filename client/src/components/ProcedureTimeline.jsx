@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import './ProcedureTimeline.css';
+
+// Classify a vote by what it covers, based on the HowTheyVote description ("Am 12", "§ 5/2", ...)
+function getVoteKind(vote) {
+  if (vote.is_main) return { key: 'main', label: 'Final vote' };
+  const description = (vote.description || '').trim();
+  if (/^(am|amendment)\b/i.test(description)) return { key: 'amendment', label: 'Amendment' };
+  if (/\/\d+\s*$/.test(description)) return { key: 'split', label: 'Split vote' };
+  if (/^(§|paragraph|recital|citation|article)/i.test(description)) return { key: 'paragraph', label: 'Paragraph' };
+  return { key: 'other', label: 'Vote' };
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+export default function ProcedureTimeline() {
+  const { procedureId } = useParams();
+  const navigate = useNavigate();
+  const [procedure, setProcedure] = useState(null);
+  const [votes, setVotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showMainOnly, setShowMainOnly] = useState(false);
+
+  useEffect(() => {
+    fetchProcedure();
+  }, [procedureId]);
+
+  async function fetchProcedure() {
+    try {
+      setLoading(true);
+      const res = await axios.get(`/api/procedures/${encodeURIComponent(procedureId)}`);
+      setProcedure(res.data.procedure);
+      setVotes(res.data.votes);
+    } catch (error) {
+      console.error('Error fetching procedure:', error);
+      setProcedure(null);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (loading) {
+    return (
+      <main className="container">
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Loading procedure...</p>
+        </div>
+      </main>
+    );
+  }
+
+  if (!procedure) {
+    return (
+      <main className="container">
+        <div className="text-center mt-4">
+          <p>Procedure not found</p>
+          <button onClick={() => navigate('/')} className="btn-primary mt-2">
+            Back to Issues
+          </button>
+        </div>
+      </main>
+    );
+  }
+
+  const visibleVotes = showMainOnly ? votes.filter(v => v.is_main) : votes;
+
+  // Group votes by sitting day so each session reads as one block
+  const days = [];
+  visibleVotes.forEach(vote => {
+    const day = new Date(vote.voted_at).toLocaleDateString();
+    if (days.length === 0 || days[days.length - 1].day !== day) {
+      days.push({ day, votes: [] });
+    }
+    days[days.length - 1].votes.push(vote);
+  });
+
+  const adopted = votes.filter(v => v.result === 'ADOPTED').length;
+
+  return (
+    <main className="container">
+      <button onClick={() => navigate(-1)} className="back-btn">
+        ← Back
+      </button>
+
+      <div className="procedure-timeline">
+        <header className="procedure-header">
+          <div className="header-badges">
+            {procedure.procedure_type && <span className="category-badge">{procedure.procedure_type}</span>}
+            {procedure.category && <span className="category-badge">{procedure.category}</span>}
+          </div>
+          <h1>{procedure.title}</h1>
+          <p className="procedure-meta">
+            {procedure.procedure_id} • {procedure.total_votes} roll-call votes
+            ({adopted} adopted, {procedure.total_votes - adopted} rejected)
+          </p>
+          <div className="ep-links">
+            {procedure.ep_procedure_url && (
+              <a
+                href={procedure.ep_procedure_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="ep-link-btn"
+              >
+                View Procedure Details
+              </a>
+            )}
+          </div>
+        </header>
+
+        <section className="card">
+          <div className="timeline-controls">
+            <h2>Vote Sequence</h2>
+            <label className="main-only-toggle">
+              <input
+                type="checkbox"
+                checked={showMainOnly}
+                onChange={e => setShowMainOnly(e.target.checked)}
+              />
+              Final votes only
+            </label>
+          </div>
+
+          {days.map(({ day, votes: dayVotes }) => (
+            <div key={day} className="timeline-day">
+              <h3 className="timeline-day-title">{day}</h3>
+              <ol className="procedure-votes">
+                {dayVotes.map(vote => {
+                  const kind = getVoteKind(vote);
+                  const total = (vote.count_for || 0) + (vote.count_against || 0) + (vote.count_abstention || 0);
+                  return (
+                    <li key={vote.id} className={`procedure-vote kind-${kind.key}`}>
+                      <span className="procedure-vote-time">{formatTime(vote.voted_at)}</span>
+                      <div className="procedure-vote-body">
+                        <div className="procedure-vote-heading">
+                          <span className={`vote-kind vote-kind-${kind.key}`}>{kind.label}</span>
+                          <span className="procedure-vote-subject">
+                            {vote.description || vote.title}
+                          </span>
+                          {vote.reference && (
+                            <span className="procedure-vote-reference">{vote.reference}</span>
+                          )}
+                        </div>
+                        {total > 0 && (
+                          <div className="procedure-vote-bar" title={`${vote.count_for} for, ${vote.count_against} against, ${vote.count_abstention} abstentions`}>
+                            <div className="bar-for" style={{ width: `${(vote.count_for / total) * 100}%` }} />
+                            <div className="bar-against" style={{ width: `${(vote.count_against / total) * 100}%` }} />
+                            <div className="bar-abstain" style={{ width: `${(vote.count_abstention / total) * 100}%` }} />
+                          </div>
+                        )}
+                        <div className="procedure-vote-counts">
+                          {total > 0 && (
+                            <span>{vote.count_for} for • {vote.count_against} against • {vote.count_abstention} abstain</span>
+                          )}
+                          {vote.bill_id && (
+                            <Link to={`/bills/${vote.bill_id}`} className="procedure-vote-link">
+                              See how MEPs voted →
+                            </Link>
+                          )}
+                        </div>
+                      </div>
+                      <span className={`status-badge status-${vote.result === 'ADOPTED' ? 'adopted' : 'rejected'}`}>
+                        {vote.result === 'ADOPTED' ? 'adopted' : 'rejected'}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          ))}
+        </section>
+      </div>
+    </main>
+  );
+}
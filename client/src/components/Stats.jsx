@@ -6,21 +6,11 @@ import {
   Tooltip, Legend, ResponsiveContainer
 } from 'recharts';
 import PartyAgreementMatrix from './PartyAgreementMatrix';
+import DelegationCohesion from './DelegationCohesion';
+import DataDownloads from './DataDownloads';
+import { useGroupRegistry, UNKNOWN_GROUP } from '../groupRegistry';
 import './Stats.css';
 
-// Political group colors
-const GROUP_COLORS = {
-  'EPP': '#0056A0',
-  'S&D': '#E02027',
-  'Renew': '#FFD700',
-  'Greens/EFA': '#009E47',
-  'ECR': '#5BC0DE',
-  'The Left': '#8B0000',
-  'PfE': '#002244',
-  'ESN': '#4A4A4A',
-  'NI': '#808080'
-};
-
 const CATEGORY_COLORS = [
   '#6366f1', '#ec4899', '#f59e0b', '#10b981', '#3b82f6',
   '#8b5cf6', '#ef4444', '#14b8a6', '#f97316', '#84cc16'
@@ -30,24 +20,48 @@ export default function Stats() {
   const [overview, setOverview] = useState(null);
   const [partyAgreement, setPartyAgreement] = useState([]);
   const [partyCohesion, setPartyCohesion] = useState([]);
+  const { resolveGroup } = useGroupRegistry();
   const [partyAbsence, setPartyAbsence] = useState([]);
   const [controversial, setControversial] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
   const [activeTab, setActiveTab] = useState('overview');
+  const [windows, setWindows] = useState([]);
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
 
   useEffect(() => {
-    fetchStats();
+    axios.get('/api/stats/windows')
+      .then(res => setWindows(res.data))
+      .catch(error => console.error('Error fetching stats windows:', error));
   }, []);
 
+  useEffect(() => {
+    fetchStats();
+  }, [timeWindow, customRange]);
+
+  // Query parameters selecting the time window for every stats request
+  function getWindowParams() {
+    if (timeWindow === 'custom') {
+      const params = {};
+      if (customRange.from) params.from = customRange.from;
+      if (customRange.to) params.to = customRange.to;
+      return params;
+    }
+    return timeWindow === 'all' ? {} : { window: timeWindow };
+  }
+
   async function fetchStats() {
     try {
-      setLoading(true);
+      // Keep the current figures on screen while switching windows
+      if (overview) setRefreshing(true); else setLoading(true);
+      const params = getWindowParams();
       const [overviewRes, agreementRes, cohesionRes, absenceRes, controversialRes] = await Promise.all([
-        axios.get('/api/stats/overview'),
-        axios.get('/api/stats/party-agreement'),
-        axios.get('/api/stats/party-cohesion'),
-        axios.get('/api/stats/party-absence'),
-        axios.get('/api/stats/controversial')
+        axios.get('/api/stats/overview', { params }),
+        axios.get('/api/stats/party-agreement', { params }),
+        axios.get('/api/stats/party-cohesion', { params }),
+        axios.get('/api/stats/party-absence', { params }),
+        axios.get('/api/stats/controversial', { params })
       ]);
 
       setOverview(overviewRes.data);
@@ -59,9 +73,16 @@ export default function Stats() {
       console.error('Error fetching stats:', error);
     } finally {
       setLoading(false);
+      setRefreshing(false);
     }
   }
 
+  const windowLabel = timeWindow === 'all'
+    ? 'the 10th European Parliament'
+    : timeWindow === 'custom'
+      ? `${customRange.from || 'the start of the term'} to ${customRange.to || 'today'}`
+      : windows.find(w => w.key === timeWindow)?.label || timeWindow;
+
   if (loading) {
     return (
       <main className="container">
@@ -78,10 +99,48 @@ export default function Stats() {
       <header className="stats-header">
         <h1>Legislature Statistics</h1>
         <p className="stats-subtitle">
-          Analysis of voting patterns in the 10th European Parliament
+          Analysis of voting patterns in {windowLabel}
         </p>
       </header>
 
+      {/* Time Window Picker */}
+      <section className="stats-window-picker">
+        <label htmlFor="stats-window">Time window</label>
+        <select
+          id="stats-window"
+          value={timeWindow}
+          onChange={(e) => setTimeWindow(e.target.value)}
+        >
+          <option value="all">Whole legislature</option>
+          {[['year', 'Years'], ['quarter', 'Quarters'], ['session', 'Plenary sessions']].map(([type, label]) => (
+            <optgroup key={type} label={label}>
+              {windows.filter(w => w.type === type).map(w => (
+                <option key={w.key} value={w.key}>{w.label} ({w.bills} votes)</option>
+              ))}
+            </optgroup>
+          ))}
+          <option value="custom">Custom range…</option>
+        </select>
+        {timeWindow === 'custom' && (
+          <>
+            <input
+              type="date"
+              value={customRange.from}
+              onChange={(e) => setCustomRange(prev => ({ ...prev, from: e.target.value }))}
+              aria-label="From"
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={customRange.to}
+              onChange={(e) => setCustomRange(prev => ({ ...prev, to: e.target.value }))}
+              aria-label="To"
+            />
+          </>
+        )}
+        {refreshing && <span className="window-refreshing">Updating…</span>}
+      </section>
+
       {/* Overview Cards */}
       {overview && (
         <section className="stats-overview">
@@ -124,6 +183,12 @@ export default function Stats() {
         >
           Party Cohesion
         </button>
+        <button
+          className={`tab ${activeTab === 'countries' ? 'active' : ''}`}
+          onClick={() => setActiveTab('countries')}
+        >
+          Country Cohesion
+        </button>
         <button
           className={`tab ${activeTab === 'absence' ? 'active' : ''}`}
           onClick={() => setActiveTab('absence')}
@@ -139,7 +204,7 @@ export default function Stats() {
       </div>
 
       {/* Tab Content */}
-      <div className="stats-content">
+      <div className={`stats-content ${refreshing ? 'refreshing' : ''}`}>
         {activeTab === 'overview' && overview && (
           <section className="card category-section">
             <h2>Votes by Policy Area</h2>
@@ -240,14 +305,11 @@ export default function Stats() {
                   />
                   <Bar dataKey="avg_cohesion" name="Cohesion">
                     {partyCohesion.map((entry, index) => {
-                      // Match short names to colors
-                      const shortName = Object.keys(GROUP_COLORS).find(k =>
-                        entry.political_group?.includes(k)
-                      );
+                      const group = resolveGroup(entry.political_group);
                       return (
                         <Cell
                           key={entry.political_group}
-                          fill={GROUP_COLORS[shortName] || CATEGORY_COLORS[index]}
+                          fill={group === UNKNOWN_GROUP ? CATEGORY_COLORS[index] : group.color}
                         />
                       );
                     })}
@@ -280,6 +342,17 @@ export default function Stats() {
           </section>
         )}
 
+        {activeTab === 'countries' && (
+          <section className="card">
+            <h2>Country Cohesion</h2>
+            <p className="section-description">
+              Do national delegations vote as a bloc, and do MEPs follow their country or their
+              political group when the two disagree?
+            </p>
+            <DelegationCohesion />
+          </section>
+        )}
+
         {activeTab === 'absence' && (
           <section className="card">
             <h2>Absence Rate by Party</h2>
@@ -389,6 +462,16 @@ export default function Stats() {
           </section>
         )}
       </div>
+
+      <DataDownloads
+        title={`Download data for ${windowLabel}`}
+        downloads={[
+          { label: 'Bills', dataset: 'bills', params: getWindowParams() },
+          { label: 'MEP votes', dataset: 'votes', params: getWindowParams() },
+          { label: 'Vote matrix (MEPs × bills)', dataset: 'vote-matrix', params: getWindowParams() },
+          { label: 'MEPs', dataset: 'meps' }
+        ]}
+      />
     </main>
   );
 }
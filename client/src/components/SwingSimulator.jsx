@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useGroupRegistry } from '../groupRegistry';
+import './SwingSimulator.css';
+
+const VOTE_OPTIONS = [
+  { value: 'as_cast', label: 'As cast' },
+  { value: 'flip', label: 'Flip yes/no' },
+  { value: 'yes', label: 'All yes' },
+  { value: 'no', label: 'All no' },
+  { value: 'abstain', label: 'All abstain' },
+  { value: 'absent', label: 'Stay away' }
+];
+
+// A change that leaves the bloc as it voted is dropped from the scenario
+const isNeutral = change => (change.vote || 'as_cast') === 'as_cast' && !change.turnout;
+
+function Outcome({ label, outcome, majority, changed }) {
+  const { counts, passed, margin } = outcome;
+  return (
+    <div className={`simulator-outcome ${passed ? 'adopted' : 'rejected'} ${changed ? 'changed' : ''}`}>
+      <span className="outcome-label">{label}</span>
+      <strong>{passed ? 'Adopted' : 'Rejected'}</strong>
+      <span className="outcome-counts">
+        {counts.yes} / {counts.no} / {counts.abstain}
+      </span>
+      <span className="outcome-margin">
+        {majority.type === 'absolute'
+          ? `${Math.abs(margin)} ${margin >= 0 ? 'above' : 'short of'} the ${majority.required} needed`
+          : `Margin ${margin > 0 ? '+' : ''}${margin}`}
+      </span>
+    </div>
+  );
+}
+
+function BlocRow({ bloc, label, change, onChange, onRemove }) {
+  const vote = change?.vote || 'as_cast';
+  return (
+    <tr className={change ? 'modified' : ''}>
+      <td>{label}</td>
+      <td className="bloc-counts" title="Yes / No / Abstain / Absent">
+        <span className="count-yes">{bloc.yes}</span>
+        <span className="count-no">{bloc.no}</span>
+        <span className="count-abstain">{bloc.abstain}</span>
+        <span className="count-absent">{bloc.absent}</span>
+      </td>
+      <td>
+        <select value={vote} onChange={e => onChange({ vote: e.target.value })}>
+          {VOTE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </td>
+      <td>
+        <label className="turnout-toggle" title="Absent members show up and vote with the rest of the bloc">
+          <input
+            type="checkbox"
+            checked={!!change?.turnout}
+            disabled={bloc.absent === 0 || vote === 'absent'}
+            onChange={e => onChange({ turnout: e.target.checked })}
+          />
+          All present
+        </label>
+      </td>
+      {onRemove && (
+        <td>
+          <button className="remove-bloc" onClick={onRemove} title="Remove">×</button>
+        </td>
+      )}
+    </tr>
+  );
+}
+
+/**
+ * "What if?" panel next to the hemicycle: replay the vote with political groups or national
+ * delegations voting differently or turning out in full, under the bill's majority rule.
+ */
+export default function SwingSimulator({ billId }) {
+  const [changes, setChanges] = useState([]);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { resolveGroup } = useGroupRegistry();
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    axios.post(`/api/bills/${billId}/simulate`, { changes })
+      .then(res => { if (!cancelled) setData(res.data); })
+      .catch(error => {
+        console.error('Error simulating vote:', error);
+        if (!cancelled) setData(null);
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [billId, changes]);
+
+  function findChange(bloc, key) {
+    return changes.find(c => c.bloc === bloc && c.key === key);
+  }
+
+  function updateChange(bloc, key, patch, keepNeutral = false) {
+    const existing = findChange(bloc, key);
+    const updated = { ...(existing || { bloc, key, vote: 'as_cast', turnout: false }), ...patch };
+    if (updated.vote === 'absent') updated.turnout = false;
+    if (isNeutral(updated) && !keepNeutral) {
+      setChanges(changes.filter(c => c !== existing));
+    } else {
+      setChanges(existing ? changes.map(c => (c === existing ? updated : c)) : [...changes, updated]);
+    }
+  }
+
+  function removeChange(bloc, key) {
+    setChanges(changes.filter(c => c !== findChange(bloc, key)));
+  }
+
+  if (!data) {
+    return (
+      <aside className="swing-simulator card">
+        <h3>What If?</h3>
+        {loading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          <p className="simulator-note">The simulator is not available for this vote.</p>
+        )}
+      </aside>
+    );
+  }
+
+  const { majority, actual, simulated, blocs } = data;
+  const countryChanges = changes.filter(c => c.bloc === 'country');
+  const availableCountries = blocs.countries.filter(c => !findChange('country', c.key));
+
+  return (
+    <aside className={`swing-simulator card ${loading ? 'updating' : ''}`}>
+      <h3>What If?</h3>
+      <p className="simulator-rule">
+        {majority.type === 'absolute'
+          ? `Needs an absolute majority: ${majority.required} of ${majority.members} members must vote yes.`
+          : 'Needs a simple majority: more yes than no votes.'}
+      </p>
+
+      <div className="simulator-outcomes">
+        <Outcome label="Actual" outcome={actual} majority={majority} />
+        <Outcome
+          label="Simulated"
+          outcome={simulated}
+          majority={majority}
+          changed={simulated.passed !== actual.passed}
+        />
+      </div>
+      {simulated.passed !== actual.passed && (
+        <p className="simulator-flip">This scenario changes the outcome.</p>
+      )}
+
+      <h4>Political Groups</h4>
+      <table className="simulator-table">
+        <tbody>
+          {blocs.groups.map(bloc => (
+            <BlocRow
+              key={bloc.key}
+              bloc={bloc}
+              label={
+                <span className="bloc-chip" style={{ borderColor: resolveGroup(bloc.key).color }} title={bloc.key}>
+                  {resolveGroup(bloc.key).short_name}
+                </span>
+              }
+              change={findChange('group', bloc.key)}
+              onChange={patch => updateChange('group', bloc.key, patch)}
+            />
+          ))}
+        </tbody>
+      </table>
+
+      <h4>National Delegations</h4>
+      {countryChanges.length > 0 && (
+        <table className="simulator-table">
+          <tbody>
+            {countryChanges.map(change => {
+              const bloc = blocs.countries.find(c => c.key === change.key);
+              return (
+                <BlocRow
+                  key={change.key}
+                  bloc={bloc}
+                  label={bloc.country}
+                  change={change}
+                  onChange={patch => updateChange('country', change.key, patch, true)}
+                  onRemove={() => removeChange('country', change.key)}
+                />
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <select
+        className="add-delegation"
+        value=""
+        onChange={e => updateChange('country', e.target.value, {}, true)}
+      >
+        <option value="">Add a delegation...</option>
+        {availableCountries.map(c => (
+          <option key={c.key} value={c.key}>{c.country} ({c.members})</option>
+        ))}
+      </select>
+
+      <div className="simulator-footer">
+        <span className="simulator-note">
+          Counts are yes / no / abstain / absent. A delegation's setting overrides its members' group.
+        </span>
+        {changes.length > 0 && (
+          <button className="reset-simulation" onClick={() => setChanges([])}>Reset</button>
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,45 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import './Account.css';
+
+const CHANNEL_NAMES = { email: 'email digests', push: 'push notifications' };
+
+/**
+ * Landing page of the unsubscribe link in digest emails; works without signing in
+ */
+export default function Unsubscribe() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const channel = searchParams.get('channel');
+  const [status, setStatus] = useState('pending');
+  const [error, setError] = useState(null);
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (sent.current) return;
+    sent.current = true;
+    axios.post('/api/notifications/unsubscribe', { token, channel: channel || undefined })
+      .then(() => setStatus('done'))
+      .catch(err => {
+        setError(err.response?.data?.error || err.message);
+        setStatus('failed');
+      });
+  }, [token, channel]);
+
+  return (
+    <main className="container account-page">
+      <div className="card account-card">
+        <h1>Unsubscribe</h1>
+        {status === 'pending' && <div className="loading"><div className="spinner"></div></div>}
+        {status === 'done' && (
+          <p>
+            You will no longer receive {CHANNEL_NAMES[channel] || 'vote digests'} from EULens. You can
+            switch them back on in <Link to="/account">your account</Link>.
+          </p>
+        )}
+        {status === 'failed' && <p className="account-error">{error}</p>}
+      </div>
+    </main>
+  );
+}
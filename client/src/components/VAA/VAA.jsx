@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import VAAUserPCA from '../VAAUserPCA';
+import { useGroupRegistry } from '../../groupRegistry';
+import { accountApi } from '../../account';
 import './VAA.css';
 
 const EU_COUNTRIES = {
@@ -14,38 +16,12 @@ const EU_COUNTRIES = {
   'SI': 'Slovenia', 'ES': 'Spain', 'SE': 'Sweden'
 };
 
-// Short names for political groups
-const GROUP_SHORT_NAMES = {
-  'The Left group in the European Parliament - GUE/NGL': 'GUE/NGL',
-  'Group of the Greens/European Free Alliance': 'Greens/EFA',
-  'Group of the Progressive Alliance of Socialists and Democrats in the European Parliament': 'S&D',
-  'Renew Europe Group': 'Renew',
-  'Group of the European People\'s Party (Christian Democrats)': 'EPP',
-  'European Conservatives and Reformists Group': 'ECR',
-  'Patriots for Europe Group': 'PfE',
-  'Europe of Sovereign Nations Group': 'ESN',
-  'Non-attached Members': 'NI'
-};
-
-function getShortName(name) {
-  if (!name) return 'NI';
-  if (GROUP_SHORT_NAMES[name]) return GROUP_SHORT_NAMES[name];
-  const lower = name.toLowerCase();
-  if (lower.includes('left') || lower.includes('gue')) return 'GUE/NGL';
-  if (lower.includes('green')) return 'Greens/EFA';
-  if (lower.includes('socialist') || lower.includes('s&d')) return 'S&D';
-  if (lower.includes('renew')) return 'Renew';
-  if (lower.includes('people') || lower.includes('epp')) return 'EPP';
-  if (lower.includes('conservative') || lower.includes('ecr')) return 'ECR';
-  if (lower.includes('patriot')) return 'PfE';
-  if (lower.includes('sovereign') || lower.includes('esn')) return 'ESN';
-  return 'NI';
-}
-
 const QUESTION_OPTIONS = [20, 30, 50, 75, 100];
 
 export default function VAA() {
   const [stage, setStage] = useState('intro'); // intro, quiz, results
+  const { resolveGroup } = useGroupRegistry();
+  const getShortName = (name) => resolveGroup(name || 'NI').short_name;
   const [allQuestions, setAllQuestions] = useState([]);
   const [questions, setQuestions] = useState([]);
   const [questionLimit, setQuestionLimit] = useState(20);
@@ -108,7 +84,8 @@ export default function VAA() {
   async function submitResponses(finalResponses) {
     try {
       setLoading(true);
-      const res = await axios.post('/api/vaa/submit', { 
+      // Sent with the session, if any, so signed-in answers are kept with the account
+      const res = await accountApi.post('/vaa/submit', {
         responses: finalResponses,
         countryCode: selectedCountry || null
       });
@@ -2,47 +2,13 @@ import { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { useGroupRegistry } from '../groupRegistry';
 import './VAAUserPCA.css';
 
-// Political group colors - matching the names returned by the API
-const GROUP_COLORS = {
-  // Full names (as stored in database)
-  "European People's Party": '#0066CC',
-  'Progressive Alliance of Socialists and Democrats': '#E02027',
-  'Renew Europe': '#FFD700',
-  'Greens/European Free Alliance': '#009E47',
-  'European Conservatives and Reformists': '#0099CC',
-  'The Left in the European Parliament': '#8B0000',
-  'Patriots for Europe': '#1a3a5c',
-  'Europe of Sovereign Nations': '#5c3d2e',
-  'Non-attached Members': '#808080',
-  // Alternative/legacy names
-  'The Left group in the European Parliament - GUE/NGL': '#8B0000',
-  'Group of the Greens/European Free Alliance': '#009E47',
-  'Group of the Progressive Alliance of Socialists and Democrats in the European Parliament': '#E02027',
-  'Renew Europe Group': '#FFD700',
-  "Group of the European People's Party (Christian Democrats)": '#0066CC',
-  'European Conservatives and Reformists Group': '#0099CC',
-  'Patriots for Europe Group': '#1a3a5c',
-  'Europe of Sovereign Nations Group': '#5c3d2e'
-};
-
-// Short names for display
-const GROUP_SHORT_NAMES = {
-  "European People's Party": 'EPP',
-  'Progressive Alliance of Socialists and Democrats': 'S&D',
-  'Renew Europe': 'Renew',
-  'Greens/European Free Alliance': 'Greens/EFA',
-  'European Conservatives and Reformists': 'ECR',
-  'The Left in the European Parliament': 'The Left',
-  'Patriots for Europe': 'PfE',
-  'Europe of Sovereign Nations': 'ESN',
-  'Non-attached Members': 'NI'
-};
-
 export default function VAAUserPCA({ topMatches = [] }) {
   const [mepData, setMepData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const { resolveGroup } = useGroupRegistry();
 
   useEffect(() => {
     fetchMEPData();
@@ -90,7 +56,7 @@ export default function VAAUserPCA({ topMatches = [] }) {
         mepId: mep.mepId,
         name: mep.name,
         group: mep.group,
-        color: GROUP_COLORS[mep.group] || '#808080'
+        color: resolveGroup(mep.group).color
       };
 
       if (topMatchIds.has(mep.mepId)) {
@@ -122,7 +88,7 @@ export default function VAAUserPCA({ topMatches = [] }) {
       highlightedMeps,
       domain: { x: [xMin, xMax], y: [yMin, yMax] }
     };
-  }, [mepData, topMatchIds, matchInfoMap]);
+  }, [mepData, topMatchIds, matchInfoMap, resolveGroup]);
 
   if (loading) {
     return (
@@ -176,7 +142,7 @@ export default function VAAUserPCA({ topMatches = [] }) {
               content={({ active, payload }) => {
                 if (active && payload && payload[0]) {
                   const data = payload[0].payload;
-                  const shortGroup = GROUP_SHORT_NAMES[data.group] || data.group || 'NI';
+                  const shortGroup = resolveGroup(data.group || 'NI').short_name;
                   return (
                     <div className="pca-tooltip">
                       <p className="tooltip-name">
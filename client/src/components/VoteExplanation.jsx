@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import {
+  ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell, ReferenceLine
+} from 'recharts';
+import { useGroupRegistry } from '../groupRegistry';
+import './VoteExplanation.css';
+
+const VOTE_COLORS = { yes: '#4ade80', no: '#ef4444', abstain: '#f59e0b' };
+const MAX_DEFECTORS = 25;
+
+// The part of the line intercept + a * x + b * y = 0 inside the plotted box
+function clipLine(line, xDomain, yDomain) {
+  const points = [];
+  const inside = (value, [min, max]) => value >= min - 1e-9 && value <= max + 1e-9;
+  if (Math.abs(line.y) > 1e-12) {
+    xDomain.forEach(x => {
+      const y = -(line.intercept + line.x * x) / line.y;
+      if (inside(y, yDomain)) points.push({ x, y });
+    });
+  }
+  if (Math.abs(line.x) > 1e-12) {
+    yDomain.forEach(y => {
+      const x = -(line.intercept + line.y * y) / line.x;
+      if (inside(x, xDomain)) points.push({ x, y });
+    });
+  }
+  const distinct = points.filter((p, i) => points.findIndex(q => Math.hypot(q.x - p.x, q.y - p.y) < 1e-9) === i);
+  return distinct.length >= 2 ? distinct.slice(0, 2) : null;
+}
+
+function BlocTable({ title, column, blocs, label }) {
+  return (
+    <div className="pivotal-table">
+      <h4>{title}</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>{column}</th>
+            <th>Yes</th>
+            <th>No</th>
+            <th>Abst.</th>
+            <th>Role</th>
+          </tr>
+        </thead>
+        <tbody>
+          {blocs.map(bloc => (
+            <tr key={bloc.key} className={bloc.decisive ? 'decisive' : ''}>
+              <td>{label(bloc)}</td>
+              <td>{bloc.yes}</td>
+              <td>{bloc.no}</td>
+              <td>{bloc.abstain}</td>
+              <td>
+                {bloc.decisive && <span className="pivot-badge decisive">Decisive</span>}
+                {!bloc.decisive && bloc.canFlip && <span className="pivot-badge can-flip">Could flip</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * "Why did it pass?" tab of BillDetail: the cutting line through the PCA compass, MEPs who
+ * voted against their predicted side, and the groups and delegations the margin depended on.
+ */
+export default function VoteExplanation({ billId }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { resolveGroup } = useGroupRegistry();
+
+  useEffect(() => {
+    fetchAnalysis();
+  }, [billId]);
+
+  async function fetchAnalysis() {
+    try {
+      setLoading(true);
+      const res = await axios.get(`/api/bills/${billId}/cutting-line`);
+      setData(res.data);
+    } catch (error) {
+      console.error('Error fetching vote analysis:', error);
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const defectorIds = useMemo(() => new Set((data?.defectors || []).map(d => d.mep_id)), [data]);
+
+  // Square domain around the MEPs so the line's angle is not distorted
+  const domain = useMemo(() => {
+    if (!data || data.meps.length === 0) return { x: [-1, 1], y: [-1, 1] };
+    const xs = data.meps.map(m => m.x);
+    const ys = data.meps.map(m => m.y);
+    const half = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) * 0.55 || 1;
+    const cx = (Math.max(...xs) + Math.min(...xs)) / 2;
+    const cy = (Math.max(...ys) + Math.min(...ys)) / 2;
+    return { x: [cx - half, cx + half], y: [cy - half, cy + half] };
+  }, [data]);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Analysing the vote...</p>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return <p className="no-data">No analysis available for this vote.</p>;
+  }
+
+  const { counts, passed, majority, switchesNeeded, line, fit, defectors, pivotal } = data;
+  // Under an absolute majority the margin is measured against the yes votes required
+  const margin = majority.type === 'absolute'
+    ? Math.abs(counts.yes - majority.required + (passed ? 1 : 0))
+    : Math.abs(counts.yes - counts.no);
+  const segment = line ? clipLine(line, domain.x, domain.y) : null;
+  const decisiveGroups = pivotal.groups.filter(g => g.decisive);
+  const relevantCountries = pivotal.countries.filter(c => c.decisive || c.canFlip);
+
+  return (
+    <div className="vote-explanation">
+      <div className="explanation-summary card">
+        <p>
+          <strong>{passed ? 'Adopted' : 'Rejected'}</strong> by {margin} vote{margin === 1 ? '' : 's'}{' '}
+          ({counts.yes} for, {counts.no} against, {counts.abstain} abstentions;{' '}
+          {majority.type === 'absolute' ? `absolute majority of ${majority.required} needed` : 'simple majority'}).
+          {switchesNeeded !== null && (
+            <> {switchesNeeded} MEP{switchesNeeded === 1 ? '' : 's'} switching sides would have changed the outcome.</>
+          )}
+        </p>
+        {decisiveGroups.length > 0 && (
+          <p>
+            Without the votes of{' '}
+            {decisiveGroups.map((g, i) => (
+              <span key={g.key}>
+                {i > 0 && (i === decisiveGroups.length - 1 ? ' or ' : ', ')}
+                <strong>{resolveGroup(g.key).short_name}</strong>
+              </span>
+            ))}
+            , the vote would have gone the other way.
+          </p>
+        )}
+      </div>
+
+      <div className="explanation-grid">
+        <section className="card cutting-line-chart">
+          <h3>Cutting Line</h3>
+          {line ? (
+            <>
+              <p className="section-description">
+                Each dot is an MEP on the political compass. The line best separates yes from no
+                voters{fit && <> and puts {(fit.classified * 100).toFixed(0)}% of them on their predicted side</>}.
+                Outlined dots voted against their side.
+              </p>
+              <ResponsiveContainer width="100%" aspect={1}>
+                <ScatterChart margin={{ top: 10, right: 10, bottom: 10, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                  <XAxis type="number" dataKey="x" domain={domain.x} hide />
+                  <YAxis type="number" dataKey="y" domain={domain.y} hide />
+                  <Tooltip
+                    content={({ active, payload }) => {
+                      if (!active || !payload || payload.length === 0) return null;
+                      const mep = payload[0].payload;
+                      return (
+                        <div className="explanation-tooltip">
+                          <strong>{mep.mep_name}</strong>
+                          <div>{resolveGroup(mep.mep_group).short_name} • {mep.country_code}</div>
+                          <div>Voted {mep.vote}</div>
+                        </div>
+                      );
+                    }}
+                  />
+                  <Scatter data={data.meps}>
+                    {data.meps.map(mep => (
+                      <Cell
+                        key={mep.mep_id}
+                        fill={VOTE_COLORS[mep.vote]}
+                        fillOpacity={0.8}
+                        stroke={defectorIds.has(mep.mep_id) ? '#1e293b' : 'none'}
+                        strokeWidth={defectorIds.has(mep.mep_id) ? 2 : 0}
+                      />
+                    ))}
+                  </Scatter>
+                  {segment && (
+                    <ReferenceLine segment={segment} stroke="#1e293b" strokeWidth={2} strokeDasharray="6 4" ifOverflow="hidden" />
+                  )}
+                </ScatterChart>
+              </ResponsiveContainer>
+              {data.unpositioned > 0 && (
+                <p className="chart-note">{data.unpositioned} MEPs without a compass position are not shown.</p>
+              )}
+            </>
+          ) : (
+            <p className="no-data">Everybody voted the same way, so there is no line to draw.</p>
+          )}
+        </section>
+
+        <section className="card defectors">
+          <h3>Against Their Predicted Side</h3>
+          {defectors.length === 0 ? (
+            <p className="no-data">Every MEP voted on the side the line predicts.</p>
+          ) : (
+            <>
+              <p className="section-description">
+                {defectors.length} MEPs voted against the side their usual voting pattern predicts,
+                furthest from the line first.
+              </p>
+              <table className="defectors-table">
+                <thead>
+                  <tr>
+                    <th>MEP</th>
+                    <th>Group</th>
+                    <th>Country</th>
+                    <th>Voted</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {defectors.slice(0, MAX_DEFECTORS).map(mep => (
+                    <tr key={mep.mep_id}>
+                      <td><Link to={`/meps/${mep.mep_id}`}>{mep.mep_name}</Link></td>
+                      <td>
+                        <span className="bloc-chip" style={{ borderColor: resolveGroup(mep.mep_group).color }}>
+                          {resolveGroup(mep.mep_group).short_name}
+                        </span>
+                      </td>
+                      <td>{mep.country_code}</td>
+                      <td>
+                        <span className={`vote-pill vote-${mep.vote}`}>{mep.vote}</span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {defectors.length > MAX_DEFECTORS && (
+                <p className="chart-note">And {defectors.length - MAX_DEFECTORS} more.</p>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+
+      <section className="card pivotal-blocs">
+        <h3>Pivotal Blocs</h3>
+        <p className="section-description">
+          <strong>Decisive</strong>: the outcome would have been different had the bloc not voted.{' '}
+          <strong>Could flip</strong>: enough of its members voted with the winning side that they
+          could have changed the outcome by switching.
+        </p>
+        <div className="pivotal-grid">
+          <BlocTable
+            title="Political Groups"
+            column="Group"
+            blocs={pivotal.groups}
+            label={bloc => (
+              <span className="bloc-chip" style={{ borderColor: resolveGroup(bloc.key).color }} title={bloc.key}>
+                {resolveGroup(bloc.key).short_name}
+              </span>
+            )}
+          />
+          <BlocTable
+            title="National Delegations"
+            column="Delegation"
+            blocs={relevantCountries.length > 0 ? relevantCountries : pivotal.countries.slice(0, 10)}
+            label={bloc => bloc.country}
+          />
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react';
+import { accountApi, useAccount } from './account';
+
+/**
+ * MEPs, groups, countries and categories the signed-in account follows (see server/feed.js).
+ * Shared across components like the account itself, so every follow button on a page agrees.
+ */
+
+// Shared follow list: null until loaded for the current account
+let currentFollows = null;
+let followsAccountId = null;
+let followsRequest = null;
+const listeners = new Set();
+
+function setFollows(follows) {
+  currentFollows = follows;
+  listeners.forEach(listener => listener(follows));
+}
+
+function loadFollows(accountId) {
+  if (followsAccountId !== accountId) {
+    followsAccountId = accountId;
+    followsRequest = null;
+    setFollows(null);
+  }
+  if (!followsRequest) {
+    followsRequest = accountApi.get('/follows')
+      .then(res => {
+        if (followsAccountId === accountId) setFollows(res.data);
+      })
+      .catch(error => {
+        followsRequest = null;
+        console.error('Error fetching follows:', error);
+      });
+  }
+  return followsRequest;
+}
+
+export async function follow(targetType, targetId) {
+  const res = await accountApi.post('/follows', { target_type: targetType, target_id: targetId });
+  const added = res.data.follow;
+  setFollows([
+    ...(currentFollows || []).filter(f => !(f.target_type === added.target_type && f.target_id === added.target_id)),
+    added
+  ]);
+}
+
+export async function unfollow(targetType, targetId) {
+  await accountApi.delete(`/follows/${targetType}/${encodeURIComponent(targetId)}`);
+  setFollows((currentFollows || []).filter(f => !(f.target_type === targetType && f.target_id === targetId)));
+}
+
+/**
+ * Hook returning { follows, isFollowing(type, id) }; follows is empty when signed out
+ */
+export function useFollows() {
+  const { account } = useAccount();
+  const [follows, setLocalFollows] = useState(currentFollows);
+
+  useEffect(() => {
+    listeners.add(setLocalFollows);
+    return () => listeners.delete(setLocalFollows);
+  }, []);
+
+  useEffect(() => {
+    if (account) loadFollows(account.id);
+  }, [account?.id]);
+
+  const list = account && followsAccountId === account.id ? follows || [] : [];
+  return {
+    follows: list,
+    loading: Boolean(account) && follows === null,
+    isFollowing: (targetType, targetId) => list.some(f => f.target_type === targetType && f.target_id === targetId)
+  };
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import { createGroupResolver } from '@shared/groupRegistry.js';
+
+/**
+ * Political group registry, served by /api/groups/registry from the political_groups table.
+ * Components resolve raw group names (full names, legacy names, short names or codes)
+ * through it instead of keeping their own name, colour and ordering tables. Resolution is
+ * shared with the server (shared/groupRegistry.js).
+ */
+
+export const UNKNOWN_GROUP = {
+  code: 'UNKNOWN',
+  name: 'Unknown',
+  short_name: '?',
+  color: '#CCCCCC',
+  seat_order: 999,
+  aliases: []
+};
+
+// Shared across components so the registry is fetched once per page load
+let registryRequest = null;
+
+export function fetchGroupRegistry() {
+  if (!registryRequest) {
+    registryRequest = axios.get('/api/groups/registry')
+      .then(res => res.data)
+      .catch(error => {
+        registryRequest = null;
+        throw error;
+      });
+  }
+  return registryRequest;
+}
+
+/**
+ * Hook returning the registry groups (ordered left to right) and a resolver.
+ * Until the registry has loaded every group resolves to UNKNOWN_GROUP.
+ */
+export function useGroupRegistry() {
+  const [groups, setGroups] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchGroupRegistry()
+      .then(data => { if (!cancelled) setGroups(data); })
+      .catch(error => console.error('Error fetching group registry:', error));
+    return () => { cancelled = true; };
+  }, []);
+
+  const resolveGroup = useMemo(() => createGroupResolver(groups, UNKNOWN_GROUP), [groups]);
+
+  return { groups, resolveGroup };
+}
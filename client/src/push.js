@@ -0,0 +1,56 @@
+import { accountApi } from './account';
+
+/**
+ * Web Push subscription of this browser. The service worker in public/sw.js shows the
+ * digests; the subscription is registered with the server so digests reach this device.
+ */
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export function pushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+function decodeKey(base64url) {
+  const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function currentSubscription() {
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Whether this browser is subscribed
+ */
+export async function isPushSubscribed() {
+  return pushSupported() && Boolean(await currentSubscription());
+}
+
+/**
+ * Ask for permission, subscribe this browser and register it with the server
+ */
+export async function subscribePush(publicKey) {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site in your browser settings');
+  }
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: decodeKey(publicKey) });
+  await accountApi.post('/notifications/push-subscriptions', subscription.toJSON());
+}
+
+/**
+ * Unsubscribe this browser and forget it on the server
+ */
+export async function unsubscribePush() {
+  const subscription = await currentSubscription();
+  if (!subscription) return;
+  await accountApi.delete('/notifications/push-subscriptions', { data: { endpoint: subscription.endpoint } });
+  await subscription.unsubscribe();
+}
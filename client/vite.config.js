@@ -1,10 +1,22 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { fileURLToPath } from 'url';
+
+// Modules shared with the server (e.g. the PCA engine) live in the repository's shared/ directory
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url));
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@shared': sharedDir
+    }
+  },
   server: {
     port: 3000,
+    fs: {
+      allow: ['.', sharedDir]
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5001',
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Manage admin API keys (see server/adminAuth.js)
+ *
+ * Usage:
+ *   npm run admin-keys -- create <name> <roles>   # roles: editor, operator or editor,operator
+ *   npm run admin-keys -- list
+ *   npm run admin-keys -- revoke <id>
+ *
+ * A new key is printed once; only its hash is stored.
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { ADMIN_ROLES, generateApiKey, hashApiKey } from '../server/adminAuth.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgres://localhost/eulens'
+});
+
+async function createKey(name, rolesArg) {
+  const roles = (rolesArg || '').split(',').map(r => r.trim()).filter(Boolean);
+  if (!name || roles.length === 0 || roles.some(r => !ADMIN_ROLES.includes(r))) {
+    throw new Error(`Usage: create <name> <roles>, with roles from: ${ADMIN_ROLES.join(', ')}`);
+  }
+
+  const key = generateApiKey();
+  const result = await pool.query(
+    `INSERT INTO admin_api_keys (name, key_prefix, key_hash, roles)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [name, key.slice(0, 10), hashApiKey(key), roles]
+  );
+
+  console.log(`✅ Created key ${result.rows[0].id} for ${name} (${roles.join(', ')})`);
+  console.log(`\n   ${key}\n`);
+  console.log('⚠️  Store it now: it cannot be shown again.');
+}
+
+async function listKeys() {
+  const result = await pool.query(`
+    SELECT id, name, key_prefix, roles, created_at, last_used_at, revoked_at
+    FROM admin_api_keys
+    ORDER BY id
+  `);
+  if (result.rows.length === 0) {
+    console.log('No admin API keys yet. Create one with: npm run admin-keys -- create <name> <roles>');
+    return;
+  }
+  for (const key of result.rows) {
+    const status = key.revoked_at ? `revoked ${key.revoked_at.toISOString().slice(0, 10)}` : 'active';
+    const lastUsed = key.last_used_at ? key.last_used_at.toISOString().slice(0, 16).replace('T', ' ') : 'never';
+    console.log(`  ${key.id}. ${key.name} [${key.roles.join(', ')}] ${key.key_prefix}… ${status}, last used ${lastUsed}`);
+  }
+}
+
+async function revokeKey(id) {
+  const result = await pool.query(
+    'UPDATE admin_api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING name',
+    [parseInt(id, 10)]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`No active key with id ${id}`);
+  }
+  console.log(`✅ Revoked key ${id} (${result.rows[0].name})`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'create') {
+      await createKey(...args);
+    } else if (command === 'list') {
+      await listKeys();
+    } else if (command === 'revoke') {
+      await revokeKey(args[0]);
+    } else {
+      console.error(`Unknown command: ${command} (expected create, list or revoke)`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
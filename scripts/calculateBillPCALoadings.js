@@ -1,5 +1,7 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { computePCA } from '../shared/pca.js';
+import { planStep, markProcessed, isFullRun } from '../server/pipelineChanges.js';
 
 dotenv.config();
 
@@ -8,50 +10,18 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL || 'postgres://localhost/eulens'
 });
 
-// Simple PCA computation for first component
-function computePC1(data) {
-  const n = data.length;
-  if (n === 0) return null;
-  
-  const m = data[0].length;
-  
-  // Center the data
-  const means = new Array(m).fill(0);
-  for (let j = 0; j < m; j++) {
-    for (let i = 0; i < n; i++) {
-      means[j] += data[i][j];
-    }
-    means[j] /= n;
-  }
-  
-  const centered = data.map(row => row.map((val, j) => val - means[j]));
-  
-  // Power iteration for first principal component
-  let pc = new Array(m).fill(1);
-  let norm = Math.sqrt(pc.reduce((sum, v) => sum + v * v, 0));
-  pc = pc.map(v => v / norm);
-  
-  for (let iter = 0; iter < 100; iter++) {
-    const xpc = centered.map(row => row.reduce((sum, v, j) => sum + v * pc[j], 0));
-    const newPc = new Array(m).fill(0);
-    for (let j = 0; j < m; j++) {
-      for (let i = 0; i < n; i++) {
-        newPc[j] += centered[i][j] * xpc[i];
-      }
-    }
-    
-    norm = Math.sqrt(newPc.reduce((sum, v) => sum + v * v, 0));
-    if (norm < 1e-10) break;
-    pc = newPc.map(v => v / norm);
-  }
-  
-  return pc;
-}
+// Pipeline step name and the change set inputs it depends on. The PCA needs every
+// question's votes, so it is recomputed in full whenever the questions or their votes
+// changed and skipped otherwise; pass --full to always recompute.
+const STEP = 'pca-loadings';
+const INPUTS = ['votes', 'vaa_questions'];
 
 async function calculateBillLoadings() {
   console.log('📊 Calculating PCA Loadings for Bills\n');
   
   try {
+    const plan = await planStep(pool, STEP, INPUTS, { full: isFullRun() });
+    
     // Get all bills that have VAA questions
     const billsResult = await pool.query(`
       SELECT DISTINCT b.id, b.eu_id
@@ -63,7 +33,19 @@ async function calculateBillLoadings() {
     const billIds = billsResult.rows.map(r => r.id);
     console.log(`Found ${billIds.length} bills with VAA questions\n`);
     
+    // Vote changes only matter for bills that have a question
+    const affected = plan.changes.vaa_questions.size > 0 ||
+      billIds.some(id => plan.changes.votes.has(id));
+    if (plan.mode === 'skip' || (plan.mode === 'incremental' && !affected)) {
+      await markProcessed(pool, plan, 'skip');
+      console.log('✅ No changes to the VAA questions or their votes, order is up to date');
+      await pool.end();
+      return;
+    }
+    console.log(`Mode: ${plan.mode} (${plan.reason})\n`);
+    
     if (billIds.length === 0) {
+      await markProcessed(pool, plan);
       console.log('No bills with VAA questions found.');
       await pool.end();
       return;
@@ -128,49 +110,43 @@ async function calculateBillLoadings() {
     
     console.log(`Processing ${meps.length} MEPs and ${bills.length} bills\n`);
     
-    // Build data matrix: each row is an MEP, each column is a bill
+    // Build data matrix: each row is an MEP, each column is a bill (null = did not vote)
     const data = meps.map(mepId => {
       return bills.map(billId => {
-        return voteMap[mepId][billId] || 0;
+        return voteMap[mepId][billId] ?? null;
       });
     });
     
     // Compute PC1
-    const pc1 = computePC1(data);
+    const { components, projections, means, converged, iterations } = computePCA(data, 1);
     
-    if (!pc1) {
+    if (components.length === 0) {
       console.log('Failed to compute PC1');
       await pool.end();
       return;
     }
-    
-    // Calculate means for centering
-    const means = new Array(bills.length).fill(0);
-    for (let j = 0; j < bills.length; j++) {
-      for (let i = 0; i < meps.length; i++) {
-        means[j] += data[i][j];
-      }
-      means[j] /= meps.length;
+    if (!converged) {
+      console.log(`⚠️ PC1 did not converge after ${iterations} iterations\n`);
     }
     
-    // Project all MEPs onto PC1
-    const pc1Projection = data.map(row => 
-      row.reduce((sum, v, j) => sum + (v - means[j]) * pc1[j], 0)
-    );
+    const pc1Projection = projections.map(p => p[0]);
     
-    // Calculate loadings: correlation between each bill and PC1
+    // Calculate loadings: correlation between each bill and PC1, over the MEPs who voted on it
     const loadings = bills.map((billId, idx) => {
-      const billVotes = data.map(row => row[idx]);
+      const voters = data.map((row, i) => i).filter(i => data[i][idx] !== null);
       const mean = means[idx];
-      const centered = billVotes.map(v => v - mean);
+      const centered = voters.map(i => data[i][idx] - mean);
+      if (voters.length === 0) return { billId, loading: 0 };
+      const projectionMean = voters.reduce((sum, i) => sum + pc1Projection[i], 0) / voters.length;
+      const voterProjection = voters.map(i => pc1Projection[i] - projectionMean);
       
       // Correlation
       const billStd = Math.sqrt(centered.reduce((sum, v) => sum + v * v, 0) / centered.length);
-      const pc1Std = Math.sqrt(pc1Projection.reduce((sum, v) => sum + v * v, 0) / pc1Projection.length);
+      const pc1Std = Math.sqrt(voterProjection.reduce((sum, v) => sum + v * v, 0) / voterProjection.length);
       
       if (billStd === 0 || pc1Std === 0) return { billId, loading: 0 };
       
-      const covariance = centered.reduce((sum, v, i) => sum + v * pc1Projection[i], 0) / centered.length;
+      const covariance = centered.reduce((sum, v, i) => sum + v * voterProjection[i], 0) / centered.length;
       const correlation = covariance / (billStd * pc1Std);
       
       return { billId, loading: correlation || 0 };
@@ -195,6 +171,8 @@ async function calculateBillLoadings() {
       }
     }
     
+    await markProcessed(pool, plan);
+    
     console.log('\n' + '='.repeat(50));
     console.log(`✅ Complete!`);
     console.log(`   Ordered ${loadings.length} questions by PC1 loading`);
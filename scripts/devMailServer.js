@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Local SMTP stand-in for development and tests
+ *
+ * Accepts every message sent to it, without authentication or TLS, and writes each one to
+ * MAIL_DIR as a .eml file. Links in the message body are printed, so a login link can be
+ * followed straight from the terminal, and tests can read the mailbox directory.
+ *
+ * Usage:
+ *   npm run mail-server                         # listens on localhost:1025, writes to .mail/
+ *   MAIL_SERVER_PORT=2525 MAIL_DIR=/tmp/mail npm run mail-server
+ *
+ * Point the API at it with SMTP_URL=smtp://localhost:1025 (the default).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SMTPServer } from 'smtp-server';
+
+const port = parseInt(process.env.MAIL_SERVER_PORT) || 1025;
+const mailDir = path.resolve(process.env.MAIL_DIR || '.mail');
+
+fs.mkdirSync(mailDir, { recursive: true });
+
+function header(message, name) {
+  const match = message.match(new RegExp(`^${name}: (.*)$`, 'mi'));
+  return match ? match[1].trim() : '';
+}
+
+const server = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  logger: false,
+  onData(stream, session, callback) {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      const message = Buffer.concat(chunks).toString('utf8');
+      const recipients = session.envelope.rcptTo.map(rcpt => rcpt.address);
+      const file = path.join(mailDir, `${Date.now()}-${recipients[0].replace(/[^A-Za-z0-9@._-]/g, '_')}.eml`);
+      fs.writeFileSync(file, message);
+
+      // Undo quoted-printable soft line breaks so long links print whole
+      const body = message.replace(/=\r?\n/g, '').replace(/=3D/g, '=');
+      const links = [...new Set(body.match(/https?:\/\/[^\s"<>]+/g) || [])];
+
+      console.log(`📨 ${recipients.join(', ')}: ${header(message, 'Subject')}`);
+      for (const link of links) console.log(`   🔗 ${link}`);
+      console.log(`   → ${file}`);
+      callback();
+    });
+  }
+});
+
+server.on('error', error => console.error('❌ Mail server error:', error.message));
+
+server.listen(port, () => {
+  console.log(`📬 Local SMTP stand-in listening on localhost:${port}`);
+  console.log(`   Messages are written to ${mailDir}`);
+});
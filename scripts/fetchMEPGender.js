@@ -186,14 +186,6 @@ async function updateMEPGender() {
   console.log('========================================\n');
   
   try {
-    // First, ensure gender column exists
-    try {
-      await pool.query('ALTER TABLE meps ADD COLUMN IF NOT EXISTS gender VARCHAR(10)');
-      console.log('✓ Gender column exists in database');
-    } catch (error) {
-      console.error('Error adding gender column:', error.message);
-    }
-    
     // Fetch gender data from official source
     const genderMap = await fetchMEPGenderFromOfficialSource();
     
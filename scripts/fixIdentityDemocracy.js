@@ -1,17 +1,21 @@
 /**
  * Fix Identity and Democracy group references in database
- * 
+ *
  * ID was dissolved in the 10th legislature. This script:
- * 1. Finds all references to Identity and Democracy
- * 2. Updates votes table to map ID to appropriate replacement groups
- * 3. Updates meps table if needed
- * 
+ * 1. Normalises group names stored under an alias to their canonical registry name
+ * 2. Finds all references to Identity and Democracy
+ * 3. Re-attributes ID votes and MEPs from mep_group_memberships (the group held on the vote date)
+ * 4. Maps anything left without membership history to a replacement group
+ *
+ * Group names and aliases come from the political_groups registry.
+ *
  * Note: Most ID MEPs joined Patriots for Europe (PfE) or Europe of Sovereign Nations (ESN)
- * We'll map to PfE as the primary replacement, but you may want to manually review.
+ * We'll map to PfE as the fallback replacement, but you may want to manually review.
  */
 
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { loadGroupRegistry } from '../server/groupRegistry.js';
 
 dotenv.config();
 
@@ -20,24 +24,53 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL || 'postgres://localhost/eulens'
 });
 
+// Registry codes of the dissolved group and its fallback replacement
+const DISSOLVED_GROUP = 'ID';
+const REPLACEMENT_GROUP = 'PFE';
+
 async function fixIdentityDemocracy() {
   console.log('🔧 Fixing Identity and Democracy references...\n');
 
   try {
+    const registry = await loadGroupRegistry(pool);
+    const idGroup = registry.find(g => g.code === DISSOLVED_GROUP);
+    const pfeGroup = registry.find(g => g.code === REPLACEMENT_GROUP);
+    if (!idGroup || !pfeGroup) {
+      throw new Error(`Groups ${DISSOLVED_GROUP} and ${REPLACEMENT_GROUP} must exist in political_groups`);
+    }
+
+    // Normalise alias spellings (e.g. "Patriots for Europe Group") to canonical names
+    let normalised = 0;
+    for (const group of registry) {
+      const aliases = group.aliases.map(a => a.toLowerCase());
+      const votes = await pool.query(
+        'UPDATE votes SET mep_group = $1 WHERE LOWER(mep_group) = ANY($2) AND mep_group <> $1',
+        [group.name, aliases]
+      );
+      const meps = await pool.query(
+        'UPDATE meps SET political_group = $1 WHERE LOWER(political_group) = ANY($2) AND political_group <> $1',
+        [group.name, aliases]
+      );
+      normalised += votes.rowCount + meps.rowCount;
+    }
+    if (normalised > 0) {
+      console.log(`✅ Normalised ${normalised} group names to their registry names\n`);
+    }
+
     // First, check what we have
     const checkVotes = await pool.query(`
-      SELECT DISTINCT mep_group, COUNT(*) as count
+      SELECT mep_group, COUNT(*) as count
       FROM votes
-      WHERE LOWER(mep_group) LIKE '%identity%' OR LOWER(mep_group) LIKE '%democracy%'
+      WHERE mep_group = $1
       GROUP BY mep_group
-    `);
+    `, [idGroup.name]);
 
     const checkMeps = await pool.query(`
-      SELECT DISTINCT political_group, COUNT(*) as count
+      SELECT political_group, COUNT(*) as count
       FROM meps
-      WHERE LOWER(political_group) LIKE '%identity%' OR LOWER(political_group) LIKE '%democracy%'
+      WHERE political_group = $1
       GROUP BY political_group
-    `);
+    `, [idGroup.name]);
 
     console.log('Found in votes table:');
     checkVotes.rows.forEach(row => {
@@ -51,73 +84,60 @@ async function fixIdentityDemocracy() {
 
     if (checkVotes.rows.length === 0 && checkMeps.rows.length === 0) {
       console.log('\n✅ No Identity and Democracy references found. Database is clean!');
-      
-      // Check if there are any "Patriots for Europe Group" that should be "Patriots for Europe"
-      const checkWrongPfE = await pool.query(`
-        SELECT DISTINCT mep_group, COUNT(*) as count
-        FROM votes
-        WHERE mep_group = 'Patriots for Europe Group'
-        GROUP BY mep_group
-      `);
-      
-      if (checkWrongPfE.rows.length > 0) {
-        console.log('\n🔧 Fixing "Patriots for Europe Group" to "Patriots for Europe"...');
-        const fixPfE = await pool.query(`
-          UPDATE votes
-          SET mep_group = 'Patriots for Europe'
-          WHERE mep_group = 'Patriots for Europe Group'
-        `);
-        console.log(`✅ Updated ${fixPfE.rowCount} votes to correct name`);
-      }
-      
-      await pool.end();
       return;
     }
 
-    // Update votes table - map ID to PfE (Patriots for Europe)
-    // Check what the actual name is in the database first
-    const checkPfE = await pool.query(`
-      SELECT DISTINCT mep_group 
-      FROM votes 
-      WHERE LOWER(mep_group) LIKE '%patriot%' 
-      LIMIT 1
-    `);
-    
-    const pfeName = checkPfE.rows.length > 0 ? checkPfE.rows[0].mep_group : 'Patriots for Europe';
-    console.log(`\nUsing group name: "${pfeName}"`);
-
-    // Update votes table
-    const updateVotes = await pool.query(`
-      UPDATE votes
-      SET mep_group = $1
-      WHERE LOWER(mep_group) LIKE '%identity%' 
-        AND LOWER(mep_group) LIKE '%democracy%'
-    `, [pfeName]);
-
-    console.log(`✅ Updated ${updateVotes.rowCount} votes from ID to ${pfeName}`);
-
-    // Update meps table
-    const updateMeps = await pool.query(`
-      UPDATE meps
-      SET political_group = $1
-      WHERE LOWER(political_group) LIKE '%identity%' 
-        AND LOWER(political_group) LIKE '%democracy%'
-    `, [pfeName]);
-
-    console.log(`✅ Updated ${updateMeps.rowCount} MEPs from ID to ${pfeName}`);
+    // Re-attribute from membership history first, so MEPs who moved to ESN or NI
+    // keep their actual group instead of being lumped into PfE
+    const historyVotes = await pool.query(`
+      UPDATE votes v
+      SET mep_group = gm.group_name
+      FROM bills b, mep_group_memberships gm
+      WHERE v.bill_id = b.id
+        AND gm.mep_id = v.mep_id
+        AND b.date_adopted >= gm.start_date
+        AND (gm.end_date IS NULL OR b.date_adopted <= gm.end_date)
+        AND v.mep_group = $1
+        AND gm.group_name <> $1
+    `, [idGroup.name]);
+    console.log(`\n✅ Re-attributed ${historyVotes.rowCount} votes from group membership history`);
+
+    const historyMeps = await pool.query(`
+      UPDATE meps m
+      SET political_group = gm.group_name
+      FROM mep_group_memberships gm
+      WHERE gm.mep_id = m.mep_id
+        AND gm.end_date IS NULL
+        AND m.political_group = $1
+        AND gm.group_name <> $1
+    `, [idGroup.name]);
+    console.log(`✅ Re-attributed ${historyMeps.rowCount} MEPs from group membership history`);
+
+    // Map the remaining ID references to the replacement group
+    console.log(`\nUsing group name: "${pfeGroup.name}"`);
+
+    const updateVotes = await pool.query(
+      'UPDATE votes SET mep_group = $1 WHERE mep_group = $2',
+      [pfeGroup.name, idGroup.name]
+    );
+    console.log(`✅ Updated ${updateVotes.rowCount} votes from ID to ${pfeGroup.name}`);
+
+    const updateMeps = await pool.query(
+      'UPDATE meps SET political_group = $1 WHERE political_group = $2',
+      [pfeGroup.name, idGroup.name]
+    );
+    console.log(`✅ Updated ${updateMeps.rowCount} MEPs from ID to ${pfeGroup.name}`);
 
     // Verify the fix
-    const verifyVotes = await pool.query(`
-      SELECT COUNT(*) as count
-      FROM votes
-      WHERE LOWER(mep_group) LIKE '%identity%' OR LOWER(mep_group) LIKE '%democracy%'
-    `);
-
-    const verifyMeps = await pool.query(`
-      SELECT COUNT(*) as count
-      FROM meps
-      WHERE LOWER(political_group) LIKE '%identity%' OR LOWER(political_group) LIKE '%democracy%'
-    `);
+    const verifyVotes = await pool.query(
+      'SELECT COUNT(*) as count FROM votes WHERE mep_group = $1',
+      [idGroup.name]
+    );
+
+    const verifyMeps = await pool.query(
+      'SELECT COUNT(*) as count FROM meps WHERE political_group = $1',
+      [idGroup.name]
+    );
 
     if (verifyVotes.rows[0].count === '0' && verifyMeps.rows[0].count === '0') {
       console.log('\n✅ All Identity and Democracy references have been fixed!');
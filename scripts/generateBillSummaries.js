@@ -1,6 +1,7 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { planStep, markProcessed, recordChangeSet } from '../server/pipelineChanges.js';
 
 dotenv.config();
 
@@ -15,6 +16,11 @@ const MODEL = 'gemini-2.5-flash';
 const BATCH_SIZE = 5; // Process 5 bills at a time
 const DELAY_BETWEEN_BATCHES = 2000; // 2 seconds between batches
 
+// Pipeline step name and the change set inputs it depends on. Bills without a summary are
+// always processed; bills whose text changed since the last run are summarized again.
+const STEP = 'bill-summaries';
+const INPUTS = ['bill_texts'];
+
 async function fetchBillFullText(bill) {
   // Try to fetch more context from HowTheyVote API
   try {
@@ -138,7 +144,12 @@ async function main() {
     process.exit(1);
   }
 
-  // Get bills without summaries, ordered by vote variance (most divisive first = most important for PCA)
+  const plan = await planStep(pool, STEP, INPUTS);
+  const changedBillIds = [...plan.changes.bill_texts];
+  console.log(`Mode: ${plan.mode} (${plan.reason})`);
+
+  // Get bills without summaries or whose text changed, ordered by vote variance
+  // (most divisive first = most important for PCA)
   const result = await pool.query(`
     WITH bill_stats AS (
       SELECT 
@@ -166,14 +177,15 @@ async function main() {
     FROM bills b
     LEFT JOIN bill_summaries bs ON b.id = bs.bill_id
     LEFT JOIN bill_variance bv ON b.id = bv.bill_id
-    WHERE bs.id IS NULL
+    WHERE bs.id IS NULL OR b.id = ANY($1)
     ORDER BY bv.vote_variance DESC NULLS LAST, bv.total_votes DESC NULLS LAST
-  `);
+  `, [changedBillIds]);
 
   const bills = result.rows;
-  console.log(`Found ${bills.length} bills without summaries\n`);
+  console.log(`Found ${bills.length} bills without an up-to-date summary\n`);
 
   if (bills.length === 0) {
+    await markProcessed(pool, plan);
     console.log('✅ All bills have summaries!');
     await pool.end();
     return;
@@ -182,6 +194,9 @@ async function main() {
   let processed = 0;
   let successful = 0;
   let failed = 0;
+  const summarized = [];
+  // Changed bills that keep their outdated summary are retried on the next run
+  const retry = [];
 
   for (let i = 0; i < bills.length; i += BATCH_SIZE) {
     const batch = bills.slice(i, i + BATCH_SIZE);
@@ -198,12 +213,15 @@ async function main() {
         const saved = await saveSummary(bill.id, summary);
         if (saved) {
           successful++;
+          summarized.push(bill.id);
           console.log(`    ✓ Summary generated`);
         } else {
           failed++;
+          retry.push(bill.id);
         }
       } else {
         failed++;
+        retry.push(bill.id);
       }
     }
     
@@ -214,6 +232,12 @@ async function main() {
     }
   }
 
+  await recordChangeSet(pool, STEP, {
+    summaries: summarized,
+    bill_texts: retry.filter(id => changedBillIds.includes(id))
+  });
+  await markProcessed(pool, plan);
+
   console.log('\n' + '='.repeat(50));
   console.log(`✅ Complete!`);
   console.log(`   Processed: ${processed}`);
@@ -1,5 +1,6 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { planStep, markProcessed, recordChangeSet, isFullRun } from '../server/pipelineChanges.js';
 
 dotenv.config();
 
@@ -8,23 +9,43 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL || 'postgres://localhost/eulens'
 });
 
+// Pipeline step name and the change set inputs it depends on. Only summaries generated
+// since the last run are checked for new questions; pass --full to check every summary.
+const STEP = 'vaa-questions';
+const INPUTS = ['summaries'];
+
 async function generateVAAQuestions() {
   console.log('📝 Generating VAA Questions from Bill Summaries\n');
 
   try {
-    // Get all bills with summaries that have VAA questions
+    const plan = await planStep(pool, STEP, INPUTS, { full: isFullRun() });
+    console.log(`Mode: ${plan.mode} (${plan.reason})\n`);
+    if (plan.mode === 'skip') {
+      await markProcessed(pool, plan);
+      console.log('✅ No new summaries, nothing to do');
+      await pool.end();
+      return;
+    }
+
+    // Get bills with summaries that have VAA questions
     const result = await pool.query(`
       SELECT bs.bill_id, bs.vaa_question, b.title, b.category
       FROM bill_summaries bs
       JOIN bills b ON bs.bill_id = b.id
       WHERE bs.vaa_question IS NOT NULL AND bs.vaa_question != ''
+        AND ($1::int[] IS NULL OR bs.bill_id = ANY($1))
       ORDER BY b.date_adopted DESC
-    `);
+    `, [plan.mode === 'incremental' ? [...plan.changes.summaries] : null]);
 
     console.log(`Found ${result.rows.length} bills with VAA questions\n`);
 
+    // New questions go after the existing ones
+    const orderResult = await pool.query('SELECT COALESCE(MAX(display_order), 0) as max_order FROM vaa_questions');
+    const firstOrder = orderResult.rows[0].max_order + 1;
+
     let inserted = 0;
     let skipped = 0;
+    const billIds = [];
 
     for (const row of result.rows) {
       // Check if question already exists
@@ -46,15 +67,19 @@ async function generateVAAQuestions() {
         row.bill_id,
         row.vaa_question,
         row.category || 'General',
-        inserted + 1
+        firstOrder + inserted
       ]);
 
       inserted++;
+      billIds.push(row.bill_id);
       if (inserted % 10 === 0) {
         console.log(`  Processed ${inserted} questions...`);
       }
     }
 
+    await recordChangeSet(pool, STEP, { vaa_questions: billIds });
+    await markProcessed(pool, plan);
+
     console.log('\n' + '='.repeat(50));
     console.log(`✅ Complete!`);
     console.log(`   Inserted: ${inserted} new questions`);
@@ -35,10 +35,6 @@ async function importGenderFromCSV(csvFilePath) {
   }
   
   try {
-    // Ensure gender column exists
-    await pool.query('ALTER TABLE meps ADD COLUMN IF NOT EXISTS gender VARCHAR(10)');
-    console.log('✓ Gender column exists in database\n');
-    
     // Read and parse CSV
     console.log(`Reading CSV file: ${csvFilePath}`);
     const csvContent = fs.readFileSync(csvFilePath, 'utf-8');
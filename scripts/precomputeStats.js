@@ -2,10 +2,21 @@
 /**
  * Pre-compute all heavy statistics and save to database
  * This runs weekly after data updates to make the frontend fast
+ *
+ * Runs are planned from the change sets recorded by updateData.js: when no bills, votes
+ * or MEPs changed since the last run nothing is recomputed, and otherwise only the named
+ * time windows containing changed votes are refreshed. Pass --full to recompute everything.
  */
 
 import dotenv from 'dotenv';
 import pg from 'pg';
+import {
+  GROUP_REGISTRY_JOIN, WINDOWED_STATS, computeMEPPCA, topBillLoadings, enrichBillLoadings,
+  computePartyAgreement, computePartyCohesion, alignToReference
+} from '../server/statsQueries.js';
+import { listStatsWindows, listRollingWindows } from '../server/statsWindows.js';
+import { estimateIdealPoints } from '../server/idealPoints.js';
+import { planStep, markProcessed, isFullRun } from '../server/pipelineChanges.js';
 
 dotenv.config();
 
@@ -16,77 +27,12 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// ============================================
-// PCA COMPUTATION
-// ============================================
+// The whole legislature; named windows are listed by listStatsWindows()
+const ALL_TIME = { key: 'all', from: null, to: null };
 
-function computePCA(data, numComponents = 3) {
-  const n = data.length;
-  if (n === 0) return { projections: [], variance: [], components: [] };
-  
-  const m = data[0].length;
-  
-  // Center the data
-  const means = new Array(m).fill(0);
-  for (let j = 0; j < m; j++) {
-    for (let i = 0; i < n; i++) {
-      means[j] += data[i][j];
-    }
-    means[j] /= n;
-  }
-  
-  const centered = data.map(row => row.map((val, j) => val - means[j]));
-  
-  const components = [];
-  const variances = [];
-  let currentData = centered.map(row => [...row]);
-  
-  for (let comp = 0; comp < numComponents; comp++) {
-    // Power iteration with deterministic init
-    let pc = new Array(m).fill(1);
-    let norm = Math.sqrt(pc.reduce((sum, v) => sum + v * v, 0));
-    pc = pc.map(v => v / norm);
-    
-    for (let iter = 0; iter < 100; iter++) {
-      const xpc = currentData.map(row => row.reduce((sum, v, j) => sum + v * pc[j], 0));
-      const newPc = new Array(m).fill(0);
-      for (let j = 0; j < m; j++) {
-        for (let i = 0; i < n; i++) {
-          newPc[j] += currentData[i][j] * xpc[i];
-        }
-      }
-      
-      norm = Math.sqrt(newPc.reduce((sum, v) => sum + v * v, 0));
-      if (norm < 1e-10) break;
-      pc = newPc.map(v => v / norm);
-    }
-    
-    // Sign convention for consistency
-    const sum = pc.reduce((a, b) => a + b, 0);
-    if (sum > 0) pc = pc.map(v => -v);
-    
-    components.push(pc);
-    
-    const projections = currentData.map(row => row.reduce((sum, v, j) => sum + v * pc[j], 0));
-    const variance = projections.reduce((sum, v) => sum + v * v, 0) / n;
-    variances.push(variance);
-    
-    // Deflate
-    for (let i = 0; i < n; i++) {
-      const proj = projections[i];
-      for (let j = 0; j < m; j++) {
-        currentData[i][j] -= proj * pc[j];
-      }
-    }
-  }
-  
-  // Final projections
-  const projections = centered.map(row => {
-    return components.map(pc => row.reduce((sum, v, j) => sum + v * pc[j], 0));
-  });
-  
-  return { projections, variance: variances, components, means };
-}
+// Pipeline step name and the change set inputs it depends on
+const STEP = 'precompute-stats';
+const INPUTS = ['bills', 'votes', 'vote_dates', 'meps', 'memberships'];
 
 // ============================================
 // MAIN PRE-COMPUTATION
@@ -97,15 +43,13 @@ async function precomputeAll() {
   const startTime = Date.now();
   
   try {
-    // Ensure metadata table exists
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS metadata (
-        key VARCHAR(255) PRIMARY KEY,
-        value TEXT,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('📋 Metadata table ready');
+    const plan = await planStep(pool, STEP, INPUTS, { full: isFullRun() });
+    console.log(`Mode: ${plan.mode} (${plan.reason})\n`);
+    if (plan.mode === 'skip') {
+      await markProcessed(pool, plan);
+      console.log('✅ Statistics are up to date, nothing to recompute');
+      return;
+    }
     
     // 1. Pre-compute MEP PCA coordinates
     await precomputeMEPPCA();
@@ -122,12 +66,22 @@ async function precomputeAll() {
     // 5. Pre-compute group statistics
     await precomputeGroupStats();
     
-    // 6. Update metadata
+    // 6. Pre-compute statistics per named time window
+    await precomputeStatsWindows(plan);
+    
+    // 7. Pre-compute aligned PCA trajectories over rolling windows
+    await precomputePCATrajectories();
+    
+    // 8. Estimate ideal points (Bayesian IRT) with uncertainty and bill cut lines
+    await precomputeIdealPoints();
+    
+    // 9. Update metadata
     await pool.query(`
       INSERT INTO metadata (key, value, updated_at)
       VALUES ('last_precompute', $1, NOW())
       ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()
     `, [new Date().toISOString()]);
+    await markProcessed(pool, plan);
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`\n✅ All pre-computations complete in ${duration}s`);
@@ -145,30 +99,8 @@ async function precomputeAll() {
 async function precomputeMEPPCA() {
   console.log('📊 Computing MEP PCA coordinates...');
   
-  // Ensure columns exist
-  await pool.query(`
-    ALTER TABLE meps ADD COLUMN IF NOT EXISTS pca_x FLOAT;
-    ALTER TABLE meps ADD COLUMN IF NOT EXISTS pca_y FLOAT;
-    ALTER TABLE meps ADD COLUMN IF NOT EXISTS pca_z FLOAT;
-  `);
-  
-  // Get all MEPs with their votes
-  const mepsResult = await pool.query(`
-    SELECT DISTINCT m.mep_id, m.political_group
-    FROM meps m
-    JOIN votes v ON v.mep_id = m.mep_id
-    WHERE m.is_active = true
-  `);
-  
-  const billsResult = await pool.query(`
-    SELECT DISTINCT b.id as bill_id
-    FROM bills b
-    JOIN votes v ON v.bill_id = b.id
-    ORDER BY b.id
-  `);
-  
-  const meps = mepsResult.rows;
-  const billIds = billsResult.rows.map(r => r.bill_id);
+  const { meps, billIds, projections, variance, explainedVariance, components, means, iterations, converged } =
+    await computeMEPPCA(pool, ALL_TIME, { activeOnly: true });
   
   console.log(`  Found ${meps.length} MEPs and ${billIds.length} bills`);
   
@@ -177,38 +109,11 @@ async function precomputeMEPPCA() {
     return;
   }
   
-  // Get all votes at once
-  const votesResult = await pool.query(`
-    SELECT mep_id, bill_id, vote FROM votes
-  `);
-  
-  // Build vote lookup
-  const voteMap = {};
-  for (const v of votesResult.rows) {
-    if (!voteMap[v.mep_id]) voteMap[v.mep_id] = {};
-    voteMap[v.mep_id][v.bill_id] = v.vote === 'yes' ? 1 : v.vote === 'no' ? -1 : 0;
-  }
-  
-  // Build matrix
-  const billIdToIdx = {};
-  billIds.forEach((id, idx) => billIdToIdx[id] = idx);
-  
-  const matrix = meps.map(mep => {
-    const row = new Array(billIds.length).fill(0);
-    const mepVotes = voteMap[mep.mep_id] || {};
-    for (const [billId, vote] of Object.entries(mepVotes)) {
-      const idx = billIdToIdx[parseInt(billId)];
-      if (idx !== undefined) row[idx] = vote;
-    }
-    return row;
-  });
-  
-  // Compute PCA
-  const { projections, variance, components, means } = computePCA(matrix, 3);
-  
   // Save coordinates
-  const totalVariance = variance.reduce((a, b) => a + b, 0);
-  console.log(`  Variance explained: ${variance.map(v => ((v/totalVariance)*100).toFixed(1) + '%').join(', ')}`);
+  console.log(`  Variance explained: ${explainedVariance.map(v => (v * 100).toFixed(1) + '%').join(', ')}`);
+  if (!converged) {
+    console.log(`  ⚠️ PCA did not converge after ${iterations} iterations`);
+  }
   
   // Batch update
   for (let i = 0; i < meps.length; i++) {
@@ -224,6 +129,12 @@ async function precomputeMEPPCA() {
     ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()
   `, [JSON.stringify(variance)]);
   
+  await pool.query(`
+    INSERT INTO metadata (key, value, updated_at)
+    VALUES ('pca_explained_variance', $1, NOW())
+    ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()
+  `, [JSON.stringify(explainedVariance)]);
+  
   // Save PCA components (eigenvectors) for projecting new data (e.g., VAA user)
   // Also save the means for centering
   await pool.query(`
@@ -234,28 +145,7 @@ async function precomputeMEPPCA() {
   
   // Save bill loadings for interpretation
   // We need to save enough bills so frontend can display 3 positive and 3 negative per axis
-  const topBillsPerAxis = [];
-  for (let axis = 0; axis < 3; axis++) {
-    const loadings = components[axis].map((loading, idx) => ({
-      billId: billIds[idx],
-      loading
-    }));
-    
-    // Get top 5 positive loadings (highest first)
-    const positive = loadings
-      .filter(l => l.loading > 0)
-      .sort((a, b) => b.loading - a.loading)
-      .slice(0, 5);
-    
-    // Get top 5 negative loadings (most negative first)
-    const negative = loadings
-      .filter(l => l.loading < 0)
-      .sort((a, b) => a.loading - b.loading)
-      .slice(0, 5);
-    
-    // Combine and keep the format expected by frontend (both positive and negative in one array)
-    topBillsPerAxis.push([...positive, ...negative]);
-  }
+  const topBillsPerAxis = topBillLoadings(components, billIds);
   
   await pool.query(`
     INSERT INTO metadata (key, value, updated_at)
@@ -273,50 +163,15 @@ async function precomputeMEPPCA() {
 async function precomputePartyAgreement() {
   console.log('🤝 Computing party agreement matrix...');
   
-  const result = await pool.query(`
-    WITH party_votes AS (
-      SELECT 
-        bill_id,
-        CASE 
-          WHEN mep_group LIKE '%People''s Party%' THEN 'EPP'
-          WHEN mep_group LIKE '%Socialist%' THEN 'S&D'
-          WHEN mep_group LIKE '%Renew%' THEN 'Renew'
-          WHEN mep_group LIKE '%Green%' THEN 'Greens/EFA'
-          WHEN mep_group LIKE '%Conservative%' THEN 'ECR'
-          WHEN mep_group LIKE '%Left%' THEN 'The Left'
-          WHEN mep_group LIKE '%Patriot%' THEN 'PfE'
-          WHEN mep_group LIKE '%Sovereign%' THEN 'ESN'
-          ELSE 'NI'
-        END as party,
-        vote,
-        COUNT(*) as vote_count
-      FROM votes
-      WHERE vote IN ('yes', 'no', 'abstain')
-      GROUP BY bill_id, party, vote
-    ),
-    party_majority AS (
-      SELECT DISTINCT ON (bill_id, party)
-        bill_id, party, vote as majority_vote
-      FROM party_votes
-      ORDER BY bill_id, party, vote_count DESC
-    )
-    SELECT 
-      p1.party as party1,
-      p2.party as party2,
-      COUNT(*) as total_bills,
-      SUM(CASE WHEN p1.majority_vote = p2.majority_vote THEN 1 ELSE 0 END) as agreements
-    FROM party_majority p1
-    JOIN party_majority p2 ON p1.bill_id = p2.bill_id AND p1.party < p2.party
-    GROUP BY p1.party, p2.party
-  `);
+  const rows = await computePartyAgreement(pool, ALL_TIME);
   
   await pool.query(`
     INSERT INTO metadata (key, value, updated_at)
     VALUES ('party_agreement_matrix', $1, NOW())
     ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()
-  `, [JSON.stringify(result.rows)]);
+  `, [JSON.stringify(rows)]);
   
-  console.log(`  ✓ Computed ${result.rows.length} party pairs`);
+  console.log(`  ✓ Computed ${rows.length} party pairs`);
 }
 
 // ============================================
@@ -326,53 +181,15 @@ async function precomputePartyAgreement() {
 async function precomputePartyCohesion() {
   console.log('🎯 Computing party cohesion...');
   
-  const result = await pool.query(`
-    WITH vote_counts AS (
-      SELECT 
-        bill_id,
-        CASE 
-          WHEN mep_group LIKE '%People''s Party%' THEN 'EPP'
-          WHEN mep_group LIKE '%Socialist%' THEN 'S&D'
-          WHEN mep_group LIKE '%Renew%' THEN 'Renew'
-          WHEN mep_group LIKE '%Green%' THEN 'Greens/EFA'
-          WHEN mep_group LIKE '%Conservative%' THEN 'ECR'
-          WHEN mep_group LIKE '%Left%' THEN 'The Left'
-          WHEN mep_group LIKE '%Patriot%' THEN 'PfE'
-          WHEN mep_group LIKE '%Sovereign%' THEN 'ESN'
-          ELSE 'NI'
-        END as party,
-        SUM(CASE WHEN vote = 'yes' THEN 1 ELSE 0 END) as yes_votes,
-        SUM(CASE WHEN vote = 'no' THEN 1 ELSE 0 END) as no_votes,
-        SUM(CASE WHEN vote = 'abstain' THEN 1 ELSE 0 END) as abstain_votes,
-        COUNT(*) as total
-      FROM votes
-      WHERE vote IN ('yes', 'no', 'abstain')
-      GROUP BY bill_id, party
-    ),
-    cohesion_per_bill AS (
-      SELECT 
-        party,
-        bill_id,
-        GREATEST(yes_votes, no_votes, abstain_votes)::float / NULLIF(total, 0) as cohesion
-      FROM vote_counts
-      WHERE total >= 5
-    )
-    SELECT 
-      party,
-      ROUND((AVG(cohesion) * 100)::numeric, 1) as avg_cohesion,
-      COUNT(DISTINCT bill_id) as bills_voted
-    FROM cohesion_per_bill
-    GROUP BY party
-    ORDER BY avg_cohesion DESC
-  `);
+  const rows = await computePartyCohesion(pool, ALL_TIME);
   
   await pool.query(`
     INSERT INTO metadata (key, value, updated_at)
     VALUES ('party_cohesion', $1, NOW())
     ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()
-  `, [JSON.stringify(result.rows)]);
+  `, [JSON.stringify(rows)]);
   
-  console.log(`  ✓ Computed cohesion for ${result.rows.length} parties`);
+  console.log(`  ✓ Computed cohesion for ${rows.length} parties`);
 }
 
 // ============================================
@@ -394,7 +211,6 @@ async function precomputeBillLoadings() {
   
   const topBillsPerAxis = JSON.parse(metaResult.rows[0].value);
   
-  // Get bill details
   const allBillIds = [...new Set(topBillsPerAxis.flat().map(b => b.billId))];
   
   if (allBillIds.length === 0) {
@@ -402,23 +218,7 @@ async function precomputeBillLoadings() {
     return;
   }
   
-  const billsResult = await pool.query(`
-    SELECT id, title, category FROM bills WHERE id = ANY($1)
-  `, [allBillIds]);
-  
-  const billMap = {};
-  for (const b of billsResult.rows) {
-    billMap[b.id] = b;
-  }
-  
-  // Enrich with bill details
-  const enrichedLoadings = topBillsPerAxis.map(axis => 
-    axis.map(item => ({
-      ...item,
-      title: billMap[item.billId]?.title || 'Unknown',
-      category: billMap[item.billId]?.category || 'Unknown'
-    }))
-  );
+  const enrichedLoadings = await enrichBillLoadings(pool, topBillsPerAxis);
   
   await pool.query(`
     INSERT INTO metadata (key, value, updated_at)
@@ -439,20 +239,11 @@ async function precomputeGroupStats() {
   const result = await pool.query(`
     WITH group_votes AS (
       SELECT 
-        CASE 
-          WHEN mep_group LIKE '%People''s Party%' THEN 'EPP'
-          WHEN mep_group LIKE '%Socialist%' THEN 'S&D'
-          WHEN mep_group LIKE '%Renew%' THEN 'Renew'
-          WHEN mep_group LIKE '%Green%' THEN 'Greens/EFA'
-          WHEN mep_group LIKE '%Conservative%' THEN 'ECR'
-          WHEN mep_group LIKE '%Left%' THEN 'The Left'
-          WHEN mep_group LIKE '%Patriot%' THEN 'PfE'
-          WHEN mep_group LIKE '%Sovereign%' THEN 'ESN'
-          ELSE 'NI'
-        END as party,
+        COALESCE(pg.short_name, 'NI') as party,
         vote,
         COUNT(*) as count
       FROM votes
+      ${GROUP_REGISTRY_JOIN('mep_group')}
       WHERE vote IN ('yes', 'no', 'abstain')
       GROUP BY party, vote
     ),
@@ -461,19 +252,10 @@ async function precomputeGroupStats() {
     ),
     mep_counts AS (
       SELECT 
-        CASE 
-          WHEN political_group LIKE '%People''s Party%' THEN 'EPP'
-          WHEN political_group LIKE '%Socialist%' THEN 'S&D'
-          WHEN political_group LIKE '%Renew%' THEN 'Renew'
-          WHEN political_group LIKE '%Green%' THEN 'Greens/EFA'
-          WHEN political_group LIKE '%Conservative%' THEN 'ECR'
-          WHEN political_group LIKE '%Left%' THEN 'The Left'
-          WHEN political_group LIKE '%Patriot%' THEN 'PfE'
-          WHEN political_group LIKE '%Sovereign%' THEN 'ESN'
-          ELSE 'NI'
-        END as party,
+        COALESCE(pg.short_name, 'NI') as party,
         COUNT(*) as mep_count
       FROM meps
+      ${GROUP_REGISTRY_JOIN('political_group')}
       WHERE is_active = true
       GROUP BY party
     )
@@ -499,6 +281,262 @@ async function precomputeGroupStats() {
   console.log(`  ✓ Computed stats for ${result.rows.length} groups`);
 }
 
+// ============================================
+// 6. NAMED TIME WINDOWS
+// ============================================
+
+// PCA needs enough votes to be stable, so it is only precomputed for years and quarters
+const PCA_WINDOW_TYPES = ['year', 'quarter'];
+
+function windowStats(window) {
+  return Object.keys(WINDOWED_STATS)
+    .filter(stat => stat !== 'mep_pca_coords' || PCA_WINDOW_TYPES.includes(window.type));
+}
+
+/**
+ * Whether a window's stored snapshots are still current: they cover the same dates and
+ * every stat, and none of the changed vote dates fall inside the window
+ */
+function isWindowCurrent(window, stored, changedDates) {
+  if (!stored || stored.from !== window.from || stored.to !== window.to) return false;
+  if (!windowStats(window).every(stat => stored.stats.has(stat))) return false;
+  return !changedDates.some(date => (!window.from || date >= window.from) && (!window.to || date <= window.to));
+}
+
+async function precomputeStatsWindows(plan) {
+  console.log('🗓️  Computing statistics per time window...');
+  
+  const windows = await listStatsWindows(pool);
+  
+  // MEP and group membership changes can move any window; vote changes only their own
+  const incremental = plan.mode === 'incremental' &&
+    plan.changes.meps.size === 0 && plan.changes.memberships.size === 0;
+  const changedDates = [...plan.changes.vote_dates];
+  const stored = new Map();
+  if (incremental) {
+    const storedResult = await pool.query(`
+      SELECT window_key, from_date::text as from_date, to_date::text as to_date, array_agg(stat) as stats
+      FROM stats_snapshots
+      GROUP BY window_key, from_date, to_date
+    `);
+    for (const row of storedResult.rows) {
+      stored.set(row.window_key, { from: row.from_date, to: row.to_date, stats: new Set(row.stats) });
+    }
+  }
+  
+  const computed = [];
+  for (const window of windows) {
+    if (incremental && isWindowCurrent(window, stored.get(window.key), changedDates)) continue;
+    computed.push(window);
+    
+    for (const stat of windowStats(window)) {
+      const compute = WINDOWED_STATS[stat];
+      const value = await compute(pool, window);
+      await pool.query(`
+        INSERT INTO stats_snapshots (window_key, stat, from_date, to_date, value, computed_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (window_key, stat) DO UPDATE SET
+          from_date = $3, to_date = $4, value = $5, computed_at = NOW()
+      `, [window.key, stat, window.from, window.to, JSON.stringify(value)]);
+    }
+  }
+  
+  // Drop windows that no longer contain votes
+  await pool.query(
+    'DELETE FROM stats_snapshots WHERE NOT (window_key = ANY($1))',
+    [windows.map(w => w.key)]
+  );
+  
+  console.log(`  ✓ Computed ${computed.length} windows (${computed.filter(w => PCA_WINDOW_TYPES.includes(w.type)).length} with PCA), ${windows.length - computed.length} unchanged`);
+}
+
+// ============================================
+// 7. PCA TRAJECTORIES
+// ============================================
+
+// Rolling windows of 6 months, one every month
+const TRAJECTORY_WINDOW_MONTHS = 6;
+const TRAJECTORY_STEP_MONTHS = 1;
+const MIN_TRAJECTORY_BILLS = 20;
+// MEPs must have cast a vote on at least this share of a window's bills to be placed in it
+const MIN_TRAJECTORY_VOTE_SHARE = 0.25;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+async function precomputePCATrajectories() {
+  console.log('🎞️  Computing PCA trajectories over rolling windows...');
+  
+  // Every window is aligned to the whole-legislature compass computed in step 1
+  const referenceResult = await pool.query(`
+    SELECT mep_id, pca_x, pca_y FROM meps WHERE pca_x IS NOT NULL AND pca_y IS NOT NULL
+  `);
+  const reference = new Map(referenceResult.rows.map(row => [row.mep_id, { x: row.pca_x, y: row.pca_y }]));
+  
+  if (reference.size === 0) {
+    console.log('  ⚠️ No PCA coordinates to align to');
+    return;
+  }
+  
+  const windows = await listRollingWindows(pool, {
+    months: TRAJECTORY_WINDOW_MONTHS,
+    stepMonths: TRAJECTORY_STEP_MONTHS
+  });
+  
+  const frames = [];
+  const mepIds = new Set();
+  for (const window of windows) {
+    const pca = await computeMEPPCA(pool, window, {
+      numComponents: 2,
+      minVoteShare: MIN_TRAJECTORY_VOTE_SHARE
+    });
+    if (pca.billIds.length < MIN_TRAJECTORY_BILLS) continue;
+    
+    const points = pca.meps.map((mep, i) => ({
+      id: mep.mep_id,
+      x: pca.projections[i][0],
+      y: pca.projections[i][1]
+    }));
+    const aligned = alignToReference(points, reference);
+    if (!aligned) continue;
+    
+    frames.push({
+      key: window.key,
+      label: window.label,
+      from: window.from,
+      to: window.to,
+      bills: pca.billIds.length,
+      meps: aligned.map((point, i) => {
+        mepIds.add(point.id);
+        return { id: point.id, x: round(point.x), y: round(point.y), group: pca.meps[i].political_group };
+      })
+    });
+  }
+  
+  const details = await pool.query(`
+    SELECT mep_id, CONCAT_WS(' ', first_name, COALESCE(last_name, name)) as name, country_code
+    FROM meps
+    WHERE mep_id = ANY($1)
+  `, [[...mepIds]]);
+  const meps = {};
+  for (const row of details.rows) {
+    meps[row.mep_id] = { name: row.name, country: row.country_code };
+  }
+  
+  await pool.query(`
+    INSERT INTO metadata (key, value, updated_at)
+    VALUES ('pca_trajectories', $1, NOW())
+    ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()
+  `, [JSON.stringify({
+    windowMonths: TRAJECTORY_WINDOW_MONTHS,
+    stepMonths: TRAJECTORY_STEP_MONTHS,
+    frames,
+    meps
+  })]);
+  
+  console.log(`  ✓ Computed ${frames.length} of ${windows.length} rolling windows`);
+}
+
+// ============================================
+// 8. IDEAL POINTS
+// ============================================
+
+const IDEAL_POINT_DIMENSIONS = 2;
+
+async function precomputeIdealPoints() {
+  console.log('🎯 Estimating ideal points...');
+  
+  const votesResult = await pool.query(`
+    SELECT mep_id, bill_id, vote
+    FROM votes
+    WHERE vote IN ('yes', 'no') AND mep_id IS NOT NULL
+  `);
+  
+  const mepIds = [];
+  const billIds = [];
+  const mepIndex = new Map();
+  const billIndex = new Map();
+  const legislator = new Int32Array(votesResult.rows.length);
+  const bill = new Int32Array(votesResult.rows.length);
+  const outcome = new Uint8Array(votesResult.rows.length);
+  votesResult.rows.forEach((row, k) => {
+    if (!mepIndex.has(row.mep_id)) {
+      mepIndex.set(row.mep_id, mepIds.length);
+      mepIds.push(row.mep_id);
+    }
+    if (!billIndex.has(row.bill_id)) {
+      billIndex.set(row.bill_id, billIds.length);
+      billIds.push(row.bill_id);
+    }
+    legislator[k] = mepIndex.get(row.mep_id);
+    bill[k] = billIndex.get(row.bill_id);
+    outcome[k] = row.vote === 'yes' ? 1 : 0;
+  });
+  
+  const { idealPoints, cutLines, fit } = estimateIdealPoints(
+    { legislators: mepIds.length, bills: billIds.length, legislator, bill, outcome },
+    { dimensions: IDEAL_POINT_DIMENSIONS }
+  );
+  
+  if (!fit) {
+    console.log('  ⚠️ Not enough votes to estimate ideal points');
+    return;
+  }
+  if (!fit.converged) {
+    console.log(`  ⚠️ Ideal points did not converge after ${fit.iterations} iterations`);
+  }
+  
+  const points = mepIds.map((mepId, i) => ({ mepId, ...idealPoints[i] })).filter(p => p.point);
+  const lines = billIds.map((billId, j) => ({ billId, ...cutLines[j] })).filter(l => l.normal);
+  const second = (values) => (IDEAL_POINT_DIMENSIONS === 2 ? values[1] : null);
+  
+  // Replace the previous estimates in one transaction so readers never see a partial set
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM mep_ideal_points');
+    await client.query('DELETE FROM bill_cut_lines');
+    await client.query(`
+      INSERT INTO mep_ideal_points (mep_id, dim1, dim2, se1, se2, corr12, votes_used)
+      SELECT * FROM unnest($1::varchar[], $2::float8[], $3::float8[], $4::float8[], $5::float8[], $6::float8[], $7::int[])
+    `, [
+      points.map(p => p.mepId),
+      points.map(p => p.point[0]),
+      points.map(p => second(p.point)),
+      points.map(p => p.se[0]),
+      points.map(p => second(p.se)),
+      points.map(p => (IDEAL_POINT_DIMENSIONS === 2 ? p.covariance[0][1] / (p.se[0] * p.se[1]) : null)),
+      points.map(p => p.votes)
+    ]);
+    await client.query(`
+      INSERT INTO bill_cut_lines (bill_id, intercept, normal1, normal2, classified, pre)
+      SELECT * FROM unnest($1::int[], $2::float8[], $3::float8[], $4::float8[], $5::float8[], $6::float8[])
+    `, [
+      lines.map(l => l.billId),
+      lines.map(l => l.intercept),
+      lines.map(l => l.normal[0]),
+      lines.map(l => second(l.normal)),
+      lines.map(l => l.classified),
+      lines.map(l => l.pre)
+    ]);
+    await client.query(`
+      INSERT INTO metadata (key, value, updated_at)
+      VALUES ('ideal_point_fit', $1, NOW())
+      ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()
+    `, [JSON.stringify(fit)]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  console.log(`  ✓ Estimated ${points.length} MEPs and ${lines.length} cut lines in ${fit.iterations} iterations`);
+  if (fit.classified !== null) {
+    console.log(`  Correctly classified: ${(fit.classified * 100).toFixed(1)}%, APRE: ${fit.apre.toFixed(3)}`);
+  }
+}
+
 // ============================================
 // RUN
 // ============================================
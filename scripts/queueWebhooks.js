@@ -0,0 +1,69 @@
+/**
+ * Webhooks
+ *
+ * Runs after each import: turns the new bills, summaries, MEPs and group changes recorded
+ * since this step last ran (pipelineChanges.js) into webhook events and queues a delivery
+ * for every webhook subscribed to them (server/webhooks.js). The server's dispatcher sends
+ * the deliveries and retries failures. The first run only records where it started, so
+ * existing data is never announced as new.
+ *
+ * Usage:
+ *   npm run queue-webhooks
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { planStep, markProcessed } from '../server/pipelineChanges.js';
+import { buildEvents, queueEvents } from '../server/webhooks.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgres://localhost/eulens'
+});
+
+// Pipeline step name and the change set inputs it depends on
+const STEP = 'webhooks';
+const INPUTS = ['new_bills', 'summaries', 'new_meps', 'group_changes'];
+
+async function main() {
+  console.log('🔔 EULens Webhooks\n');
+
+  try {
+    const plan = await planStep(pool, STEP, INPUTS);
+    console.log(`Mode: ${plan.mode} (${plan.reason})`);
+
+    if (plan.mode !== 'incremental') {
+      if (plan.mode === 'full') console.log('First run: later runs announce data imported from now on');
+      await markProcessed(pool, plan);
+      return;
+    }
+
+    const active = await pool.query('SELECT COUNT(*)::int as count FROM webhooks WHERE active');
+    if (active.rows[0].count === 0) {
+      console.log('No active webhooks - nothing to send');
+      await markProcessed(pool, plan);
+      return;
+    }
+
+    const events = await buildEvents(pool, plan.changes, {
+      appUrl: process.env.APP_URL || 'http://localhost:3000'
+    });
+    const queued = await queueEvents(pool, events);
+    await markProcessed(pool, plan);
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`✅ ${queued.events} events queued as ${queued.deliveries} deliveries to ${active.rows[0].count} webhooks`);
+    for (const type of [...new Set(events.map(event => event.type))]) {
+      console.log(`   ${type}: ${events.filter(event => event.type === type).length}`);
+    }
+  } catch (error) {
+    console.error('❌ Queueing webhooks failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
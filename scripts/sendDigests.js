@@ -0,0 +1,71 @@
+/**
+ * Vote Digests
+ *
+ * Runs after each import: sends every account that switched on email or Web Push digests a
+ * summary of the new votes on what it follows (server/notifications.js). The votes are those
+ * recorded as changed by updateData.js since this step last ran (pipelineChanges.js); the
+ * first run only records where it started, so existing votes are never sent as "new".
+ *
+ * Usage:
+ *   npm run send-digests
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { planStep, markProcessed } from '../server/pipelineChanges.js';
+import { createMailer } from '../server/mailer.js';
+import { createPushSender, sendDigests } from '../server/notifications.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgres://localhost/eulens'
+});
+
+// Pipeline step name and the change set inputs it depends on
+const STEP = 'digests';
+const INPUTS = ['votes'];
+
+async function main() {
+  console.log('📬 EULens Vote Digests\n');
+
+  try {
+    const plan = await planStep(pool, STEP, INPUTS);
+    console.log(`Mode: ${plan.mode} (${plan.reason})`);
+
+    if (plan.mode !== 'incremental') {
+      if (plan.mode === 'full') console.log('First run: later runs send digests of votes imported from now on');
+      await markProcessed(pool, plan);
+      return;
+    }
+
+    const push = createPushSender();
+    if (!push.enabled) console.log('⚠️  VAPID keys not set - Web Push digests are skipped');
+
+    const billIds = [...plan.changes.votes].map(id => parseInt(id));
+    console.log(`Building digests for ${billIds.length} bills with new or changed votes...`);
+    const stats = await sendDigests(pool, {
+      billIds,
+      mailer: createMailer(),
+      push,
+      appUrl: process.env.APP_URL || 'http://localhost:3000'
+    });
+    await markProcessed(pool, plan);
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`✅ Digests for ${stats.accounts} accounts`);
+    console.log(`   Email: ${stats.email.sent} sent, ${stats.email.failed} failed`);
+    console.log(`   Push: ${stats.push.sent} sent, ${stats.push.failed} failed`);
+    if (stats.email.failed + stats.push.failed > 0 && stats.email.sent + stats.push.sent === 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Sending digests failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -23,10 +23,6 @@ async function setGenderFromOfficialStats() {
   console.log('Source: EU Parliament Members Administration Unit\n');
   
   try {
-    // Ensure gender column exists
-    await pool.query('ALTER TABLE meps ADD COLUMN IF NOT EXISTS gender VARCHAR(10)');
-    console.log('✓ Gender column exists in database\n');
-    
     // Get all active MEPs
     const mepsResult = await pool.query(`
       SELECT mep_id, name, first_name, last_name 
@@ -0,0 +1,80 @@
+/**
+ * Data Quality Validation
+ *
+ * Runs the checks in server/dataQuality.js against the imported data (votes by unknown
+ * MEPs, bills without votes, MEPs without a country or group, unregistered group names,
+ * turnout outliers), prints them and stores the report in data_quality_reports.
+ *
+ * Exits with code 1 when a check exceeds its fail threshold, which fails the update job
+ * before statistics are recomputed from bad data. Warnings are reported but do not fail.
+ *
+ * Usage:
+ *   npm run validate-data
+ *   DATA_QUALITY_THRESHOLDS='{"bills_without_votes": {"fail": 0.05}}' npm run validate-data
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { runDataQualityChecks, loadThresholds } from '../server/dataQuality.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgres://localhost/eulens'
+});
+
+const STATUS_ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+
+function formatMeasured(check) {
+  return check.metric === 'share'
+    ? `${(check.measured * 100).toFixed(1)}% (${check.value} of ${check.total})`
+    : `${check.value}`;
+}
+
+function formatThreshold(check, value) {
+  return check.metric === 'share' ? `${(value * 100).toFixed(1)}%` : `${value}`;
+}
+
+async function main() {
+  console.log('🔎 EULens Data Quality Validation\n');
+  const startTime = Date.now();
+
+  try {
+    const thresholds = loadThresholds();
+    const report = await runDataQualityChecks(pool, thresholds);
+
+    for (const check of report.checks) {
+      console.log(`${STATUS_ICONS[check.status]} ${check.label}: ${formatMeasured(check)}`);
+      console.log(`     warn above ${formatThreshold(check, check.thresholds.warn)}, fail above ${formatThreshold(check, check.thresholds.fail)}`);
+      if (check.status !== 'pass') {
+        for (const item of check.details.slice(0, 5)) {
+          console.log(`     - ${Object.values(item).join(' | ')}`);
+        }
+      }
+    }
+
+    const snapshotResult = await pool.query("SELECT value FROM metadata WHERE key = 'import_snapshot'");
+    const snapshot = snapshotResult.rows.length > 0 ? JSON.parse(snapshotResult.rows[0].value) : null;
+
+    const result = await pool.query(`
+      INSERT INTO data_quality_reports (status, checks, snapshot_checksum, duration_ms)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [report.status, JSON.stringify(report.checks), snapshot?.checksum || null, Date.now() - startTime]);
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`${STATUS_ICONS[report.status]} Report ${result.rows[0].id}: ${report.status}`);
+    if (report.status === 'fail') {
+      console.log('   Checks above their fail threshold - the import needs a look before going further');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Validation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Check the shared PCA engine (shared/pca.js) against an independent reference: power
+ * iteration on the covariance matrix of small synthetic vote matrices, written here so a bug
+ * in the engine's eigen solver cannot hide in the reference too, and against small matrices
+ * whose decomposition is known by hand.
+ * Run after changing the engine: npm run verify-pca (also part of npm test)
+ */
+
+import { computePCA, symmetricEigen } from '../shared/pca.js';
+
+const TOLERANCE = 1e-6;
+
+// Deterministic pseudo-random numbers so failures are reproducible
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * MEPs on a 2D ideological map voting on bills with random cut directions,
+ * with some abstentions and absences
+ */
+function syntheticVotes(meps, bills, absenceRate, seed) {
+  const rand = random(seed);
+  const positions = Array.from({ length: meps }, () => [rand() * 2 - 1, (rand() * 2 - 1) * 0.5]);
+  const cuts = Array.from({ length: bills }, () => ({ angle: rand() * Math.PI, offset: rand() - 0.5 }));
+  return positions.map(([x, y]) => cuts.map(({ angle, offset }) => {
+    if (rand() < absenceRate) return null;
+    const side = x * Math.cos(angle) + y * Math.sin(angle) - offset + (rand() - 0.5) * 0.3;
+    if (Math.abs(side) < 0.05) return 0;
+    return side > 0 ? 1 : -1;
+  }));
+}
+
+function multiply(matrix, vector) {
+  return matrix.map(row => row.reduce((sum, c, j) => sum + c * vector[j], 0));
+}
+
+function dot(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+/**
+ * The leading eigenpairs of a symmetric positive semi-definite matrix by power iteration,
+ * keeping each vector orthogonal to the ones already found
+ */
+function powerIteration(matrix, count, { maxIterations = 200000, tolerance = 1e-15 } = {}) {
+  const rand = random(99);
+  const vectors = [];
+  const values = [];
+
+  for (let k = 0; k < count; k++) {
+    const orthogonalize = vector => {
+      for (const previous of vectors) {
+        const projection = dot(vector, previous);
+        vector = vector.map((v, i) => v - projection * previous[i]);
+      }
+      const norm = Math.sqrt(dot(vector, vector));
+      return vector.map(v => v / norm);
+    };
+
+    let vector = orthogonalize(matrix.map(() => rand() - 0.5));
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const next = orthogonalize(multiply(matrix, vector));
+      const change = 1 - Math.abs(dot(next, vector));
+      vector = next;
+      if (change < tolerance) break;
+    }
+    vectors.push(vector);
+    values.push(dot(vector, multiply(matrix, vector)));
+  }
+  return { values, vectors };
+}
+
+function referencePCA(filled, count) {
+  const n = filled.length;
+  const m = filled[0].length;
+  const means = Array.from({ length: m }, (_, j) => filled.reduce((sum, row) => sum + row[j], 0) / n);
+  const centred = filled.map(row => row.map((v, j) => v - means[j]));
+  const covariance = Array.from({ length: m }, (_, a) => Array.from({ length: m }, (_, b) => (
+    centred.reduce((sum, row) => sum + row[a] * row[b], 0) / n
+  )));
+  const { values, vectors } = powerIteration(covariance, count);
+
+  // The reference itself must be a valid decomposition: C v = lambda v
+  vectors.forEach((vector, k) => {
+    const residual = covariance.reduce((max, row, i) => {
+      const cv = row.reduce((sum, c, j) => sum + c * vector[j], 0);
+      return Math.max(max, Math.abs(cv - values[k] * vector[i]));
+    }, 0);
+    check(residual < TOLERANCE, `reference eigenpair ${k} residual ${residual.toExponential(2)}`);
+  });
+
+  // Total variance is the trace, which needs no decomposition
+  return { values, vectors, total: covariance.reduce((sum, row, i) => sum + row[i], 0) };
+}
+
+let failures = 0;
+function check(condition, message) {
+  if (!condition) {
+    failures++;
+    console.log(`  ❌ ${message}`);
+  }
+}
+
+function compare(name, data, options, filledForReference) {
+  console.log(`🔍 ${name}`);
+  const pca = computePCA(data, 3, options);
+  const reference = referencePCA(filledForReference, pca.components.length);
+
+  check(pca.converged, `did not converge (${pca.iterations} iterations)`);
+  check(Math.abs(pca.totalVariance - reference.total) < TOLERANCE, `total variance ${pca.totalVariance} vs ${reference.total}`);
+
+  pca.components.forEach((component, k) => {
+    const alignment = Math.abs(component.reduce((sum, v, j) => sum + v * reference.vectors[k][j], 0));
+    check(1 - alignment < TOLERANCE, `PC${k + 1} differs from reference (|cos| = ${alignment})`);
+    check(Math.abs(pca.variance[k] - reference.values[k]) < TOLERANCE, `PC${k + 1} variance ${pca.variance[k]} vs ${reference.values[k]}`);
+    check(component.reduce((a, b) => a + b, 0) <= 0, `PC${k + 1} sign convention`);
+
+    const projected = pca.projections.map(p => p[k]);
+    const projectedVariance = projected.reduce((sum, v) => sum + v * v, 0) / projected.length;
+    check(Math.abs(projectedVariance - pca.variance[k]) < TOLERANCE, `PC${k + 1} projections do not match its variance`);
+  });
+
+  const explained = pca.explainedVariance.reduce((a, b) => a + b, 0);
+  check(explained > 0 && explained <= 1 + TOLERANCE, `explained variance ${explained}`);
+  console.log(`  explained: ${pca.explainedVariance.map(v => (v * 100).toFixed(1) + '%').join(', ')} in ${pca.iterations} iterations`);
+}
+
+function fillWith(data, valueFor) {
+  return data.map(row => row.map((v, j) => (v === null ? valueFor(j) : v)));
+}
+
+function observedMeans(data) {
+  return data[0].map((_, j) => {
+    const cast = data.map(row => row[j]).filter(v => v !== null);
+    return cast.length > 0 ? cast.reduce((a, b) => a + b, 0) / cast.length : 0;
+  });
+}
+
+const complete = syntheticVotes(120, 40, 0, 1);
+compare('Complete matrix', complete, {}, complete);
+
+const withAbsences = syntheticVotes(150, 30, 0.2, 2);
+const means = observedMeans(withAbsences);
+compare('Absences imputed with the bill mean', withAbsences, { missing: 'mean' }, fillWith(withAbsences, j => means[j]));
+compare('Absences counted as abstentions', withAbsences, { missing: 'zero' }, fillWith(withAbsences, () => 0));
+
+// Iterative imputation has no closed-form reference: check that the components are
+// orthonormal and fit the data at least as well as mean imputation
+console.log('🔍 Iterative imputation');
+const iterative = computePCA(withAbsences, 3, { missing: 'iterative' });
+check(iterative.converged, 'iterative imputation did not converge');
+iterative.components.forEach((a, k) => iterative.components.forEach((b, l) => {
+  const product = a.reduce((sum, v, j) => sum + v * b[j], 0);
+  check(Math.abs(product - (k === l ? 1 : 0)) < TOLERANCE, `PC${k + 1} . PC${l + 1} = ${product}`);
+}));
+check(iterative.explainedVariance[0] >= computePCA(withAbsences, 3).explainedVariance[0] - TOLERANCE,
+  'iterative imputation should explain at least as much as mean imputation');
+
+// Decompositions known by hand
+console.log('🔍 Known decompositions');
+const known = symmetricEigen([[4, 1, 0], [1, 4, 0], [0, 0, 1]]);
+[5, 3, 1].forEach((value, k) => check(Math.abs(known.values[k] - value) < TOLERANCE, `eigenvalue ${k + 1}: ${known.values[k]} vs ${value}`));
+[[1, 1, 0], [1, -1, 0], [0, 0, 1]].forEach((expected, k) => {
+  const norm = Math.sqrt(dot(expected, expected));
+  const alignment = Math.abs(dot(known.vectors[k], expected) / norm);
+  check(1 - alignment < TOLERANCE, `eigenvector ${k + 1} differs from (${expected.join(', ')}) (|cos| = ${alignment})`);
+});
+
+// Two MEPs voting opposite ways on two bills: all variance on the diagonal (1, 1) / sqrt(2),
+// signed so the loadings sum to a negative number
+const opposite = computePCA([[1, 1], [-1, -1]], 1);
+check(opposite.components[0].every(v => Math.abs(v + Math.SQRT1_2) < TOLERANCE),
+  `opposite voters PC1 ${opposite.components[0]} vs (-0.7071, -0.7071)`);
+check(Math.abs(opposite.variance[0] - 2) < TOLERANCE, `opposite voters variance ${opposite.variance[0]} vs 2`);
+check(Math.abs(opposite.explainedVariance[0] - 1) < TOLERANCE, 'opposite voters PC1 explains everything');
+
+console.log('🔍 Edge cases');
+check(computePCA([], 3).components.length === 0, 'empty matrix');
+check(computePCA([[1, -1], [1, -1]], 2).variance.every(v => v === 0), 'constant matrix has no variance');
+check(computePCA([[1, -1, 0], [-1, 1, 0]], 3).components.length === 2, 'components are capped by the matrix size');
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ PCA engine matches the reference decomposition');
@@ -0,0 +1,324 @@
+/**
+ * Citizen Accounts
+ *
+ * Pseudonymous accounts with passwordless login. A participant asks for a login link by
+ * email; the link carries a single-use token that is exchanged for a session token, sent
+ * as `Authorization: Bearer <token>` on later requests. Only SHA-256 hashes of tokens are
+ * stored. Accounts show a display name and a declared country; the email address is never
+ * returned by the public API except to the account itself.
+ *
+ * Discussions, comments, upvotes, reports, VAA responses, follows and notification settings
+ * belong to the account. exportAccountData() gathers all of it and deleteAccount() removes it.
+ *
+ *   APP_URL   base URL of the web client, used in login links (default http://localhost:3000)
+ */
+
+import crypto from 'crypto';
+
+const LOGIN_TOKEN_MINUTES = 15;
+const SESSION_DAYS = 30;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DISPLAY_NAME_PATTERN = /^[\p{L}\p{N} ._-]{3,40}$/u;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+export function isValidEmail(email) {
+  return email.length <= 320 && EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Validate a display name; returns an error or null
+ */
+export function validateDisplayName(name) {
+  if (typeof name !== 'string' || !DISPLAY_NAME_PATTERN.test(name.trim())) {
+    return 'display_name must be 3-40 letters, digits, spaces, dots, dashes or underscores';
+  }
+  return null;
+}
+
+/**
+ * The id recorded as author and voter on discussion posts (see server/discussions.js)
+ */
+export function participantId(account) {
+  return `account:${account.id}`;
+}
+
+function readSessionToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+}
+
+const ACCOUNT_COLUMNS = 'a.id, a.email, a.display_name, a.country_code, c.name as country, a.created_at, a.last_login_at';
+
+/**
+ * Account service bound to a pg pool and a mailer (server/mailer.js):
+ *
+ *   loadAccount             middleware: sets req.account when a valid session token is sent
+ *   requireAccount          middleware: like loadAccount, but rejects anonymous requests (401)
+ *   requestLogin(email)     emails a login link
+ *   completeLogin(token, profile)  exchanges a login token for { session, account, created }
+ *   logout(req)             ends the request's session
+ */
+export function createAccounts(pool, mailer, { appUrl = process.env.APP_URL || 'http://localhost:3000' } = {}) {
+  async function findSession(token) {
+    const result = await pool.query(
+      `UPDATE account_sessions s SET last_seen_at = NOW()
+       FROM accounts a
+       LEFT JOIN countries c ON c.code = a.country_code
+       WHERE s.token_hash = $1 AND s.expires_at > NOW() AND a.id = s.account_id
+       RETURNING ${ACCOUNT_COLUMNS}`,
+      [hashToken(token)]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function loadAccount(req, res, next) {
+    try {
+      const token = readSessionToken(req);
+      req.account = token ? await findSession(token) : null;
+      next();
+    } catch (error) {
+      console.error('Error checking session:', error);
+      res.status(500).json({ error: 'Failed to authenticate' });
+    }
+  }
+
+  function requireAccount(req, res, next) {
+    loadAccount(req, res, () => {
+      if (!req.account) {
+        return res.status(401).json({ error: 'Sign in required' });
+      }
+      next();
+    });
+  }
+
+  async function getAccount(id) {
+    const result = await pool.query(
+      `SELECT ${ACCOUNT_COLUMNS} FROM accounts a LEFT JOIN countries c ON c.code = a.country_code WHERE a.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Email a login link to `email`. The same message goes to new and existing addresses, so
+   * the response never reveals whether an account exists.
+   */
+  async function requestLogin(email) {
+    const token = generateToken();
+    await pool.query(
+      `INSERT INTO login_tokens (email, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+      [email, hashToken(token), LOGIN_TOKEN_MINUTES]
+    );
+
+    const link = `${appUrl.replace(/\/$/, '')}/login?token=${token}`;
+    await mailer.send({
+      to: email,
+      subject: 'Your EULens sign-in link',
+      text: `Follow this link to sign in to EULens:\n\n${link}\n\n` +
+        `It works once and expires in ${LOGIN_TOKEN_MINUTES} minutes. ` +
+        'If you did not ask to sign in, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Exchange a login token for a session. A first login creates the account and needs a
+   * declared country_code; the token is not used up when it is missing, so the client can
+   * ask for it and retry. Returns { error, status } or { session, account, created }.
+   */
+  async function completeLogin(token, { country_code, display_name } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const login = await client.query(
+        `SELECT id, email FROM login_tokens
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token || '')]
+      );
+      if (login.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { status: 400, error: 'This login link is invalid or has expired' };
+      }
+      const { email } = login.rows[0];
+
+      let account = await client.query('SELECT id FROM accounts WHERE email = $1', [email]);
+      const created = account.rows.length === 0;
+      if (created) {
+        if (!country_code) {
+          await client.query('ROLLBACK');
+          return { status: 400, error: 'country_code is required to create an account', new_account: true };
+        }
+        const country = await client.query('SELECT code FROM countries WHERE code = $1', [country_code]);
+        if (country.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return { status: 400, error: 'Invalid country code', new_account: true };
+        }
+        if (display_name && validateDisplayName(display_name)) {
+          await client.query('ROLLBACK');
+          return { status: 400, error: validateDisplayName(display_name), new_account: true };
+        }
+        account = await client.query(
+          `INSERT INTO accounts (email, display_name, country_code) VALUES ($1, $2, $3) RETURNING id`,
+          [email, display_name?.trim() || `citizen-${crypto.randomBytes(3).toString('hex')}`, country_code]
+        );
+      }
+      const accountId = account.rows[0].id;
+
+      const session = generateToken();
+      await client.query('UPDATE login_tokens SET used_at = NOW() WHERE id = $1', [login.rows[0].id]);
+      await client.query('UPDATE accounts SET last_login_at = NOW() WHERE id = $1', [accountId]);
+      await client.query(
+        `INSERT INTO account_sessions (account_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+        [accountId, hashToken(session), SESSION_DAYS]
+      );
+      await client.query('COMMIT');
+
+      return { session, account: await getAccount(accountId), created };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function logout(req) {
+    const token = readSessionToken(req);
+    if (token) await pool.query('DELETE FROM account_sessions WHERE token_hash = $1', [hashToken(token)]);
+  }
+
+  return { loadAccount, requireAccount, getAccount, requestLogin, completeLogin, logout };
+}
+
+/**
+ * Everything stored about an account, as one JSON-serialisable object
+ */
+export async function exportAccountData(pool, account) {
+  const participant = participantId(account);
+  const [
+    discussions, comments, upvotes, reports, vaaResponses, follows, preferences, pushSubscriptions, digests, sessions
+  ] = await Promise.all([
+    pool.query(
+      `SELECT id, bill_id, title, content, status, upvotes, created_at
+       FROM discussions WHERE account_id = $1 ORDER BY created_at`,
+      [account.id]
+    ),
+    pool.query(
+      `SELECT id, discussion_id, parent_id, content, status, upvotes, created_at
+       FROM comments WHERE account_id = $1 ORDER BY created_at`,
+      [account.id]
+    ),
+    pool.query(
+      `SELECT target_type, target_id, created_at FROM discussion_votes
+       WHERE participant_id = $1 ORDER BY created_at`,
+      [participant]
+    ),
+    pool.query(
+      `SELECT target_type, target_id, reason, note, created_at, resolution
+       FROM discussion_reports WHERE reporter_id = $1 ORDER BY created_at`,
+      [participant]
+    ),
+    pool.query(
+      `SELECT r.session_id, r.question_id, q.question_text, r.response, r.importance, r.created_at
+       FROM vaa_responses r
+       LEFT JOIN vaa_questions q ON q.id = r.question_id
+       WHERE r.account_id = $1 ORDER BY r.created_at, r.id`,
+      [account.id]
+    ),
+    pool.query(
+      'SELECT target_type, target_id, created_at FROM follows WHERE account_id = $1 ORDER BY created_at',
+      [account.id]
+    ),
+    pool.query('SELECT email_digest, push_digest, created_at FROM user_preferences WHERE account_id = $1', [account.id]),
+    pool.query(
+      `SELECT endpoint, user_agent, created_at, last_sent_at FROM push_subscriptions
+       WHERE account_id = $1 ORDER BY created_at`,
+      [account.id]
+    ),
+    pool.query(
+      `SELECT channel, status, bill_ids, error, created_at FROM digest_deliveries
+       WHERE account_id = $1 ORDER BY created_at`,
+      [account.id]
+    ),
+    pool.query(
+      `SELECT created_at, expires_at, last_seen_at FROM account_sessions
+       WHERE account_id = $1 ORDER BY created_at`,
+      [account.id]
+    )
+  ]);
+
+  return {
+    exported_at: new Date().toISOString(),
+    account,
+    follows: follows.rows,
+    notifications: preferences.rows[0] || null,
+    push_subscriptions: pushSubscriptions.rows,
+    digests: digests.rows,
+    discussions: discussions.rows,
+    comments: comments.rows,
+    upvotes: upvotes.rows,
+    reports: reports.rows,
+    vaa_responses: vaaResponses.rows,
+    sessions: sessions.rows
+  };
+}
+
+/**
+ * Delete an account and its data. Upvotes are withdrawn and reports dropped; posts stay as
+ * 'deleted' placeholders without content or author so replies keep their place in threads.
+ */
+export async function deleteAccount(pool, account) {
+  const participant = participantId(account);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [type, table] of [['discussion', 'discussions'], ['comment', 'comments']]) {
+      await client.query(
+        `UPDATE ${table} t SET upvotes = t.upvotes - v.count
+         FROM (
+           SELECT target_id, COUNT(*)::int as count FROM discussion_votes
+           WHERE target_type = $1 AND participant_id = $2
+           GROUP BY target_id
+         ) v
+         WHERE t.id = v.target_id`,
+        [type, participant]
+      );
+    }
+    await client.query('DELETE FROM discussion_votes WHERE participant_id = $1', [participant]);
+    await client.query('DELETE FROM discussion_reports WHERE reporter_id = $1', [participant]);
+    await client.query(
+      `UPDATE discussions SET status = 'deleted', title = '[deleted]', content = NULL, author_id = NULL, account_id = NULL, country_id = NULL
+       WHERE account_id = $1`,
+      [account.id]
+    );
+    await client.query(
+      `UPDATE comments SET status = 'deleted', content = NULL, author_id = NULL, account_id = NULL, country_id = NULL
+       WHERE account_id = $1`,
+      [account.id]
+    );
+    await client.query('DELETE FROM login_tokens WHERE email = $1', [account.email]);
+    // Sessions, VAA responses, preferences, follows, push subscriptions and digest history go
+    // with the account (ON DELETE CASCADE)
+    await client.query('DELETE FROM accounts WHERE id = $1', [account.id]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Admin API Authentication
+ *
+ * Every /api/admin route needs an API key from the admin_api_keys table, sent as
+ * `Authorization: Bearer <key>` (or in the `x-admin-token` header). Keys carry roles:
+ *
+ *   editor     curates content: vote axis tags, VAA questions, discussion moderation
+ *   operator   runs data jobs (imports, updates, statistics pre-computation) and manages webhooks
+ *
+ * Changes are recorded in admin_audit_log. Keys are issued with `npm run admin-keys`.
+ */
+
+import crypto from 'crypto';
+
+export const ADMIN_ROLES = ['editor', 'operator'];
+
+const KEY_PREFIX = 'eul_';
+
+/**
+ * Keys are long random strings, so a plain SHA-256 is enough to make a leaked table useless
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * A new random key. Only its hash is stored, so it must be shown to the user once.
+ */
+export function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function readApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  return req.headers['x-admin-token'] || null;
+}
+
+/**
+ * Middleware factory bound to a pg pool:
+ *
+ *   requireAdmin          rejects requests without a valid, unrevoked key (401) and sets req.admin
+ *   requireRole(...roles) rejects keys with none of the given roles (403)
+ *   audit(req, entry)     records { action, targetType, targetId, details } for req.admin
+ */
+export function createAdminAuth(pool) {
+  async function requireAdmin(req, res, next) {
+    try {
+      const key = readApiKey(req);
+      if (!key) {
+        return res.status(401).json({ error: 'Admin API key required' });
+      }
+
+      const result = await pool.query(
+        `UPDATE admin_api_keys SET last_used_at = NOW()
+         WHERE key_hash = $1 AND revoked_at IS NULL
+         RETURNING id, name, roles`,
+        [hashApiKey(key)]
+      );
+      if (result.rows.length === 0) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+
+      req.admin = result.rows[0];
+      next();
+    } catch (error) {
+      console.error('Error checking admin API key:', error);
+      res.status(500).json({ error: 'Failed to authenticate' });
+    }
+  }
+
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      if (!req.admin || !roles.some(role => req.admin.roles.includes(role))) {
+        return res.status(403).json({ error: `Requires the ${roles.join(' or ')} role` });
+      }
+      next();
+    };
+  }
+
+  async function audit(req, { action, targetType = null, targetId = null, details = null }) {
+    await pool.query(
+      `INSERT INTO admin_audit_log (key_id, actor, action, target_type, target_id, details, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        req.admin.id,
+        req.admin.name,
+        action,
+        targetType,
+        targetId === null ? null : String(targetId),
+        details === null ? null : JSON.stringify(details),
+        req.ip
+      ]
+    );
+  }
+
+  return { requireAdmin, requireRole, audit };
+}
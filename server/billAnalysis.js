@@ -0,0 +1,229 @@
+/**
+ * Bill-Level Vote Analysis
+ *
+ * Why did a vote pass? Fits the cutting line that best separates yes from no voters on the
+ * PCA compass (meps.pca_x / pca_y), measures which voting blocs (political groups,
+ * national delegations) the outcome depended on, and replays a vote with blocs voting
+ * differently.
+ */
+
+const RIDGE = 0.01;
+const MAX_ITERATIONS = 50;
+
+/**
+ * Logistic regression of yes (1) vs no (0) on the MEP positions.
+ * points: [{ x, y, yes }]. Returns { intercept, x, y } with the cutting line
+ * intercept + x * pca_x + y * pca_y = 0 (positive side = predicted yes), or null when
+ * everybody voted the same way.
+ */
+export function fitCuttingLine(points) {
+  const yesCount = points.filter(p => p.yes).length;
+  if (yesCount === 0 || yesCount === points.length) return null;
+
+  // Newton-Raphson with a small ridge penalty, so perfectly separated votes stay finite
+  let w = [Math.log(yesCount / (points.length - yesCount)), 0, 0];
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const gradient = w.map(value => -RIDGE * value);
+    const hessian = [[RIDGE, 0, 0], [0, RIDGE, 0], [0, 0, RIDGE]];
+    for (const p of points) {
+      const features = [1, p.x, p.y];
+      const prob = 1 / (1 + Math.exp(-(w[0] + w[1] * p.x + w[2] * p.y)));
+      const residual = (p.yes ? 1 : 0) - prob;
+      const weight = prob * (1 - prob);
+      for (let a = 0; a < 3; a++) {
+        gradient[a] += residual * features[a];
+        for (let b = 0; b < 3; b++) hessian[a][b] += weight * features[a] * features[b];
+      }
+    }
+    const step = solve3(hessian, gradient);
+    w = w.map((value, k) => value + step[k]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+  }
+
+  return { intercept: w[0], x: w[1], y: w[2] };
+}
+
+// Gaussian elimination with partial pivoting for the 3x3 Newton system
+function solve3(matrix, vector) {
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < 3; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 3; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < 3; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k < 4; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = [0, 0, 0];
+  for (let row = 2; row >= 0; row--) {
+    let sum = a[row][3];
+    for (let k = row + 1; k < 3; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Signed distance of a point from the cutting line, in compass units (positive = yes side)
+ */
+export function distanceToLine(line, x, y) {
+  return (line.intercept + line.x * x + line.y * y) / Math.hypot(line.x, line.y);
+}
+
+// Most plenary votes pass with a simple majority of the votes cast
+export const simpleMajority = (yes, no) => yes > no;
+
+// Votes that need a majority of Parliament's component members rather than of the votes
+// cast: budget amendments and rejection (Art. 314 TFEU), and consent to the MFF or to an
+// accession treaty (Art. 312 TFEU, Art. 49 TEU). Other consent votes (international
+// agreements, Art. 218 TFEU) pass with a simple majority.
+const ABSOLUTE_MAJORITY_PROCEDURES = ['BUD'];
+const ABSOLUTE_MAJORITY_CONSENT = [
+  /multiannual financial framework/i,
+  /\bMFF\b/,
+  /\baccession of .+ to the European Union\b/i
+];
+
+/**
+ * The majority a bill's vote needs, from its procedure type and, for consent procedures, its
+ * title. members is the number of component members at the time of the vote (every MEP with
+ * a vote record, present or not).
+ * Returns { type: 'simple' | 'absolute', required, passes(yes, no) }; required is the number
+ * of yes votes an absolute majority needs (null for a simple majority).
+ */
+export function majorityRule({ procedure_type, title }, members) {
+  const absolute = ABSOLUTE_MAJORITY_PROCEDURES.includes(procedure_type) ||
+    (procedure_type === 'APP' && ABSOLUTE_MAJORITY_CONSENT.some(pattern => pattern.test(title || '')));
+  if (absolute) {
+    const required = Math.floor(members / 2) + 1;
+    return { type: 'absolute', required, passes: yes => yes >= required };
+  }
+  return { type: 'simple', required: null, passes: simpleMajority };
+}
+
+/**
+ * Tally a vote by bloc and test how much the outcome depended on each bloc.
+ * votes: [{ vote, ...fields }], keyOf(vote) -> bloc key; passes(yes, no) -> boolean.
+ *
+ * For each bloc:
+ *   decisive   the outcome would flip if the bloc had not voted at all
+ *   canFlip    enough of the bloc voted on the winning side to flip the outcome by switching
+ */
+export function blocPivotality(votes, keyOf, passes) {
+  const total = { yes: 0, no: 0, abstain: 0 };
+  const blocs = new Map();
+  for (const v of votes) {
+    if (!(v.vote in total)) continue;
+    total[v.vote]++;
+    const key = keyOf(v);
+    if (!blocs.has(key)) blocs.set(key, { key, yes: 0, no: 0, abstain: 0 });
+    blocs.get(key)[v.vote]++;
+  }
+
+  const passed = passes(total.yes, total.no);
+  const switchesNeeded = minimumSwitches(total.yes, total.no, passes);
+
+  return [...blocs.values()].map(bloc => {
+    const winningSide = passed ? bloc.yes : bloc.no;
+    return {
+      ...bloc,
+      net: bloc.yes - bloc.no,
+      decisive: passes(total.yes - bloc.yes, total.no - bloc.no) !== passed,
+      canFlip: switchesNeeded !== null && winningSide >= switchesNeeded
+    };
+  }).sort((a, b) => (
+    (b.decisive - a.decisive) ||
+    (b.canFlip - a.canFlip) ||
+    (passed ? b.yes - a.yes : b.no - a.no)
+  ));
+}
+
+/**
+ * Fewest MEPs who would have to switch from the winning to the losing side to change the
+ * outcome, or null if no number of switches would
+ */
+export function minimumSwitches(yes, no, passes) {
+  const passed = passes(yes, no);
+  const winners = passed ? yes : no;
+  for (let switches = 1; switches <= winners; switches++) {
+    const flipped = passed ? passes(yes - switches, no + switches) : passes(yes + switches, no - switches);
+    if (flipped !== passed) return switches;
+  }
+  return null;
+}
+
+const SIMULATED_VOTES = ['as_cast', 'yes', 'no', 'abstain', 'flip', 'absent'];
+
+/**
+ * Validate the changes of a simulation request.
+ * changes: [{ bloc: 'group' | 'country', key, vote, turnout }], where vote is one of
+ * SIMULATED_VOTES and turnout makes the bloc's absent members show up. Returns an error
+ * message, or null if the changes are valid.
+ */
+export function validateSimulation(changes) {
+  if (!Array.isArray(changes)) return 'changes must be an array';
+  for (const change of changes) {
+    if (!change || !['group', 'country'].includes(change.bloc) || typeof change.key !== 'string') {
+      return 'Each change needs a bloc ("group" or "country") and a key';
+    }
+    if (change.vote !== undefined && !SIMULATED_VOTES.includes(change.vote)) {
+      return `vote must be one of: ${SIMULATED_VOTES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replay a vote with some blocs voting differently.
+ * votes: [{ vote, mep_group, country_code }] including 'did_not_vote' records.
+ *
+ * A change's vote applies to the members who voted: 'yes', 'no' or 'abstain' for all of them,
+ * 'flip' swaps yes and no, 'absent' keeps them all away. With turnout, the bloc's absent
+ * members show up and vote with the bloc's plurality (after its vote change). A delegation
+ * change overrides a group change for the MEPs in both.
+ */
+export function simulateVote(votes, changes) {
+  const changeFor = (bloc, key) => changes.find(c => c.bloc === bloc && c.key === key);
+
+  const plurality = new Map();
+  const simulated = votes.map(v => {
+    const change = changeFor('country', v.country_code) || changeFor('group', v.mep_group);
+    if (!change || v.vote === 'did_not_vote') return { ...v, change };
+    let vote = v.vote;
+    if (change.vote === 'flip') vote = { yes: 'no', no: 'yes' }[vote] || vote;
+    else if (change.vote === 'absent') vote = 'did_not_vote';
+    else if (change.vote && change.vote !== 'as_cast') vote = change.vote;
+    return { ...v, vote, change };
+  });
+
+  // Absent members who turn up follow the plurality of those who voted in their bloc
+  simulated.forEach(v => {
+    if (!v.change || v.vote === 'did_not_vote') return;
+    const tally = plurality.get(v.change) || { yes: 0, no: 0, abstain: 0 };
+    tally[v.vote]++;
+    plurality.set(v.change, tally);
+  });
+  simulated.forEach(v => {
+    if (!v.change?.turnout || v.vote !== 'did_not_vote' || v.change.vote === 'absent') return;
+    const tally = plurality.get(v.change);
+    if (!tally) return;
+    v.vote = Object.keys(tally).reduce((best, vote) => (tally[vote] > tally[best] ? vote : best));
+  });
+
+  return simulated.map(({ change, ...v }) => v);
+}
+
+/**
+ * Count yes / no / abstain / absent for a list of votes
+ */
+export function tallyVotes(votes) {
+  const counts = { yes: 0, no: 0, abstain: 0, absent: 0 };
+  votes.forEach(v => {
+    if (v.vote in counts) counts[v.vote]++;
+    else counts.absent++;
+  });
+  return counts;
+}
@@ -0,0 +1,415 @@
+/**
+ * Bulk Data Export
+ *
+ * Datasets served by /api/export/:dataset as CSV or NDJSON (one JSON object per line).
+ * Rows are read in keyset-paginated batches and written as they arrive, so exports of the
+ * full vote table never sit in memory. The dataset definitions below double as the data
+ * dictionary served by /api/export/dictionary.
+ *
+ * Filters (each dataset accepts a subset, listed in the dictionary):
+ *   window, from, to   bills voted in a named window or date range, as in /api/stats
+ *   category, status   bill category and outcome ('adopted' or 'rejected')
+ *   bill               comma-separated bill ids
+ *   mep                an MEP id
+ *   group              a political group, by registry code, short name or name
+ *   country            a country code as imported from HowTheyVote (ISO 3166 alpha-3, e.g. DEU)
+ */
+
+import { resolveStatsWindow, INVALID_WINDOW_ERROR } from './statsWindows.js';
+import { loadGroupRegistry } from './groupRegistry.js';
+import { createGroupResolver } from '../shared/groupRegistry.js';
+import { encodeVote } from '../shared/pca.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const BATCH_SIZE = 5000;
+const MATRIX_BATCH_SIZE = 100;
+
+const VOTE_DESCRIPTION = "'yes', 'no', 'abstain' or 'did_not_vote'";
+
+const BILL_FILTERS = ['window', 'from', 'to', 'category', 'status', 'bill'];
+
+/**
+ * Row datasets: `from` is the FROM clause, `key` the unique column the batches are
+ * paginated on, and each column is selected with its `sql` expression.
+ */
+const ROW_DATASETS = {
+  bills: {
+    description: 'One row per bill (main plenary vote of the 10th legislature) with its vote totals',
+    filters: BILL_FILTERS,
+    from: 'bills b',
+    key: 'b.id',
+    columns: [
+      { name: 'id', type: 'integer', sql: 'b.id', description: 'EULens bill id' },
+      { name: 'eu_id', type: 'string', sql: 'b.eu_id', description: 'HowTheyVote.eu vote id' },
+      { name: 'title', type: 'string', sql: 'b.title', description: 'Vote title' },
+      { name: 'description', type: 'string', sql: 'b.description', description: 'Vote description' },
+      { name: 'category', type: 'string', sql: 'b.category', description: 'Policy area assigned on import' },
+      { name: 'status', type: 'string', sql: 'b.status', description: "'adopted' or 'rejected'" },
+      { name: 'date', type: 'date', sql: 'b.date_adopted::text', description: 'Date of the vote (YYYY-MM-DD)' },
+      { name: 'procedure_id', type: 'string', sql: 'b.procedure_id', description: 'Legislative procedure reference, e.g. 2023/0111(COD)' },
+      { name: 'procedure_type', type: 'string', sql: 'b.procedure_type', description: 'Procedure type, e.g. COD, BUD, RSP' },
+      { name: 'texts_adopted_ref', type: 'string', sql: 'b.texts_adopted_ref', description: 'Reference of the adopted text' },
+      { name: 'ep_procedure_url', type: 'string', sql: 'b.ep_procedure_url', description: 'Legislative Observatory procedure file' },
+      { name: 'ep_text_url', type: 'string', sql: 'b.ep_text_url', description: 'Adopted text on europarl.europa.eu' },
+      { name: 'yes', type: 'integer', sql: "(SELECT COUNT(*) FROM votes v WHERE v.bill_id = b.id AND v.vote = 'yes')::int", description: 'MEPs voting yes' },
+      { name: 'no', type: 'integer', sql: "(SELECT COUNT(*) FROM votes v WHERE v.bill_id = b.id AND v.vote = 'no')::int", description: 'MEPs voting no' },
+      { name: 'abstain', type: 'integer', sql: "(SELECT COUNT(*) FROM votes v WHERE v.bill_id = b.id AND v.vote = 'abstain')::int", description: 'MEPs abstaining' },
+      { name: 'did_not_vote', type: 'integer', sql: "(SELECT COUNT(*) FROM votes v WHERE v.bill_id = b.id AND v.vote = 'did_not_vote')::int", description: 'MEPs who did not vote' }
+    ]
+  },
+  meps: {
+    description: 'One row per MEP stored by EULens (current members and members who left during the term)',
+    filters: ['group', 'country', 'active'],
+    from: 'meps m LEFT JOIN countries c ON c.code = m.country_code',
+    key: 'm.mep_id',
+    columns: [
+      { name: 'mep_id', type: 'string', sql: 'm.mep_id', description: 'European Parliament MEP id' },
+      { name: 'name', type: 'string', sql: 'm.name', description: 'Full name' },
+      { name: 'first_name', type: 'string', sql: 'm.first_name', description: 'First name' },
+      { name: 'last_name', type: 'string', sql: 'm.last_name', description: 'Last name' },
+      { name: 'country_code', type: 'string', sql: 'm.country_code', description: 'Member state (ISO 3166 alpha-3)' },
+      { name: 'country', type: 'string', sql: 'c.name', description: 'Member state name' },
+      { name: 'political_group', type: 'string', sql: 'm.political_group', description: 'Current political group (last group for former members)' },
+      { name: 'gender', type: 'string', sql: 'm.gender', description: "'male', 'female' or empty when unknown" },
+      { name: 'date_of_birth', type: 'date', sql: 'm.date_of_birth::text', description: 'Date of birth (YYYY-MM-DD)' },
+      { name: 'is_active', type: 'boolean', sql: 'm.is_active', description: 'Whether the MEP currently sits in Parliament' },
+      { name: 'pca_x', type: 'number', sql: 'm.pca_x', description: 'First principal component of the MEP’s votes (the compass x axis)' },
+      { name: 'pca_y', type: 'number', sql: 'm.pca_y', description: 'Second principal component (the compass y axis)' }
+    ]
+  },
+  votes: {
+    description: 'One row per MEP per bill: how each MEP voted, with the group they sat in on the day of the vote',
+    filters: [...BILL_FILTERS, 'mep', 'group', 'country'],
+    from: 'votes v JOIN bills b ON b.id = v.bill_id LEFT JOIN countries c ON c.id = v.country_id',
+    key: 'v.id',
+    columns: [
+      { name: 'bill_id', type: 'integer', sql: 'v.bill_id', description: 'EULens bill id (see the bills dataset)' },
+      { name: 'eu_id', type: 'string', sql: 'b.eu_id', description: 'HowTheyVote.eu vote id' },
+      { name: 'date', type: 'date', sql: 'b.date_adopted::text', description: 'Date of the vote (YYYY-MM-DD)' },
+      { name: 'mep_id', type: 'string', sql: 'v.mep_id', description: 'European Parliament MEP id' },
+      { name: 'mep_name', type: 'string', sql: 'v.mep_name', description: 'MEP name at the time of the import' },
+      { name: 'country_code', type: 'string', sql: 'c.code', description: 'Member state of the MEP' },
+      { name: 'political_group', type: 'string', sql: 'v.mep_group', description: 'Political group of the MEP on the day of the vote' },
+      { name: 'vote', type: 'string', sql: 'v.vote', description: VOTE_DESCRIPTION }
+    ]
+  },
+  summaries: {
+    description: 'AI-generated plain-language summaries of bills (generated with Gemini; check against the source texts)',
+    filters: BILL_FILTERS,
+    from: 'bill_summaries bs JOIN bills b ON b.id = bs.bill_id',
+    key: 'bs.bill_id',
+    columns: [
+      { name: 'bill_id', type: 'integer', sql: 'bs.bill_id', description: 'EULens bill id' },
+      { name: 'eu_id', type: 'string', sql: 'b.eu_id', description: 'HowTheyVote.eu vote id' },
+      { name: 'title', type: 'string', sql: 'b.title', description: 'Vote title' },
+      { name: 'summary_short', type: 'string', sql: 'bs.summary_short', description: 'One or two sentence summary' },
+      { name: 'summary_long', type: 'string', sql: 'bs.summary_long', description: 'Longer explanation with context' },
+      { name: 'reasons_yes', type: 'string', sql: 'bs.reasons_yes', description: 'Arguments for voting yes' },
+      { name: 'reasons_no', type: 'string', sql: 'bs.reasons_no', description: 'Arguments for voting no' },
+      { name: 'key_points', type: 'string[]', sql: 'bs.key_points', description: 'Key points (joined with "; " in CSV)' },
+      { name: 'vaa_question', type: 'string', sql: 'bs.vaa_question', description: 'Suggested yes/no question for the voting advice application' },
+      { name: 'political_tags', type: 'string[]', sql: 'bs.political_tags', description: 'Topic tags (joined with "; " in CSV)' },
+      { name: 'model_version', type: 'string', sql: 'bs.model_version', description: 'Model that generated the summary' },
+      { name: 'generated_at', type: 'timestamp', sql: 'bs.generated_at', description: 'When the summary was generated' }
+    ]
+  }
+};
+
+const MATRIX_DATASET = {
+  description: 'MEP × bill vote matrix: one row per MEP who voted on the selected bills and one column per bill, named by its eu_id',
+  filters: [...BILL_FILTERS, 'group', 'country', 'encoding'],
+  columns: [
+    { name: 'mep_id', type: 'string', description: 'European Parliament MEP id' },
+    { name: 'mep_name', type: 'string', description: 'MEP name' },
+    { name: 'country_code', type: 'string', description: 'Member state of the MEP' },
+    { name: 'political_group', type: 'string', description: 'Group the MEP voted under most often on the selected bills' },
+    {
+      name: '<eu_id>',
+      type: 'number or string',
+      description: 'One column per bill, oldest first. encoding=numeric (default): yes = 1, no = -1, abstain = 0, ' +
+        `empty when the MEP did not vote (as in the compass PCA). encoding=text: ${VOTE_DESCRIPTION}, empty when not an MEP at the time. ` +
+        'In NDJSON the cells are a `votes` object keyed by eu_id.'
+    }
+  ]
+};
+
+const FILTER_DESCRIPTIONS = {
+  window: 'Named window: all, year:YYYY, quarter:YYYY-QN or session:YYYY-MM-DD (first voting day)',
+  from: 'Bills voted on or after this date (YYYY-MM-DD)',
+  to: 'Bills voted on or before this date (YYYY-MM-DD)',
+  category: 'Bill category, e.g. Environment',
+  status: "'adopted' or 'rejected'",
+  bill: 'Comma-separated EULens bill ids',
+  mep: 'MEP id',
+  group: 'Political group by registry code, short name or full name, e.g. EPP',
+  country: 'Country code (ISO 3166 alpha-3), e.g. DEU',
+  active: "'true' for current MEPs only, 'false' for former MEPs only",
+  encoding: "Matrix cells: 'numeric' (default) or 'text'"
+};
+
+/**
+ * Dataset names in dictionary order
+ */
+export const EXPORT_DATASETS = [...Object.keys(ROW_DATASETS), 'vote-matrix'];
+
+function datasetDefinition(name) {
+  return name === 'vote-matrix' ? MATRIX_DATASET : ROW_DATASETS[name];
+}
+
+/**
+ * The data dictionary: every dataset with its filters and columns
+ */
+export function exportDictionary() {
+  return {
+    formats: Object.keys(EXPORT_FORMATS),
+    datasets: EXPORT_DATASETS.map(name => {
+      const dataset = datasetDefinition(name);
+      return {
+        name,
+        url: `/api/export/${name}?format=csv`,
+        description: dataset.description,
+        filters: dataset.filters.map(filter => ({ name: filter, description: FILTER_DESCRIPTIONS[filter] })),
+        columns: dataset.columns.map(({ name: column, type, description }) => ({ name: column, type, description }))
+      };
+    })
+  };
+}
+
+/**
+ * Raw group names (as stored in votes and meps) that resolve to the same registry group
+ * as `group`, or just `group` itself when it is not in the registry
+ */
+async function matchingGroupNames(pool, group) {
+  const resolveGroup = createGroupResolver(await loadGroupRegistry(pool));
+  const target = resolveGroup(group);
+  if (!target) return [group];
+
+  const result = await pool.query(`
+    SELECT DISTINCT mep_group as name FROM votes WHERE mep_group IS NOT NULL
+    UNION
+    SELECT DISTINCT political_group FROM meps WHERE political_group IS NOT NULL
+  `);
+  return result.rows.map(row => row.name).filter(name => resolveGroup(name)?.code === target.code);
+}
+
+/**
+ * Validate the query string for a dataset. Returns { error } or { filters } with the
+ * normalized filter values.
+ */
+export async function parseExportQuery(pool, name, query) {
+  const dataset = datasetDefinition(name);
+  if (!dataset) {
+    return { error: `Unknown dataset. Available: ${EXPORT_DATASETS.join(', ')}` };
+  }
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Unknown format. Available: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const unsupported = Object.keys(FILTER_DESCRIPTIONS)
+    .filter(filter => query[filter] !== undefined && query[filter] !== '' && !dataset.filters.includes(filter));
+  if (unsupported.length > 0) {
+    return { error: `Filters not available for ${name}: ${unsupported.join(', ')}` };
+  }
+
+  const filters = { format };
+  if (dataset.filters.includes('window')) {
+    filters.window = await resolveStatsWindow(pool, query);
+    if (!filters.window) return { error: INVALID_WINDOW_ERROR };
+  }
+  if (query.category) filters.category = query.category;
+  if (query.status) {
+    if (!['adopted', 'rejected'].includes(query.status)) return { error: "status must be 'adopted' or 'rejected'" };
+    filters.status = query.status;
+  }
+  if (query.bill) {
+    const ids = String(query.bill).split(',').map(id => parseInt(id, 10));
+    if (ids.some(isNaN)) return { error: 'bill must be a comma-separated list of bill ids' };
+    filters.bills = ids;
+  }
+  if (query.mep) filters.mep = String(query.mep);
+  if (query.country) {
+    if (!/^[A-Za-z]{2,3}$/.test(query.country)) return { error: 'country must be a country code, e.g. DEU' };
+    filters.country = query.country.toUpperCase();
+  }
+  if (query.group) filters.groupNames = await matchingGroupNames(pool, String(query.group));
+  if (query.active) {
+    if (!['true', 'false'].includes(query.active)) return { error: "active must be 'true' or 'false'" };
+    filters.active = query.active === 'true';
+  }
+  filters.encoding = query.encoding || 'numeric';
+  if (!['numeric', 'text'].includes(filters.encoding)) return { error: "encoding must be 'numeric' or 'text'" };
+
+  return { filters };
+}
+
+/**
+ * SQL conditions for the filters. `columns` maps the group, country and mep filters to the
+ * dataset's columns; bill filters always apply to `b`.
+ */
+function filterConditions(filters, params, columns) {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.window?.from) add('b.date_adopted >= ?', filters.window.from);
+  if (filters.window?.to) add('b.date_adopted <= ?', filters.window.to);
+  if (filters.category) add('b.category = ?', filters.category);
+  if (filters.status) add('b.status = ?', filters.status);
+  if (filters.bills) add('b.id = ANY(?)', filters.bills);
+  if (filters.mep) add(`${columns.mep} = ?`, filters.mep);
+  if (filters.country) add(`${columns.country} = ?`, filters.country);
+  if (filters.groupNames) add(`${columns.group} = ANY(?)`, filters.groupNames);
+  if (filters.active !== undefined) add('m.is_active = ?', filters.active);
+  return conditions;
+}
+
+const FILTER_COLUMNS = {
+  meps: { group: 'm.political_group', country: 'm.country_code' },
+  votes: { group: 'v.mep_group', country: 'c.code', mep: 'v.mep_id' }
+};
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return csvValue(value.join('; '));
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (values) => values.map(csvValue).join(',') + '\n';
+
+/**
+ * Write to the response, waiting for the socket to drain when its buffer is full
+ */
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+async function streamRows(pool, res, name, filters) {
+  const dataset = ROW_DATASETS[name];
+  const names = dataset.columns.map(column => column.name);
+  const params = [];
+  const conditions = filterConditions(filters, params, FILTER_COLUMNS[name] || {});
+
+  if (filters.format === 'csv') await write(res, csvLine(names));
+
+  let lastKey = null;
+  while (!res.destroyed) {
+    const batchParams = [...params];
+    const batchConditions = [...conditions];
+    if (lastKey !== null) {
+      batchParams.push(lastKey);
+      batchConditions.push(`${dataset.key} > $${batchParams.length}`);
+    }
+    batchParams.push(BATCH_SIZE);
+    const result = await pool.query(
+      `SELECT ${dataset.columns.map(column => `${column.sql} as "${column.name}"`).join(', ')},
+              ${dataset.key} as _key
+       FROM ${dataset.from}
+       ${batchConditions.length > 0 ? `WHERE ${batchConditions.join(' AND ')}` : ''}
+       ORDER BY ${dataset.key}
+       LIMIT $${batchParams.length}`,
+      batchParams
+    );
+
+    const chunk = result.rows.map(({ _key, ...row }) => (filters.format === 'csv'
+      ? csvLine(names.map(column => row[column]))
+      : JSON.stringify(row) + '\n'
+    )).join('');
+    if (chunk) await write(res, chunk);
+
+    if (result.rows.length < BATCH_SIZE) break;
+    lastKey = result.rows[result.rows.length - 1]._key;
+  }
+}
+
+async function streamMatrix(pool, res, filters) {
+  const { window, category, status, bills: selected } = filters;
+  const billParams = [];
+  const billConditions = filterConditions({ window, category, status, bills: selected }, billParams, {});
+  const billsResult = await pool.query(
+    `SELECT b.id, b.eu_id FROM bills b
+     ${billConditions.length > 0 ? `WHERE ${billConditions.join(' AND ')}` : ''}
+     ORDER BY b.date_adopted, b.id`,
+    billParams
+  );
+  const bills = billsResult.rows;
+  const billIds = bills.map(bill => bill.id);
+
+  // MEPs who voted on the selected bills, labelled with the group they voted under most often
+  const mepParams = [billIds];
+  const mepConditions = [];
+  if (filters.country) {
+    mepParams.push(filters.country);
+    mepConditions.push(`country_code = $${mepParams.length}`);
+  }
+  if (filters.groupNames) {
+    mepParams.push(filters.groupNames);
+    mepConditions.push(`political_group = ANY($${mepParams.length})`);
+  }
+  const mepsResult = await pool.query(
+    `SELECT * FROM (
+       SELECT v.mep_id, MAX(v.mep_name) as mep_name, MAX(c.code) as country_code,
+              MODE() WITHIN GROUP (ORDER BY v.mep_group) as political_group
+       FROM votes v
+       LEFT JOIN countries c ON c.id = v.country_id
+       WHERE v.bill_id = ANY($1) AND v.mep_id IS NOT NULL
+       GROUP BY v.mep_id
+     ) meps
+     ${mepConditions.length > 0 ? `WHERE ${mepConditions.join(' AND ')}` : ''}
+     ORDER BY mep_id`,
+    mepParams
+  );
+  const meps = mepsResult.rows;
+  const encode = filters.encoding === 'numeric' ? encodeVote : vote => vote;
+
+  if (filters.format === 'csv') {
+    await write(res, csvLine(['mep_id', 'mep_name', 'country_code', 'political_group', ...bills.map(bill => bill.eu_id)]));
+  }
+
+  for (let i = 0; i < meps.length && !res.destroyed; i += MATRIX_BATCH_SIZE) {
+    const batch = meps.slice(i, i + MATRIX_BATCH_SIZE);
+    const votesResult = await pool.query(
+      'SELECT mep_id, bill_id, vote FROM votes WHERE mep_id = ANY($1) AND bill_id = ANY($2)',
+      [batch.map(mep => mep.mep_id), billIds]
+    );
+    const votes = new Map();
+    for (const row of votesResult.rows) {
+      votes.set(`${row.mep_id}|${row.bill_id}`, encode(row.vote));
+    }
+
+    const chunk = batch.map(mep => {
+      const cells = bills.map(bill => votes.get(`${mep.mep_id}|${bill.id}`) ?? null);
+      return filters.format === 'csv'
+        ? csvLine([mep.mep_id, mep.mep_name, mep.country_code, mep.political_group, ...cells])
+        : JSON.stringify({ ...mep, votes: Object.fromEntries(bills.map((bill, j) => [bill.eu_id, cells[j]])) }) + '\n';
+    }).join('');
+    await write(res, chunk);
+  }
+}
+
+/**
+ * Stream a dataset with filters from parseExportQuery(). The caller sets the headers.
+ */
+export async function streamExport(pool, res, name, filters) {
+  if (name === 'vote-matrix') {
+    await streamMatrix(pool, res, filters);
+  } else {
+    await streamRows(pool, res, name, filters);
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Data Quality Checks
+ *
+ * A suite of sanity checks run after every import by scripts/validateData.js. Each check
+ * measures one problem as a count or as a share of the rows it applies to, and is rated
+ * against its thresholds: above `warn` it warns, above `fail` it fails the import job.
+ * Reports are stored in data_quality_reports and served by /api/admin/data-quality.
+ *
+ * Thresholds can be overridden per check with DATA_QUALITY_THRESHOLDS, a JSON object:
+ *   DATA_QUALITY_THRESHOLDS='{"bills_without_votes": {"warn": 0, "fail": 0.05}}'
+ */
+
+import { loadGroupRegistry } from './groupRegistry.js';
+import { createGroupResolver } from '../shared/groupRegistry.js';
+
+const SAMPLE_SIZE = 20;
+
+// A bill's turnout is an outlier when its robust z-score (distance from the median in
+// scaled median absolute deviations) exceeds this
+const TURNOUT_OUTLIER_SCORE = 3.5;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * The checks, in report order. `run` returns { value, total, details } where value is the
+ * number of problem rows and total the number of rows checked; for 'share' checks the
+ * rated value is value / total.
+ */
+export const DATA_QUALITY_CHECKS = [
+  {
+    name: 'votes_unknown_mep',
+    label: 'Votes by MEPs missing from the MEP table',
+    metric: 'share',
+    thresholds: { warn: 0.05, fail: 0.25 },
+    async run(pool) {
+      const result = await pool.query(`
+        SELECT COUNT(*) FILTER (WHERE m.mep_id IS NULL)::int as missing, COUNT(*)::int as total
+        FROM votes v
+        LEFT JOIN meps m ON m.mep_id = v.mep_id
+      `);
+      const sample = await pool.query(`
+        SELECT v.mep_id, MAX(v.mep_name) as name, COUNT(*)::int as votes
+        FROM votes v
+        LEFT JOIN meps m ON m.mep_id = v.mep_id
+        WHERE m.mep_id IS NULL
+        GROUP BY v.mep_id
+        ORDER BY votes DESC
+        LIMIT $1
+      `, [SAMPLE_SIZE]);
+      return { value: result.rows[0].missing, total: result.rows[0].total, details: sample.rows };
+    }
+  },
+  {
+    name: 'bills_without_votes',
+    label: 'Bills with no MEP votes',
+    metric: 'share',
+    thresholds: { warn: 0.02, fail: 0.2 },
+    async run(pool) {
+      const result = await pool.query(`
+        SELECT b.id, b.eu_id, b.title, b.date_adopted::text as date
+        FROM bills b
+        WHERE NOT EXISTS (SELECT 1 FROM votes v WHERE v.bill_id = b.id)
+        ORDER BY b.date_adopted DESC NULLS LAST
+      `);
+      const total = await pool.query('SELECT COUNT(*)::int as count FROM bills');
+      return { value: result.rows.length, total: total.rows[0].count, details: result.rows.slice(0, SAMPLE_SIZE) };
+    }
+  },
+  {
+    name: 'meps_missing_country',
+    label: 'Active MEPs without a country',
+    metric: 'count',
+    thresholds: { warn: 0, fail: 10 },
+    async run(pool) {
+      const result = await pool.query(`
+        SELECT mep_id, name FROM meps WHERE is_active = true AND country_code IS NULL ORDER BY name
+      `);
+      const total = await pool.query('SELECT COUNT(*)::int as count FROM meps WHERE is_active = true');
+      return { value: result.rows.length, total: total.rows[0].count, details: result.rows.slice(0, SAMPLE_SIZE) };
+    }
+  },
+  {
+    name: 'meps_missing_group',
+    label: 'Active MEPs without a political group',
+    metric: 'count',
+    thresholds: { warn: 0, fail: 10 },
+    async run(pool) {
+      const result = await pool.query(`
+        SELECT mep_id, name FROM meps WHERE is_active = true AND political_group IS NULL ORDER BY name
+      `);
+      const total = await pool.query('SELECT COUNT(*)::int as count FROM meps WHERE is_active = true');
+      return { value: result.rows.length, total: total.rows[0].count, details: result.rows.slice(0, SAMPLE_SIZE) };
+    }
+  },
+  {
+    name: 'unknown_groups',
+    label: 'Group names not in the political group registry',
+    metric: 'count',
+    thresholds: { warn: 0, fail: 3 },
+    async run(pool) {
+      const resolveGroup = createGroupResolver(await loadGroupRegistry(pool));
+      const result = await pool.query(`
+        SELECT group_name, SUM(votes)::int as votes, SUM(meps)::int as meps
+        FROM (
+          SELECT mep_group as group_name, COUNT(*) as votes, 0 as meps
+          FROM votes WHERE mep_group IS NOT NULL GROUP BY mep_group
+          UNION ALL
+          SELECT political_group, 0, COUNT(*)
+          FROM meps WHERE political_group IS NOT NULL GROUP BY political_group
+        ) groups
+        GROUP BY group_name
+        ORDER BY votes DESC
+      `);
+      const unknown = result.rows.filter(row => !resolveGroup(row.group_name));
+      return { value: unknown.length, total: result.rows.length, details: unknown.slice(0, SAMPLE_SIZE) };
+    }
+  },
+  {
+    name: 'turnout_outliers',
+    label: 'Bills with turnout far from the norm',
+    metric: 'share',
+    thresholds: { warn: 0.05, fail: 0.2 },
+    async run(pool) {
+      const result = await pool.query(`
+        SELECT b.id, b.eu_id, b.title, b.date_adopted::text as date,
+               COUNT(*) FILTER (WHERE v.vote IN ('yes', 'no', 'abstain'))::float / COUNT(*) as turnout
+        FROM bills b
+        JOIN votes v ON v.bill_id = b.id
+        GROUP BY b.id
+      `);
+      if (result.rows.length === 0) return { value: 0, total: 0, details: [] };
+
+      const turnouts = result.rows.map(row => row.turnout);
+      const center = median(turnouts);
+      // 1.4826 scales the MAD to the standard deviation of a normal distribution
+      const spread = 1.4826 * median(turnouts.map(t => Math.abs(t - center)));
+      const outliers = spread === 0 ? [] : result.rows
+        .map(row => ({ ...row, turnout: round(row.turnout), score: round((row.turnout - center) / spread, 1) }))
+        .filter(row => Math.abs(row.score) > TURNOUT_OUTLIER_SCORE)
+        .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+      return {
+        value: outliers.length,
+        total: result.rows.length,
+        median: round(center),
+        details: outliers.slice(0, SAMPLE_SIZE)
+      };
+    }
+  }
+];
+
+/**
+ * Merge threshold overrides (DATA_QUALITY_THRESHOLDS) into the defaults: check name → { warn, fail }
+ */
+export function loadThresholds(env = process.env) {
+  const thresholds = Object.fromEntries(DATA_QUALITY_CHECKS.map(check => [check.name, { ...check.thresholds }]));
+  if (!env.DATA_QUALITY_THRESHOLDS) return thresholds;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.DATA_QUALITY_THRESHOLDS);
+  } catch (error) {
+    throw new Error(`DATA_QUALITY_THRESHOLDS is not valid JSON: ${error.message}`);
+  }
+  for (const [name, override] of Object.entries(overrides)) {
+    if (!thresholds[name]) throw new Error(`DATA_QUALITY_THRESHOLDS: unknown check "${name}"`);
+    for (const level of ['warn', 'fail']) {
+      if (override[level] === undefined) continue;
+      if (typeof override[level] !== 'number') {
+        throw new Error(`DATA_QUALITY_THRESHOLDS: ${name}.${level} must be a number`);
+      }
+      thresholds[name][level] = override[level];
+    }
+  }
+  return thresholds;
+}
+
+/**
+ * Rate a measured value: 'fail' above the fail threshold, 'warn' above the warn threshold
+ */
+export function rateCheck(value, { warn, fail }) {
+  if (value > fail) return 'fail';
+  if (value > warn) return 'warn';
+  return 'pass';
+}
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+/**
+ * Run every check. Returns { status, checks } where status is the worst check status.
+ */
+export async function runDataQualityChecks(pool, thresholds = loadThresholds()) {
+  const checks = [];
+  for (const check of DATA_QUALITY_CHECKS) {
+    const { value, total, details, ...extra } = await check.run(pool);
+    const measured = check.metric === 'share' ? (total > 0 ? value / total : 0) : value;
+    checks.push({
+      name: check.name,
+      label: check.label,
+      metric: check.metric,
+      status: rateCheck(measured, thresholds[check.name]),
+      value,
+      total,
+      measured: round(measured, 4),
+      thresholds: thresholds[check.name],
+      ...extra,
+      details
+    });
+  }
+
+  const status = checks.reduce(
+    (worst, check) => (STATUS_ORDER.indexOf(check.status) > STATUS_ORDER.indexOf(worst) ? check.status : worst),
+    'pass'
+  );
+  return { status, checks };
+}
@@ -0,0 +1,151 @@
+/**
+ * Citizen Discussions
+ *
+ * Helpers for the discussion routes in server/index.js. Each bill has discussions, and each
+ * discussion a thread of comments (comments.parent_id nests replies). Both kinds of post
+ * can be upvoted once per participant and reported; enough open reports hide a post until
+ * a moderator (an admin key with the editor role) hides or restores it for good.
+ *
+ * Writing needs an account (server/accounts.js). Posts carry the account's declared
+ * country and display name; votes and reports are recorded against its participant id,
+ * which also keys the rate limits together with the client IP.
+ */
+
+import { participantId } from './accounts.js';
+
+export const DISCUSSION_TARGETS = {
+  discussion: { table: 'discussions', path: 'discussions' },
+  comment: { table: 'comments', path: 'comments' }
+};
+
+export const REPORT_REASONS = ['spam', 'abuse', 'misinformation', 'off_topic', 'other'];
+
+// Open reports from this many participants hide a post until a moderator reviews it
+export const AUTO_HIDE_REPORTS = 3;
+
+export const POST_LIMITS = {
+  title: { min: 3, max: 200 },
+  content: { min: 1, max: 2000 },
+  note: { max: 500 },
+  hidden_reason: { max: 255 }
+};
+
+/**
+ * The signed-in participant's id (req.account is set by the account middleware), or null
+ */
+export function readParticipant(req) {
+  return req.account ? participantId(req.account) : null;
+}
+
+function checkLength(value, name, { min = 0, max }) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (text.length < min) return min === 1 ? `${name} is required` : `${name} must be at least ${min} characters`;
+  if (text.length > max) return `${name} must be at most ${max} characters`;
+  return null;
+}
+
+/**
+ * Validate a new discussion body: { bill_id, title, content }. Returns an error or null.
+ */
+export function validateDiscussion(body) {
+  if (!Number.isInteger(Number(body.bill_id))) return 'bill_id is required';
+  return checkLength(body.title, 'title', POST_LIMITS.title) ||
+    checkLength(body.content, 'content', POST_LIMITS.content);
+}
+
+/**
+ * Validate a new comment body: { content, parent_id? }. Returns an error or null.
+ */
+export function validateComment(body) {
+  if (body.parent_id != null && !Number.isInteger(Number(body.parent_id))) return 'parent_id must be a comment id';
+  return checkLength(body.content, 'content', POST_LIMITS.content);
+}
+
+/**
+ * Validate a report body: { reason, note? }. Returns an error or null.
+ */
+export function validateReport(body) {
+  if (!REPORT_REASONS.includes(body.reason)) return `reason must be one of: ${REPORT_REASONS.join(', ')}`;
+  if (body.note != null && typeof body.note !== 'string') return 'note must be text';
+  return body.note ? checkLength(body.note, 'note', POST_LIMITS.note) : null;
+}
+
+/**
+ * Validate a moderator's hide body: { reason? }. Returns an error or null.
+ */
+export function validateHide(body) {
+  if (body.reason != null && typeof body.reason !== 'string') return 'reason must be text';
+  return body.reason ? checkLength(body.reason, 'reason', POST_LIMITS.hidden_reason) : null;
+}
+
+/**
+ * Nest comment rows (ordered oldest first) into threads by parent_id. Hidden and deleted
+ * comments keep their place so their replies stay readable, but lose their content and author.
+ */
+export function buildCommentTree(rows, participant = null) {
+  const byId = new Map();
+  for (const row of rows) {
+    const removed = row.status !== 'visible';
+    byId.set(row.id, {
+      id: row.id,
+      parent_id: row.parent_id,
+      author: removed ? null : row.author,
+      country_code: removed ? null : row.country_code,
+      content: removed ? null : row.content,
+      upvotes: row.upvotes,
+      voted: row.voted,
+      own: !removed && participant !== null && row.author_id === participant,
+      hidden: row.status === 'hidden',
+      deleted: row.status === 'deleted',
+      created_at: row.created_at,
+      replies: []
+    });
+  }
+
+  const roots = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    (parent ? parent.replies : roots).push(comment);
+  }
+  return roots;
+}
+
+/**
+ * Fixed-window rate limiter, kept in memory. A request counts against both its participant
+ * id (up to `max`) and its IP address (up to `ipMax`, higher since people share addresses),
+ * so switching accounts does not reset the limit.
+ */
+export function createRateLimiter({ name, windowMs, max, ipMax = max * 4 }) {
+  const hits = new Map(); // key → { count, resetAt, limit }
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (hits.size > 10000) {
+      for (const [key, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(key);
+      }
+    }
+
+    const keys = [[`ip:${req.ip}`, ipMax]];
+    const participant = readParticipant(req);
+    if (participant) keys.push([`participant:${participant}`, max]);
+
+    const entries = keys.map(([key, limit]) => {
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs, limit };
+        hits.set(key, entry);
+      }
+      return entry;
+    });
+
+    const limited = entries.find(entry => entry.count >= entry.limit);
+    if (limited) {
+      res.set('Retry-After', String(Math.ceil((limited.resetAt - now) / 1000)));
+      return res.status(429).json({ error: `Too many ${name}, please try again later` });
+    }
+
+    for (const entry of entries) entry.count += 1;
+    next();
+  };
+}
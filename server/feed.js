@@ -0,0 +1,285 @@
+/**
+ * Follows and Personalised Feed
+ *
+ * Accounts follow MEPs, political groups, countries and bill categories. The feed lists the
+ * latest votes relevant to those follows, newest first: votes in a followed category, votes
+ * a followed MEP took part in, and, once a group or country is followed, every vote. Each
+ * item carries highlights describing what the followed MEPs, groups and delegations did,
+ * e.g. "Anna Schmidt voted no, against the EPP line (yes)". Highlights that stand out (an
+ * MEP breaking with their group, a split group or delegation, a group on the losing side)
+ * are marked notable.
+ *
+ * Group and delegation lines are the majority of yes/no/abstain votes; an MEP's group line
+ * leaves out their own vote, as in the country-vs-group loyalty statistics. Ties are no line.
+ */
+
+import { loadGroupRegistry } from './groupRegistry.js';
+import { createGroupResolver } from '../shared/groupRegistry.js';
+
+export const FOLLOW_TYPES = ['mep', 'group', 'country', 'category'];
+export const MAX_FOLLOWS = 200;
+
+const CAST_VOTES = ['yes', 'no', 'abstain'];
+
+/**
+ * Validate a follow request body; returns an error or null
+ */
+export function validateFollow({ target_type, target_id } = {}) {
+  if (!FOLLOW_TYPES.includes(target_type)) {
+    return `target_type must be one of: ${FOLLOW_TYPES.join(', ')}`;
+  }
+  if (typeof target_id !== 'string' || !target_id.trim() || target_id.length > 255) {
+    return 'target_id is required';
+  }
+  return null;
+}
+
+/**
+ * Look up a follow target; returns { target_type, target_id, label } or null if it does not exist
+ */
+export async function findFollowTarget(pool, targetType, targetId) {
+  const lookups = {
+    mep: 'SELECT mep_id as id, name as label FROM meps WHERE mep_id = $1',
+    group: 'SELECT code as id, short_name as label FROM political_groups WHERE code = UPPER($1)',
+    country: 'SELECT code as id, name as label FROM countries WHERE code = UPPER($1)',
+    category: 'SELECT category as id, category as label FROM bills WHERE category = $1 LIMIT 1'
+  };
+  const result = await pool.query(lookups[targetType], [targetId.trim()]);
+  if (result.rows.length === 0) return null;
+  return { target_type: targetType, target_id: result.rows[0].id, label: result.rows[0].label };
+}
+
+/**
+ * An account's follows with display labels, grouped by type
+ */
+export async function listFollows(pool, accountId) {
+  const result = await pool.query(
+    `SELECT f.target_type, f.target_id, f.created_at,
+            CASE f.target_type
+              WHEN 'mep' THEN m.name
+              WHEN 'group' THEN g.short_name
+              WHEN 'country' THEN c.name
+              ELSE f.target_id
+            END as label
+     FROM follows f
+     LEFT JOIN meps m ON f.target_type = 'mep' AND m.mep_id = f.target_id
+     LEFT JOIN political_groups g ON f.target_type = 'group' AND g.code = f.target_id
+     LEFT JOIN countries c ON f.target_type = 'country' AND c.code = f.target_id
+     WHERE f.account_id = $1
+     ORDER BY f.target_type, label`,
+    [accountId]
+  );
+  return result.rows.map(row => ({ ...row, label: row.label || row.target_id }));
+}
+
+function emptyCounts() {
+  return { yes: 0, no: 0, abstain: 0 };
+}
+
+// The majority position of yes/no/abstain counts, or null on a tie
+function majorityPosition({ yes, no, abstain }) {
+  if (yes > no && yes > abstain) return 'yes';
+  if (no > yes && no > abstain) return 'no';
+  if (abstain > yes && abstain > no) return 'abstain';
+  return null;
+}
+
+function cohesion(counts) {
+  const total = counts.yes + counts.no + counts.abstain;
+  return total ? Math.round(Math.max(counts.yes, counts.no, counts.abstain) / total * 100) : null;
+}
+
+function formatCounts({ yes, no, abstain }) {
+  return `${yes} yes, ${no} no, ${abstain} abstain`;
+}
+
+function describeVote(vote) {
+  return vote === 'did_not_vote' ? 'did not vote' : `voted ${vote}`;
+}
+
+// Whether `position` lost the vote: yes on a rejected text or no on an adopted one
+function onLosingSide(position, status) {
+  return (position === 'yes' && status === 'rejected') || (position === 'no' && status === 'adopted');
+}
+
+function mepHighlight(mep, group, groupCounts) {
+  const highlight = {
+    type: 'mep',
+    mep_id: mep.mep_id,
+    name: mep.name,
+    group: group?.short_name || null,
+    vote: mep.vote,
+    group_position: null,
+    against_group: false,
+    notable: false
+  };
+
+  if (group && groupCounts && CAST_VOTES.includes(mep.vote)) {
+    const others = { ...groupCounts, [mep.vote]: groupCounts[mep.vote] - 1 };
+    highlight.group_position = majorityPosition(others);
+  }
+
+  if (highlight.group_position && highlight.group_position !== mep.vote) {
+    highlight.against_group = true;
+    highlight.notable = true;
+    highlight.text = `${mep.name} ${describeVote(mep.vote)}, against the ${group.short_name} line (${highlight.group_position})`;
+  } else if (highlight.group_position) {
+    highlight.text = `${mep.name} ${describeVote(mep.vote)} with the ${group.short_name} line`;
+  } else {
+    highlight.text = `${mep.name} ${describeVote(mep.vote)}`;
+  }
+  return highlight;
+}
+
+function groupHighlight(group, counts, status) {
+  const position = majorityPosition(counts);
+  const lost = onLosingSide(position, status);
+  return {
+    type: 'group',
+    code: group.code,
+    name: group.short_name,
+    position,
+    cohesion: cohesion(counts),
+    counts,
+    notable: !position || lost,
+    text: position
+      ? `${group.short_name} voted ${position} (${cohesion(counts)}% of its members)${lost ? ' and lost' : ''}`
+      : `${group.short_name} was split (${formatCounts(counts)})`
+  };
+}
+
+function countryHighlight(country, counts) {
+  const position = majorityPosition(counts);
+  return {
+    type: 'country',
+    code: country.code,
+    name: country.name,
+    position,
+    counts,
+    notable: !position,
+    text: position
+      ? `MEPs from ${country.name} voted ${position} (${formatCounts(counts)})`
+      : `MEPs from ${country.name} were split (${formatCounts(counts)})`
+  };
+}
+
+/**
+ * The feed of an account: { items, has_more }. Items are bills with their vote totals and
+ * highlights, newest vote first. `since` keeps only bills imported after that time, and
+ * `billIds` only the given bills (used for digests of an import's new votes).
+ */
+export async function buildFeed(pool, accountId, { limit = 20, offset = 0, since = null, billIds: onlyBillIds = null } = {}) {
+  const follows = await listFollows(pool, accountId);
+  if (follows.length === 0) return { items: [], has_more: false };
+
+  const followed = type => follows.filter(f => f.target_type === type);
+  const followsAll = followed('group').length > 0 || followed('country').length > 0;
+  const followedMeps = followed('mep').map(f => f.target_id);
+
+  const params = [
+    followed('category').map(f => f.target_id),
+    followedMeps,
+    followsAll,
+    limit + 1,
+    offset
+  ];
+  let filterClause = '';
+  if (since) {
+    params.push(since);
+    filterClause += ` AND b.created_at > $${params.length}`;
+  }
+  if (onlyBillIds) {
+    params.push(onlyBillIds);
+    filterClause += ` AND b.id = ANY($${params.length}::int[])`;
+  }
+
+  const bills = await pool.query(
+    `SELECT b.id, b.title, b.category, b.status, b.date_adopted, b.created_at
+     FROM bills b
+     WHERE EXISTS (SELECT 1 FROM votes v WHERE v.bill_id = b.id)
+       AND (
+         $3::boolean
+         OR b.category = ANY($1::text[])
+         OR EXISTS (SELECT 1 FROM votes v WHERE v.bill_id = b.id AND v.mep_id = ANY($2::text[]))
+       )
+       ${filterClause}
+     ORDER BY b.date_adopted DESC NULLS LAST, b.id DESC
+     LIMIT $4 OFFSET $5`,
+    params
+  );
+  const hasMore = bills.rows.length > limit;
+  const billRows = bills.rows.slice(0, limit);
+  if (billRows.length === 0) return { items: [], has_more: false };
+  const billIds = billRows.map(b => b.id);
+
+  const [counts, mepVotes, registry] = await Promise.all([
+    pool.query(
+      `SELECT v.bill_id, v.mep_group, c.code as country_code, v.vote, COUNT(*)::int as count
+       FROM votes v
+       LEFT JOIN countries c ON c.id = v.country_id
+       WHERE v.bill_id = ANY($1) AND v.vote IN ('yes', 'no', 'abstain')
+       GROUP BY v.bill_id, v.mep_group, c.code, v.vote`,
+      [billIds]
+    ),
+    pool.query(
+      `SELECT v.bill_id, v.mep_id, COALESCE(m.name, v.mep_name) as name, v.mep_group, v.vote
+       FROM votes v
+       LEFT JOIN meps m ON m.mep_id = v.mep_id
+       WHERE v.bill_id = ANY($1) AND v.mep_id = ANY($2::text[])
+       ORDER BY name`,
+      [billIds, followedMeps]
+    ),
+    loadGroupRegistry(pool)
+  ]);
+  const resolveGroup = createGroupResolver(registry);
+
+  // Per bill: totals, and counts by group code and by country code
+  const tallies = new Map(billIds.map(id => [id, { totals: emptyCounts(), groups: new Map(), countries: new Map() }]));
+  for (const row of counts.rows) {
+    const tally = tallies.get(row.bill_id);
+    tally.totals[row.vote] += row.count;
+    const group = resolveGroup(row.mep_group);
+    if (group) {
+      if (!tally.groups.has(group.code)) tally.groups.set(group.code, emptyCounts());
+      tally.groups.get(group.code)[row.vote] += row.count;
+    }
+    if (row.country_code) {
+      if (!tally.countries.has(row.country_code)) tally.countries.set(row.country_code, emptyCounts());
+      tally.countries.get(row.country_code)[row.vote] += row.count;
+    }
+  }
+
+  const categories = new Set(followed('category').map(f => f.target_id));
+  const items = billRows.map(bill => {
+    const tally = tallies.get(bill.id);
+    const highlights = [];
+
+    for (const mep of mepVotes.rows.filter(v => v.bill_id === bill.id)) {
+      const group = resolveGroup(mep.mep_group);
+      highlights.push(mepHighlight(mep, group, group && tally.groups.get(group.code)));
+    }
+    for (const follow of followed('group')) {
+      const group = registry.find(g => g.code === follow.target_id);
+      const groupCounts = tally.groups.get(follow.target_id);
+      if (group && groupCounts) highlights.push(groupHighlight(group, groupCounts, bill.status));
+    }
+    for (const follow of followed('country')) {
+      const countryCounts = tally.countries.get(follow.target_id);
+      if (countryCounts) {
+        highlights.push(countryHighlight({ code: follow.target_id, name: follow.label }, countryCounts));
+      }
+    }
+    if (categories.has(bill.category)) {
+      highlights.push({ type: 'category', category: bill.category, notable: false, text: `New vote in ${bill.category}` });
+    }
+
+    return {
+      bill,
+      totals: tally.totals,
+      highlights,
+      notable: highlights.some(h => h.notable)
+    };
+  });
+
+  return { items, has_more: hasMore };
+}
@@ -0,0 +1,20 @@
+/**
+ * Political Group Registry
+ *
+ * The political_groups table is the single source of truth for group names,
+ * short names, colours and seating order. Raw group names from data sources are
+ * resolved against it with createGroupResolver() from shared/groupRegistry.js, which the
+ * client uses too.
+ */
+
+/**
+ * Load all registry entries ordered left to right
+ */
+export async function loadGroupRegistry(pool) {
+  const result = await pool.query(`
+    SELECT code, name, short_name, color, seat_order, aliases
+    FROM political_groups
+    ORDER BY seat_order
+  `);
+  return result.rows;
+}
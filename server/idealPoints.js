@@ -0,0 +1,338 @@
+/**
+ * Ideal-Point Estimation
+ *
+ * Bayesian item response theory model of roll-call votes, the standard alternative to
+ * NOMINATE in roll-call research (Clinton, Jackman & Rivers 2004):
+ *
+ *   P(MEP i votes yes on bill j) = logistic(intercept_j + normal_j · x_i)
+ *   x_i ~ N(0, I)                   ideal point in 1 or 2 dimensions
+ *   intercept_j, normal_j ~ N(0, BILL_PRIOR_SD² I)
+ *
+ * Only yes/no votes are modelled; abstentions and absences carry no information about
+ * which side of the cut line an MEP is on. The posterior mode is found by alternating
+ * Newton steps over bills and MEPs, starting from the PCA compass (shared/pca.js), and the
+ * uncertainty of each ideal point is the Laplace approximation (inverse Hessian of the
+ * log posterior at the mode, holding the bill parameters fixed).
+ *
+ * A bill's cut line is where P(yes) = 0.5: intercept + normal · x = 0.
+ */
+
+import { computePCA } from '../shared/pca.js';
+
+const BILL_PRIOR_SD = 5;
+// NOMINATE convention: bills where the minority is below 2.5% do not inform the fit
+const LOPSIDED_MINORITY = 0.025;
+const MAX_NEWTON_STEP = 1;
+
+function logistic(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+// log(1 + e^z) without overflow
+function softplus(z) {
+  return z > 0 ? z + Math.log1p(Math.exp(-z)) : Math.log1p(Math.exp(z));
+}
+
+// Cholesky factor of a small symmetric positive definite matrix
+function cholesky(matrix) {
+  const size = matrix.length;
+  const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      lower[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / lower[j][j];
+    }
+  }
+  return lower;
+}
+
+function solveSPD(matrix, vector) {
+  const lower = cholesky(matrix);
+  const size = vector.length;
+  const y = new Array(size).fill(0);
+  for (let i = 0; i < size; i++) {
+    let sum = vector[i];
+    for (let k = 0; k < i; k++) sum -= lower[i][k] * y[k];
+    y[i] = sum / lower[i][i];
+  }
+  const x = new Array(size).fill(0);
+  for (let i = size - 1; i >= 0; i--) {
+    let sum = y[i];
+    for (let k = i + 1; k < size; k++) sum -= lower[k][i] * x[k];
+    x[i] = sum / lower[i][i];
+  }
+  return x;
+}
+
+function invertSPD(matrix) {
+  const size = matrix.length;
+  const columns = Array.from({ length: size }, (_, j) => solveSPD(matrix, matrix.map((_, i) => (i === j ? 1 : 0))));
+  return columns[0].map((_, i) => columns.map(column => column[i]));
+}
+
+// Newton step on the concave log posterior, capped so a badly conditioned block cannot jump away
+function newtonStep(params, gradient, precision) {
+  const step = solveSPD(precision, gradient);
+  const largest = Math.max(...step.map(Math.abs));
+  const scale = largest > MAX_NEWTON_STEP ? MAX_NEWTON_STEP / largest : 1;
+  return params.map((value, k) => value + scale * step[k]);
+}
+
+// Compressed index: for each row, the positions of its observations
+function groupObservations(keys, count) {
+  const starts = new Int32Array(count + 1);
+  for (const key of keys) starts[key + 1]++;
+  for (let i = 0; i < count; i++) starts[i + 1] += starts[i];
+  const order = new Int32Array(keys.length);
+  const fill = starts.slice(0, count);
+  keys.forEach((key, position) => { order[fill[key]++] = position; });
+  return { starts, order };
+}
+
+/**
+ * Estimate ideal points from yes/no votes.
+ *
+ * votes: { legislators, bills, legislator: int[], bill: int[], outcome: int[] (1 = yes, 0 = no) }
+ *   with one entry per cast yes/no vote; legislators and bills are counts.
+ * Options: dimensions (1 or 2), maxIterations, tolerance (relative change in log posterior).
+ *
+ * Returns:
+ *   idealPoints   per legislator: { point: [d], se: [d], covariance: [[d x d]], votes } or null
+ *                 for legislators with fewer than minVotes votes on informative bills
+ *   cutLines      per bill: { intercept, normal: [d], classified, pre, lopsided } or null
+ *                 if everybody voted the same way
+ *   fit           { dimensions, iterations, converged, logPosterior, classified, apre, ... }
+ */
+export function estimateIdealPoints(votes, { dimensions = 2, maxIterations = 300, tolerance = 1e-7, minVotes = 20 } = {}) {
+  const { legislators, bills, legislator, bill, outcome } = votes;
+  const d = dimensions;
+  const billPrecision = 1 / (BILL_PRIOR_SD * BILL_PRIOR_SD);
+
+  // Split bills into informative ones (used in the fit) and lopsided ones (fitted afterwards)
+  const yesCounts = new Array(bills).fill(0);
+  const totalCounts = new Array(bills).fill(0);
+  outcome.forEach((y, k) => {
+    totalCounts[bill[k]]++;
+    yesCounts[bill[k]] += y;
+  });
+  const minority = yesCounts.map((yes, j) => Math.min(yes, totalCounts[j] - yes));
+  const informative = minority.map((count, j) => totalCounts[j] > 0 && count / totalCounts[j] >= LOPSIDED_MINORITY);
+
+  const inFit = outcome.map((_, k) => informative[bill[k]]);
+  const fitVotes = new Array(legislators).fill(0);
+  outcome.forEach((_, k) => { if (inFit[k]) fitVotes[legislator[k]]++; });
+  const included = fitVotes.map(count => count >= minVotes);
+  const used = outcome.map((_, k) => inFit[k] && included[legislator[k]]);
+
+  const byLegislator = groupObservations(legislator, legislators);
+  const byBill = groupObservations(bill, bills);
+
+  // Start from the PCA compass, standardised to the prior scale
+  const matrix = Array.from({ length: legislators }, () => new Array(bills).fill(null));
+  outcome.forEach((y, k) => {
+    if (used[k]) matrix[legislator[k]][bill[k]] = y === 1 ? 1 : -1;
+  });
+  const includedRows = matrix.filter((_, i) => included[i]);
+  const pca = computePCA(includedRows, d);
+  if (pca.components.length < d) {
+    return { idealPoints: new Array(legislators).fill(null), cutLines: new Array(bills).fill(null), fit: null };
+  }
+  const spread = pca.variance.map(v => Math.sqrt(v) || 1);
+  const start = [];
+  let row = 0;
+  for (let i = 0; i < legislators; i++) {
+    start.push(included[i] ? pca.projections[row++].map((value, k) => value / spread[k]) : null);
+  }
+
+  const x = start.map(point => (point ? [...point] : null));
+  const theta = new Array(bills).fill(null).map(() => new Array(d + 1).fill(0)); // [intercept, ...normal]
+
+  const features = new Array(d + 1);
+  // Linear predictor intercept_j + normal_j · x_i of observation k
+  function predictor(k) {
+    const params = theta[bill[k]];
+    const point = x[legislator[k]];
+    let z = params[0];
+    for (let a = 0; a < d; a++) z += params[a + 1] * point[a];
+    return z;
+  }
+
+  function fitBill(j, onlyUsed) {
+    const gradient = theta[j].map(value => -billPrecision * value);
+    const precision = Array.from({ length: d + 1 }, (_, a) => Array.from({ length: d + 1 }, (_, b) => (a === b ? billPrecision : 0)));
+    for (let p = byBill.starts[j]; p < byBill.starts[j + 1]; p++) {
+      const k = byBill.order[p];
+      if (onlyUsed ? !used[k] : !included[legislator[k]]) continue;
+      const point = x[legislator[k]];
+      features[0] = 1;
+      for (let a = 0; a < d; a++) features[a + 1] = point[a];
+      let z = 0;
+      for (let a = 0; a <= d; a++) z += features[a] * theta[j][a];
+      const prob = logistic(z);
+      const residual = outcome[k] - prob;
+      const weight = prob * (1 - prob);
+      for (let a = 0; a <= d; a++) {
+        gradient[a] += residual * features[a];
+        for (let b = 0; b <= d; b++) precision[a][b] += weight * features[a] * features[b];
+      }
+    }
+    theta[j] = newtonStep(theta[j], gradient, precision);
+  }
+
+  // Gradient and negative Hessian of the log posterior in one MEP's ideal point
+  function legislatorBlock(i) {
+    const gradient = x[i].map(value => -value);
+    const precision = Array.from({ length: d }, (_, a) => Array.from({ length: d }, (_, b) => (a === b ? 1 : 0)));
+    for (let p = byLegislator.starts[i]; p < byLegislator.starts[i + 1]; p++) {
+      const k = byLegislator.order[p];
+      if (!used[k]) continue;
+      const params = theta[bill[k]];
+      const prob = logistic(predictor(k));
+      const residual = outcome[k] - prob;
+      const weight = prob * (1 - prob);
+      for (let a = 0; a < d; a++) {
+        gradient[a] += residual * params[a + 1];
+        for (let b = 0; b < d; b++) precision[a][b] += weight * params[a + 1] * params[b + 1];
+      }
+    }
+    return { gradient, precision };
+  }
+
+  function logPosterior() {
+    let total = 0;
+    for (let k = 0; k < outcome.length; k++) {
+      if (!used[k]) continue;
+      const z = predictor(k);
+      total -= softplus(outcome[k] === 1 ? -z : z);
+    }
+    x.forEach(point => { if (point) total -= 0.5 * point.reduce((sum, v) => sum + v * v, 0); });
+    theta.forEach((params, j) => {
+      if (informative[j]) total -= 0.5 * billPrecision * params.reduce((sum, v) => sum + v * v, 0);
+    });
+    return total;
+  }
+
+  let previous = -Infinity;
+  let iterations = 0;
+  let converged = false;
+  let current = -Infinity;
+  while (iterations < maxIterations) {
+    iterations++;
+    for (let j = 0; j < bills; j++) if (informative[j]) fitBill(j, true);
+    for (let i = 0; i < legislators; i++) {
+      if (!included[i]) continue;
+      const { gradient, precision } = legislatorBlock(i);
+      x[i] = newtonStep(x[i], gradient, precision);
+    }
+    current = logPosterior();
+    if (Math.abs(current - previous) <= tolerance * Math.abs(current)) {
+      converged = true;
+      break;
+    }
+    previous = current;
+  }
+
+  // The likelihood is invariant to rotating the space; rotate back onto the PCA axes
+  const rotation = orthogonalAlignment(x, start, d);
+  const rotate = (vector) => vector.map((_, b) => vector.reduce((sum, v, a) => sum + v * rotation[a][b], 0));
+
+  const idealPoints = x.map((point, i) => {
+    if (!point) return null;
+    const covariance = invertSPD(legislatorBlock(i).precision);
+    // R^T Σ R
+    const rotated = rotation[0].map((_, a) => rotation[0].map((_, b) => {
+      let sum = 0;
+      for (let p = 0; p < d; p++) for (let q = 0; q < d; q++) sum += rotation[p][a] * covariance[p][q] * rotation[q][b];
+      return sum;
+    }));
+    return {
+      point: rotate(point),
+      se: rotated.map((r, a) => Math.sqrt(r[a])),
+      covariance: rotated,
+      votes: fitVotes[i]
+    };
+  });
+
+  // Lopsided bills get their cut line given the final ideal points
+  for (let j = 0; j < bills; j++) {
+    if (informative[j] || minority[j] === 0) continue;
+    for (let step = 0; step < 25; step++) fitBill(j, false);
+  }
+
+  // Classification: a vote is predicted yes on the positive side of the cut line
+  const errors = new Array(bills).fill(0);
+  const classifiedVotes = new Array(bills).fill(0);
+  outcome.forEach((y, k) => {
+    if (!included[legislator[k]]) return;
+    const j = bill[k];
+    classifiedVotes[j]++;
+    if ((predictor(k) > 0) !== (y === 1)) errors[j]++;
+  });
+
+  let fitErrors = 0;
+  let fitMinority = 0;
+  let fitTotal = 0;
+  const cutLines = theta.map((params, j) => {
+    if (minority[j] === 0 || classifiedVotes[j] === 0) return null;
+    if (informative[j]) {
+      fitErrors += errors[j];
+      fitMinority += minority[j];
+      fitTotal += classifiedVotes[j];
+    }
+    const [intercept, ...normal] = params;
+    return {
+      intercept,
+      normal: rotate(normal),
+      classified: 1 - errors[j] / classifiedVotes[j],
+      pre: (minority[j] - errors[j]) / minority[j],
+      lopsided: !informative[j]
+    };
+  });
+
+  return {
+    idealPoints,
+    cutLines,
+    fit: {
+      dimensions: d,
+      iterations,
+      converged,
+      logPosterior: current,
+      legislators: included.filter(Boolean).length,
+      bills: informative.filter(Boolean).length,
+      votes: used.filter(Boolean).length,
+      classified: fitTotal > 0 ? 1 - fitErrors / fitTotal : null,
+      apre: fitMinority > 0 ? (fitMinority - fitErrors) / fitMinority : null
+    }
+  };
+}
+
+/**
+ * Orthogonal matrix R (rotation or reflection) that best maps the rows of `points` onto
+ * `target`, so estimates keep the orientation of the PCA compass between runs
+ */
+function orthogonalAlignment(points, target, d) {
+  let xx = 0, xy = 0, yx = 0, yy = 0;
+  points.forEach((point, i) => {
+    if (!point) return;
+    xx += point[0] * target[i][0];
+    if (d === 2) {
+      xy += point[0] * target[i][1];
+      yx += point[1] * target[i][0];
+      yy += point[1] * target[i][1];
+    }
+  });
+  if (d === 1) return [[xx < 0 ? -1 : 1]];
+
+  // Best rotation and best reflection have closed forms in 2D; keep the better fit
+  const rotationAngle = Math.atan2(xy - yx, xx + yy);
+  const reflectionAngle = Math.atan2(xy + yx, xx - yy);
+  const rotationFit = Math.hypot(xx + yy, xy - yx);
+  const reflectionFit = Math.hypot(xx - yy, xy + yx);
+  if (rotationFit >= reflectionFit) {
+    const c = Math.cos(rotationAngle), s = Math.sin(rotationAngle);
+    return [[c, s], [-s, c]];
+  }
+  const c = Math.cos(reflectionAngle), s = Math.sin(reflectionAngle);
+  return [[c, s], [s, -c]];
+}
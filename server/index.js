@@ -5,7 +5,36 @@ import bodyParser from 'body-parser';
 import pg from 'pg';
 import dotenv from 'dotenv';
 import { GoogleGenerativeAI } from '@google/generative-ai';
-import { initScheduler, triggerUpdate, isUpdating } from './scheduler.js';
+import { initScheduler } from './scheduler.js';
+import { createJobQueue, JOB_TYPES } from './jobQueue.js';
+import { getPendingMigrations, migrateUp } from './migrate.js';
+import { loadGroupRegistry } from './groupRegistry.js';
+import { createAdminAuth } from './adminAuth.js';
+import { recordChangeSet } from './pipelineChanges.js';
+import {
+  DISCUSSION_TARGETS, AUTO_HIDE_REPORTS, readParticipant, validateDiscussion,
+  validateComment, validateReport, validateHide, buildCommentTree, createRateLimiter
+} from './discussions.js';
+import {
+  createAccounts, normalizeEmail, isValidEmail, validateDisplayName,
+  exportAccountData, deleteAccount
+} from './accounts.js';
+import { MAX_FOLLOWS, validateFollow, findFollowTarget, listFollows, buildFeed } from './feed.js';
+import {
+  DIGEST_CHANNELS, createPushSender, validateNotificationSettings, validatePushSubscription,
+  getNotificationSettings, updateNotificationSettings, unsubscribe
+} from './notifications.js';
+import { createMailer } from './mailer.js';
+import {
+  WEBHOOK_EVENTS, validateWebhook, generateWebhookSecret, queuePing, redeliver, createWebhookDispatcher
+} from './webhooks.js';
+import { EXPORT_FORMATS, exportDictionary, parseExportQuery, streamExport } from './dataExport.js';
+import { listStatsWindows, resolveStatsWindow, billWindowClause, INVALID_WINDOW_ERROR } from './statsWindows.js';
+import { loadWindowedStat } from './statsQueries.js';
+import {
+  fitCuttingLine, distanceToLine, blocPivotality, minimumSwitches, majorityRule,
+  validateSimulation, simulateVote, tallyVotes
+} from './billAnalysis.js';
 
 dotenv.config();
 
@@ -17,6 +46,16 @@ const genAI = process.env.GEMINI_API_KEY
 const app = express();
 const { Pool } = pg;
 
+// Behind a reverse proxy req.ip is the proxy's address, so every client would share one rate
+// limit. TRUST_PROXY takes Express's 'trust proxy' values: true, a number of proxy hops, or
+// addresses and subnets such as "loopback" or "10.0.0.0/8". Unset, forwarded headers are ignored.
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Configure database connection
 // If DATABASE_URL contains direct Supabase connection, log a warning
 const dbUrl = process.env.DATABASE_URL || 'postgres://localhost/eulens';
@@ -35,79 +74,53 @@ const pool = new Pool({
   // Note: This requires using connection pooler for Supabase
 });
 
-// Eagerly establish DB connection so it's ready before the first request
-pool.query('SELECT 1').then(() => {
+// Data pipeline jobs (imports, updates, pre-computation) run from a Postgres-backed queue
+const jobQueue = createJobQueue(pool);
+
+// Webhook deliveries queued by the pipeline are sent and retried from this process
+const webhookDispatcher = createWebhookDispatcher(pool);
+
+// Eagerly establish DB connection so it's ready before the first request,
+// then make sure the schema matches the migrations shipped with this code
+pool.query('SELECT 1').then(async () => {
   console.log('Database connection established');
+  await checkMigrations();
+  await jobQueue.start();
+  await webhookDispatcher.start();
 }).catch(err => {
   console.error('Database connection failed:', err.message);
 });
 
-// Simple PCA computation function (same algorithm as frontend)
-function computePCComponents(data, numComponents = 2) {
-  const n = data.length;
-  if (n === 0) return { components: null, means: null };
-  
-  const m = data[0].length;
-  
-  // Center the data (subtract mean from each column)
-  const means = new Array(m).fill(0);
-  for (let j = 0; j < m; j++) {
-    for (let i = 0; i < n; i++) {
-      means[j] += data[i][j];
-    }
-    means[j] /= n;
-  }
-  
-  const centered = data.map(row => row.map((val, j) => val - means[j]));
-  
-  const components = [];
-  let currentData = centered.map(row => [...row]);
-  
-  for (let comp = 0; comp < numComponents; comp++) {
-    // Power iteration
-    let pc = new Array(m).fill(1);
-    let norm = Math.sqrt(pc.reduce((sum, v) => sum + v * v, 0));
-    pc = pc.map(v => v / norm);
-    
-    for (let iter = 0; iter < 100; iter++) {
-      const xpc = currentData.map(row => row.reduce((sum, v, j) => sum + v * pc[j], 0));
-      const newPc = new Array(m).fill(0);
-      for (let j = 0; j < m; j++) {
-        for (let i = 0; i < n; i++) {
-          newPc[j] += currentData[i][j] * xpc[i];
-        }
-      }
-      
-      norm = Math.sqrt(newPc.reduce((sum, v) => sum + v * v, 0));
-      if (norm < 1e-10) break;
-      pc = newPc.map(v => v / norm);
-    }
-    
-    // Enforce sign convention
-    const sum = pc.reduce((a, b) => a + b, 0);
-    if (sum > 0) {
-      pc = pc.map(v => -v);
-    }
-    
-    components.push(pc);
-    
-    // Deflate
-    const projections = currentData.map(row => row.reduce((sum, v, j) => sum + v * pc[j], 0));
-    for (let i = 0; i < n; i++) {
-      const proj = projections[i];
-      for (let j = 0; j < m; j++) {
-        currentData[i][j] -= proj * pc[j];
-      }
+// Warn about pending migrations (or apply them when AUTO_MIGRATE=true)
+async function checkMigrations() {
+  try {
+    const pending = await getPendingMigrations(pool);
+    if (pending.length === 0) return;
+
+    if (process.env.AUTO_MIGRATE === 'true') {
+      await migrateUp(pool);
+      console.log(`Applied ${pending.length} pending migration(s)`);
+    } else {
+      console.warn(`⚠️  WARNING: ${pending.length} pending migration(s): ${pending.map(m => m.id).join(', ')}`);
+      console.warn('   Run: npm run migrate');
     }
+  } catch (err) {
+    console.error('Migration check failed:', err.message);
   }
-  
-  return { components, means };
 }
 
 app.use(compression());
 app.use(cors());
 app.use(bodyParser.json());
 
+// Every /api/admin route needs an admin API key; individual routes also check roles
+const { requireAdmin, requireRole, audit } = createAdminAuth(pool);
+app.use('/api/admin', requireAdmin);
+
+// Citizen accounts: sessions from email login links (server/accounts.js)
+const accounts = createAccounts(pool, createMailer());
+const { loadAccount, requireAccount } = accounts;
+
 // Cache-control helper for semi-static data
 function cacheFor(seconds) {
   return (req, res, next) => {
@@ -118,40 +131,127 @@ function cacheFor(seconds) {
 
 // BILLS ENDPOINTS
 
+// Full-text search over a bill's title and description and its AI summary text, against
+// the stored, GIN-indexed vectors of migration 018. `param` is the query's placeholder.
+// Matching either vector keeps both indexes usable; ranking uses them together.
+function billSearchMatch(param) {
+  return `(b.search_vector @@ websearch_to_tsquery('english', ${param})
+    OR bs.search_vector @@ websearch_to_tsquery('english', ${param}))`;
+}
+
+function billSearchRank(param) {
+  return `ts_rank(b.search_vector || COALESCE(bs.search_vector, ''::tsvector), websearch_to_tsquery('english', ${param}))`;
+}
+
+// Escape LIKE wildcards so user input only matches literally (with ESCAPE '\')
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// Build WHERE clauses for the bill search facets.
+// `exclude` names one facet to leave out, so facet counts reflect the other filters only.
+function buildBillFilters(query, exclude = null) {
+  const { q, category, status, procedure_type, procedure, from, to } = query;
+  const clauses = [];
+  const params = [];
+
+  if (q && q.trim()) {
+    params.push(q.trim(), `%${escapeLike(q.trim())}%`);
+    const idx = params.length - 1;
+    clauses.push(`(${billSearchMatch(`$${idx}`)}
+      OR b.procedure_id ILIKE $${idx + 1} ESCAPE '\\'
+      OR b.eu_id = $${idx})`);
+  }
+  if (category && category !== 'all' && exclude !== 'category') {
+    params.push(category);
+    clauses.push(`b.category = $${params.length}`);
+  }
+  if (status && status !== 'all' && exclude !== 'status') {
+    params.push(status);
+    clauses.push(`b.status = $${params.length}`);
+  }
+  if (procedure_type && procedure_type !== 'all' && exclude !== 'procedure_type') {
+    params.push(procedure_type);
+    clauses.push(`b.procedure_type = $${params.length}`);
+  }
+  if (procedure && procedure.trim()) {
+    params.push(`%${escapeLike(procedure.trim())}%`);
+    clauses.push(`b.procedure_id ILIKE $${params.length} ESCAPE '\\'`);
+  }
+  if (from) {
+    params.push(from);
+    clauses.push(`b.date_adopted >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    clauses.push(`b.date_adopted <= $${params.length}`);
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+// Count bills per value of one facet column under the remaining filters
+async function fetchBillFacet(query, column) {
+  const { where, params } = buildBillFilters(query, column);
+  const result = await pool.query(
+    `SELECT b.${column} as value, COUNT(*) as count
+     FROM bills b
+     LEFT JOIN bill_summaries bs ON bs.bill_id = b.id
+     ${where}
+     GROUP BY b.${column}
+     ORDER BY count DESC`,
+    params
+  );
+  return result.rows
+    .filter(row => row.value !== null)
+    .map(row => ({ value: row.value, count: parseInt(row.count) }));
+}
+
 // Get all bills with pagination
+// Optional search: q (full-text over title, description and summaries, or a procedure reference)
+// Optional facets: category, status, procedure_type, procedure, from, to (YYYY-MM-DD)
 app.get('/api/bills', cacheFor(300), async (req, res) => {
   try {
-    const { page = 1, limit = 20, category } = req.query;
+    const { page = 1, limit = 20, q } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
-    
+    const { where, params } = buildBillFilters(req.query);
+    const hasQuery = Boolean(q && q.trim());
+
     // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM bills';
-    let countParams = [];
-    if (category && category !== 'all') {
-      countQuery += ' WHERE category = $1';
-      countParams = [category];
-    }
-    const countResult = await pool.query(countQuery, countParams);
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM bills b
+       LEFT JOIN bill_summaries bs ON bs.bill_id = b.id
+       ${where}`,
+      params
+    );
     const totalBills = parseInt(countResult.rows[0].count);
     const totalPages = Math.ceil(totalBills / parseInt(limit));
-    
-    // Get paginated bills
-    let query = `SELECT id, eu_id, title, description, category, status, date_adopted
-       FROM bills`;
-    let params = [];
-    
-    if (category && category !== 'all') {
-      query += ' WHERE category = $1';
-      params = [category];
-      query += ' ORDER BY date_adopted DESC LIMIT $2 OFFSET $3';
-      params.push(parseInt(limit), offset);
-    } else {
-      query += ' ORDER BY date_adopted DESC LIMIT $1 OFFSET $2';
-      params = [parseInt(limit), offset];
-    }
-    
-    const result = await pool.query(query, params);
-    
+
+    // Rank by relevance when searching, otherwise newest first
+    const orderBy = hasQuery
+      ? `${billSearchRank('$1')} DESC, b.date_adopted DESC`
+      : 'b.date_adopted DESC';
+
+    const result = await pool.query(
+      `SELECT b.id, b.eu_id, b.title, b.description, b.category, b.status, b.date_adopted,
+              b.procedure_id, b.procedure_type
+       FROM bills b
+       LEFT JOIN bill_summaries bs ON bs.bill_id = b.id
+       ${where}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    const [categoryFacet, statusFacet, procedureTypeFacet] = await Promise.all([
+      fetchBillFacet(req.query, 'category'),
+      fetchBillFacet(req.query, 'status'),
+      fetchBillFacet(req.query, 'procedure_type')
+    ]);
+
     res.json({
       bills: result.rows,
       pagination: {
@@ -159,6 +259,11 @@ app.get('/api/bills', cacheFor(300), async (req, res) => {
         limit: parseInt(limit),
         totalBills,
         totalPages
+      },
+      facets: {
+        category: categoryFacet,
+        status: statusFacet,
+        procedure_type: procedureTypeFacet
       }
     });
   } catch (error) {
@@ -204,7 +309,7 @@ app.get('/api/bills/:id', cacheFor(600), async (req, res) => {
       `SELECT d.id, d.title, d.content, c.name as country, d.upvotes, d.created_at
        FROM discussions d
        JOIN countries c ON d.country_id = c.id
-       WHERE d.bill_id = $1
+       WHERE d.bill_id = $1 AND d.status = 'visible'
        ORDER BY d.upvotes DESC
        LIMIT 10`,
       [billId]
@@ -231,1489 +336,3168 @@ app.get('/api/bills/:id', cacheFor(600), async (req, res) => {
   }
 });
 
-// DISCUSSION ENDPOINTS
-
-// Create discussion
-app.post('/api/discussions', async (req, res) => {
+// Get all roll-call votes of a procedure (amendments, split votes and final votes) in order.
+// Procedure ids contain slashes, so clients pass them URL-encoded.
+app.get('/api/procedures/:procedureId', cacheFor(600), async (req, res) => {
   try {
-    const { bill_id, country_code, title, content, author_id } = req.body;
+    const procedureId = req.params.procedureId;
 
-    const country = await pool.query(
-      'SELECT id FROM countries WHERE code = $1',
-      [country_code]
+    // Main votes imported as bills have per-MEP votes; use them when upstream counts are missing
+    const votes = await pool.query(
+      `SELECT pv.id, pv.eu_id, pv.bill_id, pv.voted_at, pv.title, pv.reference, pv.description,
+              pv.is_main, pv.result,
+              COALESCE(pv.count_for, mv.yes_votes) as count_for,
+              COALESCE(pv.count_against, mv.no_votes) as count_against,
+              COALESCE(pv.count_abstention, mv.abstain_votes) as count_abstention,
+              pv.count_did_not_vote
+       FROM procedure_votes pv
+       LEFT JOIN (
+         SELECT bill_id,
+                COUNT(CASE WHEN vote = 'yes' THEN 1 END)::int as yes_votes,
+                COUNT(CASE WHEN vote = 'no' THEN 1 END)::int as no_votes,
+                COUNT(CASE WHEN vote = 'abstain' THEN 1 END)::int as abstain_votes
+         FROM votes
+         GROUP BY bill_id
+       ) mv ON mv.bill_id = pv.bill_id
+       WHERE pv.procedure_id = $1
+       ORDER BY pv.voted_at, pv.id`,
+      [procedureId]
     );
 
-    if (country.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid country code' });
+    if (votes.rows.length === 0) {
+      return res.status(404).json({ error: 'Procedure not found' });
     }
 
-    const result = await pool.query(
-      `INSERT INTO discussions (bill_id, country_id, title, content, author_id)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, title, content, created_at`,
-      [bill_id, country.rows[0].id, title, content, author_id]
+    // Title and links come from the most recent main vote imported as a bill
+    const bill = await pool.query(
+      `SELECT b.id, b.title, b.category, b.procedure_type, b.ep_procedure_url, b.ep_text_url
+       FROM bills b
+       JOIN procedure_votes pv ON pv.bill_id = b.id
+       WHERE pv.procedure_id = $1
+       ORDER BY pv.voted_at DESC
+       LIMIT 1`,
+      [procedureId]
     );
+    const main = bill.rows[0] || null;
 
-    res.json(result.rows[0]);
+    res.json({
+      procedure: {
+        procedure_id: procedureId,
+        title: main?.title || votes.rows[votes.rows.length - 1].title,
+        category: main?.category || null,
+        procedure_type: main?.procedure_type || null,
+        ep_procedure_url: main?.ep_procedure_url || null,
+        ep_text_url: main?.ep_text_url || null,
+        first_vote: votes.rows[0].voted_at,
+        last_vote: votes.rows[votes.rows.length - 1].voted_at,
+        total_votes: votes.rows.length,
+        main_votes: votes.rows.filter(v => v.is_main).length
+      },
+      votes: votes.rows
+    });
   } catch (error) {
-    console.error('Error creating discussion:', error);
-    res.status(500).json({ error: 'Failed to create discussion' });
+    console.error('Error fetching procedure timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch procedure timeline' });
   }
 });
 
-// Get discussions for a bill
-app.get('/api/bills/:id/discussions', async (req, res) => {
-  try {
-    const billId = req.params.id;
+// ACCOUNT ENDPOINTS (server/accounts.js)
 
-    const result = await pool.query(
-      `SELECT d.id, d.title, d.content, c.name as country, c.code as country_code, d.upvotes, d.created_at
-       FROM discussions d
-       JOIN countries c ON d.country_id = c.id
-       WHERE d.bill_id = $1
-       ORDER BY d.upvotes DESC`,
-      [billId]
-    );
+const loginLimiter = createRateLimiter({ name: 'login requests', windowMs: 60 * 60 * 1000, max: 5 });
 
-    res.json(result.rows);
+// Email a sign-in link. Answers the same whether or not the address has an account.
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    await accounts.requestLogin(email);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching discussions:', error);
-    res.status(500).json({ error: 'Failed to fetch discussions' });
+    console.error('Error sending login link:', error);
+    res.status(500).json({ error: 'Failed to send login link' });
   }
 });
 
-// VOTING ANALYSIS ENDPOINTS
-
-// Get where Europe agrees (cross-country consensus)
-// Fixed: Now counts countries by their MAJORITY vote position, not any vote
-app.get('/api/consensus', cacheFor(600), async (req, res) => {
+// Exchange a sign-in link token for a session. New accounts also need country_code and
+// may choose a display_name.
+app.post('/api/auth/verify', async (req, res) => {
   try {
-    const result = await pool.query(
-      `WITH country_votes AS (
-        -- Count votes per country per bill
-        SELECT
-          v.bill_id,
-          v.country_id,
-          v.vote,
-          COUNT(*) as vote_count
-        FROM votes v
-        GROUP BY v.bill_id, v.country_id, v.vote
-      ),
-      country_majorities AS (
-        -- Get each country's majority position per bill
-        SELECT
-          bill_id,
-          country_id,
-          vote,
-          vote_count,
-          ROW_NUMBER() OVER (PARTITION BY bill_id, country_id ORDER BY vote_count DESC) as rn
-        FROM country_votes
-      ),
-      bill_consensus AS (
-        -- Count countries by their majority position
-        SELECT
-          bill_id,
-          COUNT(CASE WHEN vote = 'yes' AND rn = 1 THEN 1 END) as yes_countries,
-          COUNT(CASE WHEN vote = 'no' AND rn = 1 THEN 1 END) as no_countries,
-          COUNT(CASE WHEN vote = 'abstain' AND rn = 1 THEN 1 END) as abstain_countries,
-          COUNT(DISTINCT country_id) as voting_countries
-        FROM country_majorities
-        WHERE rn = 1
-        GROUP BY bill_id
-      )
-      SELECT
-        b.id,
-        b.title,
-        COALESCE(bc.yes_countries, 0) as yes_countries,
-        COALESCE(bc.no_countries, 0) as no_countries,
-        COALESCE(bc.abstain_countries, 0) as abstain_countries,
-        COALESCE(bc.voting_countries, 0) as voting_countries
-      FROM bills b
-      LEFT JOIN bill_consensus bc ON b.id = bc.bill_id
-      WHERE b.status IN ('voting', 'adopted')
-        AND bc.voting_countries > 10
-      ORDER BY (bc.yes_countries::float / NULLIF(bc.voting_countries, 0)) DESC
-      LIMIT 20`
-    );
+    const { token, country_code, display_name } = req.body;
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+    if (country_code != null && typeof country_code !== 'string') {
+      return res.status(400).json({ error: 'country_code must be a string' });
+    }
+    const result = await accounts.completeLogin(token, { country_code, display_name });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, new_account: result.new_account || false });
+    }
+    res.json({ token: result.session, account: result.account, created: result.created });
+  } catch (error) {
+    console.error('Error verifying login link:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
 
-    res.json(result.rows);
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await accounts.logout(req);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching consensus:', error);
-    res.status(500).json({ error: 'Failed to fetch consensus' });
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
   }
 });
 
-// Get voting breakdown for visualization
-app.get('/api/votes/:billId', async (req, res) => {
+// The signed-in account
+app.get('/api/account', requireAccount, (req, res) => {
+  res.json(req.account);
+});
+
+// Change display_name and/or the declared country_code
+app.patch('/api/account', requireAccount, async (req, res) => {
   try {
-    const billId = req.params.billId;
+    const { display_name, country_code } = req.body;
+    if (display_name !== undefined && validateDisplayName(display_name)) {
+      return res.status(400).json({ error: validateDisplayName(display_name) });
+    }
+    if (country_code !== undefined) {
+      const country = await pool.query('SELECT code FROM countries WHERE code = $1', [country_code]);
+      if (country.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid country code' });
+      }
+    }
 
-    const result = await pool.query(
-      `SELECT c.name, c.code, v.vote, COUNT(*) as count
-       FROM votes v
-       JOIN countries c ON v.country_id = c.id
-       WHERE v.bill_id = $1
-       GROUP BY c.name, c.code, v.vote
-       ORDER BY c.name, v.vote`,
-      [billId]
+    await pool.query(
+      `UPDATE accounts SET display_name = COALESCE($2, display_name), country_code = COALESCE($3, country_code)
+       WHERE id = $1`,
+      [req.account.id, display_name?.trim(), country_code]
     );
+    res.json(await accounts.getAccount(req.account.id));
+  } catch (error) {
+    console.error('Error updating account:', error);
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
 
-    res.json(result.rows);
+// Everything stored about the account, as a JSON download
+app.get('/api/account/export', requireAccount, async (req, res) => {
+  try {
+    const data = await exportAccountData(pool, req.account);
+    res.set('Content-Disposition', `attachment; filename="eulens-account-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json(data);
   } catch (error) {
-    console.error('Error fetching votes:', error);
-    res.status(500).json({ error: 'Failed to fetch votes' });
+    console.error('Error exporting account data:', error);
+    res.status(500).json({ error: 'Failed to export account data' });
   }
 });
 
-// Get voting breakdown by political group
-app.get('/api/bills/:id/group-votes', async (req, res) => {
+// Delete the account and its data
+app.delete('/api/account', requireAccount, async (req, res) => {
   try {
-    const billId = req.params.id;
+    await deleteAccount(pool, req.account);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
 
-    const result = await pool.query(
-      `SELECT
-         COALESCE(v.mep_group, 'Unknown') as group_name,
-         COUNT(CASE WHEN v.vote = 'yes' THEN 1 END) as yes_count,
-         COUNT(CASE WHEN v.vote = 'no' THEN 1 END) as no_count,
-         COUNT(CASE WHEN v.vote = 'abstain' THEN 1 END) as abstain_count,
-         COUNT(*) as total
-       FROM votes v
-       WHERE v.bill_id = $1
-       GROUP BY v.mep_group
-       ORDER BY COUNT(*) DESC`,
-      [billId]
-    );
+// FOLLOW AND FEED ENDPOINTS (server/feed.js)
 
-    res.json(result.rows);
+// MEPs, groups, countries and categories the account follows
+app.get('/api/follows', requireAccount, async (req, res) => {
+  try {
+    res.json(await listFollows(pool, req.account.id));
   } catch (error) {
-    console.error('Error fetching group votes:', error);
-    res.status(500).json({ error: 'Failed to fetch group votes' });
+    console.error('Error fetching follows:', error);
+    res.status(500).json({ error: 'Failed to fetch follows' });
   }
 });
 
-// Get individual MEP votes for a bill (excludes did_not_vote - use non-voters endpoint for those)
-app.get('/api/bills/:id/mep-votes', async (req, res) => {
+// Follow an MEP (mep_id), group (code), country (code) or category
+app.post('/api/follows', requireAccount, async (req, res) => {
   try {
-    const billId = req.params.id;
+    const validationError = validateFollow(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    const result = await pool.query(
-      `SELECT
-         v.mep_id,
-         v.mep_name,
-         v.mep_group,
-         c.name as country,
-         c.code as country_code,
-         v.vote
-       FROM votes v
-       JOIN countries c ON v.country_id = c.id
-       WHERE v.bill_id = $1 AND v.vote != 'did_not_vote'
-       ORDER BY v.mep_group, v.mep_name`,
-      [billId]
-    );
+    const target = await findFollowTarget(pool, req.body.target_type, req.body.target_id);
+    if (!target) {
+      return res.status(404).json({ error: `Unknown ${req.body.target_type}` });
+    }
 
-    res.json(result.rows);
+    const count = await pool.query('SELECT COUNT(*)::int as count FROM follows WHERE account_id = $1', [req.account.id]);
+    if (count.rows[0].count >= MAX_FOLLOWS) {
+      return res.status(400).json({ error: `You can follow at most ${MAX_FOLLOWS} MEPs, groups, countries and categories` });
+    }
+
+    await pool.query(
+      `INSERT INTO follows (account_id, target_type, target_id) VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING`,
+      [req.account.id, target.target_type, target.target_id]
+    );
+    res.json({ success: true, follow: target });
   } catch (error) {
-    console.error('Error fetching MEP votes:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP votes' });
+    console.error('Error following:', error);
+    res.status(500).json({ error: 'Failed to follow' });
   }
 });
 
-// Get all MEPs (for reference)
-app.get('/api/meps', cacheFor(1800), async (req, res) => {
+app.delete('/api/follows/:type/:id', requireAccount, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT mep_id, name, first_name, last_name, country_code, political_group, photo_url
-       FROM meps
-       WHERE is_active = true
-       ORDER BY political_group, name`
+      'DELETE FROM follows WHERE account_id = $1 AND target_type = $2 AND target_id = $3 RETURNING target_id',
+      [req.account.id, req.params.type, req.params.id]
     );
-    res.json(result.rows);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Not following' });
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching MEPs:', error);
-    res.status(500).json({ error: 'Failed to fetch MEPs' });
+    console.error('Error unfollowing:', error);
+    res.status(500).json({ error: 'Failed to unfollow' });
   }
 });
 
-// Get MEP statistics overview
-app.get('/api/meps/stats', async (req, res) => {
+// Latest votes relevant to the account's follows, with highlights.
+// Optional: limit (default 20, max 50), offset, since (only bills imported after this time)
+app.get('/api/feed', requireAccount, async (req, res) => {
   try {
-    // Get all active MEPs with gender and birth date information
-    const mepsResult = await pool.query(
-      `SELECT gender, date_of_birth
-       FROM meps
-       WHERE is_active = true`
-    );
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const offset = parseInt(req.query.offset) || 0;
+    let since = null;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (isNaN(since)) {
+        return res.status(400).json({ error: 'since must be a date' });
+      }
+    }
 
-    let male = 0;
-    let female = 0;
-    let unknown = 0;
-    const decades = {};
+    const feed = await buildFeed(pool, req.account.id, { limit, offset, since });
+    res.json({ ...feed, limit, offset });
+  } catch (error) {
+    console.error('Error building feed:', error);
+    res.status(500).json({ error: 'Failed to fetch feed' });
+  }
+});
 
-    mepsResult.rows.forEach(mep => {
-      // Use actual gender data from database (from official sources)
-      if (mep.gender === 'male') {
-        male++;
-      } else if (mep.gender === 'female') {
-        female++;
-      } else {
-        unknown++;
-      }
+// NOTIFICATION ENDPOINTS (server/notifications.js)
 
-      // Calculate birth decade
-      if (mep.date_of_birth) {
-        const birthYear = new Date(mep.date_of_birth).getFullYear();
-        const decade = Math.floor(birthYear / 10) * 10;
-        decades[decade] = (decades[decade] || 0) + 1;
-      }
-    });
-
-    // Convert decades to sorted array
-    const decadeData = Object.entries(decades)
-      .map(([decade, count]) => ({ decade: parseInt(decade), count }))
-      .sort((a, b) => a.decade - b.decade);
+const push = createPushSender();
 
-    const total = male + female + unknown;
-    const genderRatio = {
-      male: total > 0 ? Math.round((male / total) * 100) : 0,
-      female: total > 0 ? Math.round((female / total) * 100) : 0,
-      unknown: total > 0 ? Math.round((unknown / total) * 100) : 0,
-      counts: { male, female, unknown, total }
-    };
+// Digest settings per channel, and the key browsers need to subscribe to Web Push
+app.get('/api/notifications', requireAccount, async (req, res) => {
+  try {
+    const settings = await getNotificationSettings(pool, req.account.id);
+    res.json({ ...settings, push_available: push.enabled, push_public_key: push.publicKey });
+  } catch (error) {
+    console.error('Error fetching notification settings:', error);
+    res.status(500).json({ error: 'Failed to fetch notification settings' });
+  }
+});
 
-    // Reelection statistics (from official EU Parliament data)
-    // Source: https://www.europarl.europa.eu/RegData/etudes/ATAG/2024/762356/EPRS_ATA(2024)762356_EN.pdf
-    const reelectionStats = {
-      new: 362,           // New MEPs (never sat in EP)
-      reelected: 357      // Reelected (336 from previous term + 21 from other legislatures)
-    };
+// Switch the email and push digests on or off: { email?, push? }
+app.put('/api/notifications', requireAccount, async (req, res) => {
+  try {
+    const validationError = validateNotificationSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (req.body.push && !push.enabled) {
+      return res.status(400).json({ error: 'Push notifications are not available on this server' });
+    }
 
-    res.json({
-      genderRatio,
-      birthDecades: decadeData,
-      reelection: reelectionStats
-    });
+    const settings = await updateNotificationSettings(pool, req.account, req.body);
+    res.json({ ...settings, push_available: push.enabled, push_public_key: push.publicKey });
   } catch (error) {
-    console.error('Error fetching MEP stats:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP statistics' });
+    console.error('Error saving notification settings:', error);
+    res.status(500).json({ error: 'Failed to save notification settings' });
   }
 });
 
-// Get all political groups with statistics
-app.get('/api/groups', cacheFor(1800), async (req, res) => {
+// Register this browser's PushSubscription (as returned by PushManager.subscribe)
+app.post('/api/notifications/push-subscriptions', requireAccount, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
-        m.political_group as group_name,
-        COUNT(DISTINCT m.mep_id) as mep_count,
-        COUNT(DISTINCT m.country_code) as country_count,
-        COUNT(DISTINCT v.bill_id) as bills_voted,
-        COUNT(v.id) as total_votes,
-        COUNT(CASE WHEN v.vote = 'yes' THEN 1 END) as yes_votes,
-        COUNT(CASE WHEN v.vote = 'no' THEN 1 END) as no_votes,
-        COUNT(CASE WHEN v.vote = 'abstain' THEN 1 END) as abstain_votes
-      FROM meps m
-      LEFT JOIN votes v ON m.mep_id = v.mep_id AND v.vote IN ('yes', 'no', 'abstain')
-      WHERE m.is_active = true AND m.political_group IS NOT NULL
-      GROUP BY m.political_group
-      ORDER BY mep_count DESC
-    `);
-    res.json(result.rows);
+    const validationError = validatePushSubscription(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { endpoint, keys } = req.body;
+    await pool.query(
+      `INSERT INTO push_subscriptions (account_id, endpoint, p256dh, auth, user_agent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (endpoint) DO UPDATE SET account_id = $1, p256dh = $3, auth = $4, user_agent = $5`,
+      [req.account.id, endpoint, keys.p256dh, keys.auth, (req.get('user-agent') || '').slice(0, 255)]
+    );
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching groups:', error);
-    res.status(500).json({ error: 'Failed to fetch groups' });
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
   }
 });
 
-// Get all countries with statistics
-// Filter to avoid duplicates - prefer countries with actual data (MEPs and votes)
-// EU accession years (using 3-letter ISO codes as stored in database)
-// 1958 (founding): BEL, FRA, DEU, ITA, LUX, NLD
-// 1973: DNK, IRL
-// 1981: GRC
-// 1986: ESP, PRT
-// 1995: AUT, FIN, SWE
-// 2004: CYP, CZE, EST, HUN, LVA, LTU, MLT, POL, SVK, SVN
-// 2007: BGR, ROU
-// 2013: HRV
-const EU_ACCESSION_YEARS = {
-  'AUT': 1995, // Austria
-  'BEL': 1958, // Belgium (founding)
-  'BGR': 2007, // Bulgaria
-  'HRV': 2013, // Croatia
-  'CYP': 2004, // Cyprus
-  'CZE': 2004, // Czechia
-  'DNK': 1973, // Denmark
-  'EST': 2004, // Estonia
-  'FIN': 1995, // Finland
-  'FRA': 1958, // France (founding)
-  'DEU': 1958, // Germany (founding)
-  'GRC': 1981, // Greece
-  'HUN': 2004, // Hungary
-  'IRL': 1973, // Ireland
-  'ITA': 1958, // Italy (founding)
-  'LVA': 2004, // Latvia
-  'LTU': 2004, // Lithuania
-  'LUX': 1958, // Luxembourg (founding)
-  'MLT': 2004, // Malta
-  'NLD': 1958, // Netherlands (founding)
-  'POL': 2004, // Poland
-  'PRT': 1986, // Portugal
-  'ROU': 2007, // Romania
-  'SVK': 2004, // Slovakia
-  'SVN': 2004, // Slovenia
-  'ESP': 1986, // Spain
-  'SWE': 1995  // Sweden
-};
-
-app.get('/api/countries', cacheFor(1800), async (req, res) => {
+app.delete('/api/notifications/push-subscriptions', requireAccount, async (req, res) => {
   try {
-    const result = await pool.query(`
-      WITH country_stats AS (
-        SELECT 
-          c.code,
-          c.name,
-          COUNT(DISTINCT m.mep_id) as mep_count,
-          COUNT(v.id) as total_votes,
-          COUNT(CASE WHEN v.vote = 'yes' THEN 1 END) as yes_votes,
-          COUNT(CASE WHEN v.vote = 'no' THEN 1 END) as no_votes,
-          COUNT(CASE WHEN v.vote = 'abstain' THEN 1 END) as abstain_votes
-        FROM countries c
-        LEFT JOIN meps m ON c.code = m.country_code AND m.is_active = true
-        LEFT JOIN votes v ON m.mep_id = v.mep_id AND v.vote IN ('yes', 'no', 'abstain')
-        WHERE c.code NOT IN ('GB', 'UK', 'GBR')  -- Exclude UK
-        GROUP BY c.code, c.name
-      ),
-      -- Prefer countries with data (MEPs), then prefer 2-letter codes
-      unique_countries AS (
-        SELECT DISTINCT ON (name)
-          code,
-          name,
-          mep_count,
-          total_votes,
-          yes_votes,
-          no_votes,
-          abstain_votes
-        FROM country_stats
-        ORDER BY name, mep_count DESC, LENGTH(code) ASC
-      )
-      SELECT *
-      FROM unique_countries
-      ORDER BY name
-    `);
-    
-    // Add accession year to each country
-    const countriesWithAccession = result.rows.map(country => ({
-      ...country,
-      accession_year: EU_ACCESSION_YEARS[country.code] || null
-    }));
-    
-    res.json(countriesWithAccession);
+    const { endpoint } = req.body || {};
+    if (typeof endpoint !== 'string') {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+    await pool.query('DELETE FROM push_subscriptions WHERE account_id = $1 AND endpoint = $2', [req.account.id, endpoint]);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching countries:', error);
-    res.status(500).json({ error: 'Failed to fetch countries' });
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
   }
 });
 
-// Get single MEP profile
-app.get('/api/meps/:mepId', async (req, res) => {
+// Unsubscribe link from a digest; needs no sign-in. token and channel come from the query
+// (one-click List-Unsubscribe POSTs) or the JSON body. Without a channel every digest stops.
+app.post('/api/notifications/unsubscribe', async (req, res) => {
   try {
-    const { mepId } = req.params;
-
-    const result = await pool.query(
-      `SELECT m.mep_id, m.name, m.first_name, m.last_name, m.country_code,
-              m.political_group, m.date_of_birth, m.email, m.facebook, m.twitter,
-              m.photo_url, m.is_active, c.name as country_name
-       FROM meps m
-       LEFT JOIN countries c ON m.country_code = c.code
-       WHERE m.mep_id = $1`,
-      [mepId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'MEP not found' });
+    const token = req.query.token || req.body?.token;
+    const channel = req.query.channel || req.body?.channel || null;
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+    if (channel !== null && !DIGEST_CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${DIGEST_CHANNELS.join(', ')}` });
     }
 
-    res.json(result.rows[0]);
+    if (!(await unsubscribe(pool, token, channel))) {
+      return res.status(404).json({ error: 'This unsubscribe link is invalid' });
+    }
+    res.json({ success: true, channel });
   } catch (error) {
-    console.error('Error fetching MEP profile:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP profile' });
+    console.error('Error unsubscribing:', error);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
   }
 });
 
-// Get all votes by a specific MEP
-app.get('/api/meps/:mepId/votes', async (req, res) => {
+// DISCUSSION ENDPOINTS (server/discussions.js)
+
+const postLimiter = createRateLimiter({ name: 'posts', windowMs: 10 * 60 * 1000, max: 5 });
+const reactionLimiter = createRateLimiter({ name: 'votes and reports', windowMs: 10 * 60 * 1000, max: 60 });
+
+// Discussions still shown in a bill's list: visible ones, and deleted ones that have replies
+const LISTED_DISCUSSION = `(d.status = 'visible' OR (d.status = 'deleted' AND EXISTS (
+  SELECT 1 FROM comments cm WHERE cm.discussion_id = d.id AND cm.status = 'visible')))`;
+
+// Columns of a discussion as shown to participant $2
+const DISCUSSION_COLUMNS = `d.id, d.bill_id, d.title, d.content, d.status = 'deleted' as deleted,
+  a.display_name as author, c.name as country, c.code as country_code, d.upvotes, d.created_at,
+  EXISTS (
+    SELECT 1 FROM discussion_votes dv
+    WHERE dv.target_type = 'discussion' AND dv.target_id = d.id AND dv.participant_id = $2
+  ) as voted,
+  COALESCE(d.author_id = $2, false) as own`;
+
+// Create discussion, in the account's declared country
+app.post('/api/discussions', requireAccount, postLimiter, async (req, res) => {
   try {
-    const { mepId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const validationError = validateDiscussion(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const { bill_id, title, content } = req.body;
 
-    const result = await pool.query(
-      `SELECT v.vote, v.created_at as vote_date,
-              b.id as bill_id, b.eu_id, b.title, b.category, b.status, b.date_adopted
-       FROM votes v
-       JOIN bills b ON v.bill_id = b.id
-       WHERE v.mep_id = $1
-       ORDER BY b.date_adopted DESC
-       LIMIT $2 OFFSET $3`,
-      [mepId, parseInt(limit), parseInt(offset)]
-    );
+    const bill = await pool.query('SELECT id FROM bills WHERE id = $1', [bill_id]);
+    if (bill.rows.length === 0) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
 
-    // Also get total count
-    const countResult = await pool.query(
-      `SELECT COUNT(*) as total FROM votes WHERE mep_id = $1`,
-      [mepId]
+    const result = await pool.query(
+      `INSERT INTO discussions (bill_id, country_id, title, content, author_id, account_id)
+       VALUES ($1, (SELECT id FROM countries WHERE code = $2), $3, $4, $5, $6)
+       RETURNING id, title, content, upvotes, created_at`,
+      [bill_id, req.account.country_code, title.trim(), content.trim(), readParticipant(req), req.account.id]
     );
 
     res.json({
-      votes: result.rows,
-      total: parseInt(countResult.rows[0].total),
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      ...result.rows[0],
+      bill_id: Number(bill_id),
+      deleted: false,
+      author: req.account.display_name,
+      country: req.account.country,
+      country_code: req.account.country_code,
+      comment_count: 0,
+      voted: false,
+      own: true
     });
   } catch (error) {
-    console.error('Error fetching MEP votes:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP votes' });
+    console.error('Error creating discussion:', error);
+    res.status(500).json({ error: 'Failed to create discussion' });
   }
 });
 
-// Get MEP voting statistics
-app.get('/api/meps/:mepId/stats', async (req, res) => {
+// Get discussions for a bill: sort=top (default) or new
+app.get('/api/bills/:id/discussions', loadAccount, async (req, res) => {
   try {
-    const { mepId } = req.params;
+    const billId = req.params.id;
+    const sort = req.query.sort || 'top';
+    if (!['top', 'new'].includes(sort)) {
+      return res.status(400).json({ error: "sort must be 'top' or 'new'" });
+    }
 
-    // Overall vote breakdown
-    const overallStats = await pool.query(
-      `SELECT vote, COUNT(*) as count
-       FROM votes
-       WHERE mep_id = $1
-       GROUP BY vote`,
-      [mepId]
+    const result = await pool.query(
+      `SELECT ${DISCUSSION_COLUMNS},
+              (SELECT COUNT(*)::int FROM comments cm WHERE cm.discussion_id = d.id AND cm.status = 'visible') as comment_count
+       FROM discussions d
+       LEFT JOIN countries c ON d.country_id = c.id
+       LEFT JOIN accounts a ON d.account_id = a.id
+       WHERE d.bill_id = $1 AND ${LISTED_DISCUSSION}
+       ORDER BY ${sort === 'top' ? 'd.upvotes DESC, d.created_at DESC' : 'd.created_at DESC'}`,
+      [billId, readParticipant(req)]
     );
 
-    // Votes by category
-    const categoryStats = await pool.query(
-      `SELECT b.category, v.vote, COUNT(*) as count
-       FROM votes v
-       JOIN bills b ON v.bill_id = b.id
-       WHERE v.mep_id = $1
-       GROUP BY b.category, v.vote
-       ORDER BY b.category, v.vote`,
-      [mepId]
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching discussions:', error);
+    res.status(500).json({ error: 'Failed to fetch discussions' });
+  }
+});
+
+// Get a discussion with its comment threads
+app.get('/api/discussions/:id', loadAccount, async (req, res) => {
+  try {
+    const discussionId = parseInt(req.params.id);
+    if (isNaN(discussionId)) {
+      return res.status(400).json({ error: 'Invalid discussion id' });
+    }
+    const participant = readParticipant(req);
+
+    const discussion = await pool.query(
+      `SELECT ${DISCUSSION_COLUMNS}
+       FROM discussions d
+       LEFT JOIN countries c ON d.country_id = c.id
+       LEFT JOIN accounts a ON d.account_id = a.id
+       WHERE d.id = $1 AND ${LISTED_DISCUSSION}`,
+      [discussionId, participant]
     );
+    if (discussion.rows.length === 0) {
+      return res.status(404).json({ error: 'Discussion not found' });
+    }
 
-    // Participation rate (voted vs did_not_vote)
-    const participationStats = await pool.query(
-      `SELECT
-         COUNT(CASE WHEN vote != 'did_not_vote' THEN 1 END) as voted,
-         COUNT(CASE WHEN vote = 'did_not_vote' THEN 1 END) as did_not_vote,
-         COUNT(*) as total
-       FROM votes
-       WHERE mep_id = $1`,
-      [mepId]
+    const comments = await pool.query(
+      `SELECT cm.id, cm.parent_id, cm.content, cm.author_id, cm.status, cm.upvotes, cm.created_at,
+              a.display_name as author, c.code as country_code,
+              EXISTS (
+                SELECT 1 FROM discussion_votes dv
+                WHERE dv.target_type = 'comment' AND dv.target_id = cm.id AND dv.participant_id = $2
+              ) as voted
+       FROM comments cm
+       LEFT JOIN countries c ON cm.country_id = c.id
+       LEFT JOIN accounts a ON cm.account_id = a.id
+       WHERE cm.discussion_id = $1
+       ORDER BY cm.created_at, cm.id`,
+      [discussionId, participant]
     );
 
     res.json({
-      overall: overallStats.rows,
-      byCategory: categoryStats.rows,
-      participation: participationStats.rows[0]
+      discussion: discussion.rows[0],
+      comments: buildCommentTree(comments.rows, participant)
     });
   } catch (error) {
-    console.error('Error fetching MEP stats:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP stats' });
+    console.error('Error fetching discussion:', error);
+    res.status(500).json({ error: 'Failed to fetch discussion' });
   }
 });
 
-// Get agreement between a specific MEP and all other MEPs
-app.get('/api/meps/:mepId/agreement', async (req, res) => {
+// Comment on a discussion, or reply to a comment with parent_id
+app.post('/api/discussions/:id/comments', requireAccount, postLimiter, async (req, res) => {
   try {
-    const { mepId } = req.params;
-    const { limit = 50, minShared = 10 } = req.query;
+    const discussionId = parseInt(req.params.id);
+    if (isNaN(discussionId)) {
+      return res.status(400).json({ error: 'Invalid discussion id' });
+    }
+    const validationError = validateComment(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const { content, parent_id = null } = req.body;
 
-    const result = await pool.query(`
-      WITH mep_votes AS (
-        SELECT bill_id, mep_id, mep_name, vote
-        FROM votes
-        WHERE vote IN ('yes', 'no', 'abstain') AND mep_id IS NOT NULL
-      ),
-      target_mep_votes AS (
-        SELECT bill_id, vote
-        FROM mep_votes
-        WHERE mep_id = $1
+    const discussion = await pool.query(
+      `SELECT d.id FROM discussions d WHERE d.id = $1 AND ${LISTED_DISCUSSION}`,
+      [discussionId]
+    );
+    if (discussion.rows.length === 0) {
+      return res.status(404).json({ error: 'Discussion not found' });
+    }
+
+    if (parent_id !== null) {
+      const parent = await pool.query(
+        "SELECT id FROM comments WHERE id = $1 AND discussion_id = $2 AND status = 'visible'",
+        [parent_id, discussionId]
+      );
+      if (parent.rows.length === 0) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO comments (discussion_id, parent_id, country_id, author_id, account_id, content)
+       VALUES ($1, $2, (SELECT id FROM countries WHERE code = $3), $4, $5, $6)
+       RETURNING id, parent_id, upvotes, created_at`,
+      [discussionId, parent_id, req.account.country_code, readParticipant(req), req.account.id, content.trim()]
+    );
+
+    res.json({
+      ...result.rows[0],
+      author: req.account.display_name,
+      country_code: req.account.country_code,
+      content: content.trim(),
+      voted: false,
+      own: true,
+      hidden: false,
+      deleted: false,
+      replies: []
+    });
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+// Upvotes and reports, for discussions and comments alike
+for (const [type, target] of Object.entries(DISCUSSION_TARGETS)) {
+  // The visible post, or a 400/404 response
+  async function findPost(req, res) {
+    const postId = parseInt(req.params.id);
+    if (isNaN(postId)) {
+      res.status(400).json({ error: `Invalid ${type} id` });
+      return null;
+    }
+    const result = await pool.query(
+      `SELECT id, author_id FROM ${target.table} WHERE id = $1 AND status = 'visible'`,
+      [postId]
+    );
+    if (result.rows.length === 0) {
+      res.status(404).json({ error: `${type[0].toUpperCase()}${type.slice(1)} not found` });
+      return null;
+    }
+    return result.rows[0];
+  }
+
+  // Upvote (once per participant)
+  app.post(`/api/${target.path}/:id/vote`, requireAccount, reactionLimiter, async (req, res) => {
+    try {
+      const post = await findPost(req, res);
+      if (!post) return;
+      if (post.author_id === readParticipant(req)) {
+        return res.status(400).json({ error: 'You cannot upvote your own post' });
+      }
+
+      const result = await pool.query(
+        `WITH added AS (
+           INSERT INTO discussion_votes (target_type, target_id, participant_id)
+           VALUES ($1, $2, $3)
+           ON CONFLICT DO NOTHING
+           RETURNING 1
+         )
+         UPDATE ${target.table} SET upvotes = upvotes + (SELECT COUNT(*) FROM added)
+         WHERE id = $2
+         RETURNING upvotes`,
+        [type, post.id, readParticipant(req)]
+      );
+
+      res.json({ upvotes: result.rows[0].upvotes, voted: true });
+    } catch (error) {
+      console.error(`Error upvoting ${type}:`, error);
+      res.status(500).json({ error: 'Failed to record vote' });
+    }
+  });
+
+  // Withdraw an upvote
+  app.delete(`/api/${target.path}/:id/vote`, requireAccount, reactionLimiter, async (req, res) => {
+    try {
+      const post = await findPost(req, res);
+      if (!post) return;
+
+      const result = await pool.query(
+        `WITH removed AS (
+           DELETE FROM discussion_votes
+           WHERE target_type = $1 AND target_id = $2 AND participant_id = $3
+           RETURNING 1
+         )
+         UPDATE ${target.table} SET upvotes = upvotes - (SELECT COUNT(*) FROM removed)
+         WHERE id = $2
+         RETURNING upvotes`,
+        [type, post.id, readParticipant(req)]
+      );
+
+      res.json({ upvotes: result.rows[0].upvotes, voted: false });
+    } catch (error) {
+      console.error(`Error removing ${type} vote:`, error);
+      res.status(500).json({ error: 'Failed to remove vote' });
+    }
+  });
+
+  // Report for moderation; AUTO_HIDE_REPORTS open reports hide the post until it is reviewed
+  app.post(`/api/${target.path}/:id/report`, requireAccount, reactionLimiter, async (req, res) => {
+    try {
+      const validationError = validateReport(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const post = await findPost(req, res);
+      if (!post) return;
+      if (post.author_id === readParticipant(req)) {
+        return res.status(400).json({ error: 'You cannot report your own post' });
+      }
+
+      const report = await pool.query(
+        `INSERT INTO discussion_reports (target_type, target_id, reporter_id, reason, note)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT DO NOTHING
+         RETURNING id`,
+        [type, post.id, readParticipant(req), req.body.reason, req.body.note?.trim() || null]
+      );
+      if (report.rows.length === 0) {
+        return res.status(409).json({ error: 'You have already reported this post' });
+      }
+
+      const hidden = await pool.query(
+        `UPDATE ${target.table} SET status = 'hidden', hidden_reason = 'reports', hidden_at = NOW()
+         WHERE id = $1 AND status = 'visible' AND (
+           SELECT COUNT(*) FROM discussion_reports
+           WHERE target_type = $2 AND target_id = $1 AND resolved_at IS NULL
+         ) >= $3
+         RETURNING id`,
+        [post.id, type, AUTO_HIDE_REPORTS]
+      );
+
+      res.json({ success: true, hidden: hidden.rows.length > 0 });
+    } catch (error) {
+      console.error(`Error reporting ${type}:`, error);
+      res.status(500).json({ error: 'Failed to report post' });
+    }
+  });
+}
+
+// VOTING ANALYSIS ENDPOINTS
+
+// Get where Europe agrees (cross-country consensus)
+// Fixed: Now counts countries by their MAJORITY vote position, not any vote
+app.get('/api/consensus', cacheFor(600), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `WITH country_votes AS (
+        -- Count votes per country per bill
+        SELECT
+          v.bill_id,
+          v.country_id,
+          v.vote,
+          COUNT(*) as vote_count
+        FROM votes v
+        GROUP BY v.bill_id, v.country_id, v.vote
       ),
-      pairwise_agreement AS (
+      country_majorities AS (
+        -- Get each country's majority position per bill
         SELECT
-          v.mep_id as mep2_id,
-          v.mep_name as mep2_name,
-          COUNT(*) as total_bills,
-          SUM(CASE WHEN v.vote = t.vote THEN 1 ELSE 0 END) as agreements
-        FROM mep_votes v
-        JOIN target_mep_votes t ON v.bill_id = t.bill_id
-        WHERE v.mep_id != $1
-        GROUP BY v.mep_id, v.mep_name
-        HAVING COUNT(*) >= $2
+          bill_id,
+          country_id,
+          vote,
+          vote_count,
+          ROW_NUMBER() OVER (PARTITION BY bill_id, country_id ORDER BY vote_count DESC) as rn
+        FROM country_votes
       ),
-      mep_metadata AS (
+      bill_consensus AS (
+        -- Count countries by their majority position
         SELECT
-          pa.mep2_id,
-          pa.mep2_name,
-          pa.total_bills,
-          pa.agreements,
-          ROUND(pa.agreements::numeric / pa.total_bills * 100, 1) as agreement_pct,
-          m.political_group,
-          m.country_code,
-          c.name as country_name,
-          m.photo_url
-        FROM pairwise_agreement pa
-        LEFT JOIN meps m ON pa.mep2_id = m.mep_id
-        LEFT JOIN countries c ON m.country_code = c.code
+          bill_id,
+          COUNT(CASE WHEN vote = 'yes' AND rn = 1 THEN 1 END) as yes_countries,
+          COUNT(CASE WHEN vote = 'no' AND rn = 1 THEN 1 END) as no_countries,
+          COUNT(CASE WHEN vote = 'abstain' AND rn = 1 THEN 1 END) as abstain_countries,
+          COUNT(DISTINCT country_id) as voting_countries
+        FROM country_majorities
+        WHERE rn = 1
+        GROUP BY bill_id
       )
-      SELECT *
-      FROM mep_metadata
-      ORDER BY agreement_pct DESC, total_bills DESC
-      LIMIT $3
-    `, [mepId, parseInt(minShared), parseInt(limit)]);
+      SELECT
+        b.id,
+        b.title,
+        COALESCE(bc.yes_countries, 0) as yes_countries,
+        COALESCE(bc.no_countries, 0) as no_countries,
+        COALESCE(bc.abstain_countries, 0) as abstain_countries,
+        COALESCE(bc.voting_countries, 0) as voting_countries
+      FROM bills b
+      LEFT JOIN bill_consensus bc ON b.id = bc.bill_id
+      WHERE b.status IN ('voting', 'adopted')
+        AND bc.voting_countries > 10
+      ORDER BY (bc.yes_countries::float / NULLIF(bc.voting_countries, 0)) DESC
+      LIMIT 20`
+    );
 
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching MEP agreement:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP agreement data' });
+    console.error('Error fetching consensus:', error);
+    res.status(500).json({ error: 'Failed to fetch consensus' });
   }
 });
 
-// Get MEPs who did not vote for a specific bill (from actual vote records)
-app.get('/api/bills/:id/non-voters', async (req, res) => {
+// Get voting breakdown for visualization
+app.get('/api/votes/:billId', async (req, res) => {
+  try {
+    const billId = req.params.billId;
+
+    const result = await pool.query(
+      `SELECT c.name, c.code, v.vote, COUNT(*) as count
+       FROM votes v
+       JOIN countries c ON v.country_id = c.id
+       WHERE v.bill_id = $1
+       GROUP BY c.name, c.code, v.vote
+       ORDER BY c.name, v.vote`,
+      [billId]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching votes:', error);
+    res.status(500).json({ error: 'Failed to fetch votes' });
+  }
+});
+
+// Get voting breakdown by political group
+app.get('/api/bills/:id/group-votes', async (req, res) => {
+  try {
+    const billId = req.params.id;
+
+    const result = await pool.query(
+      `SELECT
+         COALESCE(v.mep_group, 'Unknown') as group_name,
+         COUNT(CASE WHEN v.vote = 'yes' THEN 1 END) as yes_count,
+         COUNT(CASE WHEN v.vote = 'no' THEN 1 END) as no_count,
+         COUNT(CASE WHEN v.vote = 'abstain' THEN 1 END) as abstain_count,
+         COUNT(*) as total
+       FROM votes v
+       WHERE v.bill_id = $1
+       GROUP BY v.mep_group
+       ORDER BY COUNT(*) DESC`,
+      [billId]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching group votes:', error);
+    res.status(500).json({ error: 'Failed to fetch group votes' });
+  }
+});
+
+// Get individual MEP votes for a bill (excludes did_not_vote - use non-voters endpoint for those)
+app.get('/api/bills/:id/mep-votes', async (req, res) => {
   try {
     const billId = req.params.id;
 
-    // Get MEPs who have vote = 'did_not_vote' for this bill
     const result = await pool.query(
       `SELECT
          v.mep_id,
          v.mep_name,
+         v.mep_group,
          c.name as country,
          c.code as country_code,
-         v.mep_group
+         v.vote
        FROM votes v
        JOIN countries c ON v.country_id = c.id
-       WHERE v.bill_id = $1 AND v.vote = 'did_not_vote'
+       WHERE v.bill_id = $1 AND v.vote != 'did_not_vote'
        ORDER BY v.mep_group, v.mep_name`,
       [billId]
     );
 
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching non-voters:', error);
-    res.status(500).json({ error: 'Failed to fetch non-voters' });
+    console.error('Error fetching MEP votes:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP votes' });
   }
 });
 
-// STATISTICS ENDPOINTS
+// The majority rule a bill's vote was held under. Component members are all MEPs with a
+// vote record for the bill, present or not. Returns null for an unknown bill.
+async function loadMajorityRule(billId) {
+  const result = await pool.query(
+    `SELECT b.procedure_type, b.title, COUNT(v.id)::int as members
+     FROM bills b
+     LEFT JOIN votes v ON v.bill_id = b.id
+     WHERE b.id = $1
+     GROUP BY b.id`,
+    [billId]
+  );
+  if (result.rows.length === 0) return null;
+  const { members } = result.rows[0];
+  return { ...majorityRule(result.rows[0], members), members };
+}
 
-// Get legislature overview statistics
-app.get('/api/stats/overview', cacheFor(600), async (req, res) => {
+// Describe a majority rule for the client (without its passes function)
+function describeRule({ type, required, members }) {
+  return { type, required, members };
+}
+
+// Explain a vote: the cutting line separating yes from no voters on the PCA compass, the MEPs
+// who voted against their predicted side, and the groups and delegations the outcome hinged on
+app.get('/api/bills/:id/cutting-line', cacheFor(600), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT
-        (SELECT COUNT(*) FROM bills) as total_bills,
-        (SELECT COUNT(*) FROM bills WHERE status = 'adopted') as adopted_bills,
-        (SELECT COUNT(*) FROM bills WHERE status = 'rejected') as rejected_bills,
-        (SELECT COUNT(*) FROM votes WHERE vote != 'did_not_vote') as total_votes_cast,
-        (SELECT COUNT(DISTINCT mep_id) FROM votes) as meps_voted,
-        (SELECT COUNT(*) FROM meps WHERE is_active = true) as active_meps
-    `);
+    const billId = req.params.id;
 
-    const stats = result.rows[0];
-    const adoptionRate = stats.total_bills > 0
-      ? Math.round((stats.adopted_bills / stats.total_bills) * 100)
-      : 0;
+    const result = await pool.query(
+      `SELECT
+         v.mep_id,
+         v.mep_name,
+         v.mep_group,
+         c.name as country,
+         c.code as country_code,
+         v.vote,
+         m.pca_x,
+         m.pca_y
+       FROM votes v
+       JOIN countries c ON v.country_id = c.id
+       LEFT JOIN meps m ON m.mep_id = v.mep_id
+       WHERE v.bill_id = $1 AND v.vote IN ('yes', 'no', 'abstain')`,
+      [billId]
+    );
 
-    // Get votes by category
-    const categoryResult = await pool.query(`
-      SELECT category, COUNT(*) as count
-      FROM bills
-      GROUP BY category
-      ORDER BY count DESC
-    `);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No votes found for this bill' });
+    }
 
-    // Get average participation rate
-    const participationResult = await pool.query(`
-      SELECT
-        AVG(participation_rate) as avg_participation
-      FROM (
-        SELECT
-          bill_id,
-          COUNT(CASE WHEN vote != 'did_not_vote' THEN 1 END)::float /
-          NULLIF(COUNT(*), 0) * 100 as participation_rate
-        FROM votes
-        GROUP BY bill_id
-      ) sub
-    `);
+    const votes = result.rows;
+    const rule = await loadMajorityRule(billId);
+    const positioned = votes.filter(v => v.pca_x !== null && v.pca_y !== null);
+    const decided = positioned.filter(v => v.vote === 'yes' || v.vote === 'no');
+    const line = fitCuttingLine(decided.map(v => ({ x: v.pca_x, y: v.pca_y, yes: v.vote === 'yes' })));
+
+    let defectors = [];
+    let fit = null;
+    if (line) {
+      defectors = decided
+        .map(v => {
+          const distance = distanceToLine(line, v.pca_x, v.pca_y);
+          return { ...v, distance, predicted: distance > 0 ? 'yes' : 'no' };
+        })
+        .filter(v => v.predicted !== v.vote)
+        .sort((a, b) => Math.abs(b.distance) - Math.abs(a.distance));
+
+      const minority = Math.min(
+        decided.filter(v => v.vote === 'yes').length,
+        decided.filter(v => v.vote === 'no').length
+      );
+      fit = {
+        classified: 1 - defectors.length / decided.length,
+        pre: (minority - defectors.length) / minority
+      };
+    }
+
+    const counts = { yes: 0, no: 0, abstain: 0 };
+    votes.forEach(v => { counts[v.vote]++; });
 
     res.json({
-      totalBills: parseInt(stats.total_bills),
-      adoptedBills: parseInt(stats.adopted_bills),
-      rejectedBills: parseInt(stats.rejected_bills),
-      adoptionRate,
-      totalVotesCast: parseInt(stats.total_votes_cast),
-      mepsVoted: parseInt(stats.meps_voted),
-      activeMeps: parseInt(stats.active_meps),
-      avgParticipation: Math.round(parseFloat(participationResult.rows[0]?.avg_participation) || 0),
-      byCategory: categoryResult.rows.map(row => ({
-        category: row.category,
-        count: parseInt(row.count)
-      }))
-    });
-  } catch (error) {
+      counts,
+      passed: rule.passes(counts.yes, counts.no),
+      majority: describeRule(rule),
+      switchesNeeded: minimumSwitches(counts.yes, counts.no, rule.passes),
+      line,
+      fit,
+      unpositioned: votes.length - positioned.length,
+      meps: positioned.map(v => ({
+        mep_id: v.mep_id,
+        mep_name: v.mep_name,
+        mep_group: v.mep_group,
+        country_code: v.country_code,
+        vote: v.vote,
+        x: v.pca_x,
+        y: v.pca_y
+      })),
+      defectors: defectors.map(v => ({
+        mep_id: v.mep_id,
+        mep_name: v.mep_name,
+        mep_group: v.mep_group,
+        country_code: v.country_code,
+        vote: v.vote,
+        predicted: v.predicted,
+        distance: Math.abs(v.distance)
+      })),
+      pivotal: {
+        groups: blocPivotality(votes, v => v.mep_group, rule.passes),
+        countries: blocPivotality(votes, v => v.country_code, rule.passes).map(bloc => ({
+          ...bloc,
+          country: votes.find(v => v.country_code === bloc.key).country
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fitting cutting line:', error);
+    res.status(500).json({ error: 'Failed to analyse vote' });
+  }
+});
+
+// Simulate a vote with groups or delegations voting differently
+// Body: { changes: [{ bloc: 'group' | 'country', key, vote, turnout }] } (see billAnalysis.js)
+app.post('/api/bills/:id/simulate', async (req, res) => {
+  try {
+    const billId = req.params.id;
+    const changes = req.body.changes || [];
+
+    const validationError = validateSimulation(changes);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(
+      `SELECT v.vote, v.mep_group, c.code as country_code, c.name as country
+       FROM votes v
+       JOIN countries c ON v.country_id = c.id
+       WHERE v.bill_id = $1`,
+      [billId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No votes found for this bill' });
+    }
+
+    const votes = result.rows;
+    const rule = await loadMajorityRule(billId);
+    const simulated = simulateVote(votes, changes);
+
+    const outcome = (rows) => {
+      const counts = tallyVotes(rows);
+      const passed = rule.passes(counts.yes, counts.no);
+      return {
+        counts,
+        passed,
+        margin: rule.type === 'absolute' ? counts.yes - rule.required : counts.yes - counts.no,
+        switchesNeeded: minimumSwitches(counts.yes, counts.no, rule.passes)
+      };
+    };
+
+    // Each bloc's actual behaviour, for building the scenario
+    const blocs = (keyOf, extra = () => ({})) => {
+      const byKey = new Map();
+      votes.forEach(v => {
+        const key = keyOf(v);
+        if (!byKey.has(key)) byKey.set(key, { key, ...extra(v), members: 0, ...tallyVotes([]) });
+        const bloc = byKey.get(key);
+        bloc.members++;
+        bloc[v.vote in bloc ? v.vote : 'absent']++;
+      });
+      return [...byKey.values()].sort((a, b) => b.members - a.members);
+    };
+
+    res.json({
+      majority: describeRule(rule),
+      actual: outcome(votes),
+      simulated: outcome(simulated),
+      changes,
+      blocs: {
+        groups: blocs(v => v.mep_group),
+        countries: blocs(v => v.country_code, v => ({ country: v.country }))
+      }
+    });
+  } catch (error) {
+    console.error('Error simulating vote:', error);
+    res.status(500).json({ error: 'Failed to simulate vote' });
+  }
+});
+
+// Get all MEPs (for reference)
+app.get('/api/meps', cacheFor(1800), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT mep_id, name, first_name, last_name, country_code, political_group, photo_url
+       FROM meps
+       WHERE is_active = true
+       ORDER BY political_group, name`
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching MEPs:', error);
+    res.status(500).json({ error: 'Failed to fetch MEPs' });
+  }
+});
+
+// Get MEP statistics overview
+app.get('/api/meps/stats', async (req, res) => {
+  try {
+    // Get all active MEPs with gender and birth date information
+    const mepsResult = await pool.query(
+      `SELECT gender, date_of_birth
+       FROM meps
+       WHERE is_active = true`
+    );
+
+    let male = 0;
+    let female = 0;
+    let unknown = 0;
+    const decades = {};
+
+    mepsResult.rows.forEach(mep => {
+      // Use actual gender data from database (from official sources)
+      if (mep.gender === 'male') {
+        male++;
+      } else if (mep.gender === 'female') {
+        female++;
+      } else {
+        unknown++;
+      }
+
+      // Calculate birth decade
+      if (mep.date_of_birth) {
+        const birthYear = new Date(mep.date_of_birth).getFullYear();
+        const decade = Math.floor(birthYear / 10) * 10;
+        decades[decade] = (decades[decade] || 0) + 1;
+      }
+    });
+
+    // Convert decades to sorted array
+    const decadeData = Object.entries(decades)
+      .map(([decade, count]) => ({ decade: parseInt(decade), count }))
+      .sort((a, b) => a.decade - b.decade);
+
+    const total = male + female + unknown;
+    const genderRatio = {
+      male: total > 0 ? Math.round((male / total) * 100) : 0,
+      female: total > 0 ? Math.round((female / total) * 100) : 0,
+      unknown: total > 0 ? Math.round((unknown / total) * 100) : 0,
+      counts: { male, female, unknown, total }
+    };
+
+    // Reelection statistics (from official EU Parliament data)
+    // Source: https://www.europarl.europa.eu/RegData/etudes/ATAG/2024/762356/EPRS_ATA(2024)762356_EN.pdf
+    const reelectionStats = {
+      new: 362,           // New MEPs (never sat in EP)
+      reelected: 357      // Reelected (336 from previous term + 21 from other legislatures)
+    };
+
+    res.json({
+      genderRatio,
+      birthDecades: decadeData,
+      reelection: reelectionStats
+    });
+  } catch (error) {
+    console.error('Error fetching MEP stats:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP statistics' });
+  }
+});
+
+// Get all political groups with statistics
+app.get('/api/groups', cacheFor(1800), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        m.political_group as group_name,
+        COUNT(DISTINCT m.mep_id) as mep_count,
+        COUNT(DISTINCT m.country_code) as country_count,
+        COUNT(DISTINCT v.bill_id) as bills_voted,
+        COUNT(v.id) as total_votes,
+        COUNT(CASE WHEN v.vote = 'yes' THEN 1 END) as yes_votes,
+        COUNT(CASE WHEN v.vote = 'no' THEN 1 END) as no_votes,
+        COUNT(CASE WHEN v.vote = 'abstain' THEN 1 END) as abstain_votes
+      FROM meps m
+      LEFT JOIN votes v ON m.mep_id = v.mep_id AND v.vote IN ('yes', 'no', 'abstain')
+      WHERE m.is_active = true AND m.political_group IS NOT NULL
+      GROUP BY m.political_group
+      ORDER BY mep_count DESC
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({ error: 'Failed to fetch groups' });
+  }
+});
+
+// Canonical political group registry (names, short names, colours, seat order, aliases)
+app.get('/api/groups/registry', cacheFor(3600), async (req, res) => {
+  try {
+    res.json(await loadGroupRegistry(pool));
+  } catch (error) {
+    console.error('Error fetching group registry:', error);
+    res.status(500).json({ error: 'Failed to fetch group registry' });
+  }
+});
+
+// Get all countries with statistics
+// Filter to avoid duplicates - prefer countries with actual data (MEPs and votes)
+// EU accession years (using 3-letter ISO codes as stored in database)
+// 1958 (founding): BEL, FRA, DEU, ITA, LUX, NLD
+// 1973: DNK, IRL
+// 1981: GRC
+// 1986: ESP, PRT
+// 1995: AUT, FIN, SWE
+// 2004: CYP, CZE, EST, HUN, LVA, LTU, MLT, POL, SVK, SVN
+// 2007: BGR, ROU
+// 2013: HRV
+const EU_ACCESSION_YEARS = {
+  'AUT': 1995, // Austria
+  'BEL': 1958, // Belgium (founding)
+  'BGR': 2007, // Bulgaria
+  'HRV': 2013, // Croatia
+  'CYP': 2004, // Cyprus
+  'CZE': 2004, // Czechia
+  'DNK': 1973, // Denmark
+  'EST': 2004, // Estonia
+  'FIN': 1995, // Finland
+  'FRA': 1958, // France (founding)
+  'DEU': 1958, // Germany (founding)
+  'GRC': 1981, // Greece
+  'HUN': 2004, // Hungary
+  'IRL': 1973, // Ireland
+  'ITA': 1958, // Italy (founding)
+  'LVA': 2004, // Latvia
+  'LTU': 2004, // Lithuania
+  'LUX': 1958, // Luxembourg (founding)
+  'MLT': 2004, // Malta
+  'NLD': 1958, // Netherlands (founding)
+  'POL': 2004, // Poland
+  'PRT': 1986, // Portugal
+  'ROU': 2007, // Romania
+  'SVK': 2004, // Slovakia
+  'SVN': 2004, // Slovenia
+  'ESP': 1986, // Spain
+  'SWE': 1995  // Sweden
+};
+
+app.get('/api/countries', cacheFor(1800), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      WITH country_stats AS (
+        SELECT 
+          c.code,
+          c.name,
+          COUNT(DISTINCT m.mep_id) as mep_count,
+          COUNT(v.id) as total_votes,
+          COUNT(CASE WHEN v.vote = 'yes' THEN 1 END) as yes_votes,
+          COUNT(CASE WHEN v.vote = 'no' THEN 1 END) as no_votes,
+          COUNT(CASE WHEN v.vote = 'abstain' THEN 1 END) as abstain_votes
+        FROM countries c
+        LEFT JOIN meps m ON c.code = m.country_code AND m.is_active = true
+        LEFT JOIN votes v ON m.mep_id = v.mep_id AND v.vote IN ('yes', 'no', 'abstain')
+        WHERE c.code NOT IN ('GB', 'UK', 'GBR')  -- Exclude UK
+        GROUP BY c.code, c.name
+      ),
+      -- Prefer countries with data (MEPs), then prefer 2-letter codes
+      unique_countries AS (
+        SELECT DISTINCT ON (name)
+          code,
+          name,
+          mep_count,
+          total_votes,
+          yes_votes,
+          no_votes,
+          abstain_votes
+        FROM country_stats
+        ORDER BY name, mep_count DESC, LENGTH(code) ASC
+      )
+      SELECT *
+      FROM unique_countries
+      ORDER BY name
+    `);
+    
+    // Add accession year to each country
+    const countriesWithAccession = result.rows.map(country => ({
+      ...country,
+      accession_year: EU_ACCESSION_YEARS[country.code] || null
+    }));
+    
+    res.json(countriesWithAccession);
+  } catch (error) {
+    console.error('Error fetching countries:', error);
+    res.status(500).json({ error: 'Failed to fetch countries' });
+  }
+});
+
+// Get single MEP profile
+app.get('/api/meps/:mepId', async (req, res) => {
+  try {
+    const { mepId } = req.params;
+
+    const result = await pool.query(
+      `SELECT m.mep_id, m.name, m.first_name, m.last_name, m.country_code,
+              m.political_group, m.date_of_birth, m.email, m.facebook, m.twitter,
+              m.photo_url, m.is_active, c.name as country_name
+       FROM meps m
+       LEFT JOIN countries c ON m.country_code = c.code
+       WHERE m.mep_id = $1`,
+      [mepId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'MEP not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching MEP profile:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP profile' });
+  }
+});
+
+// Get all votes by a specific MEP
+app.get('/api/meps/:mepId/votes', async (req, res) => {
+  try {
+    const { mepId } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const result = await pool.query(
+      `SELECT v.vote, v.created_at as vote_date, v.mep_group,
+              b.id as bill_id, b.eu_id, b.title, b.category, b.status, b.date_adopted
+       FROM votes v
+       JOIN bills b ON v.bill_id = b.id
+       WHERE v.mep_id = $1
+       ORDER BY b.date_adopted DESC
+       LIMIT $2 OFFSET $3`,
+      [mepId, parseInt(limit), parseInt(offset)]
+    );
+
+    // Also get total count
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM votes WHERE mep_id = $1`,
+      [mepId]
+    );
+
+    res.json({
+      votes: result.rows,
+      total: parseInt(countResult.rows[0].total),
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Error fetching MEP votes:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP votes' });
+  }
+});
+
+// Get political group membership history of an MEP, with the votes cast in each group
+app.get('/api/meps/:mepId/groups', async (req, res) => {
+  try {
+    const { mepId } = req.params;
+
+    const result = await pool.query(
+      `SELECT gm.group_code, gm.group_name, gm.group_short, gm.term, gm.start_date, gm.end_date,
+              (SELECT COUNT(*) FROM votes v
+               JOIN bills b ON v.bill_id = b.id
+               WHERE v.mep_id = gm.mep_id
+                 AND b.date_adopted >= gm.start_date
+                 AND (gm.end_date IS NULL OR b.date_adopted <= gm.end_date)) as vote_count
+       FROM mep_group_memberships gm
+       WHERE gm.mep_id = $1
+       ORDER BY gm.start_date`,
+      [mepId]
+    );
+
+    res.json(result.rows.map(row => ({ ...row, vote_count: parseInt(row.vote_count) })));
+  } catch (error) {
+    console.error('Error fetching MEP group history:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP group history' });
+  }
+});
+
+// Get MEP voting statistics
+app.get('/api/meps/:mepId/stats', async (req, res) => {
+  try {
+    const { mepId } = req.params;
+
+    // Overall vote breakdown
+    const overallStats = await pool.query(
+      `SELECT vote, COUNT(*) as count
+       FROM votes
+       WHERE mep_id = $1
+       GROUP BY vote`,
+      [mepId]
+    );
+
+    // Votes by category
+    const categoryStats = await pool.query(
+      `SELECT b.category, v.vote, COUNT(*) as count
+       FROM votes v
+       JOIN bills b ON v.bill_id = b.id
+       WHERE v.mep_id = $1
+       GROUP BY b.category, v.vote
+       ORDER BY b.category, v.vote`,
+      [mepId]
+    );
+
+    // Participation rate (voted vs did_not_vote)
+    const participationStats = await pool.query(
+      `SELECT
+         COUNT(CASE WHEN vote != 'did_not_vote' THEN 1 END) as voted,
+         COUNT(CASE WHEN vote = 'did_not_vote' THEN 1 END) as did_not_vote,
+         COUNT(*) as total
+       FROM votes
+       WHERE mep_id = $1`,
+      [mepId]
+    );
+
+    res.json({
+      overall: overallStats.rows,
+      byCategory: categoryStats.rows,
+      participation: participationStats.rows[0]
+    });
+  } catch (error) {
+    console.error('Error fetching MEP stats:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP stats' });
+  }
+});
+
+// Get agreement between a specific MEP and all other MEPs
+app.get('/api/meps/:mepId/agreement', async (req, res) => {
+  try {
+    const { mepId } = req.params;
+    const { limit = 50, minShared = 10 } = req.query;
+
+    const result = await pool.query(`
+      WITH mep_votes AS (
+        SELECT bill_id, mep_id, mep_name, vote
+        FROM votes
+        WHERE vote IN ('yes', 'no', 'abstain') AND mep_id IS NOT NULL
+      ),
+      target_mep_votes AS (
+        SELECT bill_id, vote
+        FROM mep_votes
+        WHERE mep_id = $1
+      ),
+      pairwise_agreement AS (
+        SELECT
+          v.mep_id as mep2_id,
+          v.mep_name as mep2_name,
+          COUNT(*) as total_bills,
+          SUM(CASE WHEN v.vote = t.vote THEN 1 ELSE 0 END) as agreements
+        FROM mep_votes v
+        JOIN target_mep_votes t ON v.bill_id = t.bill_id
+        WHERE v.mep_id != $1
+        GROUP BY v.mep_id, v.mep_name
+        HAVING COUNT(*) >= $2
+      ),
+      mep_metadata AS (
+        SELECT
+          pa.mep2_id,
+          pa.mep2_name,
+          pa.total_bills,
+          pa.agreements,
+          ROUND(pa.agreements::numeric / pa.total_bills * 100, 1) as agreement_pct,
+          m.political_group,
+          m.country_code,
+          c.name as country_name,
+          m.photo_url
+        FROM pairwise_agreement pa
+        LEFT JOIN meps m ON pa.mep2_id = m.mep_id
+        LEFT JOIN countries c ON m.country_code = c.code
+      )
+      SELECT *
+      FROM mep_metadata
+      ORDER BY agreement_pct DESC, total_bills DESC
+      LIMIT $3
+    `, [mepId, parseInt(minShared), parseInt(limit)]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching MEP agreement:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP agreement data' });
+  }
+});
+
+// Get MEPs who did not vote for a specific bill (from actual vote records)
+app.get('/api/bills/:id/non-voters', async (req, res) => {
+  try {
+    const billId = req.params.id;
+
+    // Get MEPs who have vote = 'did_not_vote' for this bill
+    const result = await pool.query(
+      `SELECT
+         v.mep_id,
+         v.mep_name,
+         c.name as country,
+         c.code as country_code,
+         v.mep_group
+       FROM votes v
+       JOIN countries c ON v.country_id = c.id
+       WHERE v.bill_id = $1 AND v.vote = 'did_not_vote'
+       ORDER BY v.mep_group, v.mep_name`,
+      [billId]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching non-voters:', error);
+    res.status(500).json({ error: 'Failed to fetch non-voters' });
+  }
+});
+
+// STATISTICS ENDPOINTS
+
+// List the named time windows accepted by the stats endpoints (?window=...)
+app.get('/api/stats/windows', cacheFor(600), async (req, res) => {
+  try {
+    const windows = await listStatsWindows(pool);
+    const precomputed = await pool.query('SELECT DISTINCT window_key FROM stats_snapshots');
+    const precomputedKeys = new Set(precomputed.rows.map(row => row.window_key));
+
+    res.json(windows.map(window => ({ ...window, precomputed: precomputedKeys.has(window.key) })));
+  } catch (error) {
+    console.error('Error fetching stats windows:', error);
+    res.status(500).json({ error: 'Failed to fetch stats windows' });
+  }
+});
+
+// Get legislature overview statistics
+app.get('/api/stats/overview', cacheFor(600), async (req, res) => {
+  try {
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+    const params = [];
+    const billsInWindow = billWindowClause(window, params, 'id');
+    const votesInWindow = `bill_id IN (SELECT id FROM bills WHERE ${billsInWindow})`;
+
+    const result = await pool.query(`
+      SELECT
+        (SELECT COUNT(*) FROM bills WHERE ${billsInWindow}) as total_bills,
+        (SELECT COUNT(*) FROM bills WHERE status = 'adopted' AND ${billsInWindow}) as adopted_bills,
+        (SELECT COUNT(*) FROM bills WHERE status = 'rejected' AND ${billsInWindow}) as rejected_bills,
+        (SELECT COUNT(*) FROM votes WHERE vote != 'did_not_vote' AND ${votesInWindow}) as total_votes_cast,
+        (SELECT COUNT(DISTINCT mep_id) FROM votes WHERE ${votesInWindow}) as meps_voted,
+        (SELECT COUNT(*) FROM meps WHERE is_active = true) as active_meps
+    `, params);
+
+    const stats = result.rows[0];
+    const adoptionRate = stats.total_bills > 0
+      ? Math.round((stats.adopted_bills / stats.total_bills) * 100)
+      : 0;
+
+    // Get votes by category
+    const categoryResult = await pool.query(`
+      SELECT category, COUNT(*) as count
+      FROM bills
+      WHERE ${billsInWindow}
+      GROUP BY category
+      ORDER BY count DESC
+    `, params);
+
+    // Get average participation rate
+    const participationResult = await pool.query(`
+      SELECT
+        AVG(participation_rate) as avg_participation
+      FROM (
+        SELECT
+          bill_id,
+          COUNT(CASE WHEN vote != 'did_not_vote' THEN 1 END)::float /
+          NULLIF(COUNT(*), 0) * 100 as participation_rate
+        FROM votes
+        WHERE ${votesInWindow}
+        GROUP BY bill_id
+      ) sub
+    `, params);
+
+    res.json({
+      totalBills: parseInt(stats.total_bills),
+      adoptedBills: parseInt(stats.adopted_bills),
+      rejectedBills: parseInt(stats.rejected_bills),
+      adoptionRate,
+      totalVotesCast: parseInt(stats.total_votes_cast),
+      mepsVoted: parseInt(stats.meps_voted),
+      activeMeps: parseInt(stats.active_meps),
+      avgParticipation: Math.round(parseFloat(participationResult.rows[0]?.avg_participation) || 0),
+      byCategory: categoryResult.rows.map(row => ({
+        category: row.category,
+        count: parseInt(row.count)
+      }))
+    });
+  } catch (error) {
     console.error('Error fetching overview stats:', error);
     res.status(500).json({ error: 'Failed to fetch statistics' });
   }
 });
 
-// Get party agreement matrix (uses pre-computed data if available)
-app.get('/api/stats/party-agreement', cacheFor(3600), async (req, res) => {
+// Get party agreement matrix (uses pre-computed data if available)
+app.get('/api/stats/party-agreement', cacheFor(3600), async (req, res) => {
+  try {
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+
+    // The whole-legislature matrix is pre-computed into metadata
+    let data = null;
+    if (window.key === 'all') {
+      const precomputedRes = await pool.query(`
+        SELECT value FROM metadata WHERE key = 'party_agreement_matrix'
+      `);
+      if (precomputedRes.rows.length > 0) data = JSON.parse(precomputedRes.rows[0].value);
+    }
+    if (!data) data = await loadWindowedStat(pool, window, 'party_agreement_matrix');
+
+    res.json(data.map(row => ({
+      group1: row.party1,
+      group2: row.party2,
+      total_bills: parseInt(row.total_bills),
+      agreements: parseInt(row.agreements),
+      agreement_pct: row.total_bills > 0
+        ? Math.round(row.agreements / row.total_bills * 1000) / 10
+        : 0
+    })));
+  } catch (error) {
+    console.error('Error fetching party agreement:', error);
+    res.status(500).json({ error: 'Failed to fetch party agreement data' });
+  }
+});
+
+// Get MEP agreement matrix (pairwise agreement between individual MEPs)
+// By default, shows only "unusual" pairs: MEPs from different parties who agree
+// Optimized using bill-grouped approach for better performance
+app.get('/api/stats/mep-agreement', async (req, res) => {
+  try {
+    const { limit = 100, minShared = 10, crossPartyOnly = 'true' } = req.query;
+    const showCrossPartyOnly = crossPartyOnly === 'true';
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+    const params = [parseInt(minShared), parseInt(limit)];
+    const inWindow = billWindowClause(window, params);
+    
+    // Optimized approach: Group votes by bill first, then join only cross-party pairs
+    // This reduces the join space significantly
+    let query;
+    if (showCrossPartyOnly) {
+      query = `
+        WITH bill_mep_votes AS (
+          -- Get all votes with MEP info, grouped by bill for efficient joining
+          SELECT 
+            bill_id,
+            mep_id,
+            mep_name,
+            mep_group,
+            vote
+          FROM votes
+          WHERE vote IN ('yes', 'no', 'abstain') 
+            AND mep_id IS NOT NULL 
+            AND mep_group IS NOT NULL
+            AND ${inWindow}
+        ),
+        cross_party_votes AS (
+          -- Pre-filter to only bills where we have votes from different parties
+          SELECT DISTINCT bill_id
+          FROM bill_mep_votes
+          GROUP BY bill_id
+          HAVING COUNT(DISTINCT mep_group) > 1
+        ),
+        pairwise_agreement AS (
+          -- Join only on bills that have cross-party votes, and only cross-party pairs
+          SELECT
+            v1.mep_id as mep1_id,
+            v1.mep_name as mep1_name,
+            v1.mep_group as mep1_group,
+            v2.mep_id as mep2_id,
+            v2.mep_name as mep2_name,
+            v2.mep_group as mep2_group,
+            COUNT(*) as total_bills,
+            SUM(CASE WHEN v1.vote = v2.vote THEN 1 ELSE 0 END) as agreements
+          FROM bill_mep_votes v1
+          INNER JOIN cross_party_votes cpv ON v1.bill_id = cpv.bill_id
+          INNER JOIN bill_mep_votes v2 
+            ON v1.bill_id = v2.bill_id 
+            AND v1.mep_id < v2.mep_id
+            AND v1.mep_group != v2.mep_group
+          GROUP BY v1.mep_id, v1.mep_name, v1.mep_group, v2.mep_id, v2.mep_name, v2.mep_group
+          HAVING COUNT(*) >= $1
+        )
+        SELECT
+          mep1_id,
+          mep1_name,
+          mep1_group,
+          mep2_id,
+          mep2_name,
+          mep2_group,
+          total_bills,
+          agreements,
+          ROUND(agreements::numeric / total_bills * 100, 1) as agreement_pct
+        FROM pairwise_agreement
+        ORDER BY agreement_pct DESC, total_bills DESC
+        LIMIT $2
+      `;
+    } else {
+      // Fallback to original pairwise join for all pairs
+      query = `
+        WITH mep_votes AS (
+          SELECT bill_id, mep_id, mep_name, mep_group, vote
+          FROM votes
+          WHERE vote IN ('yes', 'no', 'abstain') AND mep_id IS NOT NULL AND ${inWindow}
+        ),
+        pairwise_agreement AS (
+          SELECT
+            v1.mep_id as mep1_id,
+            v1.mep_name as mep1_name,
+            v1.mep_group as mep1_group,
+            v2.mep_id as mep2_id,
+            v2.mep_name as mep2_name,
+            v2.mep_group as mep2_group,
+            COUNT(*) as total_bills,
+            SUM(CASE WHEN v1.vote = v2.vote THEN 1 ELSE 0 END) as agreements
+          FROM mep_votes v1
+          JOIN mep_votes v2 ON v1.bill_id = v2.bill_id AND v1.mep_id < v2.mep_id
+          GROUP BY v1.mep_id, v1.mep_name, v1.mep_group, v2.mep_id, v2.mep_name, v2.mep_group
+          HAVING COUNT(*) >= $1
+        )
+        SELECT
+          mep1_id,
+          mep1_name,
+          mep1_group,
+          mep2_id,
+          mep2_name,
+          mep2_group,
+          total_bills,
+          agreements,
+          ROUND(agreements::numeric / total_bills * 100, 1) as agreement_pct
+        FROM pairwise_agreement
+        ORDER BY agreement_pct DESC, total_bills DESC
+        LIMIT $2
+      `;
+    }
+    
+    const result = await pool.query(query, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching MEP agreement:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP agreement data' });
+  }
+});
+
+// Get MEP voting vectors for PCA visualization
+// Returns each MEP's voting pattern as a vector that can be used for dimensionality reduction
+app.get('/api/stats/mep-voting-vectors', async (req, res) => {
+  try {
+    const { minVotes = 20 } = req.query;
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+    const params = [parseInt(minVotes)];
+    const inWindow = billWindowClause(window, params);
+    
+    // Get all MEPs with their votes encoded as numbers
+    // yes = 1, no = -1, abstain = 0
+    const result = await pool.query(`
+      WITH bill_list AS (
+        -- Get bills that have enough votes to be meaningful
+        SELECT DISTINCT bill_id
+        FROM votes
+        WHERE vote IN ('yes', 'no', 'abstain') AND ${inWindow}
+        GROUP BY bill_id
+        HAVING COUNT(*) >= 50
+      ),
+      mep_vote_counts AS (
+        -- Count votes per MEP to filter out inactive ones
+        SELECT mep_id, COUNT(*) as vote_count
+        FROM votes v
+        JOIN bill_list bl ON v.bill_id = bl.bill_id
+        WHERE vote IN ('yes', 'no', 'abstain') AND mep_id IS NOT NULL
+        GROUP BY mep_id
+        HAVING COUNT(*) >= $1
+      ),
+      mep_votes_encoded AS (
+        SELECT 
+          v.mep_id,
+          v.mep_name,
+          v.mep_group,
+          v.bill_id,
+          CASE 
+            WHEN v.vote = 'yes' THEN 1
+            WHEN v.vote = 'no' THEN -1
+            WHEN v.vote = 'abstain' THEN 0
+          END as vote_val
+        FROM votes v
+        JOIN bill_list bl ON v.bill_id = bl.bill_id
+        JOIN mep_vote_counts mvc ON v.mep_id = mvc.mep_id
+        WHERE v.vote IN ('yes', 'no', 'abstain') AND v.mep_id IS NOT NULL
+      )
+      SELECT 
+        mep_id,
+        mep_name,
+        mep_group,
+        json_agg(json_build_object('bill_id', bill_id, 'vote', vote_val) ORDER BY bill_id) as votes
+      FROM mep_votes_encoded
+      GROUP BY mep_id, mep_name, mep_group
+      ORDER BY mep_name
+    `, params);
+
+    // Also return the list of bill IDs for reference
+    const billParams = [];
+    const billsResult = await pool.query(`
+      SELECT DISTINCT bill_id
+      FROM votes
+      WHERE vote IN ('yes', 'no', 'abstain') AND ${billWindowClause(window, billParams)}
+      GROUP BY bill_id
+      HAVING COUNT(*) >= 50
+      ORDER BY bill_id
+    `, billParams);
+
+    res.json({
+      meps: result.rows,
+      billIds: billsResult.rows.map(r => r.bill_id)
+    });
+  } catch (error) {
+    console.error('Error fetching MEP voting vectors:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP voting vectors' });
+  }
+});
+
+// Get pre-computed MEP PCA coordinates (FAST - no computation needed)
+app.get('/api/stats/mep-pca-coords', cacheFor(3600), async (req, res) => {
+  try {
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+
+    // Other windows are projected separately (pre-computed for years and quarters)
+    if (window.key !== 'all') {
+      return res.json(await loadWindowedStat(pool, window, 'mep_pca_coords'));
+    }
+
+    // Get MEPs with pre-computed PCA coordinates
+    const mepsResult = await pool.query(`
+      SELECT 
+        mep_id,
+        CONCAT(first_name, ' ', COALESCE(last_name, name)) as name,
+        political_group,
+        country_code,
+        pca_x,
+        pca_y,
+        pca_z
+      FROM meps
+      WHERE is_active = true 
+        AND pca_x IS NOT NULL
+      ORDER BY name
+    `);
+    
+    // Get pre-computed metadata (variance, bill loadings)
+    const varianceResult = await pool.query(`
+      SELECT value FROM metadata WHERE key = 'pca_variance'
+    `);
+    
+    const explainedResult = await pool.query(`
+      SELECT value FROM metadata WHERE key = 'pca_explained_variance'
+    `);
+    
+    const loadingsResult = await pool.query(`
+      SELECT value FROM metadata WHERE key = 'pca_bill_loadings'
+    `);
+    
+    const variance = varianceResult.rows[0]?.value 
+      ? JSON.parse(varianceResult.rows[0].value) 
+      : [0, 0, 0];
+    
+    // Share of the total variance; older snapshots only have the per-component variance
+    const explainedVariance = explainedResult.rows[0]?.value
+      ? JSON.parse(explainedResult.rows[0].value)
+      : null;
+    
+    const billLoadings = loadingsResult.rows[0]?.value
+      ? JSON.parse(loadingsResult.rows[0].value)
+      : [[], [], []];
+    
+    res.json({
+      meps: mepsResult.rows.map(m => ({
+        mepId: m.mep_id,
+        name: m.name,
+        group: m.political_group,
+        country: m.country_code,
+        x: m.pca_x,
+        y: m.pca_y,
+        z: m.pca_z
+      })),
+      variance,
+      explainedVariance,
+      billLoadings
+    });
+  } catch (error) {
+    console.error('Error fetching MEP PCA coordinates:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP PCA coordinates' });
+  }
+});
+
+// Get pre-computed PCA trajectories: MEP positions in rolling windows, aligned to the
+// whole-legislature compass so positions are comparable between frames
+app.get('/api/stats/mep-pca-trajectories', cacheFor(3600), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT value, updated_at FROM metadata WHERE key = 'pca_trajectories'
+    `);
+
+    if (result.rows.length === 0) {
+      return res.json({ frames: [], meps: {} });
+    }
+
+    res.json({ ...JSON.parse(result.rows[0].value), computedAt: result.rows[0].updated_at });
+  } catch (error) {
+    console.error('Error fetching PCA trajectories:', error);
+    res.status(500).json({ error: 'Failed to fetch PCA trajectories' });
+  }
+});
+
+// Get pre-computed ideal points (Bayesian IRT, see server/idealPoints.js) with their
+// posterior standard deviations, for current MEPs
+app.get('/api/stats/ideal-points', cacheFor(3600), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        m.mep_id,
+        CONCAT(m.first_name, ' ', COALESCE(m.last_name, m.name)) as name,
+        m.political_group,
+        m.country_code,
+        ip.dim1, ip.dim2, ip.se1, ip.se2, ip.corr12, ip.votes_used
+      FROM mep_ideal_points ip
+      JOIN meps m ON m.mep_id = ip.mep_id
+      WHERE m.is_active = true
+      ORDER BY ip.dim1
+    `);
+
+    const fitResult = await pool.query(`
+      SELECT value, updated_at FROM metadata WHERE key = 'ideal_point_fit'
+    `);
+
+    res.json({
+      meps: result.rows.map(m => ({
+        mepId: m.mep_id,
+        name: m.name,
+        group: m.political_group,
+        country: m.country_code,
+        x: m.dim1,
+        y: m.dim2,
+        seX: m.se1,
+        seY: m.se2,
+        correlation: m.corr12,
+        votes: m.votes_used
+      })),
+      fit: fitResult.rows[0]
+        ? { ...JSON.parse(fitResult.rows[0].value), computedAt: fitResult.rows[0].updated_at }
+        : null
+    });
+  } catch (error) {
+    console.error('Error fetching ideal points:', error);
+    res.status(500).json({ error: 'Failed to fetch ideal points' });
+  }
+});
+
+// Get pre-computed statistics (party agreement, cohesion, etc.)
+app.get('/api/stats/precomputed', async (req, res) => {
+  try {
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+
+    const keys = ['party_agreement_matrix', 'party_cohesion', 'group_stats', 'last_precompute'];
+    const result = window.key === 'all'
+      ? await pool.query(`
+          SELECT key, value FROM metadata WHERE key = ANY($1)
+        `, [keys])
+      : await pool.query(`
+          SELECT stat as key, value FROM stats_snapshots WHERE window_key = $1
+        `, [window.key]);
+    
+    const data = {};
+    for (const row of result.rows) {
+      try {
+        data[row.key] = JSON.parse(row.value);
+      } catch {
+        data[row.key] = row.value;
+      }
+    }
+    
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching precomputed stats:', error);
+    res.status(500).json({ error: 'Failed to fetch precomputed stats' });
+  }
+});
+
+// Get party cohesion stats (uses pre-computed data if available)
+app.get('/api/stats/party-cohesion', cacheFor(3600), async (req, res) => {
+  try {
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+
+    // The whole-legislature cohesion is pre-computed into metadata
+    let data = null;
+    if (window.key === 'all') {
+      const precomputedRes = await pool.query(`
+        SELECT value FROM metadata WHERE key = 'party_cohesion'
+      `);
+      if (precomputedRes.rows.length > 0) data = JSON.parse(precomputedRes.rows[0].value);
+    }
+    if (!data) data = await loadWindowedStat(pool, window, 'party_cohesion');
+
+    res.json(data.map(row => ({
+      political_group: row.party,
+      bills_voted: parseInt(row.bills_voted),
+      avg_cohesion: parseFloat(row.avg_cohesion),
+      total_mep_votes: parseInt(row.total_mep_votes) || null
+    })));
+  } catch (error) {
+    console.error('Error fetching party cohesion:', error);
+    res.status(500).json({ error: 'Failed to fetch party cohesion data' });
+  }
+});
+
+// Get national delegation cohesion and per-MEP "country vs group" loyalty.
+// Cohesion is the share of a delegation voting with its majority, like party cohesion.
+// Loyalty looks at the votes where the rest of an MEP's delegation and the rest of their group
+// took different majority positions, and counts which side the MEP voted with. Majorities exclude
+// the MEP's own vote, and ties count as no majority.
+// Filters: category and a time window (from/to or window); country limits the MEP list; minConflicts hides MEPs
+// with too few conflicting votes to rank.
+app.get('/api/stats/country-cohesion', cacheFor(3600), async (req, res) => {
+  try {
+    const { category, country, minConflicts = 5 } = req.query;
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+    const { where, params } = buildBillFilters({ category, from: window.from, to: window.to });
+
+    const billsCte = `
+      filtered_bills AS (
+        SELECT b.id FROM bills b ${where}
+      ),
+      cast_votes AS (
+        SELECT v.bill_id, v.mep_id, v.mep_name, v.mep_group, v.vote, c.code as country_code, c.name as country_name
+        FROM votes v
+        JOIN countries c ON v.country_id = c.id
+        WHERE v.bill_id IN (SELECT id FROM filtered_bills)
+          AND v.vote IN ('yes', 'no', 'abstain')
+      )`;
+
+    const countries = await pool.query(`
+      WITH ${billsCte},
+      delegation_bill_stats AS (
+        SELECT bill_id, country_code, country_name,
+               GREATEST(
+                 COUNT(*) FILTER (WHERE vote = 'yes'),
+                 COUNT(*) FILTER (WHERE vote = 'no'),
+                 COUNT(*) FILTER (WHERE vote = 'abstain')
+               ) as majority_count,
+               COUNT(*) as total_votes
+        FROM cast_votes
+        GROUP BY bill_id, country_code, country_name
+      )
+      SELECT country_code, country_name,
+             COUNT(*) as bills_voted,
+             ROUND(AVG(majority_count::numeric / total_votes * 100), 1) as avg_cohesion,
+             SUM(total_votes) as total_mep_votes
+      FROM delegation_bill_stats
+      WHERE total_votes >= 2
+      GROUP BY country_code, country_name
+      ORDER BY avg_cohesion DESC
+    `, params);
+
+    const mepParams = [...params];
+    let countryClause = '';
+    if (country && country !== 'all') {
+      mepParams.push(country.toUpperCase());
+      countryClause = `AND country_code = $${mepParams.length}`;
+    }
+    mepParams.push(parseInt(minConflicts) || 0);
+    const minConflictsIdx = mepParams.length;
+
+    const meps = await pool.query(`
+      WITH ${billsCte},
+      delegation_counts AS (
+        SELECT bill_id, country_code,
+               COUNT(*) FILTER (WHERE vote = 'yes') as yes_count,
+               COUNT(*) FILTER (WHERE vote = 'no') as no_count,
+               COUNT(*) FILTER (WHERE vote = 'abstain') as abstain_count
+        FROM cast_votes
+        GROUP BY bill_id, country_code
+      ),
+      group_counts AS (
+        SELECT bill_id, mep_group,
+               COUNT(*) FILTER (WHERE vote = 'yes') as yes_count,
+               COUNT(*) FILTER (WHERE vote = 'no') as no_count,
+               COUNT(*) FILTER (WHERE vote = 'abstain') as abstain_count
+        FROM cast_votes
+        WHERE mep_group IS NOT NULL
+        GROUP BY bill_id, mep_group
+      ),
+      -- Counts of the rest of the delegation and group, without the MEP's own vote
+      others AS (
+        SELECT cv.mep_id, cv.mep_name, cv.mep_group, cv.country_code, cv.vote,
+               dc.yes_count - (cv.vote = 'yes')::int as c_yes,
+               dc.no_count - (cv.vote = 'no')::int as c_no,
+               dc.abstain_count - (cv.vote = 'abstain')::int as c_abstain,
+               gc.yes_count - (cv.vote = 'yes')::int as g_yes,
+               gc.no_count - (cv.vote = 'no')::int as g_no,
+               gc.abstain_count - (cv.vote = 'abstain')::int as g_abstain
+        FROM cast_votes cv
+        JOIN delegation_counts dc ON dc.bill_id = cv.bill_id AND dc.country_code = cv.country_code
+        JOIN group_counts gc ON gc.bill_id = cv.bill_id AND gc.mep_group = cv.mep_group
+      ),
+      positions AS (
+        SELECT mep_id, mep_name, mep_group, country_code, vote,
+               CASE WHEN c_yes > c_no AND c_yes > c_abstain THEN 'yes'
+                    WHEN c_no > c_yes AND c_no > c_abstain THEN 'no'
+                    WHEN c_abstain > c_yes AND c_abstain > c_no THEN 'abstain'
+               END as country_position,
+               CASE WHEN g_yes > g_no AND g_yes > g_abstain THEN 'yes'
+                    WHEN g_no > g_yes AND g_no > g_abstain THEN 'no'
+                    WHEN g_abstain > g_yes AND g_abstain > g_no THEN 'abstain'
+               END as group_position
+        FROM others
+      )
+      SELECT mep_id,
+             MAX(mep_name) as mep_name,
+             MAX(country_code) as country_code,
+             MODE() WITHIN GROUP (ORDER BY mep_group) as political_group,
+             COUNT(*) as conflicts,
+             COUNT(*) FILTER (WHERE vote = country_position) as sided_with_country,
+             COUNT(*) FILTER (WHERE vote = group_position) as sided_with_group,
+             ROUND(COUNT(*) FILTER (WHERE vote = country_position)::numeric / COUNT(*) * 100, 1) as country_loyalty
+      FROM positions
+      WHERE country_position IS NOT NULL
+        AND group_position IS NOT NULL
+        AND country_position <> group_position
+        ${countryClause}
+      GROUP BY mep_id
+      HAVING COUNT(*) >= $${minConflictsIdx}
+      ORDER BY country_loyalty DESC, conflicts DESC
+    `, mepParams);
+
+    const categories = await pool.query(
+      'SELECT DISTINCT category FROM bills WHERE category IS NOT NULL ORDER BY category'
+    );
+
+    res.json({
+      countries: countries.rows.map(row => ({
+        ...row,
+        bills_voted: parseInt(row.bills_voted),
+        avg_cohesion: parseFloat(row.avg_cohesion),
+        total_mep_votes: parseInt(row.total_mep_votes)
+      })),
+      meps: meps.rows.map(row => ({
+        ...row,
+        conflicts: parseInt(row.conflicts),
+        sided_with_country: parseInt(row.sided_with_country),
+        sided_with_group: parseInt(row.sided_with_group),
+        country_loyalty: parseFloat(row.country_loyalty)
+      })),
+      categories: categories.rows.map(row => row.category)
+    });
+  } catch (error) {
+    console.error('Error fetching country cohesion:', error);
+    res.status(500).json({ error: 'Failed to fetch country cohesion data' });
+  }
+});
+
+// Get party absence/non-participation rates
+app.get('/api/stats/party-absence', async (req, res) => {
+  try {
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+
+    res.json(await loadWindowedStat(pool, window, 'party_absence'));
+  } catch (error) {
+    console.error('Error fetching party absence:', error);
+    res.status(500).json({ error: 'Failed to fetch party absence data' });
+  }
+});
+
+// Get most/least controversial bills (closest vote margins)
+app.get('/api/stats/controversial', async (req, res) => {
+  try {
+    const window = await resolveStatsWindow(pool, req.query);
+    if (!window) return res.status(400).json({ error: INVALID_WINDOW_ERROR });
+
+    res.json(await loadWindowedStat(pool, window, 'controversial'));
+  } catch (error) {
+    console.error('Error fetching controversial bills:', error);
+    res.status(500).json({ error: 'Failed to fetch controversial bills' });
+  }
+});
+
+// POLITICAL COMPASS ENDPOINTS
+
+// Get MEP's political compass scores
+app.get('/api/meps/:mepId/compass', async (req, res) => {
+  try {
+    const { mepId } = req.params;
+
+    const result = await pool.query(`
+      WITH mep_votes_on_tagged AS (
+        SELECT
+          v.vote,
+          va.axis,
+          va.direction
+        FROM votes v
+        JOIN vote_axes va ON v.bill_id = va.bill_id
+        WHERE v.mep_id = $1 AND v.vote IN ('yes', 'no')
+      ),
+      axis_scores AS (
+        SELECT
+          axis,
+          SUM(
+            CASE
+              WHEN vote = 'yes' THEN direction
+              WHEN vote = 'no' THEN -direction
+              ELSE 0
+            END
+          )::float / NULLIF(COUNT(*), 0) as raw_score,
+          COUNT(*) as vote_count
+        FROM mep_votes_on_tagged
+        GROUP BY axis
+      )
+      SELECT axis, raw_score, vote_count
+      FROM axis_scores
+    `, [mepId]);
+
+    const scores = { economic: 0, eu_integration: 0, environment: 0, social: 0 };
+    const voteCounts = { ...scores };
+
+    result.rows.forEach(row => {
+      if (scores.hasOwnProperty(row.axis)) {
+        scores[row.axis] = parseFloat(row.raw_score) || 0;
+        voteCounts[row.axis] = parseInt(row.vote_count) || 0;
+      }
+    });
+
+    res.json({ scores, voteCounts });
+  } catch (error) {
+    console.error('Error fetching MEP compass:', error);
+    res.status(500).json({ error: 'Failed to fetch MEP compass scores' });
+  }
+});
+
+// Get all MEPs positioned for scatter plot
+app.get('/api/compass/data', cacheFor(3600), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      WITH mep_votes_on_tagged AS (
+        SELECT
+          v.mep_id,
+          v.mep_name,
+          v.mep_group,
+          v.vote,
+          va.axis,
+          va.direction
+        FROM votes v
+        JOIN vote_axes va ON v.bill_id = va.bill_id
+        WHERE v.vote IN ('yes', 'no')
+      ),
+      mep_axis_scores AS (
+        SELECT
+          mep_id,
+          mep_name,
+          mep_group,
+          axis,
+          SUM(
+            CASE
+              WHEN vote = 'yes' THEN direction
+              WHEN vote = 'no' THEN -direction
+              ELSE 0
+            END
+          )::float / NULLIF(COUNT(*), 0) as score
+        FROM mep_votes_on_tagged
+        GROUP BY mep_id, mep_name, mep_group, axis
+        HAVING COUNT(*) >= 3
+      )
+      SELECT
+        mep_id,
+        MAX(mep_name) as mep_name,
+        MAX(mep_group) as mep_group,
+        MAX(CASE WHEN axis = 'economic' THEN score END) as economic,
+        MAX(CASE WHEN axis = 'social' THEN score END) as social,
+        MAX(CASE WHEN axis = 'eu_integration' THEN score END) as eu_integration,
+        MAX(CASE WHEN axis = 'environment' THEN score END) as environment
+      FROM mep_axis_scores
+      GROUP BY mep_id
+      HAVING COUNT(DISTINCT axis) >= 2
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching compass data:', error);
+    res.status(500).json({ error: 'Failed to fetch compass data' });
+  }
+});
+
+// Get list of tagged votes
+app.get('/api/compass/tagged-votes', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        b.id as bill_id,
+        b.title,
+        b.category,
+        va.axis,
+        va.direction
+      FROM vote_axes va
+      JOIN bills b ON va.bill_id = b.id
+      ORDER BY b.date_adopted DESC, va.axis
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching tagged votes:', error);
+    res.status(500).json({ error: 'Failed to fetch tagged votes' });
+  }
+});
+
+// Admin endpoint to tag a vote with axis information
+app.post('/api/admin/tag-vote', requireRole('editor'), async (req, res) => {
+  try {
+    const { bill_id, axis, direction } = req.body;
+
+    if (!['economic', 'eu_integration', 'environment', 'social'].includes(axis)) {
+      return res.status(400).json({ error: 'Invalid axis' });
+    }
+    if (![1, -1].includes(direction)) {
+      return res.status(400).json({ error: 'Direction must be 1 or -1' });
+    }
+
+    const previous = await pool.query(
+      'SELECT direction FROM vote_axes WHERE bill_id = $1 AND axis = $2',
+      [bill_id, axis]
+    );
+
+    await pool.query(`
+      INSERT INTO vote_axes (bill_id, axis, direction)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (bill_id, axis) DO UPDATE SET direction = $3
+    `, [bill_id, axis, direction]);
+
+    await audit(req, {
+      action: 'tag_vote',
+      targetType: 'bill',
+      targetId: bill_id,
+      details: { axis, direction, previousDirection: previous.rows[0]?.direction ?? null }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error tagging vote:', error);
+    res.status(500).json({ error: 'Failed to tag vote' });
+  }
+});
+
+// VAA (VOTING ADVICE APPLICATION) ENDPOINTS
+
+// Get VAA questions
+app.get('/api/vaa/questions', cacheFor(1800), async (req, res) => {
+  try {
+    // Order by display_order (which should be set by PCA loading calculation)
+    // If display_order is NULL or 0, order by id as fallback
+    const result = await pool.query(`
+      SELECT
+        q.id,
+        q.bill_id,
+        q.question_text,
+        q.category,
+        q.display_order,
+        b.title as bill_title,
+        b.date_adopted
+      FROM vaa_questions q
+      JOIN bills b ON q.bill_id = b.id
+      WHERE q.is_active = true
+      ORDER BY 
+        CASE WHEN q.display_order IS NULL OR q.display_order = 0 THEN 999999 ELSE q.display_order END,
+        q.id
+      LIMIT 50
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching VAA questions:', error);
+    res.status(500).json({ error: 'Failed to fetch VAA questions' });
+  }
+});
+
+// Submit VAA responses and get matching MEPs. Responses of a signed-in participant are
+// linked to their account.
+app.post('/api/vaa/submit', loadAccount, async (req, res) => {
+  try {
+    const { responses, sessionId, countryCode } = req.body;
+
+    if (!responses || !Array.isArray(responses)) {
+      return res.status(400).json({ error: 'Invalid responses format' });
+    }
+
+    const session = sessionId || `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    // Save responses
+    for (const response of responses) {
+      await pool.query(`
+        INSERT INTO vaa_responses (session_id, question_id, response, importance, account_id)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT DO NOTHING
+      `, [session, response.questionId, response.answer, response.importance || 1, req.account?.id || null]);
+    }
+
+    // Get bill IDs from questions (ensure they're integers)
+    const billIds = responses.map(r => parseInt(r.billId)).filter(id => !isNaN(id) && id > 0);
+
+    if (billIds.length === 0) {
+      return res.status(400).json({ error: 'No valid bill IDs found in responses', sessionId: session });
+    }
+
+    // Build query with optional country filter
+    let votesQuery = `
+      SELECT v.mep_id, v.mep_name, v.mep_group, v.bill_id, v.vote, m.country_code
+      FROM votes v
+      JOIN meps m ON v.mep_id = m.mep_id
+      WHERE v.bill_id = ANY($1::int[]) AND v.vote IN ('yes', 'no')
+    `;
+    const queryParams = [billIds];
+    
+    if (countryCode && countryCode.trim() !== '') {
+      // Handle both 2-letter and 3-letter country codes
+      votesQuery += ` AND (m.country_code = $2 OR m.country_code LIKE $3)`;
+      queryParams.push(countryCode.toUpperCase(), `${countryCode.toUpperCase()}%`);
+    }
+    
+    // Get MEP votes for these bills
+    const votesResult = await pool.query(votesQuery, queryParams);
+
+    // Group votes by MEP
+    const mepVotes = {};
+    votesResult.rows.forEach(row => {
+      if (!mepVotes[row.mep_id]) {
+        mepVotes[row.mep_id] = {
+          mep_id: row.mep_id, mep_name: row.mep_name, mep_group: row.mep_group, votes: {}
+        };
+      }
+      mepVotes[row.mep_id].votes[row.bill_id] = row.vote;
+    });
+
+    // Calculate match scores
+    const matches = [];
+    const responseMap = {};
+    responses.forEach(r => { responseMap[r.billId] = { answer: r.answer, importance: r.importance || 1 }; });
+
+    for (const mepId in mepVotes) {
+      const mep = mepVotes[mepId];
+      let totalWeight = 0, matchScore = 0;
+
+      for (const billId in responseMap) {
+        const userResponse = responseMap[billId];
+        const mepVote = mep.votes[billId];
+        if (!mepVote || userResponse.answer === 'skip') continue;
+
+        const weight = userResponse.importance;
+        totalWeight += weight;
+
+        const userPosition = userResponse.answer === 'agree' ? 'yes' : (userResponse.answer === 'disagree' ? 'no' : null);
+        if (userPosition && userPosition === mepVote) matchScore += weight;
+        else if (userResponse.answer === 'neutral') matchScore += weight * 0.5;
+      }
+
+      if (totalWeight > 0) {
+        matches.push({
+          mep_id: mep.mep_id, mep_name: mep.mep_name, mep_group: mep.mep_group,
+          match_percent: Math.round((matchScore / totalWeight) * 100),
+          questions_answered: Object.keys(mep.votes).length
+        });
+      }
+    }
+
+    matches.sort((a, b) => b.match_percent - a.match_percent);
+    const topMatches = matches.slice(0, 20);
+
+    // Calculate party averages
+    const partyScores = {};
+    matches.forEach(m => {
+      const group = m.mep_group || 'Unknown';
+      if (!partyScores[group]) partyScores[group] = { total: 0, count: 0 };
+      partyScores[group].total += m.match_percent;
+      partyScores[group].count++;
+    });
+
+    const partyMatches = Object.entries(partyScores)
+      .map(([group, data]) => ({ group, match_percent: Math.round(data.total / data.count), mep_count: data.count }))
+      .sort((a, b) => b.match_percent - a.match_percent);
+
+    res.json({ 
+      sessionId: session, 
+      topMatches, 
+      partyMatches, 
+      totalMepsCompared: matches.length,
+      countryFilter: countryCode || null
+    });
+  } catch (error) {
+    console.error('Error processing VAA submission:', error);
+    res.status(500).json({ 
+      error: 'Failed to process VAA submission',
+      details: error.message 
+    });
+  }
+});
+
+// Admin: Add VAA question
+app.post('/api/admin/vaa-question', requireRole('editor'), async (req, res) => {
+  try {
+    const { bill_id, question_text, category, display_order } = req.body;
+    const result = await pool.query(`
+      INSERT INTO vaa_questions (bill_id, question_text, category, display_order, is_active)
+      VALUES ($1, $2, $3, $4, true) RETURNING id
+    `, [bill_id, question_text, category, display_order || 0]);
+    await audit(req, {
+      action: 'create_vaa_question',
+      targetType: 'vaa_question',
+      targetId: result.rows[0].id,
+      details: { bill_id, question_text, category, display_order: display_order || 0 }
+    });
+    // The next PCA loadings run reorders the questions including this one
+    await recordChangeSet(pool, 'admin', { vaa_questions: [bill_id] });
+    res.json({ success: true, id: result.rows[0].id });
+  } catch (error) {
+    console.error('Error adding VAA question:', error);
+    res.status(500).json({ error: 'Failed to add VAA question' });
+  }
+});
+
+// HEALTH CHECK - also pings DB to keep connection pool warm
+app.get('/api/health', async (req, res) => {
+  try {
+    await pool.query('SELECT 1');
+    res.json({ status: 'ok', db: 'connected' });
+  } catch (err) {
+    res.json({ status: 'ok', db: 'error' });
+  }
+});
+
+// BULK EXPORT ENDPOINTS
+
+// Data dictionary: datasets, their filters and column descriptions
+app.get('/api/export/dictionary', cacheFor(3600), (req, res) => {
+  res.json(exportDictionary());
+});
+
+// Stream a dataset (bills, meps, votes, summaries, vote-matrix) as CSV or NDJSON
+// Query: format (csv|ndjson) and the dataset's filters, see server/dataExport.js
+app.get('/api/export/:dataset', cacheFor(600), async (req, res) => {
+  const { dataset } = req.params;
   try {
-    // Try pre-computed data first (much faster)
-    const precomputedRes = await pool.query(`
-      SELECT value FROM metadata WHERE key = 'party_agreement_matrix'
-    `);
-    
-    if (precomputedRes.rows.length > 0) {
-      const data = JSON.parse(precomputedRes.rows[0].value);
-      // Transform to expected format
-      const result = data.map(row => ({
-        group1: row.party1,
-        group2: row.party2,
-        total_bills: parseInt(row.total_bills),
-        agreements: parseInt(row.agreements),
-        agreement_pct: row.total_bills > 0 
-          ? Math.round(row.agreements / row.total_bills * 1000) / 10 
-          : 0
-      }));
-      return res.json(result);
+    const { error, filters } = await parseExportQuery(pool, dataset, req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    
-    // Fallback: Calculate on the fly if no pre-computed data
-    const result = await pool.query(`
-      WITH group_majorities AS (
-        SELECT
-          bill_id,
-          mep_group,
-          vote,
-          COUNT(*) as vote_count,
-          ROW_NUMBER() OVER (PARTITION BY bill_id, mep_group ORDER BY COUNT(*) DESC) as rn
-        FROM votes
-        WHERE vote IN ('yes', 'no', 'abstain') AND mep_group IS NOT NULL
-        GROUP BY bill_id, mep_group, vote
-      ),
-      group_positions AS (
-        SELECT bill_id, mep_group, vote as majority_vote
-        FROM group_majorities
-        WHERE rn = 1
-      ),
-      pairwise_agreement AS (
-        SELECT
-          g1.mep_group as group1,
-          g2.mep_group as group2,
-          COUNT(*) as total_bills,
-          SUM(CASE WHEN g1.majority_vote = g2.majority_vote THEN 1 ELSE 0 END) as agreements
-        FROM group_positions g1
-        JOIN group_positions g2 ON g1.bill_id = g2.bill_id AND g1.mep_group < g2.mep_group
-        WHERE 
-          LOWER(g1.mep_group) NOT LIKE '%identity%democracy%'
-          AND LOWER(g2.mep_group) NOT LIKE '%identity%democracy%'
-        GROUP BY g1.mep_group, g2.mep_group
-        HAVING COUNT(*) >= 10
-      )
-      SELECT
-        group1,
-        group2,
-        total_bills,
-        agreements,
-        ROUND(agreements::numeric / total_bills * 100, 1) as agreement_pct
-      FROM pairwise_agreement
-      ORDER BY group1, group2
-    `);
 
-    res.json(result.rows);
+    const { contentType, extension } = EXPORT_FORMATS[filters.format];
+    const date = new Date().toISOString().split('T')[0];
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="eulens-${dataset}-${date}.${extension}"`);
+    await streamExport(pool, res, dataset, filters);
+    res.end();
   } catch (error) {
-    console.error('Error fetching party agreement:', error);
-    res.status(500).json({ error: 'Failed to fetch party agreement data' });
+    console.error(`Error exporting ${dataset}:`, error);
+    if (res.headersSent) {
+      // The download is cut short rather than ending in a truncated but valid-looking file
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Failed to export data' });
+    }
   }
 });
 
-// Get MEP agreement matrix (pairwise agreement between individual MEPs)
-// By default, shows only "unusual" pairs: MEPs from different parties who agree
-// Optimized using bill-grouped approach for better performance
-app.get('/api/stats/mep-agreement', async (req, res) => {
-  try {
-    const { limit = 100, minShared = 10, crossPartyOnly = 'true' } = req.query;
-    const showCrossPartyOnly = crossPartyOnly === 'true';
-    
-    // Optimized approach: Group votes by bill first, then join only cross-party pairs
-    // This reduces the join space significantly
-    let query;
-    if (showCrossPartyOnly) {
-      query = `
-        WITH bill_mep_votes AS (
-          -- Get all votes with MEP info, grouped by bill for efficient joining
-          SELECT 
-            bill_id,
-            mep_id,
-            mep_name,
-            mep_group,
-            vote
-          FROM votes
-          WHERE vote IN ('yes', 'no', 'abstain') 
-            AND mep_id IS NOT NULL 
-            AND mep_group IS NOT NULL
-        ),
-        cross_party_votes AS (
-          -- Pre-filter to only bills where we have votes from different parties
-          SELECT DISTINCT bill_id
-          FROM bill_mep_votes
-          GROUP BY bill_id
-          HAVING COUNT(DISTINCT mep_group) > 1
-        ),
-        pairwise_agreement AS (
-          -- Join only on bills that have cross-party votes, and only cross-party pairs
-          SELECT
-            v1.mep_id as mep1_id,
-            v1.mep_name as mep1_name,
-            v1.mep_group as mep1_group,
-            v2.mep_id as mep2_id,
-            v2.mep_name as mep2_name,
-            v2.mep_group as mep2_group,
-            COUNT(*) as total_bills,
-            SUM(CASE WHEN v1.vote = v2.vote THEN 1 ELSE 0 END) as agreements
-          FROM bill_mep_votes v1
-          INNER JOIN cross_party_votes cpv ON v1.bill_id = cpv.bill_id
-          INNER JOIN bill_mep_votes v2 
-            ON v1.bill_id = v2.bill_id 
-            AND v1.mep_id < v2.mep_id
-            AND v1.mep_group != v2.mep_group
-          GROUP BY v1.mep_id, v1.mep_name, v1.mep_group, v2.mep_id, v2.mep_name, v2.mep_group
-          HAVING COUNT(*) >= $1
-        )
-        SELECT
-          mep1_id,
-          mep1_name,
-          mep1_group,
-          mep2_id,
-          mep2_name,
-          mep2_group,
-          total_bills,
-          agreements,
-          ROUND(agreements::numeric / total_bills * 100, 1) as agreement_pct
-        FROM pairwise_agreement
-        ORDER BY agreement_pct DESC, total_bills DESC
-        LIMIT $2
-      `;
-    } else {
-      // Fallback to original pairwise join for all pairs
-      query = `
-        WITH mep_votes AS (
-          SELECT bill_id, mep_id, mep_name, mep_group, vote
-          FROM votes
-          WHERE vote IN ('yes', 'no', 'abstain') AND mep_id IS NOT NULL
-        ),
-        pairwise_agreement AS (
-          SELECT
-            v1.mep_id as mep1_id,
-            v1.mep_name as mep1_name,
-            v1.mep_group as mep1_group,
-            v2.mep_id as mep2_id,
-            v2.mep_name as mep2_name,
-            v2.mep_group as mep2_group,
-            COUNT(*) as total_bills,
-            SUM(CASE WHEN v1.vote = v2.vote THEN 1 ELSE 0 END) as agreements
-          FROM mep_votes v1
-          JOIN mep_votes v2 ON v1.bill_id = v2.bill_id AND v1.mep_id < v2.mep_id
-          GROUP BY v1.mep_id, v1.mep_name, v1.mep_group, v2.mep_id, v2.mep_name, v2.mep_group
-          HAVING COUNT(*) >= $1
-        )
-        SELECT
-          mep1_id,
-          mep1_name,
-          mep1_group,
-          mep2_id,
-          mep2_name,
-          mep2_group,
-          total_bills,
-          agreements,
-          ROUND(agreements::numeric / total_bills * 100, 1) as agreement_pct
-        FROM pairwise_agreement
-        ORDER BY agreement_pct DESC, total_bills DESC
-        LIMIT $2
-      `;
-    }
-    
-    const result = await pool.query(query, [parseInt(minShared), parseInt(limit)]);
+// ADMIN ENDPOINTS
 
-    res.json(result.rows);
+// Queue a pipeline job for an admin request: 409 if one of the type is already queued or running
+async function queueAdminJob(req, res, type) {
+  const job = await jobQueue.enqueue(type, { trigger: 'admin', requestedBy: req.admin.name });
+  if (!job) {
+    return res.status(409).json({ error: `A ${JOB_TYPES[type].label.toLowerCase()} job is already queued or running` });
+  }
+  await audit(req, { action: 'start_job', targetType: 'job', targetId: job.id, details: { type } });
+  res.json({ success: true, message: `${JOB_TYPES[type].label} queued`, job });
+}
+
+// Manually trigger the full data update pipeline
+app.post('/api/admin/refresh-data', requireRole('operator'), async (req, res) => {
+  try {
+    await queueAdminJob(req, res, 'update');
   } catch (error) {
-    console.error('Error fetching MEP agreement:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP agreement data' });
+    console.error('Error queueing update:', error);
+    res.status(500).json({ error: 'Failed to queue update' });
   }
 });
 
-// Get MEP voting vectors for PCA visualization
-// Returns each MEP's voting pattern as a vector that can be used for dimensionality reduction
-app.get('/api/stats/mep-voting-vectors', async (req, res) => {
+// Check update status: whether any pipeline job is queued or running
+app.get('/api/admin/update-status', async (req, res) => {
   try {
-    const { minVotes = 20 } = req.query;
-    
-    // Get all MEPs with their votes encoded as numbers
-    // yes = 1, no = -1, abstain = 0
     const result = await pool.query(`
-      WITH bill_list AS (
-        -- Get bills that have enough votes to be meaningful
-        SELECT DISTINCT bill_id
-        FROM votes
-        WHERE vote IN ('yes', 'no', 'abstain')
-        GROUP BY bill_id
-        HAVING COUNT(*) >= 50
-      ),
-      mep_vote_counts AS (
-        -- Count votes per MEP to filter out inactive ones
-        SELECT mep_id, COUNT(*) as vote_count
-        FROM votes v
-        JOIN bill_list bl ON v.bill_id = bl.bill_id
-        WHERE vote IN ('yes', 'no', 'abstain') AND mep_id IS NOT NULL
-        GROUP BY mep_id
-        HAVING COUNT(*) >= $1
-      ),
-      mep_votes_encoded AS (
-        SELECT 
-          v.mep_id,
-          v.mep_name,
-          v.mep_group,
-          v.bill_id,
-          CASE 
-            WHEN v.vote = 'yes' THEN 1
-            WHEN v.vote = 'no' THEN -1
-            WHEN v.vote = 'abstain' THEN 0
-          END as vote_val
-        FROM votes v
-        JOIN bill_list bl ON v.bill_id = bl.bill_id
-        JOIN mep_vote_counts mvc ON v.mep_id = mvc.mep_id
-        WHERE v.vote IN ('yes', 'no', 'abstain') AND v.mep_id IS NOT NULL
-      )
-      SELECT 
-        mep_id,
-        mep_name,
-        mep_group,
-        json_agg(json_build_object('bill_id', bill_id, 'vote', vote_val) ORDER BY bill_id) as votes
-      FROM mep_votes_encoded
-      GROUP BY mep_id, mep_name, mep_group
-      ORDER BY mep_name
-    `, [parseInt(minVotes)]);
-
-    // Also return the list of bill IDs for reference
-    const billsResult = await pool.query(`
-      SELECT DISTINCT bill_id
-      FROM votes
-      WHERE vote IN ('yes', 'no', 'abstain')
-      GROUP BY bill_id
-      HAVING COUNT(*) >= 50
-      ORDER BY bill_id
+      SELECT id, type, status, trigger, attempt, created_at, started_at
+      FROM pipeline_jobs
+      WHERE status IN ('queued', 'running')
+      ORDER BY id
     `);
-
-    res.json({
-      meps: result.rows,
-      billIds: billsResult.rows.map(r => r.bill_id)
-    });
+    res.json({ updating: result.rows.some(j => j.status === 'running'), jobs: result.rows });
   } catch (error) {
-    console.error('Error fetching MEP voting vectors:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP voting vectors' });
+    console.error('Error fetching update status:', error);
+    res.status(500).json({ error: 'Failed to fetch update status' });
   }
 });
 
-// Get pre-computed MEP PCA coordinates (FAST - no computation needed)
-app.get('/api/stats/mep-pca-coords', cacheFor(3600), async (req, res) => {
+// Job types that can be queued, with their steps
+app.get('/api/admin/job-types', (req, res) => {
+  res.json(Object.entries(JOB_TYPES).map(([type, definition]) => ({
+    type,
+    label: definition.label,
+    maxAttempts: definition.maxAttempts,
+    steps: definition.steps.map(step => ({ name: step.name, optional: !!step.optional }))
+  })));
+});
+
+// Pipeline job history, newest first, with step statuses (without logs)
+// Optional filters: status, type; limit (default 50, max 200), offset
+app.get('/api/admin/jobs', async (req, res) => {
   try {
-    // Get MEPs with pre-computed PCA coordinates
-    const mepsResult = await pool.query(`
-      SELECT 
-        mep_id,
-        CONCAT(first_name, ' ', COALESCE(last_name, name)) as name,
-        political_group,
-        country_code,
-        pca_x,
-        pca_y,
-        pca_z
-      FROM meps
-      WHERE is_active = true 
-        AND pca_x IS NOT NULL
-      ORDER BY name
-    `);
-    
-    // Get pre-computed metadata (variance, bill loadings)
-    const varianceResult = await pool.query(`
-      SELECT value FROM metadata WHERE key = 'pca_variance'
-    `);
-    
-    const loadingsResult = await pool.query(`
-      SELECT value FROM metadata WHERE key = 'pca_bill_loadings'
-    `);
-    
-    const variance = varianceResult.rows[0]?.value 
-      ? JSON.parse(varianceResult.rows[0].value) 
-      : [0, 0, 0];
-    
-    const billLoadings = loadingsResult.rows[0]?.value
-      ? JSON.parse(loadingsResult.rows[0].value)
-      : [[], [], []];
-    
-    res.json({
-      meps: mepsResult.rows.map(m => ({
-        mepId: m.mep_id,
-        name: m.name,
-        group: m.political_group,
-        country: m.country_code,
-        x: m.pca_x,
-        y: m.pca_y,
-        z: m.pca_z
-      })),
-      variance,
-      billLoadings
-    });
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const clauses = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      clauses.push(`j.status = $${params.length}`);
+    }
+    if (type) {
+      params.push(type);
+      clauses.push(`j.type = $${params.length}`);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    params.push(limit, offset);
+    const result = await pool.query(
+      `SELECT j.id, j.type, j.status, j.trigger, j.requested_by, j.attempt, j.max_attempts,
+              j.retry_of, j.run_after, j.cancel_requested, j.error,
+              j.created_at, j.started_at, j.finished_at,
+              EXTRACT(EPOCH FROM (COALESCE(j.finished_at, NOW()) - j.started_at))::float as duration_seconds,
+              json_agg(json_build_object('name', s.name, 'status', s.status, 'optional', s.optional)
+                       ORDER BY s.position) as steps
+       FROM pipeline_jobs j
+       JOIN pipeline_job_steps s ON s.job_id = j.id
+       ${where}
+       GROUP BY j.id
+       ORDER BY j.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching MEP PCA coordinates:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP PCA coordinates' });
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
   }
 });
 
-// Get pre-computed statistics (party agreement, cohesion, etc.)
-app.get('/api/stats/precomputed', async (req, res) => {
+// One job with its steps and their logs
+app.get('/api/admin/jobs/:id', async (req, res) => {
   try {
-    const keys = ['party_agreement_matrix', 'party_cohesion', 'group_stats', 'last_precompute'];
-    const result = await pool.query(`
-      SELECT key, value FROM metadata WHERE key = ANY($1)
-    `, [keys]);
-    
-    const data = {};
-    for (const row of result.rows) {
-      try {
-        data[row.key] = JSON.parse(row.value);
-      } catch {
-        data[row.key] = row.value;
-      }
+    const job = await pool.query(
+      `SELECT *, EXTRACT(EPOCH FROM (COALESCE(finished_at, NOW()) - started_at))::float as duration_seconds
+       FROM pipeline_jobs WHERE id = $1`,
+      [req.params.id]
+    );
+    if (job.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
     }
-    
-    res.json(data);
+
+    const steps = await pool.query(
+      `SELECT position, name, script, optional, status, exit_code, log, started_at, finished_at,
+              EXTRACT(EPOCH FROM (COALESCE(finished_at, NOW()) - started_at))::float as duration_seconds
+       FROM pipeline_job_steps
+       WHERE job_id = $1
+       ORDER BY position`,
+      [req.params.id]
+    );
+
+    res.json({ ...job.rows[0], steps: steps.rows });
   } catch (error) {
-    console.error('Error fetching precomputed stats:', error);
-    res.status(500).json({ error: 'Failed to fetch precomputed stats' });
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
   }
 });
 
-// Get party cohesion stats (uses pre-computed data if available)
-app.get('/api/stats/party-cohesion', cacheFor(3600), async (req, res) => {
+// Queue a job. Body: { type } (see GET /api/admin/job-types)
+app.post('/api/admin/jobs', requireRole('operator'), async (req, res) => {
   try {
-    // Try pre-computed data first (much faster)
-    const precomputedRes = await pool.query(`
-      SELECT value FROM metadata WHERE key = 'party_cohesion'
-    `);
-    
-    if (precomputedRes.rows.length > 0) {
-      const data = JSON.parse(precomputedRes.rows[0].value);
-      // Transform to expected format
-      const result = data.map(row => ({
-        political_group: row.party,
-        bills_voted: parseInt(row.bills_voted),
-        avg_cohesion: parseFloat(row.avg_cohesion)
-      }));
-      return res.json(result);
+    if (!JOB_TYPES[req.body.type]) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(JOB_TYPES).join(', ')}` });
     }
-    
-    // Fallback: Calculate on the fly if no pre-computed data
-    const result = await pool.query(`
-      WITH party_bill_votes AS (
-        SELECT
-          bill_id,
-          mep_group,
-          vote,
-          COUNT(*) as count
-        FROM votes
-        WHERE vote IN ('yes', 'no', 'abstain') 
-          AND mep_group IS NOT NULL
-          AND LOWER(mep_group) NOT LIKE '%identity%democracy%'
-        GROUP BY bill_id, mep_group, vote
-      ),
-      party_bill_stats AS (
-        SELECT
-          bill_id,
-          mep_group,
-          MAX(count) as majority_count,
-          SUM(count) as total_votes
-        FROM party_bill_votes
-        GROUP BY bill_id, mep_group
-      )
-      SELECT
-        mep_group as political_group,
-        COUNT(*) as bills_voted,
-        ROUND(AVG(majority_count::numeric / NULLIF(total_votes, 0) * 100), 1) as avg_cohesion,
-        SUM(total_votes) as total_mep_votes
-      FROM party_bill_stats
-      WHERE LOWER(mep_group) NOT LIKE '%identity%democracy%'
-      GROUP BY mep_group
-      HAVING COUNT(*) >= 10
-      ORDER BY avg_cohesion DESC
-    `);
-
-    res.json(result.rows);
+    await queueAdminJob(req, res, req.body.type);
   } catch (error) {
-    console.error('Error fetching party cohesion:', error);
-    res.status(500).json({ error: 'Failed to fetch party cohesion data' });
+    console.error('Error queueing job:', error);
+    res.status(500).json({ error: 'Failed to queue job' });
   }
 });
 
-// Get party absence/non-participation rates
-app.get('/api/stats/party-absence', async (req, res) => {
+// Cancel a queued or running job (a running step is stopped)
+app.post('/api/admin/jobs/:id/cancel', requireRole('operator'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      WITH bill_count AS (
-        SELECT COUNT(DISTINCT id) as total_bills FROM bills
-      ),
-      party_votes AS (
-        -- Count actual votes (yes, no, abstain) per party
-        SELECT
-          mep_group,
-          COUNT(*) as votes_cast,
-          COUNT(DISTINCT mep_id) as meps_who_voted,
-          COUNT(DISTINCT bill_id) as bills_participated
-        FROM votes
-        WHERE vote IN ('yes', 'no', 'abstain')
-          AND mep_group IS NOT NULL
-          AND LOWER(mep_group) NOT LIKE '%identity%democracy%'
-        GROUP BY mep_group
-      ),
-      party_absences AS (
-        -- Count did_not_vote per party
-        SELECT
-          mep_group,
-          COUNT(*) as absent_votes
-        FROM votes
-        WHERE vote = 'did_not_vote'
-          AND mep_group IS NOT NULL
-          AND LOWER(mep_group) NOT LIKE '%identity%democracy%'
-        GROUP BY mep_group
-      ),
-      party_meps AS (
-        -- Count MEPs per party from the meps table
-        SELECT
-          political_group as mep_group,
-          COUNT(*) as total_meps
-        FROM meps
-        WHERE political_group IS NOT NULL
-          AND LOWER(political_group) NOT LIKE '%identity%democracy%'
-        GROUP BY political_group
-      )
-      SELECT
-        pv.mep_group as political_group,
-        pm.total_meps,
-        pv.meps_who_voted as active_meps,
-        pv.bills_participated,
-        (SELECT total_bills FROM bill_count) as total_bills,
-        pv.votes_cast,
-        COALESCE(pa.absent_votes, 0) as absent_votes,
-        ROUND(
-          COALESCE(pa.absent_votes, 0)::numeric / 
-          NULLIF(pv.votes_cast + COALESCE(pa.absent_votes, 0), 0) * 100, 
-          1
-        ) as absence_rate,
-        ROUND(
-          pv.bills_participated::numeric / NULLIF((SELECT total_bills FROM bill_count), 0) * 100,
-          1
-        ) as participation_rate
-      FROM party_votes pv
-      LEFT JOIN party_absences pa ON pv.mep_group = pa.mep_group
-      LEFT JOIN party_meps pm ON pv.mep_group = pm.mep_group
-      WHERE LOWER(pv.mep_group) NOT LIKE '%identity%democracy%'
-      ORDER BY absence_rate DESC
-    `);
-
-    res.json(result.rows);
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Job is not queued or running' });
+    }
+    await audit(req, { action: 'cancel_job', targetType: 'job', targetId: job.id, details: { type: job.type } });
+    res.json({ success: true, job });
   } catch (error) {
-    console.error('Error fetching party absence:', error);
-    res.status(500).json({ error: 'Failed to fetch party absence data' });
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
   }
 });
 
-// Get most/least controversial bills (closest vote margins)
-app.get('/api/stats/controversial', async (req, res) => {
+// Queue a new run of a job's type
+app.post('/api/admin/jobs/:id/rerun', requireRole('operator'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT
-        b.id,
-        b.title,
-        b.category,
-        b.status,
-        b.date_adopted,
-        SUM(CASE WHEN v.vote = 'yes' THEN 1 ELSE 0 END) as yes_votes,
-        SUM(CASE WHEN v.vote = 'no' THEN 1 ELSE 0 END) as no_votes,
-        SUM(CASE WHEN v.vote = 'abstain' THEN 1 ELSE 0 END) as abstain_votes,
-        COUNT(*) as total_votes,
-        ABS(SUM(CASE WHEN v.vote = 'yes' THEN 1 ELSE 0 END) -
-            SUM(CASE WHEN v.vote = 'no' THEN 1 ELSE 0 END))::float /
-            NULLIF(COUNT(*), 0) * 100 as margin
-      FROM bills b
-      JOIN votes v ON b.id = v.bill_id
-      WHERE v.vote IN ('yes', 'no')
-      GROUP BY b.id, b.title, b.category, b.status, b.date_adopted
-      HAVING COUNT(*) >= 100
-      ORDER BY margin ASC
-      LIMIT 20
-    `);
+    const previous = await pool.query('SELECT id, type FROM pipeline_jobs WHERE id = $1', [req.params.id]);
+    if (previous.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-    res.json(result.rows);
+    const { id, type } = previous.rows[0];
+    const job = await jobQueue.enqueue(type, { trigger: 'admin', requestedBy: req.admin.name, retryOf: id });
+    if (!job) {
+      return res.status(409).json({ error: `A ${JOB_TYPES[type].label.toLowerCase()} job is already queued or running` });
+    }
+    await audit(req, { action: 'rerun_job', targetType: 'job', targetId: job.id, details: { type, rerunOf: id } });
+    res.json({ success: true, job });
   } catch (error) {
-    console.error('Error fetching controversial bills:', error);
-    res.status(500).json({ error: 'Failed to fetch controversial bills' });
+    console.error('Error re-running job:', error);
+    res.status(500).json({ error: 'Failed to re-run job' });
   }
 });
 
-// POLITICAL COMPASS ENDPOINTS
+// The caller's key name and roles
+app.get('/api/admin/me', (req, res) => {
+  res.json({ name: req.admin.name, roles: req.admin.roles });
+});
 
-// Get MEP's political compass scores
-app.get('/api/meps/:mepId/compass', async (req, res) => {
+// Bills that still need curation: no AI summary, or no compass axis tags
+// Optional: missing=summary|axes|any (default any), limit (default 100, max 500)
+app.get('/api/admin/bills-missing', async (req, res) => {
   try {
-    const { mepId } = req.params;
-
-    const result = await pool.query(`
-      WITH mep_votes_on_tagged AS (
-        SELECT
-          v.vote,
-          va.axis,
-          va.direction
-        FROM votes v
-        JOIN vote_axes va ON v.bill_id = va.bill_id
-        WHERE v.mep_id = $1 AND v.vote IN ('yes', 'no')
-      ),
-      axis_scores AS (
-        SELECT
-          axis,
-          SUM(
-            CASE
-              WHEN vote = 'yes' THEN direction
-              WHEN vote = 'no' THEN -direction
-              ELSE 0
-            END
-          )::float / NULLIF(COUNT(*), 0) as raw_score,
-          COUNT(*) as vote_count
-        FROM mep_votes_on_tagged
-        GROUP BY axis
-      )
-      SELECT axis, raw_score, vote_count
-      FROM axis_scores
-    `, [mepId]);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const condition = {
+      summary: 'bs.bill_id IS NULL',
+      axes: 'va.axes IS NULL',
+      any: '(bs.bill_id IS NULL OR va.axes IS NULL)'
+    }[req.query.missing || 'any'];
+    if (!condition) {
+      return res.status(400).json({ error: 'missing must be summary, axes or any' });
+    }
 
-    const scores = { economic: 0, eu_integration: 0, environment: 0, social: 0 };
-    const voteCounts = { ...scores };
+    const result = await pool.query(
+      `SELECT b.id, b.eu_id, b.title, b.category, b.date_adopted,
+              bs.bill_id IS NOT NULL as has_summary,
+              COALESCE(va.axes, '{}') as axes,
+              COUNT(*) OVER() as total
+       FROM bills b
+       LEFT JOIN bill_summaries bs ON bs.bill_id = b.id
+       LEFT JOIN (
+         SELECT bill_id, array_agg(axis ORDER BY axis) as axes FROM vote_axes GROUP BY bill_id
+       ) va ON va.bill_id = b.id
+       WHERE ${condition}
+       ORDER BY b.date_adopted DESC NULLS LAST, b.id DESC
+       LIMIT $1`,
+      [limit]
+    );
 
-    result.rows.forEach(row => {
-      if (scores.hasOwnProperty(row.axis)) {
-        scores[row.axis] = parseFloat(row.raw_score) || 0;
-        voteCounts[row.axis] = parseInt(row.vote_count) || 0;
-      }
+    res.json({
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0,
+      bills: result.rows.map(({ total, ...bill }) => bill)
     });
-
-    res.json({ scores, voteCounts });
   } catch (error) {
-    console.error('Error fetching MEP compass:', error);
-    res.status(500).json({ error: 'Failed to fetch MEP compass scores' });
+    console.error('Error fetching bills missing curation:', error);
+    res.status(500).json({ error: 'Failed to fetch bills' });
   }
 });
 
-// Get all MEPs positioned for scatter plot
-app.get('/api/compass/data', cacheFor(3600), async (req, res) => {
+// All VAA questions, inactive ones included, in display order
+app.get('/api/admin/vaa-questions', async (req, res) => {
   try {
     const result = await pool.query(`
-      WITH mep_votes_on_tagged AS (
-        SELECT
-          v.mep_id,
-          v.mep_name,
-          v.mep_group,
-          v.vote,
-          va.axis,
-          va.direction
-        FROM votes v
-        JOIN vote_axes va ON v.bill_id = va.bill_id
-        WHERE v.vote IN ('yes', 'no')
-      ),
-      mep_axis_scores AS (
-        SELECT
-          mep_id,
-          mep_name,
-          mep_group,
-          axis,
-          SUM(
-            CASE
-              WHEN vote = 'yes' THEN direction
-              WHEN vote = 'no' THEN -direction
-              ELSE 0
-            END
-          )::float / NULLIF(COUNT(*), 0) as score
-        FROM mep_votes_on_tagged
-        GROUP BY mep_id, mep_name, mep_group, axis
-        HAVING COUNT(*) >= 3
-      )
-      SELECT
-        mep_id,
-        MAX(mep_name) as mep_name,
-        MAX(mep_group) as mep_group,
-        MAX(CASE WHEN axis = 'economic' THEN score END) as economic,
-        MAX(CASE WHEN axis = 'social' THEN score END) as social,
-        MAX(CASE WHEN axis = 'eu_integration' THEN score END) as eu_integration,
-        MAX(CASE WHEN axis = 'environment' THEN score END) as environment
-      FROM mep_axis_scores
-      GROUP BY mep_id
-      HAVING COUNT(DISTINCT axis) >= 2
+      SELECT q.id, q.bill_id, q.question_text, q.category, q.display_order, q.is_active,
+             b.title as bill_title, b.date_adopted
+      FROM vaa_questions q
+      JOIN bills b ON q.bill_id = b.id
+      ORDER BY
+        CASE WHEN q.display_order IS NULL OR q.display_order = 0 THEN 999999 ELSE q.display_order END,
+        q.id
     `);
-
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching compass data:', error);
-    res.status(500).json({ error: 'Failed to fetch compass data' });
+    console.error('Error fetching VAA questions:', error);
+    res.status(500).json({ error: 'Failed to fetch VAA questions' });
   }
 });
 
-// Get list of tagged votes
-app.get('/api/compass/tagged-votes', async (req, res) => {
+// Reorder VAA questions. Body: { ids: [questionId, ...] } in the new display order
+app.put('/api/admin/vaa-questions/order', requireRole('editor'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT
-        b.id as bill_id,
-        b.title,
-        b.category,
-        va.axis,
-        va.direction
-      FROM vote_axes va
-      JOIN bills b ON va.bill_id = b.id
-      ORDER BY b.date_adopted DESC, va.axis
-    `);
+    const ids = (req.body.ids || []).map(id => parseInt(id));
+    if (ids.length === 0 || ids.some(isNaN)) {
+      return res.status(400).json({ error: 'ids must be a non-empty list of question ids' });
+    }
 
-    res.json(result.rows);
+    await pool.query(
+      `UPDATE vaa_questions q SET display_order = o.position
+       FROM unnest($1::int[]) WITH ORDINALITY AS o(id, position)
+       WHERE q.id = o.id`,
+      [ids]
+    );
+    await audit(req, { action: 'reorder_vaa_questions', targetType: 'vaa_question', details: { ids } });
+
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching tagged votes:', error);
-    res.status(500).json({ error: 'Failed to fetch tagged votes' });
+    console.error('Error reordering VAA questions:', error);
+    res.status(500).json({ error: 'Failed to reorder VAA questions' });
   }
 });
 
-// Admin endpoint to tag a vote with axis information
-app.post('/api/admin/tag-vote', async (req, res) => {
+// Edit a VAA question. Body: any of question_text, category, is_active
+app.put('/api/admin/vaa-questions/:id', requireRole('editor'), async (req, res) => {
   try {
-    const { bill_id, axis, direction } = req.body;
-
-    if (!['economic', 'eu_integration', 'environment', 'social'].includes(axis)) {
-      return res.status(400).json({ error: 'Invalid axis' });
+    const fields = ['question_text', 'category', 'is_active'].filter(f => req.body[f] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
     }
-    if (![1, -1].includes(direction)) {
-      return res.status(400).json({ error: 'Direction must be 1 or -1' });
+    if (req.body.question_text !== undefined && !String(req.body.question_text).trim()) {
+      return res.status(400).json({ error: 'question_text cannot be empty' });
     }
 
-    await pool.query(`
-      INSERT INTO vote_axes (bill_id, axis, direction)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (bill_id, axis) DO UPDATE SET direction = $3
-    `, [bill_id, axis, direction]);
+    const previous = await pool.query(
+      'SELECT question_text, category, is_active FROM vaa_questions WHERE id = $1',
+      [req.params.id]
+    );
+    if (previous.rows.length === 0) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
 
-    res.json({ success: true });
+    const result = await pool.query(
+      `UPDATE vaa_questions SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(', ')}
+       WHERE id = $1
+       RETURNING id, bill_id, question_text, category, display_order, is_active`,
+      [req.params.id, ...fields.map(f => req.body[f])]
+    );
+    await audit(req, {
+      action: 'update_vaa_question',
+      targetType: 'vaa_question',
+      targetId: req.params.id,
+      details: Object.fromEntries(fields.map(f => [f, { from: previous.rows[0][f], to: req.body[f] }]))
+    });
+    if (fields.includes('is_active') && previous.rows[0].is_active !== result.rows[0].is_active) {
+      await recordChangeSet(pool, 'admin', { vaa_questions: [result.rows[0].bill_id] });
+    }
+
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error tagging vote:', error);
-    res.status(500).json({ error: 'Failed to tag vote' });
+    console.error('Error updating VAA question:', error);
+    res.status(500).json({ error: 'Failed to update VAA question' });
   }
 });
 
-// VAA (VOTING ADVICE APPLICATION) ENDPOINTS
-
-// Get VAA questions
-app.get('/api/vaa/questions', cacheFor(1800), async (req, res) => {
+// Metadata keys with their timestamps; values longer than a short preview are left out
+app.get('/api/admin/metadata', async (req, res) => {
   try {
-    // Order by display_order (which should be set by PCA loading calculation)
-    // If display_order is NULL or 0, order by id as fallback
     const result = await pool.query(`
-      SELECT
-        q.id,
-        q.bill_id,
-        q.question_text,
-        q.category,
-        q.display_order,
-        b.title as bill_title,
-        b.date_adopted
-      FROM vaa_questions q
-      JOIN bills b ON q.bill_id = b.id
-      WHERE q.is_active = true
-      ORDER BY 
-        CASE WHEN q.display_order IS NULL OR q.display_order = 0 THEN 999999 ELSE q.display_order END,
-        q.id
-      LIMIT 50
+      SELECT key, updated_at, LENGTH(value) as size,
+             CASE WHEN LENGTH(value) <= 200 THEN value END as value
+      FROM metadata
+      ORDER BY updated_at DESC
     `);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching metadata:', error);
+    res.status(500).json({ error: 'Failed to fetch metadata' });
+  }
+});
+
+// Data quality reports (scripts/validateData.js), newest first, without check details
+// Optional filters: status; limit (default 20, max 200), offset
+app.get('/api/admin/data-quality/reports', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const params = [limit, offset];
+    if (req.query.status) params.push(req.query.status);
 
+    const result = await pool.query(
+      `SELECT r.id, r.status, r.snapshot_checksum, r.duration_ms, r.created_at,
+              COUNT(*) FILTER (WHERE c->>'status' = 'warn')::int as warnings,
+              COUNT(*) FILTER (WHERE c->>'status' = 'fail')::int as failures
+       FROM data_quality_reports r
+       LEFT JOIN LATERAL jsonb_array_elements(r.checks) c ON true
+       ${req.query.status ? 'WHERE r.status = $3' : ''}
+       GROUP BY r.id
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT $1 OFFSET $2`,
+      params
+    );
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching VAA questions:', error);
-    res.status(500).json({ error: 'Failed to fetch VAA questions' });
+    console.error('Error fetching data quality reports:', error);
+    res.status(500).json({ error: 'Failed to fetch data quality reports' });
   }
 });
 
-// Submit VAA responses and get matching MEPs
-app.post('/api/vaa/submit', async (req, res) => {
+// One data quality report with every check, or the latest with /latest
+app.get('/api/admin/data-quality/reports/:id', async (req, res) => {
   try {
-    const { responses, sessionId, countryCode } = req.body;
-
-    if (!responses || !Array.isArray(responses)) {
-      return res.status(400).json({ error: 'Invalid responses format' });
+    const latest = req.params.id === 'latest';
+    if (!latest && isNaN(parseInt(req.params.id))) {
+      return res.status(400).json({ error: 'Invalid report id' });
     }
 
-    const session = sessionId || `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-    // Save responses
-    for (const response of responses) {
-      await pool.query(`
-        INSERT INTO vaa_responses (session_id, question_id, response, importance)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT DO NOTHING
-      `, [session, response.questionId, response.answer, response.importance || 1]);
+    const result = await pool.query(
+      `SELECT * FROM data_quality_reports
+       ${latest ? '' : 'WHERE id = $1'}
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      latest ? [] : [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: latest ? 'No data quality report yet' : 'Report not found' });
     }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching data quality report:', error);
+    res.status(500).json({ error: 'Failed to fetch data quality report' });
+  }
+});
 
-    // Get bill IDs from questions (ensure they're integers)
-    const billIds = responses.map(r => parseInt(r.billId)).filter(id => !isNaN(id) && id > 0);
+// Webhooks (server/webhooks.js): event types admins can subscribe a webhook to
+app.get('/api/admin/webhook-event-types', (req, res) => {
+  res.json(Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description })));
+});
 
-    if (billIds.length === 0) {
-      return res.status(400).json({ error: 'No valid bill IDs found in responses', sessionId: session });
-    }
+// Registered webhooks with delivery counts; secrets are only shown on creation and rotation
+app.get('/api/admin/webhooks', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT w.id, w.url, w.description, w.events, w.active, w.created_by, w.created_at, w.updated_at,
+             COUNT(d.id) FILTER (WHERE d.status = 'pending')::int as pending,
+             COUNT(d.id) FILTER (WHERE d.status = 'succeeded')::int as succeeded,
+             COUNT(d.id) FILTER (WHERE d.status = 'failed')::int as failed,
+             MAX(d.finished_at) as last_delivery_at
+      FROM webhooks w
+      LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+      GROUP BY w.id
+      ORDER BY w.id
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
 
-    // Build query with optional country filter
-    let votesQuery = `
-      SELECT v.mep_id, v.mep_name, v.mep_group, v.bill_id, v.vote, m.country_code
-      FROM votes v
-      JOIN meps m ON v.mep_id = m.mep_id
-      WHERE v.bill_id = ANY($1::int[]) AND v.vote IN ('yes', 'no')
-    `;
-    const queryParams = [billIds];
-    
-    if (countryCode && countryCode.trim() !== '') {
-      // Handle both 2-letter and 3-letter country codes
-      votesQuery += ` AND (m.country_code = $2 OR m.country_code LIKE $3)`;
-      queryParams.push(countryCode.toUpperCase(), `${countryCode.toUpperCase()}%`);
+// Register a webhook. Body: { url, events, description? }. Returns its signing secret.
+app.post('/api/admin/webhooks', requireRole('operator'), async (req, res) => {
+  try {
+    const invalid = validateWebhook(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
-    
-    // Get MEP votes for these bills
-    const votesResult = await pool.query(votesQuery, queryParams);
-
-    // Group votes by MEP
-    const mepVotes = {};
-    votesResult.rows.forEach(row => {
-      if (!mepVotes[row.mep_id]) {
-        mepVotes[row.mep_id] = {
-          mep_id: row.mep_id, mep_name: row.mep_name, mep_group: row.mep_group, votes: {}
-        };
-      }
-      mepVotes[row.mep_id].votes[row.bill_id] = row.vote;
-    });
-
-    // Calculate match scores
-    const matches = [];
-    const responseMap = {};
-    responses.forEach(r => { responseMap[r.billId] = { answer: r.answer, importance: r.importance || 1 }; });
-
-    for (const mepId in mepVotes) {
-      const mep = mepVotes[mepId];
-      let totalWeight = 0, matchScore = 0;
 
-      for (const billId in responseMap) {
-        const userResponse = responseMap[billId];
-        const mepVote = mep.votes[billId];
-        if (!mepVote || userResponse.answer === 'skip') continue;
+    const { url, events, description = null } = req.body;
+    const result = await pool.query(
+      `INSERT INTO webhooks (url, description, events, secret, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [url, description, [...new Set(events)], generateWebhookSecret(), req.admin.name]
+    );
+    const { secret, ...webhook } = result.rows[0];
+    await audit(req, { action: 'create_webhook', targetType: 'webhook', targetId: webhook.id, details: { url, events } });
+    res.json({ success: true, webhook, secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
 
-        const weight = userResponse.importance;
-        totalWeight += weight;
+// Change a webhook. Body: any of { url, events, description, active }
+app.put('/api/admin/webhooks/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const invalid = validateWebhook(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
 
-        const userPosition = userResponse.answer === 'agree' ? 'yes' : (userResponse.answer === 'disagree' ? 'no' : null);
-        if (userPosition && userPosition === mepVote) matchScore += weight;
-        else if (userResponse.answer === 'neutral') matchScore += weight * 0.5;
-      }
+    const { url, events, description, active } = req.body;
+    const result = await pool.query(
+      `UPDATE webhooks SET
+         url = COALESCE($2, url),
+         events = COALESCE($3, events),
+         description = CASE WHEN $4 THEN $5 ELSE description END,
+         active = COALESCE($6, active),
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, url, description, events, active, created_by, created_at, updated_at`,
+      [
+        req.params.id,
+        url ?? null,
+        events ? [...new Set(events)] : null,
+        description !== undefined,
+        description ?? null,
+        active ?? null
+      ]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await audit(req, { action: 'update_webhook', targetType: 'webhook', targetId: req.params.id, details: req.body });
+    res.json({ success: true, webhook: result.rows[0] });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
 
-      if (totalWeight > 0) {
-        matches.push({
-          mep_id: mep.mep_id, mep_name: mep.mep_name, mep_group: mep.mep_group,
-          match_percent: Math.round((matchScore / totalWeight) * 100),
-          questions_answered: Object.keys(mep.votes).length
-        });
-      }
+// Replace a webhook's signing secret; the old one stops working immediately
+app.post('/api/admin/webhooks/:id/rotate-secret', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE webhooks SET secret = $2, updated_at = NOW() WHERE id = $1 RETURNING id, secret',
+      [req.params.id, generateWebhookSecret()]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
+    await audit(req, { action: 'rotate_webhook_secret', targetType: 'webhook', targetId: req.params.id });
+    res.json({ success: true, secret: result.rows[0].secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
 
-    matches.sort((a, b) => b.match_percent - a.match_percent);
-    const topMatches = matches.slice(0, 20);
+// Delete a webhook with its delivery log
+app.delete('/api/admin/webhooks/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM webhooks WHERE id = $1 RETURNING url', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await audit(req, { action: 'delete_webhook', targetType: 'webhook', targetId: req.params.id, details: { url: result.rows[0].url } });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
 
-    // Calculate party averages
-    const partyScores = {};
-    matches.forEach(m => {
-      const group = m.mep_group || 'Unknown';
-      if (!partyScores[group]) partyScores[group] = { total: 0, count: 0 };
-      partyScores[group].total += m.match_percent;
-      partyScores[group].count++;
-    });
+// Send a test 'ping' event to a webhook
+app.post('/api/admin/webhooks/:id/ping', requireRole('operator'), async (req, res) => {
+  try {
+    const webhook = await pool.query('SELECT id, url, active FROM webhooks WHERE id = $1', [req.params.id]);
+    if (webhook.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    // Paused webhooks are not delivered to, so a ping would wait until they are resumed
+    if (!webhook.rows[0].active) {
+      return res.status(409).json({ error: 'Webhook is paused; resume it before pinging' });
+    }
+    await queuePing(pool, webhook.rows[0].id, req.admin.name);
+    await audit(req, { action: 'ping_webhook', targetType: 'webhook', targetId: req.params.id, details: { url: webhook.rows[0].url } });
+    setImmediate(webhookDispatcher.poll);
+    res.json({ success: true, message: 'Ping queued' });
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ error: 'Failed to ping webhook' });
+  }
+});
 
-    const partyMatches = Object.entries(partyScores)
-      .map(([group, data]) => ({ group, match_percent: Math.round(data.total / data.count), mep_count: data.count }))
-      .sort((a, b) => b.match_percent - a.match_percent);
+// A webhook's delivery log, newest first
+// Optional filters: status; limit (default 50, max 200), offset
+app.get('/api/admin/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const params = [req.params.id, limit, offset];
+    if (req.query.status) params.push(req.query.status);
 
-    res.json({ 
-      sessionId: session, 
-      topMatches, 
-      partyMatches, 
-      totalMepsCompared: matches.length,
-      countryFilter: countryCode || null
-    });
+    const result = await pool.query(
+      `SELECT d.id, e.event_type, d.event_id, d.status, d.attempts, d.next_attempt_at,
+              d.last_status_code, d.last_error, d.created_at, d.finished_at
+       FROM webhook_deliveries d
+       JOIN webhook_events e ON e.id = d.event_id
+       WHERE d.webhook_id = $1 ${req.query.status ? 'AND d.status = $4' : ''}
+       ORDER BY d.id DESC
+       LIMIT $2 OFFSET $3`,
+      params
+    );
+    res.json(result.rows);
   } catch (error) {
-    console.error('Error processing VAA submission:', error);
-    res.status(500).json({ 
-      error: 'Failed to process VAA submission',
-      details: error.message 
-    });
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
   }
 });
 
-// Admin: Add VAA question
-app.post('/api/admin/vaa-question', async (req, res) => {
+// One delivery with its event payload and every attempt (attempt_log)
+app.get('/api/admin/webhook-deliveries/:id', async (req, res) => {
   try {
-    const { bill_id, question_text, category, display_order } = req.body;
-    const result = await pool.query(`
-      INSERT INTO vaa_questions (bill_id, question_text, category, display_order, is_active)
-      VALUES ($1, $2, $3, $4, true) RETURNING id
-    `, [bill_id, question_text, category, display_order || 0]);
-    res.json({ success: true, id: result.rows[0].id });
+    const delivery = await pool.query(
+      `SELECT d.*, e.event_type, e.data, w.url
+       FROM webhook_deliveries d
+       JOIN webhook_events e ON e.id = d.event_id
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.id = $1`,
+      [req.params.id]
+    );
+    if (delivery.rows.length === 0) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const attempts = await pool.query(
+      `SELECT attempt, status_code, error, response_body, duration_ms, created_at
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = $1
+       ORDER BY attempt`,
+      [req.params.id]
+    );
+    res.json({ ...delivery.rows[0], attempt_log: attempts.rows });
   } catch (error) {
-    console.error('Error adding VAA question:', error);
-    res.status(500).json({ error: 'Failed to add VAA question' });
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
   }
 });
 
-// HEALTH CHECK - also pings DB to keep connection pool warm
-app.get('/api/health', async (req, res) => {
+// Send a delivery's event again, as a new delivery
+app.post('/api/admin/webhook-deliveries/:id/redeliver', requireRole('operator'), async (req, res) => {
   try {
-    await pool.query('SELECT 1');
-    res.json({ status: 'ok', db: 'connected' });
-  } catch (err) {
-    res.json({ status: 'ok', db: 'error' });
+    const delivery = await redeliver(pool, req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    await audit(req, {
+      action: 'redeliver_webhook', targetType: 'webhook', targetId: delivery.webhook_id,
+      details: { deliveryId: parseInt(req.params.id), newDeliveryId: delivery.id }
+    });
+    setImmediate(webhookDispatcher.poll);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
   }
 });
 
-// ADMIN ENDPOINTS
+// Discussion moderation queue: queue=open (posts with open reports, default) or hidden
+// limit (default 50, max 200), offset
+app.get('/api/admin/moderation', async (req, res) => {
+  try {
+    const queue = req.query.queue || 'open';
+    if (!['open', 'hidden'].includes(queue)) {
+      return res.status(400).json({ error: "queue must be 'open' or 'hidden'" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
 
-// Manually trigger data update (should be protected in production)
-app.post('/api/admin/refresh-data', (req, res) => {
-  if (isUpdating()) {
-    return res.status(409).json({ error: 'Update already in progress' });
+    const result = await pool.query(
+      `WITH posts AS (
+         SELECT 'discussion' as type, d.id, d.id as discussion_id, d.bill_id, d.title, d.content,
+                d.author_id, d.status, d.hidden_reason, d.hidden_at, d.upvotes, d.created_at
+         FROM discussions d
+         UNION ALL
+         SELECT 'comment', cm.id, cm.discussion_id, d.bill_id, d.title, cm.content,
+                cm.author_id, cm.status, cm.hidden_reason, cm.hidden_at, cm.upvotes, cm.created_at
+         FROM comments cm
+         JOIN discussions d ON d.id = cm.discussion_id
+       )
+       SELECT p.*, b.title as bill_title, r.report_count, COALESCE(r.reports, '[]') as reports
+       FROM posts p
+       JOIN bills b ON b.id = p.bill_id
+       CROSS JOIN LATERAL (
+         SELECT COUNT(*)::int as report_count,
+                json_agg(json_build_object('reason', dr.reason, 'note', dr.note, 'created_at', dr.created_at)
+                         ORDER BY dr.created_at) as reports
+         FROM discussion_reports dr
+         WHERE dr.target_type = p.type AND dr.target_id = p.id AND dr.resolved_at IS NULL
+       ) r
+       WHERE ${queue === 'open' ? 'r.report_count > 0' : "p.status = 'hidden'"}
+       ORDER BY ${queue === 'open' ? 'r.report_count DESC, p.created_at' : 'p.hidden_at DESC'}
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation queue' });
   }
-  const result = triggerUpdate();
-  res.json(result);
 });
 
-// Check update status
-app.get('/api/admin/update-status', (req, res) => {
-  res.json({ updating: isUpdating() });
+// Hide or restore a discussion or comment; either way its open reports are resolved
+for (const [action, status] of [['hide', 'hidden'], ['restore', 'visible']]) {
+  app.post(`/api/admin/moderation/:type/:id/${action}`, requireRole('editor'), async (req, res) => {
+    try {
+      const target = DISCUSSION_TARGETS[req.params.type];
+      if (!target) {
+        return res.status(400).json({ error: `type must be one of: ${Object.keys(DISCUSSION_TARGETS).join(', ')}` });
+      }
+      const postId = parseInt(req.params.id);
+      if (isNaN(postId)) {
+        return res.status(400).json({ error: 'Invalid post id' });
+      }
+      if (action === 'hide') {
+        const validationError = validateHide(req.body);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+      }
+      const reason = action === 'hide' ? (req.body.reason?.trim() || 'moderator') : null;
+
+      const result = await pool.query(
+        `UPDATE ${target.table}
+         SET status = $2, hidden_reason = $3, hidden_at = ${action === 'hide' ? 'NOW()' : 'NULL'}
+         WHERE id = $1 AND status <> 'deleted'
+         RETURNING id, status`,
+        [postId, status, reason]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      const resolved = await pool.query(
+        `UPDATE discussion_reports SET resolved_at = NOW(), resolution = $3, resolved_by = $4
+         WHERE target_type = $1 AND target_id = $2 AND resolved_at IS NULL`,
+        [req.params.type, postId, action === 'hide' ? 'hidden' : 'restored', req.admin.name]
+      );
+
+      await audit(req, {
+        action: `${action}_post`,
+        targetType: req.params.type,
+        targetId: postId,
+        details: { reason, resolved_reports: resolved.rowCount }
+      });
+      res.json({ success: true, ...result.rows[0], resolved_reports: resolved.rowCount });
+    } catch (error) {
+      console.error(`Error moderating post (${action}):`, error);
+      res.status(500).json({ error: `Failed to ${action} post` });
+    }
+  });
+}
+
+// Audit log of admin changes, newest first
+// Optional filters: action, target_type, target_id, actor; limit (default 100, max 500), offset
+app.get('/api/admin/audit-log', async (req, res) => {
+  try {
+    const { action, target_type, target_id, actor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const clauses = [];
+    const params = [];
+    for (const [column, value] of [['action', action], ['target_type', target_type], ['target_id', target_id], ['actor', actor]]) {
+      if (value) {
+        params.push(value);
+        clauses.push(`${column} = $${params.length}`);
+      }
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    params.push(limit, offset);
+    const result = await pool.query(
+      `SELECT id, actor, action, target_type, target_id, details, ip_address, created_at
+       FROM admin_audit_log
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
 });
 
 // Get metadata/stats
@@ -1936,6 +3720,7 @@ app.listen(PORT, () => {
   // Set ENABLE_SCHEDULER=false in .env to disable automatic updates
   if (process.env.ENABLE_SCHEDULER !== 'false') {
     initScheduler({
+      queue: jobQueue,
       schedule: process.env.UPDATE_SCHEDULE || '0 3 * * 0', // Default: Sundays at 3am
       runOnStart: process.env.UPDATE_ON_START === 'true'
     });
@@ -1956,172 +3741,33 @@ app.listen(PORT, () => {
   }
 });
 
-// Admin endpoint to trigger data scraping (for initial data load)
-// WARNING: This should be protected in production!
-app.post('/api/admin/scrape', async (req, res) => {
+// Admin endpoint to trigger a full data import (initial load or re-sync).
+// The importer is incremental, so re-running it never wipes existing data.
+app.post('/api/admin/scrape', requireRole('operator'), async (req, res) => {
   try {
-    // Simple protection - check for admin token (set ADMIN_TOKEN in env)
-    const adminToken = req.headers['x-admin-token'];
-    if (process.env.ADMIN_TOKEN && adminToken !== process.env.ADMIN_TOKEN) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Import and run scraper
-    const { spawn } = await import('child_process');
-    const { fileURLToPath } = await import('url');
-    const { dirname, join } = await import('path');
-    
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const scraperPath = join(__dirname, '..', 'scripts', 'scrapeEUParliament.js');
-
-    console.log('[Admin] Starting scraper...');
-    
-    const scraper = spawn('node', [scraperPath], {
-      cwd: join(__dirname, '..'),
-      env: { ...process.env },
-      stdio: 'pipe'
-    });
-
-    let output = '';
-    scraper.stdout.on('data', (data) => {
-      output += data.toString();
-      console.log(`[Scraper] ${data.toString()}`);
-    });
-
-    scraper.stderr.on('data', (data) => {
-      output += data.toString();
-      console.error(`[Scraper Error] ${data.toString()}`);
-    });
-
-    scraper.on('close', (code) => {
-      if (code === 0) {
-        console.log('[Admin] ✅ Scraper completed successfully');
-        console.log('[Admin] Last 20 lines of output:');
-        console.log(output.split('\n').slice(-20).join('\n'));
-      } else {
-        console.error(`[Admin] ❌ Scraper failed with code ${code}`);
-        console.error('[Admin] Error output:');
-        console.error(output.split('\n').slice(-20).join('\n'));
-      }
-    });
-
-    // Return immediately - scraper runs in background
-    res.json({ 
-      success: true, 
-      message: 'Scraper started in background',
-      note: 'This may take 10-30 minutes. Check Render logs for progress.',
-      tip: 'Monitor progress in Render dashboard → Logs'
-    });
-
+    await queueAdminJob(req, res, 'import');
   } catch (error) {
-    console.error('[Admin] Error starting scraper:', error);
-    res.status(500).json({ error: 'Failed to start scraper', details: error.message });
+    console.error('[Admin] Error queueing import:', error);
+    res.status(500).json({ error: 'Failed to queue import', details: error.message });
   }
 });
 
 // Admin endpoint to trigger incremental update
-app.post('/api/admin/update', async (req, res) => {
+app.post('/api/admin/update', requireRole('operator'), async (req, res) => {
   try {
-    const adminToken = req.headers['x-admin-token'];
-    if (process.env.ADMIN_TOKEN && adminToken !== process.env.ADMIN_TOKEN) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const { spawn } = await import('child_process');
-    const { fileURLToPath } = await import('url');
-    const { dirname, join } = await import('path');
-    
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const updatePath = join(__dirname, '..', 'scripts', 'updateData.js');
-
-    console.log('[Admin] Starting incremental update...');
-    
-    const update = spawn('node', [updatePath], {
-      cwd: join(__dirname, '..'),
-      env: { ...process.env },
-      stdio: 'pipe'
-    });
-
-    let output = '';
-    update.stdout.on('data', (data) => {
-      output += data.toString();
-      console.log(`[Update] ${data.toString()}`);
-    });
-
-    update.stderr.on('data', (data) => {
-      output += data.toString();
-      console.error(`[Update Error] ${data.toString()}`);
-    });
-
-    update.on('close', (code) => {
-      if (code === 0) {
-        console.log('[Admin] Update completed successfully');
-      } else {
-        console.error(`[Admin] Update failed with code ${code}`);
-      }
-    });
-
-    res.json({ 
-      success: true, 
-      message: 'Update started. Check logs for progress.',
-      output: output.split('\n').slice(-20).join('\n')
-    });
-
+    await queueAdminJob(req, res, 'import');
   } catch (error) {
-    console.error('[Admin] Error starting update:', error);
-    res.status(500).json({ error: 'Failed to start update', details: error.message });
+    console.error('[Admin] Error queueing update:', error);
+    res.status(500).json({ error: 'Failed to queue update', details: error.message });
   }
 });
 
 // Admin endpoint to trigger precompute stats
-app.post('/api/admin/precompute', async (req, res) => {
+app.post('/api/admin/precompute', requireRole('operator'), async (req, res) => {
   try {
-    const adminToken = req.headers['x-admin-token'];
-    if (process.env.ADMIN_TOKEN && adminToken !== process.env.ADMIN_TOKEN) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const { spawn } = await import('child_process');
-    const { fileURLToPath } = await import('url');
-    const { dirname, join } = await import('path');
-    
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const scriptPath = join(__dirname, '..', 'scripts', 'precomputeStats.js');
-
-    console.log('[Admin] Starting statistics pre-computation...');
-    
-    const proc = spawn('node', [scriptPath], {
-      cwd: join(__dirname, '..'),
-      env: { ...process.env },
-      stdio: 'pipe'
-    });
-
-    proc.stdout.on('data', (data) => {
-      console.log(`[Precompute] ${data.toString()}`);
-    });
-
-    proc.stderr.on('data', (data) => {
-      console.error(`[Precompute Error] ${data.toString()}`);
-    });
-
-    proc.on('close', (code) => {
-      if (code === 0) {
-        console.log('[Admin] Precompute completed successfully');
-      } else {
-        console.error(`[Admin] Precompute failed with code ${code}`);
-      }
-    });
-
-    res.json({ 
-      success: true, 
-      message: 'Precompute started. Check logs for progress.'
-    });
-
+    await queueAdminJob(req, res, 'precompute');
   } catch (error) {
-    console.error('[Admin] Error starting precompute:', error);
-    res.status(500).json({ error: 'Failed to start precompute', details: error.message });
+    console.error('[Admin] Error queueing precompute:', error);
+    res.status(500).json({ error: 'Failed to queue precompute', details: error.message });
   }
 });
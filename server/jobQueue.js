@@ -0,0 +1,384 @@
+/**
+ * Data Pipeline Job Queue
+ *
+ * Pipeline runs (the weekly update, imports, statistics pre-computation) are rows in
+ * pipeline_jobs, each with its steps in pipeline_job_steps. A worker in the server process
+ * claims queued jobs one at a time and runs each step as a child process, saving its output
+ * to the step's log. Because the state lives in Postgres:
+ *
+ *   - history survives restarts: every run keeps its status, duration, logs and error
+ *   - a job orphaned by a restart (no heartbeat for STALE_AFTER_SECONDS) is marked failed
+ *   - failed jobs are retried with a growing delay, up to their type's maxAttempts
+ *   - cancellation is a flag the worker picks up on its next heartbeat, from any process
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '..');
+
+const POLL_INTERVAL = 10000;
+const HEARTBEAT_INTERVAL = 3000;
+const STALE_AFTER_SECONDS = 120;
+const MAX_LOG_LENGTH = 200000;
+
+// Advisory lock held while claiming, so concurrent servers never run two jobs at once
+const CLAIM_LOCK_KEY = 4207001;
+
+/**
+ * Job types and their steps. Optional steps may fail without failing the job; steps whose
+ * `enabled` check returns false for the environment are recorded as skipped. A step's
+ * script may be followed by arguments.
+ *
+ * The downstream steps of an update plan their work from the change set recorded by
+ * updateData.js (see pipelineChanges.js) and skip what did not change; the precompute job
+ * recomputes everything.
+ */
+export const JOB_TYPES = {
+  update: {
+    label: 'Full update',
+    maxAttempts: 2,
+    retryDelaySeconds: 600,
+    steps: [
+      { name: 'Data Update', script: 'scripts/updateData.js' },
+      // Stops the update before anything is derived from data that failed validation
+      { name: 'Data Validation', script: 'scripts/validateData.js' },
+      {
+        name: 'Bill Summaries',
+        script: 'scripts/generateBillSummaries.js',
+        optional: true,
+        enabled: env => env.GENERATE_SUMMARIES === 'true'
+      },
+      {
+        name: 'VAA Questions',
+        script: 'scripts/generateVAAQuestions.js',
+        optional: true,
+        enabled: env => env.GENERATE_VAA === 'true'
+      },
+      {
+        name: 'PCA Loadings',
+        script: 'scripts/calculateBillPCALoadings.js',
+        optional: true,
+        enabled: env => env.UPDATE_PCA_LOADINGS === 'true'
+      },
+      // Always run so the frontend keeps loading fast
+      { name: 'Precompute Stats', script: 'scripts/precomputeStats.js', optional: true },
+      {
+        name: 'Vote Digests',
+        script: 'scripts/sendDigests.js',
+        optional: true,
+        enabled: env => env.SEND_DIGESTS === 'true'
+      },
+      // Does nothing until an admin registers a webhook
+      { name: 'Webhooks', script: 'scripts/queueWebhooks.js', optional: true }
+    ]
+  },
+  import: {
+    label: 'Import data',
+    maxAttempts: 3,
+    retryDelaySeconds: 300,
+    steps: [
+      { name: 'Data Update', script: 'scripts/updateData.js' },
+      { name: 'Data Validation', script: 'scripts/validateData.js' },
+      {
+        name: 'Vote Digests',
+        script: 'scripts/sendDigests.js',
+        optional: true,
+        enabled: env => env.SEND_DIGESTS === 'true'
+      },
+      { name: 'Webhooks', script: 'scripts/queueWebhooks.js', optional: true }
+    ]
+  },
+  validate: {
+    label: 'Validate data',
+    maxAttempts: 1,
+    retryDelaySeconds: 0,
+    steps: [{ name: 'Data Validation', script: 'scripts/validateData.js' }]
+  },
+  precompute: {
+    label: 'Precompute statistics',
+    maxAttempts: 2,
+    retryDelaySeconds: 60,
+    steps: [{ name: 'Precompute Stats', script: 'scripts/precomputeStats.js --full' }]
+  }
+};
+
+// Keep the end of long logs, where errors are
+function trimLog(log) {
+  return log.length > MAX_LOG_LENGTH ? '[...]\n' + log.slice(-MAX_LOG_LENGTH) : log;
+}
+
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create the queue for a pg pool. Returns:
+ *
+ *   start()                     recover orphaned jobs and start polling for queued ones
+ *   enqueue(type, options)      queue a job; null if one of that type is already queued or running
+ *   cancel(id)                  cancel a queued or running job; null if it is not active
+ */
+export function createJobQueue(pool) {
+  let working = false;
+  let current = null; // { jobId, child } of the step running in this process
+
+  async function enqueue(type, { trigger, requestedBy = null, attempt = 1, retryOf = null, delaySeconds = 0 } = {}) {
+    const definition = JOB_TYPES[type];
+    if (!definition) throw new Error(`Unknown job type: ${type}`);
+
+    try {
+      const job = await inTransaction(pool, async (client) => {
+        const result = await client.query(
+          `INSERT INTO pipeline_jobs (type, trigger, requested_by, attempt, max_attempts, retry_of, run_after)
+           VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(secs => $7))
+           RETURNING *`,
+          [type, trigger, requestedBy, attempt, definition.maxAttempts, retryOf, delaySeconds]
+        );
+        const steps = definition.steps;
+        await client.query(
+          `INSERT INTO pipeline_job_steps (job_id, position, name, script, optional, status)
+           SELECT $1, position, name, script, optional, status
+           FROM unnest($2::text[], $3::text[], $4::boolean[], $5::text[])
+             WITH ORDINALITY AS s(name, script, optional, status, position)`,
+          [
+            result.rows[0].id,
+            steps.map(s => s.name),
+            steps.map(s => s.script),
+            steps.map(s => !!s.optional),
+            steps.map(s => (!s.enabled || s.enabled(process.env) ? 'pending' : 'skipped'))
+          ]
+        );
+        return result.rows[0];
+      });
+
+      console.log(`[Jobs] Queued job ${job.id} (${type}, ${trigger}${attempt > 1 ? `, attempt ${attempt}` : ''})`);
+      if (delaySeconds === 0) setImmediate(poll);
+      return job;
+    } catch (error) {
+      // idx_pipeline_jobs_active_type: a job of this type is already queued or running
+      if (error.code === '23505') return null;
+      throw error;
+    }
+  }
+
+  async function cancel(id) {
+    const result = await pool.query(
+      `UPDATE pipeline_jobs
+       SET cancel_requested = true,
+           status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+           finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END
+       WHERE id = $1 AND status IN ('queued', 'running')
+       RETURNING *`,
+      [id]
+    );
+    const job = result.rows[0];
+    if (!job) return null;
+
+    if (job.status === 'cancelled') {
+      await pool.query(
+        "UPDATE pipeline_job_steps SET status = 'skipped' WHERE job_id = $1 AND status = 'pending'",
+        [id]
+      );
+    } else if (current && current.jobId === job.id) {
+      current.child.kill('SIGTERM');
+    }
+    console.log(`[Jobs] Cancellation requested for job ${id}`);
+    return job;
+  }
+
+  async function retryLater(job) {
+    if (job.attempt >= job.max_attempts) return;
+    const delaySeconds = JOB_TYPES[job.type].retryDelaySeconds * 2 ** (job.attempt - 1);
+    await enqueue(job.type, {
+      trigger: 'retry',
+      requestedBy: job.requested_by,
+      attempt: job.attempt + 1,
+      retryOf: job.id,
+      delaySeconds
+    });
+  }
+
+  // Jobs whose process stopped without finishing them
+  async function recoverStaleJobs() {
+    const result = await pool.query(
+      `UPDATE pipeline_jobs
+       SET status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'failed' END,
+           error = CASE WHEN cancel_requested THEN error ELSE 'Interrupted: the server running it stopped' END,
+           finished_at = NOW()
+       WHERE status = 'running' AND heartbeat_at < NOW() - make_interval(secs => $1)
+       RETURNING *`,
+      [STALE_AFTER_SECONDS]
+    );
+    for (const job of result.rows) {
+      console.warn(`[Jobs] Job ${job.id} (${job.type}) was interrupted`);
+      await pool.query(
+        `UPDATE pipeline_job_steps
+         SET status = CASE WHEN status = 'running' THEN 'failed' ELSE 'skipped' END,
+             finished_at = CASE WHEN status = 'running' THEN NOW() ELSE finished_at END
+         WHERE job_id = $1 AND status IN ('running', 'pending')`,
+        [job.id]
+      );
+      if (job.status === 'failed') await retryLater(job);
+    }
+  }
+
+  async function claimNext() {
+    return inTransaction(pool, async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [CLAIM_LOCK_KEY]);
+      const result = await client.query(`
+        UPDATE pipeline_jobs SET status = 'running', started_at = NOW(), heartbeat_at = NOW()
+        WHERE id = (
+          SELECT id FROM pipeline_jobs
+          WHERE status = 'queued' AND run_after <= NOW()
+            AND NOT EXISTS (SELECT 1 FROM pipeline_jobs WHERE status = 'running')
+          ORDER BY run_after, id
+          LIMIT 1
+        )
+        RETURNING *
+      `);
+      return result.rows[0] || null;
+    });
+  }
+
+  async function runStep(job, step) {
+    await pool.query(
+      "UPDATE pipeline_job_steps SET status = 'running', started_at = NOW() WHERE id = $1",
+      [step.id]
+    );
+    console.log(`[Jobs] Job ${job.id}: ${step.name}...`);
+
+    let log = '';
+    let cancelled = false;
+    const child = spawn('node', step.script.split(' '), { cwd: projectRoot, env: process.env, stdio: 'pipe' });
+    current = { jobId: job.id, child };
+
+    const capture = (stream, write) => stream.on('data', (data) => {
+      log = trimLog(log + data.toString());
+      write(`[${step.name}] ${data.toString().trimEnd()}`);
+    });
+    capture(child.stdout, console.log);
+    capture(child.stderr, console.error);
+
+    // Save the log, keep the heartbeat fresh and pick up cancellation from other processes
+    async function saveProgress() {
+      try {
+        await pool.query('UPDATE pipeline_job_steps SET log = $2 WHERE id = $1', [step.id, log]);
+        const result = await pool.query(
+          'UPDATE pipeline_jobs SET heartbeat_at = NOW() WHERE id = $1 RETURNING cancel_requested',
+          [job.id]
+        );
+        if (result.rows[0]?.cancel_requested && !cancelled) {
+          cancelled = true;
+          child.kill('SIGTERM');
+        }
+      } catch (error) {
+        console.error(`[Jobs] Heartbeat failed for job ${job.id}:`, error.message);
+      }
+    }
+    let beat = Promise.resolve();
+    const heartbeat = setInterval(() => { beat = beat.then(saveProgress); }, HEARTBEAT_INTERVAL);
+
+    const exitCode = await new Promise((resolve) => {
+      child.on('error', (error) => {
+        log += `\nFailed to start ${step.script}: ${error.message}\n`;
+        resolve(null);
+      });
+      child.on('close', resolve);
+    });
+    clearInterval(heartbeat);
+    await beat;
+    current = null;
+
+    // A SIGTERM from cancel() in this process also counts as a cancellation
+    const flag = await pool.query('SELECT cancel_requested FROM pipeline_jobs WHERE id = $1', [job.id]);
+    const status = cancelled || flag.rows[0].cancel_requested
+      ? 'cancelled'
+      : exitCode === 0 ? 'succeeded' : 'failed';
+
+    await pool.query(
+      `UPDATE pipeline_job_steps SET status = $2, exit_code = $3, log = $4, finished_at = NOW()
+       WHERE id = $1`,
+      [step.id, status, exitCode, log]
+    );
+    console.log(`[Jobs] Job ${job.id}: ${step.name} ${status}${exitCode ? ` (exit code ${exitCode})` : ''}`);
+    return status;
+  }
+
+  async function runJob(job) {
+    console.log(`[Jobs] Starting job ${job.id} (${job.type}, attempt ${job.attempt} of ${job.max_attempts})`);
+    const steps = await pool.query(
+      "SELECT * FROM pipeline_job_steps WHERE job_id = $1 AND status = 'pending' ORDER BY position",
+      [job.id]
+    );
+
+    let outcome = 'succeeded';
+    let error = null;
+    for (const step of steps.rows) {
+      if (outcome !== 'succeeded') {
+        await pool.query("UPDATE pipeline_job_steps SET status = 'skipped' WHERE id = $1", [step.id]);
+        continue;
+      }
+      const status = await runStep(job, step);
+      if (status === 'cancelled') {
+        outcome = 'cancelled';
+      } else if (status === 'failed' && step.optional) {
+        console.warn(`[Jobs] Optional step ${step.name} failed, continuing...`);
+      } else if (status === 'failed') {
+        outcome = 'failed';
+        error = `${step.name} failed`;
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE pipeline_jobs SET status = $2, error = $3, finished_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [job.id, outcome, error]
+    );
+    console.log(`[Jobs] Job ${job.id} ${outcome}`);
+    if (outcome === 'failed') await retryLater(result.rows[0]);
+  }
+
+  async function poll() {
+    if (working) return;
+    working = true;
+    try {
+      await recoverStaleJobs();
+      let job;
+      while ((job = await claimNext())) {
+        await runJob(job);
+      }
+    } catch (error) {
+      console.error('[Jobs] Queue error:', error);
+    } finally {
+      working = false;
+    }
+  }
+
+  async function start() {
+    const table = await pool.query("SELECT to_regclass('public.pipeline_jobs') IS NOT NULL as exists");
+    if (!table.rows[0].exists) {
+      console.warn('[Jobs] pipeline_jobs table missing, job queue not started (run: npm run migrate)');
+      return;
+    }
+    setInterval(poll, POLL_INTERVAL);
+    poll();
+    console.log('[Jobs] Job queue started');
+  }
+
+  return { start, enqueue, cancel };
+}
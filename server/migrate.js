@@ -0,0 +1,183 @@
+/**
+ * Database Migration Runner
+ *
+ * Migrations live in server/migrations as numbered SQL file pairs:
+ *   001_initial_schema.up.sql   - applied by `npm run migrate`
+ *   001_initial_schema.down.sql - applied by `npm run migrate -- down`
+ *
+ * Applied versions are recorded in the schema_migrations table. Each migration
+ * runs inside its own transaction, so a failing migration leaves no partial changes.
+ *
+ * Usage:
+ *   npm run migrate                 # apply all pending migrations
+ *   npm run migrate -- down         # roll back the most recent migration
+ *   npm run migrate -- status       # list applied and pending migrations
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.up\.sql$/;
+
+/**
+ * Read the available migrations from disk, ordered by version
+ */
+export function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      id: `${version}_${name}`,
+      version: parseInt(version, 10),
+      name,
+      upPath: path.join(MIGRATIONS_DIR, file),
+      downPath: path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`)
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Databases created from the old server/schema.sql already have the baseline
+  // tables but no migration history: record the baseline as applied.
+  const history = await pool.query('SELECT COUNT(*) as count FROM schema_migrations');
+  if (parseInt(history.rows[0].count) === 0) {
+    const baseline = await pool.query("SELECT to_regclass('public.bills') IS NOT NULL as exists");
+    if (baseline.rows[0].exists) {
+      const [first] = loadMigrations();
+      await pool.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [first.version, first.name]
+      );
+      console.log(`[Migrate] Existing schema detected, marked ${first.id} as applied`);
+    }
+  }
+}
+
+async function getAppliedVersions(pool) {
+  const result = await pool.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(r => r.version));
+}
+
+async function runInTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await fn(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List migrations that have not been applied yet.
+ * Does not create schema_migrations, so it is safe to call from the server at startup.
+ */
+export async function getPendingMigrations(pool) {
+  const table = await pool.query("SELECT to_regclass('public.schema_migrations') IS NOT NULL as exists");
+  const applied = table.rows[0].exists ? await getAppliedVersions(pool) : new Set();
+  return loadMigrations().filter(m => !applied.has(m.version));
+}
+
+/**
+ * Apply all pending migrations in order
+ */
+export async function migrateUp(pool) {
+  await ensureMigrationsTable(pool);
+  const applied = await getAppliedVersions(pool);
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    console.log(`[Migrate] Applying ${migration.id}...`);
+    const sql = fs.readFileSync(migration.upPath, 'utf-8');
+    await runInTransaction(pool, async (client) => {
+      await client.query(sql);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    });
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back the most recently applied migration
+ */
+export async function migrateDown(pool) {
+  await ensureMigrationsTable(pool);
+  const applied = await getAppliedVersions(pool);
+  const migration = loadMigrations().filter(m => applied.has(m.version)).pop();
+  if (!migration) return null;
+
+  if (!fs.existsSync(migration.downPath)) {
+    throw new Error(`No down migration for ${migration.id}`);
+  }
+
+  console.log(`[Migrate] Rolling back ${migration.id}...`);
+  const sql = fs.readFileSync(migration.downPath, 'utf-8');
+  await runInTransaction(pool, async (client) => {
+    await client.query(sql);
+    await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+  });
+
+  return migration;
+}
+
+async function main() {
+  dotenv.config();
+  const pool = new pg.Pool({
+    connectionString: process.env.DATABASE_URL || 'postgres://localhost/eulens'
+  });
+  const command = process.argv[2] || 'up';
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is up to date');
+    } else if (command === 'down') {
+      const rolledBack = await migrateDown(pool);
+      console.log(rolledBack
+        ? `✅ Rolled back ${rolledBack.id}`
+        : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const pending = new Set((await getPendingMigrations(pool)).map(m => m.version));
+      for (const m of loadMigrations()) {
+        console.log(`  ${pending.has(m.version) ? '[pending]' : '[applied]'} ${m.id}`);
+      }
+    } else {
+      console.error(`Unknown command: ${command} (expected up, down or status)`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] === __filename) {
+  main();
+}
@@ -0,0 +1,14 @@
+-- Drop the baseline schema (reverse dependency order)
+
+DROP TABLE IF EXISTS metadata;
+DROP TABLE IF EXISTS vaa_responses;
+DROP TABLE IF EXISTS vaa_questions;
+DROP TABLE IF EXISTS bill_summaries;
+DROP TABLE IF EXISTS vote_axes;
+DROP TABLE IF EXISTS user_preferences;
+DROP TABLE IF EXISTS comments;
+DROP TABLE IF EXISTS discussions;
+DROP TABLE IF EXISTS votes;
+DROP TABLE IF EXISTS meps;
+DROP TABLE IF EXISTS countries;
+DROP TABLE IF EXISTS bills;
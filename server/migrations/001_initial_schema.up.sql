@@ -1,4 +1,5 @@
 -- EU Parliament Votes and Discussions Database
+-- Baseline schema (formerly server/schema.sql)
 
 -- Bills/Proposals
 CREATE TABLE bills (
@@ -158,4 +159,4 @@ CREATE INDEX idx_vote_axes_bill ON vote_axes(bill_id);
 CREATE INDEX idx_vote_axes_axis ON vote_axes(axis);
 CREATE INDEX idx_vaa_questions_bill ON vaa_questions(bill_id);
 CREATE INDEX idx_vaa_responses_session ON vaa_responses(session_id);
-CREATE INDEX idx_bill_summaries_bill ON bill_summaries(bill_id);
\ No newline at end of file
+CREATE INDEX idx_bill_summaries_bill ON bill_summaries(bill_id);
@@ -0,0 +1,3 @@
+ALTER TABLE meps DROP COLUMN IF EXISTS pca_z;
+ALTER TABLE meps DROP COLUMN IF EXISTS pca_y;
+ALTER TABLE meps DROP COLUMN IF EXISTS pca_x;
@@ -0,0 +1,5 @@
+-- Pre-computed PCA coordinates per MEP (written by scripts/precomputeStats.js)
+
+ALTER TABLE meps ADD COLUMN IF NOT EXISTS pca_x FLOAT;
+ALTER TABLE meps ADD COLUMN IF NOT EXISTS pca_y FLOAT;
+ALTER TABLE meps ADD COLUMN IF NOT EXISTS pca_z FLOAT;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_bills_procedure_id;
+DROP INDEX IF EXISTS idx_bills_category;
+DROP INDEX IF EXISTS idx_bills_date_adopted;
@@ -0,0 +1,5 @@
+-- Indexes backing the /api/bills search facets
+
+CREATE INDEX IF NOT EXISTS idx_bills_date_adopted ON bills(date_adopted);
+CREATE INDEX IF NOT EXISTS idx_bills_category ON bills(category);
+CREATE INDEX IF NOT EXISTS idx_bills_procedure_id ON bills(procedure_id);
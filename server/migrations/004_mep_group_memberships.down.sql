@@ -0,0 +1 @@
+DROP TABLE IF EXISTS mep_group_memberships;
@@ -0,0 +1,16 @@
+-- Political group membership history per MEP (from HowTheyVote group_memberships.csv).
+-- mep_id is not a foreign key: former MEPs are kept here so their votes can be attributed.
+
+CREATE TABLE IF NOT EXISTS mep_group_memberships (
+  id SERIAL PRIMARY KEY,
+  mep_id VARCHAR(255) NOT NULL,
+  group_code VARCHAR(50) NOT NULL,
+  group_name VARCHAR(255),
+  group_short VARCHAR(50),
+  term INTEGER,
+  start_date DATE NOT NULL,
+  end_date DATE, -- NULL while the membership is ongoing
+  UNIQUE(mep_id, group_code, start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mep_group_memberships_mep ON mep_group_memberships(mep_id, start_date);
@@ -0,0 +1,70 @@
+-- Canonical political group registry shared by the importer, API and client.
+-- name is the canonical name stored in votes.mep_group and meps.political_group;
+-- aliases lists every other spelling seen in data sources (matched case-insensitively).
+-- seat_order is the left-to-right seating position used by the hemicycle and matrices.
+
+CREATE TABLE IF NOT EXISTS political_groups (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) UNIQUE NOT NULL, -- HowTheyVote group code
+  name VARCHAR(255) UNIQUE NOT NULL,
+  short_name VARCHAR(50) NOT NULL,
+  color VARCHAR(20) NOT NULL,
+  seat_order INTEGER NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}'
+);
+
+INSERT INTO political_groups (code, name, short_name, color, seat_order, aliases) VALUES
+  ('GUE_NGL', 'The Left in the European Parliament', 'The Left', '#8B0000', 1, ARRAY[
+    'The Left group in the European Parliament - GUE/NGL',
+    'The Left in the European Parliament - GUE/NGL',
+    'The Left', 'GUE/NGL'
+  ]),
+  ('GREEN_EFA', 'Greens/European Free Alliance', 'Greens/EFA', '#009E47', 2, ARRAY[
+    'Group of the Greens/European Free Alliance',
+    'Greens/EFA', 'Verts/ALE'
+  ]),
+  ('SD', 'Progressive Alliance of Socialists and Democrats', 'S&D', '#E02027', 3, ARRAY[
+    'Group of the Progressive Alliance of Socialists and Democrats in the European Parliament',
+    'Progressive Alliance of Socialists and Democrats in the European Parliament',
+    'S&D'
+  ]),
+  ('RENEW', 'Renew Europe', 'Renew', '#FFD700', 4, ARRAY[
+    'Renew Europe Group', 'Renew'
+  ]),
+  ('EPP', 'European People''s Party', 'EPP', '#0066CC', 5, ARRAY[
+    'Group of the European People''s Party (Christian Democrats)',
+    'European People''s Party (Christian Democrats)',
+    'EPP'
+  ]),
+  ('ECR', 'European Conservatives and Reformists', 'ECR', '#0099CC', 6, ARRAY[
+    'European Conservatives and Reformists Group', 'ECR'
+  ]),
+  ('PFE', 'Patriots for Europe', 'PfE', '#1A3A5C', 7, ARRAY[
+    'Patriots for Europe Group', 'PfE'
+  ]),
+  ('ID', 'Identity and Democracy', 'ID', '#002244', 8, ARRAY[
+    'Identity and Democracy Group', 'ID'
+  ]),
+  ('ESN', 'Europe of Sovereign Nations', 'ESN', '#5C3D2E', 9, ARRAY[
+    'Europe of Sovereign Nations Group', 'ESN'
+  ]),
+  ('NI', 'Non-attached Members', 'NI', '#999999', 10, ARRAY[
+    'Non-Inscrits', 'Non-attached', 'NI'
+  ])
+ON CONFLICT (code) DO NOTHING;
+
+-- Normalise group names already stored under an alias
+UPDATE votes v SET mep_group = pg.name
+FROM political_groups pg
+WHERE LOWER(v.mep_group) = ANY(SELECT LOWER(a) FROM unnest(pg.aliases) a)
+  AND v.mep_group <> pg.name;
+
+UPDATE meps m SET political_group = pg.name
+FROM political_groups pg
+WHERE LOWER(m.political_group) = ANY(SELECT LOWER(a) FROM unnest(pg.aliases) a)
+  AND m.political_group <> pg.name;
+
+UPDATE mep_group_memberships gm SET group_name = pg.name, group_short = pg.short_name
+FROM political_groups pg
+WHERE gm.group_code = pg.code
+  AND (gm.group_name <> pg.name OR gm.group_short <> pg.short_name);
@@ -0,0 +1,22 @@
+-- Every roll-call vote of a procedure (final, amendment and split votes) from HowTheyVote votes.csv.
+-- Only main votes become bills with per-MEP votes; the rest keep the aggregate counts so a
+-- procedure can be shown as its ordered sequence of votes.
+
+CREATE TABLE IF NOT EXISTS procedure_votes (
+  id SERIAL PRIMARY KEY,
+  eu_id VARCHAR(255) UNIQUE NOT NULL,
+  procedure_id VARCHAR(100) NOT NULL,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE SET NULL, -- set for main votes imported as bills
+  voted_at TIMESTAMP NOT NULL,
+  title VARCHAR(500),
+  reference VARCHAR(255), -- report or motion reference, e.g. A10-0012/2024
+  description TEXT, -- the amendment or paragraph voted on, e.g. "Am 12" or "§ 5/2"
+  is_main BOOLEAN DEFAULT false,
+  result VARCHAR(20),
+  count_for INTEGER,
+  count_against INTEGER,
+  count_abstention INTEGER,
+  count_did_not_vote INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_procedure_votes_procedure ON procedure_votes(procedure_id, voted_at);
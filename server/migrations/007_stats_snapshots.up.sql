@@ -0,0 +1,12 @@
+-- Precomputed statistics per named time window (year, quarter, plenary session).
+-- The whole-legislature snapshot stays in metadata; see server/statsWindows.js for window keys.
+
+CREATE TABLE IF NOT EXISTS stats_snapshots (
+  window_key VARCHAR(50) NOT NULL, -- e.g. 'quarter:2025-Q1'
+  stat VARCHAR(50) NOT NULL, -- e.g. 'party_cohesion'
+  from_date DATE,
+  to_date DATE,
+  value TEXT NOT NULL, -- JSON, same format as the matching metadata key
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (window_key, stat)
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS bill_cut_lines;
+DROP TABLE IF EXISTS mep_ideal_points;
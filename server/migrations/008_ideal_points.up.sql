@@ -0,0 +1,25 @@
+-- Ideal-point estimates from the Bayesian IRT model in server/idealPoints.js
+-- (written by scripts/precomputeStats.js). Fit statistics are kept in metadata ('ideal_point_fit').
+
+CREATE TABLE IF NOT EXISTS mep_ideal_points (
+  mep_id VARCHAR(255) PRIMARY KEY REFERENCES meps(mep_id) ON DELETE CASCADE,
+  dim1 FLOAT NOT NULL,
+  dim2 FLOAT, -- NULL for a one-dimensional fit
+  se1 FLOAT NOT NULL, -- posterior standard deviations (Laplace approximation)
+  se2 FLOAT,
+  corr12 FLOAT, -- posterior correlation between the two dimensions
+  votes_used INTEGER NOT NULL, -- yes/no votes the estimate is based on
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The cut line of a bill is where P(yes) = 0.5: intercept + normal1 * dim1 + normal2 * dim2 = 0.
+-- MEPs on the side the normal points to are predicted to vote yes.
+CREATE TABLE IF NOT EXISTS bill_cut_lines (
+  bill_id INTEGER PRIMARY KEY REFERENCES bills(id) ON DELETE CASCADE,
+  intercept FLOAT NOT NULL,
+  normal1 FLOAT NOT NULL,
+  normal2 FLOAT,
+  classified FLOAT, -- share of yes/no votes on the predicted side
+  pre FLOAT, -- proportional reduction in error over predicting the majority side
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,29 @@
+-- Admin API authentication (server/adminAuth.js). Keys are issued with `npm run admin-keys`;
+-- only a SHA-256 hash of each key is stored.
+
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL, -- who the key belongs to, recorded in the audit log
+  key_prefix VARCHAR(16) NOT NULL, -- first characters of the key, to recognise it in listings
+  key_hash CHAR(64) UNIQUE NOT NULL,
+  roles TEXT[] NOT NULL CHECK (roles <@ ARRAY['editor', 'operator']::TEXT[] AND cardinality(roles) > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- Every change made through /api/admin: who made it, what it touched and how
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id SERIAL PRIMARY KEY,
+  key_id INTEGER REFERENCES admin_api_keys(id) ON DELETE SET NULL,
+  actor VARCHAR(255) NOT NULL, -- key name at the time of the action
+  action VARCHAR(100) NOT NULL, -- e.g. 'tag_vote', 'create_vaa_question', 'start_job'
+  target_type VARCHAR(50), -- e.g. 'bill', 'vaa_question', 'job'
+  target_id VARCHAR(255),
+  details JSONB,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
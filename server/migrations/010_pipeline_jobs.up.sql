@@ -0,0 +1,45 @@
+-- Data pipeline job queue (server/jobQueue.js). Jobs are claimed by one server process at a
+-- time; a running job's heartbeat shows the process is still alive, so jobs orphaned by a
+-- restart can be recovered.
+
+CREATE TABLE IF NOT EXISTS pipeline_jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL, -- 'update' (full pipeline), 'import', 'precompute'
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  trigger VARCHAR(20) NOT NULL, -- 'schedule', 'startup', 'admin', 'retry'
+  requested_by VARCHAR(255), -- admin key name for admin-triggered jobs
+  attempt INTEGER NOT NULL DEFAULT 1,
+  max_attempts INTEGER NOT NULL DEFAULT 1,
+  retry_of INTEGER REFERENCES pipeline_jobs(id) ON DELETE SET NULL, -- the run this one repeats
+  run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- retries wait before being claimed
+  cancel_requested BOOLEAN NOT NULL DEFAULT false,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  heartbeat_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS pipeline_job_steps (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES pipeline_jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  script VARCHAR(255) NOT NULL,
+  optional BOOLEAN NOT NULL DEFAULT false, -- a failed optional step does not fail the job
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'succeeded', 'failed', 'skipped', 'cancelled')),
+  exit_code INTEGER,
+  log TEXT NOT NULL DEFAULT '', -- stdout and stderr of the child process (tail, if very long)
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  UNIQUE (job_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_jobs_status ON pipeline_jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_pipeline_jobs_created ON pipeline_jobs(created_at DESC);
+
+-- At most one queued or running job of each type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipeline_jobs_active_type
+  ON pipeline_jobs(type) WHERE status IN ('queued', 'running');
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS pipeline_step_state;
+DROP TABLE IF EXISTS pipeline_change_sets;
@@ -0,0 +1,18 @@
+-- Change sets emitted by pipeline steps (server/pipelineChanges.js). Each row lists what a run
+-- touched, keyed by input name; downstream steps remember the last change set they processed
+-- so they can skip or limit their work to what changed since.
+
+CREATE TABLE IF NOT EXISTS pipeline_change_sets (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR(100) NOT NULL, -- step that made the changes, e.g. 'update-data'
+  changes JSONB NOT NULL, -- { bills: [ids], votes: [bill ids], meps: [mep ids], ... }
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS pipeline_step_state (
+  step VARCHAR(100) PRIMARY KEY, -- e.g. 'precompute-stats'
+  inputs TEXT[] NOT NULL, -- input names the step depends on
+  last_change_set_id INTEGER NOT NULL DEFAULT 0, -- change sets up to this id are processed
+  last_mode VARCHAR(20), -- 'full', 'incremental' or 'skip'
+  last_run_at TIMESTAMP
+);
@@ -0,0 +1,13 @@
+-- Data quality reports written by scripts/validateData.js after each import
+-- (checks in server/dataQuality.js)
+
+CREATE TABLE IF NOT EXISTS data_quality_reports (
+  id SERIAL PRIMARY KEY,
+  status VARCHAR(10) NOT NULL CHECK (status IN ('pass', 'warn', 'fail')), -- worst check status
+  checks JSONB NOT NULL, -- [{ name, label, metric, status, value, total, measured, thresholds, details }]
+  snapshot_checksum VARCHAR(64), -- import_snapshot checksum of the data that was checked
+  duration_ms INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_quality_reports_created ON data_quality_reports(created_at DESC);
@@ -0,0 +1,16 @@
+DROP TABLE IF EXISTS discussion_reports;
+DROP TABLE IF EXISTS discussion_votes;
+
+DROP INDEX IF EXISTS idx_comments_parent;
+DROP INDEX IF EXISTS idx_discussions_status;
+
+ALTER TABLE comments
+  DROP COLUMN IF EXISTS hidden_at,
+  DROP COLUMN IF EXISTS hidden_reason,
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS parent_id;
+
+ALTER TABLE discussions
+  DROP COLUMN IF EXISTS hidden_at,
+  DROP COLUMN IF EXISTS hidden_reason,
+  DROP COLUMN IF EXISTS status;
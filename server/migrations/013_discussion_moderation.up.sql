@@ -0,0 +1,41 @@
+-- Threaded, moderated discussions (server/discussions.js). Posts are discussions and their
+-- comments; participants are identified by the pseudonymous id their browser sends.
+
+ALTER TABLE discussions
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'visible' CHECK (status IN ('visible', 'hidden')),
+  ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(255), -- 'reports' when hidden automatically, else the moderator's reason
+  ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+
+ALTER TABLE comments
+  ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES comments(id), -- NULL for a top-level reply
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'visible' CHECK (status IN ('visible', 'hidden')),
+  ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+
+-- One upvote per participant and post; discussions.upvotes and comments.upvotes count these
+CREATE TABLE IF NOT EXISTS discussion_votes (
+  target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('discussion', 'comment')),
+  target_id INTEGER NOT NULL,
+  participant_id VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (target_type, target_id, participant_id)
+);
+
+-- Reports by participants. A report is open until a moderator hides or restores the post.
+CREATE TABLE IF NOT EXISTS discussion_reports (
+  id SERIAL PRIMARY KEY,
+  target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('discussion', 'comment')),
+  target_id INTEGER NOT NULL,
+  reporter_id VARCHAR(64) NOT NULL,
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('spam', 'abuse', 'misinformation', 'off_topic', 'other')),
+  note VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP,
+  resolution VARCHAR(20) CHECK (resolution IN ('hidden', 'restored')),
+  resolved_by VARCHAR(255), -- admin key name
+  UNIQUE (target_type, target_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_discussions_status ON discussions(bill_id, status);
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_discussion_reports_open ON discussion_reports(target_type, target_id) WHERE resolved_at IS NULL;
@@ -0,0 +1,16 @@
+UPDATE discussions SET status = 'hidden' WHERE status = 'deleted';
+UPDATE comments SET status = 'hidden' WHERE status = 'deleted';
+
+ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_status_check;
+ALTER TABLE comments ADD CONSTRAINT comments_status_check CHECK (status IN ('visible', 'hidden'));
+ALTER TABLE discussions DROP CONSTRAINT IF EXISTS discussions_status_check;
+ALTER TABLE discussions ADD CONSTRAINT discussions_status_check CHECK (status IN ('visible', 'hidden'));
+
+ALTER TABLE user_preferences DROP COLUMN IF EXISTS account_id;
+ALTER TABLE vaa_responses DROP COLUMN IF EXISTS account_id;
+ALTER TABLE comments DROP COLUMN IF EXISTS account_id;
+ALTER TABLE discussions DROP COLUMN IF EXISTS account_id;
+
+DROP TABLE IF EXISTS account_sessions;
+DROP TABLE IF EXISTS login_tokens;
+DROP TABLE IF EXISTS accounts;
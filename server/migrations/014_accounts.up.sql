@@ -0,0 +1,48 @@
+-- Pseudonymous accounts with email magic-link login (server/accounts.js). The email address
+-- is only used to send login links; posts show the display name and declared country.
+
+CREATE TABLE IF NOT EXISTS accounts (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(320) UNIQUE NOT NULL, -- lower-cased
+  display_name VARCHAR(40) NOT NULL, -- pseudonym shown on posts
+  country_code VARCHAR(10) NOT NULL, -- declared country (countries.code)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP
+);
+
+-- Single-use login links; only a SHA-256 hash of each token is stored
+CREATE TABLE IF NOT EXISTS login_tokens (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(320) NOT NULL,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS account_sessions (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  last_seen_at TIMESTAMP
+);
+
+-- Link existing user data to accounts. Posts outlive a deleted account as 'deleted'
+-- placeholders so replies stay in their threads; everything else is removed with it.
+ALTER TABLE discussions ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL;
+ALTER TABLE vaa_responses ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE;
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS account_id INTEGER UNIQUE REFERENCES accounts(id) ON DELETE CASCADE;
+
+ALTER TABLE discussions DROP CONSTRAINT IF EXISTS discussions_status_check;
+ALTER TABLE discussions ADD CONSTRAINT discussions_status_check CHECK (status IN ('visible', 'hidden', 'deleted'));
+ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_status_check;
+ALTER TABLE comments ADD CONSTRAINT comments_status_check CHECK (status IN ('visible', 'hidden', 'deleted'));
+
+CREATE INDEX IF NOT EXISTS idx_login_tokens_email ON login_tokens(email);
+CREATE INDEX IF NOT EXISTS idx_account_sessions_account ON account_sessions(account_id);
+CREATE INDEX IF NOT EXISTS idx_discussions_account ON discussions(account_id);
+CREATE INDEX IF NOT EXISTS idx_comments_account ON comments(account_id);
+CREATE INDEX IF NOT EXISTS idx_vaa_responses_account ON vaa_responses(account_id);
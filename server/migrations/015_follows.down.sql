@@ -0,0 +1,10 @@
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS interests TEXT[];
+
+INSERT INTO user_preferences (user_id, account_id, interests)
+SELECT 'account:' || account_id, account_id, array_agg(target_id ORDER BY target_id)
+FROM follows
+WHERE target_type = 'category'
+GROUP BY account_id
+ON CONFLICT (account_id) DO UPDATE SET interests = EXCLUDED.interests;
+
+DROP TABLE IF EXISTS follows;
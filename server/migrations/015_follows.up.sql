@@ -0,0 +1,21 @@
+-- MEPs, political groups, countries and bill categories an account follows (server/feed.js).
+-- target_id is meps.mep_id, political_groups.code, countries.code or bills.category.
+
+CREATE TABLE IF NOT EXISTS follows (
+  account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('mep', 'group', 'country', 'category')),
+  target_id VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (account_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_follows_target ON follows(target_type, target_id);
+
+-- Interests were categories to follow; they become category follows
+INSERT INTO follows (account_id, target_type, target_id)
+SELECT account_id, 'category', unnest(interests)
+FROM user_preferences
+WHERE account_id IS NOT NULL AND interests IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE user_preferences DROP COLUMN IF EXISTS interests;
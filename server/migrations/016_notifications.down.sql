@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS digest_deliveries;
+DROP TABLE IF EXISTS push_subscriptions;
+
+ALTER TABLE user_preferences
+  DROP COLUMN IF EXISTS unsubscribe_token,
+  DROP COLUMN IF EXISTS push_digest,
+  DROP COLUMN IF EXISTS email_digest;
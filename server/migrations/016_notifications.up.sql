@@ -0,0 +1,34 @@
+-- Digests of new plenary votes, sent by email and Web Push after each import
+-- (server/notifications.js, scripts/sendDigests.js). Channels are opt-in per account.
+
+ALTER TABLE user_preferences
+  ADD COLUMN IF NOT EXISTS email_digest BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS push_digest BOOLEAN NOT NULL DEFAULT false,
+  -- Secret carried by unsubscribe links, so they work without signing in
+  ADD COLUMN IF NOT EXISTS unsubscribe_token VARCHAR(64) UNIQUE;
+
+-- Browsers subscribed to Web Push, one row per device
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  endpoint TEXT UNIQUE NOT NULL,
+  p256dh VARCHAR(255) NOT NULL,
+  auth VARCHAR(255) NOT NULL,
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_sent_at TIMESTAMP
+);
+
+-- One row per digest sent (or attempted) on a channel
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+  id SERIAL PRIMARY KEY,
+  account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'push')),
+  status VARCHAR(10) NOT NULL CHECK (status IN ('sent', 'failed')),
+  bill_ids INTEGER[] NOT NULL,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_account ON push_subscriptions(account_id);
+CREATE INDEX IF NOT EXISTS idx_digest_deliveries_account ON digest_deliveries(account_id, created_at DESC);
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_bill_summaries_search_vector;
+DROP INDEX IF EXISTS idx_bills_search_vector;
+
+ALTER TABLE bill_summaries DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE bills DROP COLUMN IF EXISTS search_vector;
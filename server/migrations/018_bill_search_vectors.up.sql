@@ -0,0 +1,16 @@
+-- Stored full-text vectors for the /api/bills search, so queries match against GIN indexes
+-- instead of building the document for every row. Summaries live in their own table, so
+-- each table gets its own vector; the search matches either and ranks on both.
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    to_tsvector('english'::regconfig, COALESCE(title, '') || ' ' || COALESCE(description, ''))
+  ) STORED;
+
+ALTER TABLE bill_summaries ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    to_tsvector('english'::regconfig, COALESCE(summary_short, '') || ' ' || COALESCE(summary_long, ''))
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_bills_search_vector ON bills USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_bill_summaries_search_vector ON bill_summaries USING GIN (search_vector);
@@ -0,0 +1,304 @@
+/**
+ * Vote Digests
+ *
+ * After each import, scripts/sendDigests.js sends every account that opted in a digest of
+ * the new plenary votes on what it follows (see server/feed.js): new votes in followed
+ * policy areas, how followed MEPs voted, and what stood out, such as MEPs voting against
+ * their group. Digests go out by email and by Web Push; each channel is switched on or off
+ * per account in user_preferences. Every email carries an unsubscribe link, and
+ * List-Unsubscribe headers for one-click unsubscribing, that work without signing in.
+ *
+ *   VAPID_PUBLIC_KEY   Web Push application server keys, e.g. from
+ *   VAPID_PRIVATE_KEY  `npx web-push generate-vapid-keys`; push is unavailable without them
+ *   VAPID_SUBJECT      contact for push services (default mailto:no-reply@eulens.eu)
+ */
+
+import crypto from 'crypto';
+import webpush from 'web-push';
+import { buildFeed } from './feed.js';
+import { participantId } from './accounts.js';
+
+export const DIGEST_CHANNELS = ['email', 'push'];
+
+// Votes listed in one digest; a bigger import links to the feed for the rest
+const MAX_DIGEST_ITEMS = 30;
+const PUSH_TTL_SECONDS = 7 * 24 * 3600;
+
+/**
+ * Web Push sender from the VAPID keys in `env`: { enabled, publicKey, send(subscription, payload) }
+ */
+export function createPushSender(env = process.env) {
+  const publicKey = env.VAPID_PUBLIC_KEY || null;
+  const privateKey = env.VAPID_PRIVATE_KEY || null;
+  const vapidDetails = {
+    subject: env.VAPID_SUBJECT || 'mailto:no-reply@eulens.eu',
+    publicKey,
+    privateKey
+  };
+
+  async function send(subscription, payload) {
+    if (!publicKey || !privateKey) throw new Error('Web Push is not configured');
+    return webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+      JSON.stringify(payload),
+      { vapidDetails, TTL: PUSH_TTL_SECONDS }
+    );
+  }
+
+  return { enabled: Boolean(publicKey && privateKey), publicKey, send };
+}
+
+/**
+ * Validate a notification settings update ({ email?, push? }); returns an error or null
+ */
+export function validateNotificationSettings(body = {}) {
+  const given = DIGEST_CHANNELS.filter(channel => body[channel] !== undefined);
+  if (given.length === 0) {
+    return `Set at least one of: ${DIGEST_CHANNELS.join(', ')}`;
+  }
+  if (given.some(channel => typeof body[channel] !== 'boolean')) {
+    return 'Channel settings must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Validate a browser PushSubscription ({ endpoint, keys: { p256dh, auth } }); returns an error or null
+ */
+export function validatePushSubscription({ endpoint, keys } = {}) {
+  if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || endpoint.length > 2000) {
+    return 'endpoint must be an https URL';
+  }
+  if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string' ||
+      keys.p256dh.length > 255 || keys.auth.length > 255) {
+    return 'keys.p256dh and keys.auth are required';
+  }
+  return null;
+}
+
+/**
+ * An account's digest settings: { email, push, push_devices, recent } where recent lists the
+ * latest deliveries
+ */
+export async function getNotificationSettings(pool, accountId) {
+  const [settings, deliveries] = await Promise.all([
+    pool.query(
+      `SELECT COALESCE(p.email_digest, false) as email, COALESCE(p.push_digest, false) as push,
+              (SELECT COUNT(*)::int FROM push_subscriptions s WHERE s.account_id = a.id) as push_devices
+       FROM accounts a
+       LEFT JOIN user_preferences p ON p.account_id = a.id
+       WHERE a.id = $1`,
+      [accountId]
+    ),
+    pool.query(
+      `SELECT channel, status, cardinality(bill_ids) as votes, created_at
+       FROM digest_deliveries WHERE account_id = $1
+       ORDER BY created_at DESC LIMIT 10`,
+      [accountId]
+    )
+  ]);
+  return { ...settings.rows[0], recent: deliveries.rows };
+}
+
+/**
+ * Switch digest channels on or off; channels left out keep their setting
+ */
+export async function updateNotificationSettings(pool, account, { email, push }) {
+  await pool.query(
+    `INSERT INTO user_preferences (user_id, account_id, country_code, email_digest, push_digest, unsubscribe_token)
+     VALUES ($1, $2, $3, COALESCE($4, false), COALESCE($5, false), $6)
+     ON CONFLICT (account_id) DO UPDATE SET
+       email_digest = COALESCE($4, user_preferences.email_digest),
+       push_digest = COALESCE($5, user_preferences.push_digest),
+       unsubscribe_token = COALESCE(user_preferences.unsubscribe_token, $6)`,
+    [participantId(account), account.id, account.country_code, email ?? null, push ?? null, crypto.randomBytes(24).toString('hex')]
+  );
+  return getNotificationSettings(pool, account.id);
+}
+
+/**
+ * Turn off a channel (or every channel when `channel` is not given) for the account owning an
+ * unsubscribe token. Returns false if the token is unknown.
+ */
+export async function unsubscribe(pool, token, channel = null) {
+  const result = await pool.query(
+    `UPDATE user_preferences SET
+       email_digest = CASE WHEN $2::text IS NULL OR $2 = 'email' THEN false ELSE email_digest END,
+       push_digest = CASE WHEN $2::text IS NULL OR $2 = 'push' THEN false ELSE push_digest END
+     WHERE unsubscribe_token = $1
+     RETURNING account_id`,
+    [token, channel]
+  );
+  return result.rows.length > 0;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build the digest messages for one account from its feed items:
+ * { subject, text, html, push } where push is the Web Push notification payload
+ */
+export function composeDigest(account, items, { appUrl, unsubscribeUrl, more = false }) {
+  const base = appUrl.replace(/\/$/, '');
+  const standOut = items.flatMap(item => item.highlights
+    .filter(h => h.notable)
+    .map(h => ({ text: h.text, bill: item.bill })));
+  const voteCount = more ? `${items.length}+` : `${items.length}`;
+  const votes = items.length === 1 && !more ? 'vote' : 'votes';
+
+  const subject = `EULens: ${voteCount} new ${votes} on what you follow` +
+    (standOut.length > 0 ? ` (${standOut.length} stand out)` : '');
+  const intro = `${voteCount} new plenary ${votes} on the MEPs, groups, countries and policy areas you follow.`;
+
+  const lines = [`Hello ${account.display_name},`, '', intro, ''];
+  if (standOut.length > 0) {
+    lines.push('What stood out:');
+    for (const entry of standOut) lines.push(`- ${entry.text} on "${entry.bill.title}"`);
+    lines.push('');
+  }
+  for (const { bill, totals, highlights } of items) {
+    lines.push(`${bill.title} (${bill.status}: ${totals.yes} yes, ${totals.no} no, ${totals.abstain} abstain)`);
+    for (const highlight of highlights) lines.push(`  - ${highlight.text}`);
+    lines.push(`  ${base}/bills/${bill.id}`, '');
+  }
+  if (more) lines.push(`More votes are waiting in My EULens: ${base}/my`, '');
+  lines.push(
+    '--',
+    `Manage notifications: ${base}/account`,
+    `Unsubscribe from these emails: ${unsubscribeUrl}`
+  );
+
+  const html = `
+    <p>Hello ${escapeHtml(account.display_name)},</p>
+    <p>${escapeHtml(intro)}</p>
+    ${standOut.length > 0 ? `
+    <h3>What stood out</h3>
+    <ul>${standOut.map(entry => `<li>${escapeHtml(entry.text)} on <a href="${base}/bills/${entry.bill.id}">${escapeHtml(entry.bill.title)}</a></li>`).join('')}</ul>` : ''}
+    <h3>New votes</h3>
+    ${items.map(({ bill, totals, highlights }) => `
+    <p><a href="${base}/bills/${bill.id}"><strong>${escapeHtml(bill.title)}</strong></a><br>
+      ${escapeHtml(bill.status)}: ${totals.yes} yes, ${totals.no} no, ${totals.abstain} abstain</p>
+    <ul>${highlights.map(h => `<li>${h.notable ? '<strong>' : ''}${escapeHtml(h.text)}${h.notable ? '</strong>' : ''}</li>`).join('')}</ul>`).join('')}
+    ${more ? `<p><a href="${base}/my">More votes are waiting in My EULens</a></p>` : ''}
+    <hr>
+    <p style="font-size: 12px; color: #64748b;">
+      <a href="${base}/account">Manage notifications</a> ·
+      <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe from these emails</a>
+    </p>`;
+
+  const push = {
+    title: `EULens: ${voteCount} new ${votes}`,
+    body: standOut.length > 0
+      ? `${standOut[0].text}${standOut.length > 1 ? ` and ${plural(standOut.length - 1, 'more highlight')}` : ''}`
+      : items[0].highlights[0]?.text || items[0].bill.title,
+    url: `${base}/my`,
+    tag: 'eulens-digest'
+  };
+
+  return { subject, text: lines.join('\n'), html, push };
+}
+
+async function recordDelivery(pool, accountId, channel, billIds, error = null) {
+  await pool.query(
+    `INSERT INTO digest_deliveries (account_id, channel, status, bill_ids, error)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [accountId, channel, error ? 'failed' : 'sent', billIds, error]
+  );
+}
+
+// Push a digest to every device of an account; returns an error if none received it
+async function sendPushDigest(pool, push, subscriptions, payload) {
+  const errors = [];
+  for (const subscription of subscriptions) {
+    try {
+      await push.send(subscription, payload);
+      await pool.query('UPDATE push_subscriptions SET last_sent_at = NOW() WHERE id = $1', [subscription.id]);
+    } catch (error) {
+      // The browser dropped the subscription: forget it
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await pool.query('DELETE FROM push_subscriptions WHERE id = $1', [subscription.id]);
+      }
+      errors.push((error.statusCode ? `${error.statusCode} ${error.body || error.message}` : error.message).trim());
+    }
+  }
+  return errors.length === subscriptions.length ? errors.join('; ') : null;
+}
+
+/**
+ * Send digests of the votes on `billIds` to every account with a channel switched on.
+ * Deliveries are recorded in digest_deliveries; a failed delivery is not retried.
+ * Returns counts: { accounts, email: { sent, failed }, push: { sent, failed } }
+ */
+export async function sendDigests(pool, { billIds, mailer, push, appUrl, log = console.log }) {
+  const base = appUrl.replace(/\/$/, '');
+  const stats = { accounts: 0, email: { sent: 0, failed: 0 }, push: { sent: 0, failed: 0 } };
+
+  const accounts = await pool.query(
+    `SELECT a.id, a.email, a.display_name, p.email_digest, p.push_digest, p.unsubscribe_token
+     FROM accounts a
+     JOIN user_preferences p ON p.account_id = a.id
+     WHERE (p.email_digest OR p.push_digest)
+       AND EXISTS (SELECT 1 FROM follows f WHERE f.account_id = a.id)
+     ORDER BY a.id`
+  );
+
+  for (const account of accounts.rows) {
+    const feed = await buildFeed(pool, account.id, { billIds, limit: MAX_DIGEST_ITEMS });
+    if (feed.items.length === 0) continue;
+    stats.accounts++;
+
+    const sentBillIds = feed.items.map(item => item.bill.id);
+    const unsubscribeQuery = `token=${account.unsubscribe_token}&channel=email`;
+    const digest = composeDigest(account, feed.items, {
+      appUrl: base,
+      unsubscribeUrl: `${base}/unsubscribe?${unsubscribeQuery}`,
+      more: feed.has_more
+    });
+
+    if (account.email_digest) {
+      try {
+        await mailer.send({
+          to: account.email,
+          subject: digest.subject,
+          text: digest.text,
+          html: digest.html,
+          headers: {
+            'List-Unsubscribe': `<${base}/api/notifications/unsubscribe?${unsubscribeQuery}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+        });
+        await recordDelivery(pool, account.id, 'email', sentBillIds);
+        stats.email.sent++;
+      } catch (error) {
+        log(`  ⚠️  Email to account ${account.id} failed: ${error.message}`);
+        await recordDelivery(pool, account.id, 'email', sentBillIds, error.message);
+        stats.email.failed++;
+      }
+    }
+
+    if (account.push_digest && push.enabled) {
+      const subscriptions = await pool.query(
+        'SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE account_id = $1',
+        [account.id]
+      );
+      if (subscriptions.rows.length > 0) {
+        const error = await sendPushDigest(pool, push, subscriptions.rows, digest.push);
+        if (error) log(`  ⚠️  Push to account ${account.id} failed: ${error}`);
+        await recordDelivery(pool, account.id, 'push', sentBillIds, error);
+        stats.push[error ? 'failed' : 'sent']++;
+      }
+    }
+  }
+
+  return stats;
+}
@@ -0,0 +1,117 @@
+/**
+ * Pipeline Change Sets
+ *
+ * Pipeline steps record what they changed as a change set: for each input name, the ids
+ * that were added, changed or removed. Downstream steps declare the inputs they read and
+ * plan each run from the change sets recorded since their last run:
+ *
+ *   - first run, or --full: process everything
+ *   - none of the step's inputs changed: skip
+ *   - otherwise: process only what changed (steps that cannot work on a subset, such as a
+ *     PCA over all votes, recompute everything)
+ *
+ * Inputs:
+ *   bills          bill ids added, removed or with any field changed
+ *   bill_texts     bill ids added or whose title, description, category or status changed
+ *   votes          bill ids whose MEP votes were added, changed or removed
+ *   vote_dates     vote dates (YYYY-MM-DD) of the bills in `bills` and `votes`
+ *   meps           mep ids added, changed, deactivated or removed
+ *   memberships    mep ids whose group memberships changed
+ *   new_bills      bill ids added
+ *   new_meps       mep ids added
+ *   group_changes  mep ids whose current political group changed
+ *   summaries      bill ids whose AI summary was generated or regenerated
+ *   vaa_questions  bill ids whose VAA questions were added or (de)activated
+ */
+
+export const PIPELINE_INPUTS = [
+  'bills', 'bill_texts', 'votes', 'vote_dates', 'meps', 'memberships', 'new_bills', 'new_meps',
+  'group_changes', 'summaries', 'vaa_questions'
+];
+
+/**
+ * Create an empty change set to collect ids into: input name → Set
+ */
+export function createChangeSet(inputs = PIPELINE_INPUTS) {
+  return Object.fromEntries(inputs.map(input => [input, new Set()]));
+}
+
+/**
+ * Store a change set (input name → Set or array of ids) for downstream steps.
+ * Empty inputs are dropped; returns the change set id, or null if nothing changed.
+ */
+export async function recordChangeSet(pool, source, changes) {
+  const entries = Object.entries(changes)
+    .map(([input, ids]) => [input, [...new Set(ids)].filter(id => id !== null && id !== undefined)])
+    .filter(([, ids]) => ids.length > 0);
+  if (entries.length === 0) return null;
+
+  const result = await pool.query(
+    'INSERT INTO pipeline_change_sets (source, changes) VALUES ($1, $2) RETURNING id',
+    [source, JSON.stringify(Object.fromEntries(entries))]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Decide what a step has to do. Returns { step, inputs, mode, reason, changes, upTo } where
+ * mode is 'full', 'incremental' or 'skip' and changes maps each input to the Set of ids
+ * changed since the step last ran. Pass the plan to markProcessed() once the step succeeds.
+ */
+export async function planStep(pool, step, inputs, { full = false } = {}) {
+  const [stateResult, latestResult] = await Promise.all([
+    pool.query('SELECT last_change_set_id FROM pipeline_step_state WHERE step = $1', [step]),
+    pool.query('SELECT COALESCE(MAX(id), 0) as id FROM pipeline_change_sets')
+  ]);
+  // Change sets recorded while the step runs are left for its next run
+  const upTo = latestResult.rows[0].id;
+  const plan = { step, inputs, upTo, changes: createChangeSet(inputs) };
+
+  if (full) return { ...plan, mode: 'full', reason: 'full run requested' };
+  if (stateResult.rows.length === 0) return { ...plan, mode: 'full', reason: 'first run' };
+
+  const setsResult = await pool.query(
+    'SELECT changes FROM pipeline_change_sets WHERE id > $1 AND id <= $2 ORDER BY id',
+    [stateResult.rows[0].last_change_set_id, upTo]
+  );
+  for (const row of setsResult.rows) {
+    for (const input of inputs) {
+      for (const id of row.changes[input] || []) plan.changes[input].add(id);
+    }
+  }
+
+  const changed = inputs.filter(input => plan.changes[input].size > 0);
+  if (changed.length === 0) {
+    return { ...plan, mode: 'skip', reason: `no changes to ${inputs.join(', ')}` };
+  }
+  return {
+    ...plan,
+    mode: 'incremental',
+    reason: changed.map(input => `${plan.changes[input].size} ${input}`).join(', ')
+  };
+}
+
+/**
+ * Record that a step processed every change set up to plan.upTo, and drop change sets
+ * every step has already processed
+ */
+export async function markProcessed(pool, plan, mode = plan.mode) {
+  await pool.query(`
+    INSERT INTO pipeline_step_state (step, inputs, last_change_set_id, last_mode, last_run_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    ON CONFLICT (step) DO UPDATE SET
+      inputs = $2, last_change_set_id = $3, last_mode = $4, last_run_at = NOW()
+  `, [plan.step, plan.inputs, plan.upTo, mode]);
+
+  await pool.query(`
+    DELETE FROM pipeline_change_sets
+    WHERE id <= (SELECT MIN(last_change_set_id) FROM pipeline_step_state)
+  `);
+}
+
+/**
+ * Whether a script was started with --full
+ */
+export function isFullRun(argv = process.argv.slice(2)) {
+  return argv.includes('--full');
+}
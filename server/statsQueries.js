@@ -0,0 +1,418 @@
+/**
+ * Windowed Statistics
+ *
+ * Computations behind the /api/stats endpoints, restricted to a time window from
+ * statsWindows.js. Used on the fly by the server for custom ranges and by
+ * scripts/precomputeStats.js to build the global snapshot and the named-window snapshots.
+ */
+
+import { billWindowClause } from './statsWindows.js';
+import { computePCA, encodeVote } from '../shared/pca.js';
+
+// Resolve a stored group name to its political_groups registry entry (pg.short_name)
+export const GROUP_REGISTRY_JOIN = (column) => `
+      LEFT JOIN political_groups pg
+        ON ${column} = pg.name OR LOWER(${column}) = ANY(SELECT LOWER(a) FROM unnest(pg.aliases) a)`;
+
+/**
+ * PCA of the MEP x bill vote matrix for the bills in a window.
+ * With activeOnly, only current MEPs are placed (the global snapshot); otherwise every MEP
+ * who voted in the window is, labelled with the group they voted under most often.
+ * Votes an MEP did not cast are missing values (see shared/pca.js), not abstentions.
+ */
+export async function computeMEPPCA(pool, window, { activeOnly = false, numComponents = 3, minVoteShare = 0 } = {}) {
+  const params = [];
+  const inWindow = billWindowClause(window, params, 'v.bill_id');
+
+  const mepsResult = await pool.query(activeOnly ? `
+    SELECT DISTINCT m.mep_id, m.political_group
+    FROM meps m
+    JOIN votes v ON v.mep_id = m.mep_id
+    WHERE m.is_active = true AND ${inWindow}
+  ` : `
+    SELECT v.mep_id, MODE() WITHIN GROUP (ORDER BY v.mep_group) as political_group
+    FROM votes v
+    JOIN meps m ON m.mep_id = v.mep_id
+    WHERE v.vote IN ('yes', 'no', 'abstain') AND ${inWindow}
+    GROUP BY v.mep_id
+  `, params);
+
+  const billsResult = await pool.query(`
+    SELECT DISTINCT v.bill_id
+    FROM votes v
+    WHERE ${inWindow}
+    ORDER BY v.bill_id
+  `, params);
+
+  const billIds = billsResult.rows.map(r => r.bill_id);
+  let meps = mepsResult.rows;
+
+  if (meps.length === 0 || billIds.length === 0) {
+    return { meps: [], billIds, ...computePCA([], numComponents) };
+  }
+
+  const votesResult = await pool.query(`
+    SELECT v.mep_id, v.bill_id, v.vote FROM votes v WHERE ${inWindow}
+  `, params);
+
+  // Build vote lookup
+  const voteMap = {};
+  const castCounts = {};
+  for (const v of votesResult.rows) {
+    if (!voteMap[v.mep_id]) voteMap[v.mep_id] = {};
+    const value = encodeVote(v.vote);
+    if (value === null) continue;
+    voteMap[v.mep_id][v.bill_id] = value;
+    castCounts[v.mep_id] = (castCounts[v.mep_id] || 0) + 1;
+  }
+
+  // MEPs who missed most votes would be placed by too few of them
+  if (minVoteShare > 0) {
+    meps = meps.filter(mep => (castCounts[mep.mep_id] || 0) >= minVoteShare * billIds.length);
+    if (meps.length === 0) {
+      return { meps: [], billIds, ...computePCA([], numComponents) };
+    }
+  }
+
+  // Build matrix
+  const billIdToIdx = {};
+  billIds.forEach((id, idx) => billIdToIdx[id] = idx);
+
+  const matrix = meps.map(mep => {
+    const row = new Array(billIds.length).fill(null);
+    const mepVotes = voteMap[mep.mep_id] || {};
+    for (const [billId, vote] of Object.entries(mepVotes)) {
+      const idx = billIdToIdx[parseInt(billId)];
+      if (idx !== undefined) row[idx] = vote;
+    }
+    return row;
+  });
+
+  return { meps, billIds, ...computePCA(matrix, numComponents) };
+}
+
+/**
+ * Align 2D points to a reference configuration with a similarity transform (orthogonal
+ * Procrustes with reflection, uniform scale and translation). The transform is fitted on the
+ * points present in both (matched by id) and applied to every source point, so PCA runs on
+ * different bill sets end up on comparable axes.
+ *
+ * source: [{ id, x, y }], reference: Map id -> { x, y }. Returns [{ id, x, y }], or null if
+ * fewer than 3 points are shared.
+ */
+export function alignToReference(source, reference) {
+  const shared = source.filter(p => reference.has(p.id));
+  if (shared.length < 3) return null;
+
+  const mean = (points, axis) => points.reduce((sum, p) => sum + p[axis], 0) / points.length;
+  const targets = shared.map(p => reference.get(p.id));
+  const srcX = mean(shared, 'x');
+  const srcY = mean(shared, 'y');
+  const refX = mean(targets, 'x');
+  const refY = mean(targets, 'y');
+
+  // For each reflection, the best rotation angle has a closed form in 2D
+  let best = null;
+  for (const flip of [1, -1]) {
+    let dot = 0;
+    let cross = 0;
+    let norm = 0;
+    shared.forEach((p, i) => {
+      const ax = p.x - srcX;
+      const ay = flip * (p.y - srcY);
+      const bx = targets[i].x - refX;
+      const by = targets[i].y - refY;
+      dot += ax * bx + ay * by;
+      cross += ax * by - ay * bx;
+      norm += ax * ax + ay * ay;
+    });
+    const fit = Math.sqrt(dot * dot + cross * cross);
+    if (!best || fit > best.fit) {
+      best = { flip, fit, angle: Math.atan2(cross, dot), scale: norm > 0 ? fit / norm : 1 };
+    }
+  }
+
+  const cos = Math.cos(best.angle);
+  const sin = Math.sin(best.angle);
+  return source.map(p => {
+    const ax = p.x - srcX;
+    const ay = best.flip * (p.y - srcY);
+    return {
+      id: p.id,
+      x: best.scale * (cos * ax - sin * ay) + refX,
+      y: best.scale * (sin * ax + cos * ay) + refY
+    };
+  });
+}
+
+/**
+ * The 5 most positive and 5 most negative bill loadings on each of the first 3 components
+ */
+export function topBillLoadings(components, billIds) {
+  const topBillsPerAxis = [];
+  for (let axis = 0; axis < Math.min(3, components.length); axis++) {
+    const loadings = components[axis].map((loading, idx) => ({
+      billId: billIds[idx],
+      loading
+    }));
+
+    // Get top 5 positive loadings (highest first)
+    const positive = loadings
+      .filter(l => l.loading > 0)
+      .sort((a, b) => b.loading - a.loading)
+      .slice(0, 5);
+
+    // Get top 5 negative loadings (most negative first)
+    const negative = loadings
+      .filter(l => l.loading < 0)
+      .sort((a, b) => a.loading - b.loading)
+      .slice(0, 5);
+
+    // Combine and keep the format expected by frontend (both positive and negative in one array)
+    topBillsPerAxis.push([...positive, ...negative]);
+  }
+  return topBillsPerAxis;
+}
+
+/**
+ * Add bill titles and categories to top loadings
+ */
+export async function enrichBillLoadings(pool, topBillsPerAxis) {
+  const allBillIds = [...new Set(topBillsPerAxis.flat().map(b => b.billId))];
+  if (allBillIds.length === 0) return topBillsPerAxis;
+
+  const billsResult = await pool.query(`
+    SELECT id, title, category FROM bills WHERE id = ANY($1)
+  `, [allBillIds]);
+
+  const billMap = {};
+  for (const b of billsResult.rows) {
+    billMap[b.id] = b;
+  }
+
+  return topBillsPerAxis.map(axis =>
+    axis.map(item => ({
+      ...item,
+      title: billMap[item.billId]?.title || 'Unknown',
+      category: billMap[item.billId]?.category || 'Unknown'
+    }))
+  );
+}
+
+/**
+ * MEP coordinates in the response format of /api/stats/mep-pca-coords
+ */
+export async function computeMEPPCACoords(pool, window) {
+  const pca = await computeMEPPCA(pool, window);
+  if (pca.meps.length === 0) return { meps: [], variance: [0, 0, 0], explainedVariance: [0, 0, 0], billLoadings: [[], [], []] };
+
+  const details = await pool.query(`
+    SELECT mep_id, CONCAT(first_name, ' ', COALESCE(last_name, name)) as name, country_code
+    FROM meps
+    WHERE mep_id = ANY($1)
+  `, [pca.meps.map(m => m.mep_id)]);
+  const detailMap = new Map(details.rows.map(row => [row.mep_id, row]));
+
+  return {
+    meps: pca.meps.map((mep, i) => ({
+      mepId: mep.mep_id,
+      name: detailMap.get(mep.mep_id)?.name,
+      group: mep.political_group,
+      country: detailMap.get(mep.mep_id)?.country_code,
+      x: pca.projections[i][0],
+      y: pca.projections[i][1],
+      z: pca.projections[i][2]
+    })).sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+    variance: pca.variance,
+    explainedVariance: pca.explainedVariance,
+    billLoadings: await enrichBillLoadings(pool, topBillLoadings(pca.components, pca.billIds))
+  };
+}
+
+// ============================================
+// GROUP STATISTICS
+// ============================================
+
+/**
+ * Pairwise agreement between group majority positions
+ */
+export async function computePartyAgreement(pool, window) {
+  const params = [];
+  const result = await pool.query(`
+    WITH party_votes AS (
+      SELECT
+        bill_id,
+        COALESCE(pg.short_name, 'NI') as party,
+        vote,
+        COUNT(*) as vote_count
+      FROM votes
+      ${GROUP_REGISTRY_JOIN('mep_group')}
+      WHERE vote IN ('yes', 'no', 'abstain') AND ${billWindowClause(window, params)}
+      GROUP BY bill_id, party, vote
+    ),
+    party_majority AS (
+      SELECT DISTINCT ON (bill_id, party)
+        bill_id, party, vote as majority_vote
+      FROM party_votes
+      ORDER BY bill_id, party, vote_count DESC
+    )
+    SELECT
+      p1.party as party1,
+      p2.party as party2,
+      COUNT(*) as total_bills,
+      SUM(CASE WHEN p1.majority_vote = p2.majority_vote THEN 1 ELSE 0 END) as agreements
+    FROM party_majority p1
+    JOIN party_majority p2 ON p1.bill_id = p2.bill_id AND p1.party < p2.party
+    GROUP BY p1.party, p2.party
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Average share of each group voting with its majority, over bills where it cast 5+ votes
+ */
+export async function computePartyCohesion(pool, window) {
+  const params = [];
+  const result = await pool.query(`
+    WITH vote_counts AS (
+      SELECT
+        bill_id,
+        COALESCE(pg.short_name, 'NI') as party,
+        SUM(CASE WHEN vote = 'yes' THEN 1 ELSE 0 END) as yes_votes,
+        SUM(CASE WHEN vote = 'no' THEN 1 ELSE 0 END) as no_votes,
+        SUM(CASE WHEN vote = 'abstain' THEN 1 ELSE 0 END) as abstain_votes,
+        COUNT(*) as total
+      FROM votes
+      ${GROUP_REGISTRY_JOIN('mep_group')}
+      WHERE vote IN ('yes', 'no', 'abstain') AND ${billWindowClause(window, params)}
+      GROUP BY bill_id, party
+    ),
+    cohesion_per_bill AS (
+      SELECT
+        party,
+        bill_id,
+        total,
+        GREATEST(yes_votes, no_votes, abstain_votes)::float / NULLIF(total, 0) as cohesion
+      FROM vote_counts
+      WHERE total >= 5
+    )
+    SELECT
+      party,
+      ROUND((AVG(cohesion) * 100)::numeric, 1) as avg_cohesion,
+      COUNT(DISTINCT bill_id) as bills_voted,
+      SUM(total) as total_mep_votes
+    FROM cohesion_per_bill
+    GROUP BY party
+    ORDER BY avg_cohesion DESC
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Share of each group's recorded votes that were "did not vote"
+ */
+export async function computePartyAbsence(pool, window) {
+  const params = [];
+  const inWindow = billWindowClause(window, params);
+  const result = await pool.query(`
+    WITH bill_count AS (
+      SELECT COUNT(DISTINCT bill_id) as total_bills FROM votes WHERE ${inWindow}
+    ),
+    party_votes AS (
+      SELECT
+        COALESCE(pg.short_name, 'NI') as party,
+        COUNT(*) FILTER (WHERE vote IN ('yes', 'no', 'abstain')) as votes_cast,
+        COUNT(*) FILTER (WHERE vote = 'did_not_vote') as absent_votes,
+        COUNT(DISTINCT mep_id) FILTER (WHERE vote IN ('yes', 'no', 'abstain')) as meps_who_voted,
+        COUNT(DISTINCT bill_id) FILTER (WHERE vote IN ('yes', 'no', 'abstain')) as bills_participated
+      FROM votes
+      ${GROUP_REGISTRY_JOIN('mep_group')}
+      WHERE mep_group IS NOT NULL AND ${inWindow}
+      GROUP BY party
+    ),
+    party_meps AS (
+      SELECT COALESCE(pg.short_name, 'NI') as party, COUNT(*) as total_meps
+      FROM meps
+      ${GROUP_REGISTRY_JOIN('political_group')}
+      WHERE political_group IS NOT NULL AND is_active = true
+      GROUP BY party
+    )
+    SELECT
+      pv.party as political_group,
+      pm.total_meps,
+      pv.meps_who_voted as active_meps,
+      pv.bills_participated,
+      (SELECT total_bills FROM bill_count) as total_bills,
+      pv.votes_cast,
+      pv.absent_votes,
+      ROUND(
+        pv.absent_votes::numeric / NULLIF(pv.votes_cast + pv.absent_votes, 0) * 100,
+        1
+      ) as absence_rate,
+      ROUND(
+        pv.bills_participated::numeric / NULLIF((SELECT total_bills FROM bill_count), 0) * 100,
+        1
+      ) as participation_rate
+    FROM party_votes pv
+    LEFT JOIN party_meps pm ON pv.party = pm.party
+    WHERE pv.votes_cast > 0
+    ORDER BY absence_rate DESC
+  `, params);
+  return result.rows;
+}
+
+/**
+ * The 20 bills with the narrowest yes/no margin (among bills with 100+ yes/no votes)
+ */
+export async function computeControversial(pool, window) {
+  const params = [];
+  const result = await pool.query(`
+    SELECT
+      b.id,
+      b.title,
+      b.category,
+      b.status,
+      b.date_adopted,
+      SUM(CASE WHEN v.vote = 'yes' THEN 1 ELSE 0 END) as yes_votes,
+      SUM(CASE WHEN v.vote = 'no' THEN 1 ELSE 0 END) as no_votes,
+      SUM(CASE WHEN v.vote = 'abstain' THEN 1 ELSE 0 END) as abstain_votes,
+      COUNT(*) as total_votes,
+      ABS(SUM(CASE WHEN v.vote = 'yes' THEN 1 ELSE 0 END) -
+          SUM(CASE WHEN v.vote = 'no' THEN 1 ELSE 0 END))::float /
+          NULLIF(COUNT(*), 0) * 100 as margin
+    FROM bills b
+    JOIN votes v ON b.id = v.bill_id
+    WHERE v.vote IN ('yes', 'no') AND ${billWindowClause(window, params, 'b.id')}
+    GROUP BY b.id, b.title, b.category, b.status, b.date_adopted
+    HAVING COUNT(*) >= 100
+    ORDER BY margin ASC
+    LIMIT 20
+  `, params);
+  return result.rows;
+}
+
+// Snapshot stats computed for every named window, keyed as stored in stats_snapshots
+export const WINDOWED_STATS = {
+  party_agreement_matrix: computePartyAgreement,
+  party_cohesion: computePartyCohesion,
+  party_absence: computePartyAbsence,
+  controversial: computeControversial,
+  mep_pca_coords: computeMEPPCACoords
+};
+
+/**
+ * Load a stat for a window from stats_snapshots, computing it on the fly if the window
+ * was not precomputed (custom ranges, or before the first precompute run)
+ */
+export async function loadWindowedStat(pool, window, stat) {
+  if (window.key) {
+    const snapshot = await pool.query(
+      'SELECT value FROM stats_snapshots WHERE window_key = $1 AND stat = $2',
+      [window.key, stat]
+    );
+    if (snapshot.rows.length > 0) {
+      return JSON.parse(snapshot.rows[0].value);
+    }
+  }
+  return WINDOWED_STATS[stat](pool, window);
+}
@@ -0,0 +1,195 @@
+/**
+ * Statistics Time Windows
+ *
+ * Every /api/stats endpoint accepts either explicit `from`/`to` dates (YYYY-MM-DD, inclusive)
+ * or a named `window`:
+ *   all                 - the whole legislature
+ *   year:2025           - a calendar year
+ *   quarter:2025-Q1     - a calendar quarter
+ *   session:2025-01-20  - a plenary session, identified by its first voting day
+ *
+ * Sessions are derived from the vote dates: voting days less than SESSION_GAP_DAYS apart
+ * belong to the same session. Named windows are precomputed by scripts/precomputeStats.js
+ * into the stats_snapshots table.
+ */
+
+const SESSION_GAP_DAYS = 4;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+}
+
+function quarterBounds(year, quarter) {
+  const from = new Date(Date.UTC(year, (quarter - 1) * 3, 1));
+  const to = new Date(Date.UTC(year, quarter * 3, 0));
+  return { from: toDateString(from), to: toDateString(to) };
+}
+
+/**
+ * Group the distinct voting days into plenary sessions
+ */
+async function loadSessions(pool) {
+  const result = await pool.query(`
+    SELECT date_adopted::text as day, COUNT(*) as bills
+    FROM bills
+    WHERE date_adopted IS NOT NULL
+    GROUP BY date_adopted
+    ORDER BY date_adopted
+  `);
+
+  const sessions = [];
+  for (const row of result.rows) {
+    const last = sessions[sessions.length - 1];
+    const gap = last ? (new Date(row.day) - new Date(last.to)) / 86400000 : Infinity;
+    if (gap < SESSION_GAP_DAYS) {
+      last.to = row.day;
+      last.bills += parseInt(row.bills);
+    } else {
+      sessions.push({ from: row.day, to: row.day, bills: parseInt(row.bills) });
+    }
+  }
+  return sessions;
+}
+
+/**
+ * List the named windows that contain at least one vote, newest first within each type
+ */
+export async function listStatsWindows(pool) {
+  const sessions = await loadSessions(pool);
+  const windows = [];
+
+  const years = new Map();
+  const quarters = new Map();
+  for (const session of sessions) {
+    // Sessions never span a quarter boundary in practice; attribute them by their first day
+    const [year, month] = session.from.split('-').map(Number);
+    const quarter = Math.floor((month - 1) / 3) + 1;
+    years.set(year, (years.get(year) || 0) + session.bills);
+    const quarterKey = `${year}-Q${quarter}`;
+    quarters.set(quarterKey, (quarters.get(quarterKey) || 0) + session.bills);
+  }
+
+  for (const [year, bills] of [...years].sort((a, b) => b[0] - a[0])) {
+    windows.push({
+      key: `year:${year}`,
+      type: 'year',
+      label: `${year}`,
+      from: `${year}-01-01`,
+      to: `${year}-12-31`,
+      bills
+    });
+  }
+
+  for (const [key, bills] of [...quarters].sort((a, b) => b[0].localeCompare(a[0]))) {
+    const [year, quarter] = key.split('-Q').map(Number);
+    windows.push({
+      key: `quarter:${key}`,
+      type: 'quarter',
+      label: `Q${quarter} ${year}`,
+      ...quarterBounds(year, quarter),
+      bills
+    });
+  }
+
+  for (const session of [...sessions].reverse()) {
+    const start = new Date(session.from);
+    const label = start.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+    windows.push({
+      key: `session:${session.from}`,
+      type: 'session',
+      label: `Session of ${label}`,
+      from: session.from,
+      to: session.to,
+      bills: session.bills
+    });
+  }
+
+  return windows;
+}
+
+function addMonths(date, months) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+}
+
+/**
+ * Overlapping windows of `months` calendar months, starting every `stepMonths` months from the
+ * month of the first vote until a window reaches the last vote. Used for PCA trajectories.
+ */
+export async function listRollingWindows(pool, { months = 6, stepMonths = 1 } = {}) {
+  const range = await pool.query(`
+    SELECT MIN(date_adopted)::text as first_day, MAX(date_adopted)::text as last_day
+    FROM bills
+    WHERE date_adopted IS NOT NULL
+  `);
+  const { first_day: firstDay, last_day: lastDay } = range.rows[0];
+  if (!firstDay) return [];
+
+  const windows = [];
+  for (let start = addMonths(new Date(firstDay), 0); ; start = addMonths(start, stepMonths)) {
+    const end = new Date(addMonths(start, months).getTime() - 86400000);
+    const from = toDateString(start);
+    const to = toDateString(end);
+    const format = d => d.toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    windows.push({ key: `rolling:${from}`, label: `${format(start)} – ${format(end)}`, from, to });
+    if (to >= lastDay) break;
+  }
+  return windows;
+}
+
+/**
+ * Resolve the window requested in a query string to { key, from, to }.
+ * `key` names a precomputable window ('all' or a named window) and is null for custom ranges;
+ * `from`/`to` are null when unbounded. Returns null if the window or dates are invalid.
+ */
+export async function resolveStatsWindow(pool, query) {
+  const { window, from, to } = query;
+
+  if (window && window !== 'all') {
+    const [type, value] = window.split(':');
+
+    if (type === 'year' && /^\d{4}$/.test(value)) {
+      return { key: window, from: `${value}-01-01`, to: `${value}-12-31` };
+    }
+
+    const quarterMatch = type === 'quarter' && /^(\d{4})-Q([1-4])$/.exec(value || '');
+    if (quarterMatch) {
+      return { key: window, ...quarterBounds(Number(quarterMatch[1]), Number(quarterMatch[2])) };
+    }
+
+    if (type === 'session' && isValidDate(value || '')) {
+      const session = (await loadSessions(pool)).find(s => s.from === value);
+      return session ? { key: window, from: session.from, to: session.to } : null;
+    }
+
+    return null;
+  }
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) return null;
+  if (!from && !to) return { key: 'all', from: null, to: null };
+  return { key: null, from: from || null, to: to || null };
+}
+
+/**
+ * SQL condition restricting `column` (a bill id) to bills voted inside the window.
+ * Pushes the bounds onto `params`; evaluates to TRUE for an unbounded window.
+ */
+export function billWindowClause(window, params, column = 'bill_id') {
+  const conditions = [];
+  if (window.from) {
+    params.push(window.from);
+    conditions.push(`date_adopted >= $${params.length}`);
+  }
+  if (window.to) {
+    params.push(window.to);
+    conditions.push(`date_adopted <= $${params.length}`);
+  }
+  if (conditions.length === 0) return 'TRUE';
+  return `${column} IN (SELECT id FROM bills WHERE ${conditions.join(' AND ')})`;
+}
+
+export const INVALID_WINDOW_ERROR = 'Invalid time window: use from/to (YYYY-MM-DD) or window=all|year:YYYY|quarter:YYYY-QN|session:YYYY-MM-DD';
@@ -0,0 +1,349 @@
+/**
+ * Webhooks
+ *
+ * Admins register URLs that are called when an import brings something downstream systems
+ * care about, choosing the events each one receives (WEBHOOK_EVENTS). The Webhooks pipeline
+ * step (scripts/queueWebhooks.js) turns the change sets of the import into webhook_events,
+ * with a webhook_deliveries row for every webhook subscribed to the event. A dispatcher in
+ * the server process POSTs due deliveries as JSON, signed with the webhook's secret:
+ *
+ *   X-EULens-Event       event type
+ *   X-EULens-Delivery    delivery id, the same for every attempt
+ *   X-EULens-Timestamp   unix time of the attempt
+ *   X-EULens-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+ *
+ * A 2xx answer completes the delivery. Anything else (including redirects and timeouts) is
+ * retried after the delays in RETRY_DELAYS_SECONDS, then the delivery is marked failed.
+ * Every attempt is logged in webhook_delivery_attempts with the response it got.
+ */
+
+import crypto from 'crypto';
+
+export const WEBHOOK_EVENTS = {
+  'bill.created': 'A new vote (bill) was imported',
+  'summary.generated': "A bill's AI summary was generated or regenerated",
+  'mep.created': 'A new MEP was imported',
+  'mep.group_changed': 'An MEP moved to another political group'
+};
+
+// Sent only from the admin API, to test a webhook
+const PING_EVENT = 'ping';
+
+// Delay before each retry; a delivery gets RETRY_DELAYS_SECONDS.length + 1 attempts
+const RETRY_DELAYS_SECONDS = [60, 300, 1800, 7200, 21600];
+
+const POLL_INTERVAL = 10000;
+const BATCH_SIZE = 10;
+const REQUEST_TIMEOUT_MS = 10000;
+// A claimed delivery is not claimed again for this long, so a crash mid-request retries it
+const CLAIM_LEASE_SECONDS = 60;
+const MAX_RESPONSE_LENGTH = 2000;
+
+/**
+ * A new random signing secret. Returned to the admin when a webhook is created or its secret
+ * is rotated.
+ */
+export function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Signature header value for a request body sent at `timestamp` (unix seconds)
+ */
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Validate a webhook ({ url, events, description?, active? }); with `partial`, only the
+ * given fields are checked. Returns an error or null.
+ */
+export function validateWebhook(body = {}, { partial = false } = {}) {
+  const { url, events, description, active } = body;
+
+  if (!partial || url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = typeof url === 'string' && url.length <= 2000 ? new URL(url) : null;
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an http or https URL';
+    }
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty list';
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}. Use: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`;
+    }
+  }
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > 255)) {
+    return 'description must be a string of at most 255 characters';
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Events for the ids in a change set (input name → Set of ids, see pipelineChanges.js):
+ * [{ type, data }]. Ids whose rows are gone by now produce no event.
+ */
+export async function buildEvents(pool, changes, { appUrl }) {
+  const base = appUrl.replace(/\/$/, '');
+  const ids = input => [...(changes[input] || [])];
+  const events = [];
+
+  if (ids('new_bills').length > 0) {
+    const result = await pool.query(`
+      SELECT b.id, b.eu_id, b.title, b.category, b.status, b.date_adopted, b.procedure_id,
+             COUNT(CASE WHEN v.vote = 'yes' THEN 1 END)::int as yes,
+             COUNT(CASE WHEN v.vote = 'no' THEN 1 END)::int as no,
+             COUNT(CASE WHEN v.vote = 'abstain' THEN 1 END)::int as abstain
+      FROM bills b
+      LEFT JOIN votes v ON v.bill_id = b.id
+      WHERE b.id = ANY($1::int[])
+      GROUP BY b.id
+      ORDER BY b.date_adopted, b.id
+    `, [ids('new_bills')]);
+    for (const { yes, no, abstain, ...bill } of result.rows) {
+      events.push({
+        type: 'bill.created',
+        data: { ...bill, totals: { yes, no, abstain }, url: `${base}/bills/${bill.id}` }
+      });
+    }
+  }
+
+  if (ids('summaries').length > 0) {
+    const result = await pool.query(`
+      SELECT s.bill_id, b.eu_id, b.title, s.summary_short, s.key_points, s.generated_at
+      FROM bill_summaries s
+      JOIN bills b ON b.id = s.bill_id
+      WHERE s.bill_id = ANY($1::int[])
+      ORDER BY s.bill_id
+    `, [ids('summaries')]);
+    for (const summary of result.rows) {
+      events.push({ type: 'summary.generated', data: { ...summary, url: `${base}/bills/${summary.bill_id}` } });
+    }
+  }
+
+  const mepIds = [...new Set([...ids('new_meps'), ...ids('group_changes')])].map(String);
+  if (mepIds.length > 0) {
+    // The previous group is the last membership that ended in another group
+    const result = await pool.query(`
+      SELECT m.mep_id, m.name, m.country_code, m.political_group, m.is_active,
+             (SELECT gm.group_name FROM mep_group_memberships gm
+              WHERE gm.mep_id = m.mep_id AND gm.end_date IS NOT NULL
+                AND gm.group_name IS DISTINCT FROM m.political_group
+              ORDER BY gm.end_date DESC LIMIT 1) as previous_group
+      FROM meps m
+      WHERE m.mep_id = ANY($1::text[])
+      ORDER BY m.name
+    `, [mepIds]);
+    const created = new Set(ids('new_meps').map(String));
+    for (const { previous_group, ...mep } of result.rows) {
+      const url = `${base}/meps/${mep.mep_id}`;
+      if (created.has(mep.mep_id)) {
+        events.push({ type: 'mep.created', data: { ...mep, url } });
+      } else {
+        events.push({ type: 'mep.group_changed', data: { ...mep, previous_group, url } });
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Store events and queue a delivery to every active webhook subscribed to each. With
+ * `webhookId`, the events go to that webhook only, whatever it subscribes to (pings), and
+ * only while it is active. Returns { events, deliveries } counts.
+ */
+export async function queueEvents(pool, events, { webhookId = null } = {}) {
+  const hooks = await pool.query(
+    webhookId === null
+      ? 'SELECT id, events FROM webhooks WHERE active'
+      : 'SELECT id, NULL as events FROM webhooks WHERE id = $1 AND active',
+    webhookId === null ? [] : [webhookId]
+  );
+
+  let stored = 0;
+  let deliveries = 0;
+  for (const event of events) {
+    const targets = hooks.rows
+      .filter(hook => hook.events === null || hook.events.includes(event.type))
+      .map(hook => hook.id);
+    if (targets.length === 0) continue;
+
+    const result = await pool.query(`
+      WITH event AS (
+        INSERT INTO webhook_events (event_type, data) VALUES ($1, $2) RETURNING id
+      )
+      INSERT INTO webhook_deliveries (webhook_id, event_id)
+      SELECT webhook_id, event.id FROM event, unnest($3::int[]) as webhook_id
+    `, [event.type, JSON.stringify(event.data), targets]);
+    stored++;
+    deliveries += result.rowCount;
+  }
+  return { events: stored, deliveries };
+}
+
+/**
+ * Queue a ping to one webhook, so an admin can check the receiver and its signature check
+ */
+export function queuePing(pool, webhookId, admin) {
+  return queueEvents(pool, [{
+    type: PING_EVENT,
+    data: { webhook_id: webhookId, sent_by: admin, message: 'Test delivery from EULens' }
+  }], { webhookId });
+}
+
+/**
+ * Queue a new delivery of a delivery's event to the same webhook; returns it, or null if
+ * the delivery does not exist
+ */
+export async function redeliver(pool, deliveryId) {
+  const result = await pool.query(`
+    INSERT INTO webhook_deliveries (webhook_id, event_id)
+    SELECT webhook_id, event_id FROM webhook_deliveries WHERE id = $1
+    RETURNING *
+  `, [deliveryId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create the dispatcher for a pg pool. `retryDelays` overrides RETRY_DELAYS_SECONDS (tests
+ * retry without waiting). Returns:
+ *
+ *   start()    start polling for due deliveries
+ *   poll()     send the deliveries that are due now
+ */
+export function createWebhookDispatcher(pool, { retryDelays = RETRY_DELAYS_SECONDS } = {}) {
+  let working = false;
+
+  // Claimed rows get a lease instead of a status, so concurrent servers skip them
+  async function claimDue() {
+    const result = await pool.query(`
+      WITH claimed AS (
+        UPDATE webhook_deliveries SET next_attempt_at = NOW() + make_interval(secs => $1)
+        WHERE id IN (
+          SELECT d.id FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.active
+          ORDER BY d.next_attempt_at, d.id
+          LIMIT $2
+          FOR UPDATE OF d SKIP LOCKED
+        )
+        RETURNING id, webhook_id, event_id, attempts
+      )
+      SELECT c.*, w.url, w.secret, e.event_type, e.data, e.created_at as event_created_at
+      FROM claimed c
+      JOIN webhooks w ON w.id = c.webhook_id
+      JOIN webhook_events e ON e.id = c.event_id
+      ORDER BY c.id
+    `, [CLAIM_LEASE_SECONDS, BATCH_SIZE]);
+    return result.rows;
+  }
+
+  async function send(delivery) {
+    const body = JSON.stringify({
+      event: delivery.event_type,
+      event_id: delivery.event_id,
+      created_at: delivery.event_created_at,
+      data: delivery.data
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'EULens-Webhooks',
+          'X-EULens-Event': delivery.event_type,
+          'X-EULens-Delivery': String(delivery.id),
+          'X-EULens-Timestamp': String(timestamp),
+          'X-EULens-Signature': signPayload(delivery.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      const text = await response.text().catch(() => '');
+      return {
+        ok: response.status >= 200 && response.status < 300,
+        statusCode: response.status,
+        error: response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`,
+        responseBody: text.slice(0, MAX_RESPONSE_LENGTH),
+        durationMs: Date.now() - started
+      };
+    } catch (error) {
+      const message = error.name === 'TimeoutError'
+        ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+        : (error.cause?.message || error.message);
+      return { ok: false, statusCode: null, error: message, responseBody: null, durationMs: Date.now() - started };
+    }
+  }
+
+  async function attempt(delivery) {
+    const outcome = await send(delivery);
+    const attempts = delivery.attempts + 1;
+
+    await pool.query(
+      `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, response_body, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [delivery.id, attempts, outcome.statusCode, outcome.error, outcome.responseBody, outcome.durationMs]
+    );
+
+    const retryDelay = outcome.ok ? null : retryDelays[attempts - 1];
+    const status = outcome.ok ? 'succeeded' : retryDelay === undefined ? 'failed' : 'pending';
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+           next_attempt_at = NOW() + make_interval(secs => $6),
+           finished_at = CASE WHEN $6::int IS NULL THEN NOW() END
+       WHERE id = $1`,
+      [delivery.id, status, attempts, outcome.statusCode, outcome.error, status === 'pending' ? retryDelay : null]
+    );
+
+    if (!outcome.ok) {
+      console.warn(`[Webhooks] Delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempts}): ${outcome.error}` +
+        (status === 'pending' ? `, retrying in ${retryDelay}s` : ', giving up'));
+    }
+  }
+
+  async function poll() {
+    if (working) return;
+    working = true;
+    try {
+      let batch;
+      while ((batch = await claimDue()).length > 0) {
+        await Promise.all(batch.map(attempt));
+      }
+    } catch (error) {
+      console.error('[Webhooks] Dispatcher error:', error);
+    } finally {
+      working = false;
+    }
+  }
+
+  async function start() {
+    const table = await pool.query("SELECT to_regclass('public.webhook_deliveries') IS NOT NULL as exists");
+    if (!table.rows[0].exists) {
+      console.warn('[Webhooks] webhook_deliveries table missing, dispatcher not started (run: npm run migrate)');
+      return;
+    }
+    setInterval(poll, POLL_INTERVAL);
+    poll();
+    console.log('[Webhooks] Dispatcher started');
+  }
+
+  return { start, poll };
+}
@@ -0,0 +1,44 @@
+/**
+ * Political group name resolution
+ *
+ * Shared by the server (server/groupRegistry.js loads the registry from the political_groups
+ * table), the batch scripts and the client (imported as '@shared/groupRegistry.js', with the
+ * registry from /api/groups/registry), so a raw group name resolves the same way everywhere.
+ * Dependency-free ES module: keep it that way so it runs in both Node and the browser.
+ */
+
+function normalizeKey(value) {
+  return value.toString().trim().toLowerCase();
+}
+
+/**
+ * Build a function mapping a raw group name (or code) to its registry entry, or to `fallback`
+ * when none matches. Groups are matched by code, canonical name, short name or alias.
+ * Exact matches win; otherwise the longest name or alias contained in the raw name is used,
+ * so "Group of the European People's Party (Christian Democrats)" still resolves to EPP.
+ */
+export function createGroupResolver(groups, fallback = null) {
+  const index = new Map();
+  for (const group of groups) {
+    for (const key of [group.code, group.name, group.short_name, ...(group.aliases || [])]) {
+      if (key) index.set(normalizeKey(key), group);
+    }
+  }
+
+  return function resolveGroup(rawGroup) {
+    if (!rawGroup) return fallback;
+    const raw = normalizeKey(rawGroup);
+    if (index.has(raw)) return index.get(raw);
+
+    let match = fallback;
+    let matchLength = 0;
+    for (const [key, group] of index) {
+      // Skip short codes like "NI" or "EPP" that would match inside unrelated words
+      if (key.length > 3 && key.length > matchLength && raw.includes(key)) {
+        match = group;
+        matchLength = key.length;
+      }
+    }
+    return match;
+  };
+}
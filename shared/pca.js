@@ -0,0 +1,308 @@
+/**
+ * Principal Component Analysis for roll-call vote matrices
+ *
+ * Shared by the server (server/statsQueries.js), the batch scripts and the client
+ * (imported as '@shared/pca.js'), so every PCA in EULens is computed the same way.
+ * Dependency-free ES module: keep it that way so it runs in both Node and the browser.
+ *
+ * Vote encoding (encodeVote):
+ *   yes = 1, no = -1, abstain = 0
+ *   An abstention is a cast vote half-way between yes and no. Anything else (absent,
+ *   did not vote, not an MEP at the time) is a missing value, passed as null.
+ *
+ * Missing values (options.missing):
+ *   'mean'       (default) a missing vote is replaced by the mean of the votes cast on that
+ *                bill, so after centering it adds nothing: an MEP is placed only by the
+ *                votes they cast, instead of being pulled towards "abstain".
+ *   'iterative'  starts from 'mean', then repeatedly re-imputes missing votes from the
+ *                low-rank reconstruction until the imputed values stop changing.
+ *   'zero'       a missing vote counts as an abstention (0), as EULens did before this
+ *                module existed.
+ *
+ * The decomposition is a block power (subspace) iteration with Rayleigh-Ritz extraction,
+ * run until every returned component has converged to `tolerance`. It never forms the
+ * bills x bills covariance matrix, so it scales to the full legislature.
+ */
+
+export const VOTE_VALUES = { yes: 1, no: -1, abstain: 0 };
+
+/**
+ * Encode a vote string as a number, or null for anything that is not a cast vote
+ */
+export function encodeVote(vote) {
+  return Object.prototype.hasOwnProperty.call(VOTE_VALUES, vote) ? VOTE_VALUES[vote] : null;
+}
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value);
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Eigen-decomposition of a small symmetric matrix (cyclic Jacobi rotations).
+ * Returns { values, vectors } sorted by decreasing eigenvalue; vectors[k] is the k-th eigenvector.
+ */
+export function symmetricEigen(matrix, { tolerance = 1e-12, maxSweeps = 100 } = {}) {
+  const size = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < tolerance * tolerance) break;
+
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < size; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < size; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < size; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = a.map((row, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+  return {
+    values: order.map(i => a[i][i]),
+    vectors: order.map(i => v.map(row => row[i]))
+  };
+}
+
+// Modified Gram-Schmidt on a list of vectors; dependent vectors are replaced by unit vectors
+function orthonormalize(vectors) {
+  const basis = [];
+  for (const vector of vectors) {
+    let w = [...vector];
+    for (let attempt = 0; attempt <= w.length; attempt++) {
+      for (const b of basis) {
+        const projection = dot(w, b);
+        for (let j = 0; j < w.length; j++) w[j] -= projection * b[j];
+      }
+      const norm = Math.sqrt(dot(w, w));
+      if (norm > 1e-10) {
+        basis.push(w.map(x => x / norm));
+        break;
+      }
+      w = w.map((_, j) => (j === attempt ? 1 : 0));
+    }
+  }
+  return basis;
+}
+
+// X * v for each v (columns of the result returned as vectors of length n)
+function multiply(rows, vectors) {
+  return vectors.map(v => rows.map(row => dot(row, v)));
+}
+
+// X^T * y for each y
+function multiplyTransposed(rows, vectors, m) {
+  return vectors.map(y => {
+    const result = new Array(m).fill(0);
+    for (let i = 0; i < rows.length; i++) {
+      const yi = y[i];
+      if (yi === 0) continue;
+      const row = rows[i];
+      for (let j = 0; j < m; j++) result[j] += row[j] * yi;
+    }
+    return result;
+  });
+}
+
+/**
+ * Top components of an already centred matrix by subspace iteration
+ */
+function decompose(centred, numComponents, { tolerance, maxIterations }) {
+  const n = centred.length;
+  const m = centred[0].length;
+  // A couple of extra vectors make the wanted components converge faster
+  const blockSize = Math.min(numComponents + 2, n, m);
+
+  // Deterministic start: the rows with the largest norm span the dominant directions
+  const start = centred
+    .map((row, i) => ({ i, norm: dot(row, row) }))
+    .sort((a, b) => b.norm - a.norm)
+    .slice(0, blockSize)
+    .map(({ i }) => centred[i]);
+  let basis = orthonormalize(start);
+  let scores = multiply(centred, basis);
+
+  let iterations = 0;
+  let converged = false;
+  let values = [];
+  while (iterations < maxIterations) {
+    iterations++;
+    const next = orthonormalize(multiplyTransposed(centred, scores, m));
+    const nextScores = multiply(centred, next);
+
+    // Rayleigh-Ritz: best rotation of the block, with the eigenvalues of X^T X inside it
+    const gram = nextScores.map(a => nextScores.map(b => dot(a, b)));
+    const eigen = symmetricEigen(gram);
+    const rotated = eigen.vectors.map(w => {
+      const vector = new Array(m).fill(0);
+      w.forEach((weight, k) => {
+        for (let j = 0; j < m; j++) vector[j] += weight * next[k][j];
+      });
+      return vector;
+    });
+    const rotatedScores = eigen.vectors.map(w => {
+      const score = new Array(n).fill(0);
+      w.forEach((weight, k) => {
+        for (let i = 0; i < n; i++) score[i] += weight * nextScores[k][i];
+      });
+      return score;
+    });
+
+    converged = iterations > 1 && rotated
+      .slice(0, numComponents)
+      .every((vector, k) => 1 - Math.abs(dot(vector, basis[k])) < tolerance);
+
+    basis = rotated;
+    scores = rotatedScores;
+    values = eigen.values;
+    if (converged) break;
+  }
+
+  return {
+    components: basis.slice(0, numComponents),
+    scores: scores.slice(0, numComponents),
+    values: values.slice(0, numComponents).map(v => Math.max(v, 0)),
+    iterations,
+    converged
+  };
+}
+
+// Fill missing cells with the column means of the observed values
+function meanImpute(data, m) {
+  const means = new Array(m).fill(0);
+  const counts = new Array(m).fill(0);
+  for (const row of data) {
+    for (let j = 0; j < m; j++) {
+      if (!isMissing(row[j])) {
+        means[j] += row[j];
+        counts[j]++;
+      }
+    }
+  }
+  for (let j = 0; j < m; j++) means[j] = counts[j] > 0 ? means[j] / counts[j] : 0;
+  return data.map(row => row.map((value, j) => (isMissing(value) ? means[j] : value)));
+}
+
+function columnMeans(rows, m) {
+  const means = new Array(m).fill(0);
+  for (const row of rows) {
+    for (let j = 0; j < m; j++) means[j] += row[j];
+  }
+  return means.map(sum => sum / rows.length);
+}
+
+/**
+ * PCA of an n x m matrix (rows = MEPs, columns = bills). Missing entries are null.
+ *
+ * Options:
+ *   missing        'mean' | 'iterative' | 'zero' (see the module comment)
+ *   tolerance      convergence threshold on 1 - |cos| between successive component estimates
+ *   maxIterations  cap on subspace iterations per decomposition
+ *
+ * Returns:
+ *   components         numComponents unit vectors of length m (bill loadings), each signed so
+ *                      its loadings sum to a negative number (stable across runs)
+ *   projections        n rows of numComponents coordinates
+ *   means              column means used for centering (after imputation)
+ *   variance           variance along each component
+ *   totalVariance      total variance of the (imputed) matrix
+ *   explainedVariance  variance / totalVariance for each component
+ *   iterations, converged
+ */
+export function computePCA(data, numComponents = 3, {
+  missing = 'mean',
+  tolerance = 1e-9,
+  maxIterations = 1000,
+  maxImputationRounds = 50
+} = {}) {
+  const empty = {
+    projections: [], components: [], means: [], variance: [], totalVariance: 0,
+    explainedVariance: [], iterations: 0, converged: true
+  };
+  const n = data.length;
+  if (n === 0 || data[0].length === 0) return empty;
+  const m = data[0].length;
+  numComponents = Math.min(numComponents, n, m);
+
+  let filled = missing === 'zero'
+    ? data.map(row => row.map(value => (isMissing(value) ? 0 : value)))
+    : meanImpute(data, m);
+
+  let means;
+  let centred;
+  let result;
+  const rounds = missing === 'iterative' ? maxImputationRounds : 1;
+  for (let round = 0; round < rounds; round++) {
+    means = columnMeans(filled, m);
+    centred = filled.map(row => row.map((value, j) => value - means[j]));
+    result = decompose(centred, numComponents, { tolerance, maxIterations });
+    if (missing !== 'iterative') break;
+
+    // Re-impute missing votes from the rank-k reconstruction, within the vote scale
+    let change = 0;
+    filled = filled.map((row, i) => row.map((value, j) => {
+      if (!isMissing(data[i][j])) return value;
+      let estimate = means[j];
+      result.components.forEach((component, k) => {
+        estimate += result.scores[k][i] * component[j];
+      });
+      estimate = Math.max(-1, Math.min(1, estimate));
+      change = Math.max(change, Math.abs(estimate - value));
+      return estimate;
+    }));
+    if (change < 1e-4) break;
+  }
+
+  // Sign convention for consistency between runs
+  const components = result.components.map((component, k) => {
+    const flip = component.reduce((a, b) => a + b, 0) > 0;
+    if (flip) result.scores[k] = result.scores[k].map(v => -v);
+    return flip ? component.map(v => -v) : component;
+  });
+
+  let totalSquares = 0;
+  for (const row of centred) totalSquares += dot(row, row);
+  const totalVariance = totalSquares / n;
+  const variance = result.values.map(value => value / n);
+
+  return {
+    projections: centred.map((_, i) => components.map((_, k) => result.scores[k][i])),
+    components,
+    means,
+    variance,
+    totalVariance,
+    explainedVariance: variance.map(v => (totalVariance > 0 ? v / totalVariance : 0)),
+    iterations: result.iterations,
+    converged: result.converged
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Magic-link sign-in, data export and account deletion against a running API server, with
+ * the local SMTP stand-in (scripts/devMailServer.js) capturing the login email.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  skipWithoutDatabase, connectTestDatabase, freePort, startScript, stopScript, waitFor, TEST_DATABASE_URL
+} from './helpers.js';
+
+const TEST_COUNTRY = 'XT';
+
+describe('account sign-in', { skip: skipWithoutDatabase }, () => {
+  let pool;
+  let mailDir;
+  let mailServer;
+  let apiServer;
+  let api;
+  let insertedCountry = false;
+  const email = `signin-test-${Date.now()}@example.org`;
+
+  async function request(method, url, { body, session } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (session) headers.Authorization = `Bearer ${session}`;
+    const res = await fetch(api + url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, data: await res.json() };
+  }
+
+  // The token from the login link in the captured email
+  function readLoginToken() {
+    const file = fs.readdirSync(mailDir).find(name => name.endsWith(`-${email}.eml`));
+    if (!file) return null;
+    const message = fs.readFileSync(path.join(mailDir, file), 'utf8')
+      .replace(/=\r?\n/g, '')
+      .replace(/=3D/g, '=');
+    return message.match(/\/login\?token=([A-Za-z0-9_-]+)/)?.[1] || null;
+  }
+
+  before(async () => {
+    pool = await connectTestDatabase();
+    const country = await pool.query(
+      "INSERT INTO countries (code, name) VALUES ($1, 'Testland') ON CONFLICT (code) DO NOTHING RETURNING id",
+      [TEST_COUNTRY]
+    );
+    insertedCountry = country.rows.length > 0;
+
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eulens-mail-'));
+    const mailPort = await freePort();
+    mailServer = await startScript('scripts/devMailServer.js', {
+      MAIL_SERVER_PORT: String(mailPort),
+      MAIL_DIR: mailDir
+    }, /listening/);
+
+    const apiPort = await freePort();
+    apiServer = await startScript('server/index.js', {
+      PORT: String(apiPort),
+      DATABASE_URL: TEST_DATABASE_URL,
+      SMTP_URL: `smtp://localhost:${mailPort}`,
+      APP_URL: 'http://eulens.test',
+      ENABLE_SCHEDULER: 'false'
+    }, /running on port/);
+    api = `http://localhost:${apiPort}/api`;
+  });
+
+  after(async () => {
+    await stopScript(apiServer);
+    await stopScript(mailServer);
+    if (mailDir) fs.rmSync(mailDir, { recursive: true, force: true });
+    if (pool) {
+      await pool.query('DELETE FROM accounts WHERE email = $1', [email]);
+      if (insertedCountry) await pool.query('DELETE FROM countries WHERE code = $1', [TEST_COUNTRY]);
+      await pool.end();
+    }
+  });
+
+  it('rejects a token that is not a string', async () => {
+    for (const token of [undefined, 12345, { $ne: '' }, ['a']]) {
+      const res = await request('POST', '/auth/verify', { body: { token } });
+      assert.equal(res.status, 400, `token ${JSON.stringify(token)}`);
+      assert.equal(res.data.error, 'token is required');
+    }
+  });
+
+  it('signs in with the emailed link, exports and deletes the account', async () => {
+    const login = await request('POST', '/auth/login', { body: { email } });
+    assert.equal(login.status, 200);
+
+    const token = await waitFor(readLoginToken);
+
+    // A new account needs a country; the token stays valid until it is given
+    const incomplete = await request('POST', '/auth/verify', { body: { token } });
+    assert.equal(incomplete.status, 400);
+    assert.equal(incomplete.data.new_account, true);
+
+    const verified = await request('POST', '/auth/verify', {
+      body: { token, country_code: TEST_COUNTRY, display_name: 'Test Citizen' }
+    });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.data.created, true);
+    assert.equal(verified.data.account.email, email);
+    const session = verified.data.token;
+
+    const reused = await request('POST', '/auth/verify', { body: { token, country_code: TEST_COUNTRY } });
+    assert.equal(reused.status, 400, 'a login token works once');
+
+    const follow = await request('POST', '/follows', {
+      session,
+      body: { target_type: 'country', target_id: TEST_COUNTRY }
+    });
+    assert.equal(follow.status, 200);
+
+    const exported = await request('GET', '/account/export', { session });
+    assert.equal(exported.status, 200);
+    assert.equal(exported.data.account.email, email);
+    assert.equal(exported.data.account.display_name, 'Test Citizen');
+    assert.deepEqual(exported.data.follows.map(f => [f.target_type, f.target_id]), [['country', TEST_COUNTRY]]);
+    assert.equal(exported.data.sessions.length, 1);
+
+    const deleted = await request('DELETE', '/account', { session });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.data.success, true);
+
+    const afterDelete = await request('GET', '/account', { session });
+    assert.equal(afterDelete.status, 401);
+    const rows = await pool.query('SELECT id FROM accounts WHERE email = $1', [email]);
+    assert.equal(rows.rows.length, 0);
+  });
+});
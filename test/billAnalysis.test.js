@@ -0,0 +1,89 @@
+/**
+ * Majority rules and the swing simulator (server/billAnalysis.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { majorityRule, simulateVote, tallyVotes } from '../server/billAnalysis.js';
+
+describe('majority rules', () => {
+  it('needs a simple majority of the votes cast by default', () => {
+    const rule = majorityRule({ procedure_type: 'COD', title: 'Climate law' }, 720);
+    assert.equal(rule.type, 'simple');
+    assert.equal(rule.required, null);
+    assert.equal(rule.passes(200, 150), true);
+    assert.equal(rule.passes(150, 150), false);
+  });
+
+  it('needs a majority of component members for budget votes', () => {
+    const rule = majorityRule({ procedure_type: 'BUD', title: 'General budget 2025' }, 720);
+    assert.equal(rule.type, 'absolute');
+    assert.equal(rule.required, 361);
+    assert.equal(rule.passes(360, 10), false);
+    assert.equal(rule.passes(361, 300), true);
+  });
+
+  it('needs a simple majority for consent to international agreements', () => {
+    const rule = majorityRule({ procedure_type: 'APP', title: 'EU-Chile Advanced Framework Agreement' }, 720);
+    assert.equal(rule.type, 'simple');
+    assert.equal(rule.passes(300, 200), true);
+  });
+
+  it('needs a majority of component members for consent to the MFF or an accession', () => {
+    for (const title of [
+      'Multiannual financial framework for the years 2021 to 2027',
+      'MFF revision 2024-2027',
+      'Accession of the Republic of Croatia to the European Union'
+    ]) {
+      assert.equal(majorityRule({ procedure_type: 'APP', title }, 705).type, 'absolute', title);
+    }
+    assert.equal(
+      majorityRule({ procedure_type: 'APP', title: 'Accession of the EU to the Istanbul Convention' }, 705).type,
+      'simple'
+    );
+    assert.equal(majorityRule({ procedure_type: 'APP', title: null }, 705).type, 'simple');
+  });
+});
+
+describe('vote simulation', () => {
+  const votes = [
+    { vote: 'yes', mep_group: 'EPP', country_code: 'DE' },
+    { vote: 'yes', mep_group: 'EPP', country_code: 'FR' },
+    { vote: 'no', mep_group: 'EPP', country_code: 'DE' },
+    { vote: 'did_not_vote', mep_group: 'EPP', country_code: 'FR' },
+    { vote: 'no', mep_group: 'S&D', country_code: 'DE' },
+    { vote: 'abstain', mep_group: 'S&D', country_code: 'FR' }
+  ];
+  const tally = changes => tallyVotes(simulateVote(votes, changes));
+
+  it('replays the vote as cast without changes', () => {
+    assert.deepEqual(tally([]), { yes: 2, no: 2, abstain: 1, absent: 1 });
+  });
+
+  it('flips, sets or withdraws the votes of a group', () => {
+    assert.deepEqual(tally([{ bloc: 'group', key: 'EPP', vote: 'flip' }]), { yes: 1, no: 3, abstain: 1, absent: 1 });
+    assert.deepEqual(tally([{ bloc: 'group', key: 'S&D', vote: 'yes' }]), { yes: 4, no: 1, abstain: 0, absent: 1 });
+    assert.deepEqual(tally([{ bloc: 'group', key: 'EPP', vote: 'absent' }]), { yes: 0, no: 1, abstain: 1, absent: 4 });
+  });
+
+  it('lets a delegation change override its group', () => {
+    const changes = [
+      { bloc: 'group', key: 'EPP', vote: 'no' },
+      { bloc: 'country', key: 'FR', vote: 'as_cast' }
+    ];
+    assert.deepEqual(tally(changes), { yes: 1, no: 3, abstain: 1, absent: 1 });
+  });
+
+  it('brings absent members in with the bloc plurality on turnout', () => {
+    const simulated = simulateVote(votes, [{ bloc: 'group', key: 'EPP', turnout: true }]);
+    assert.equal(simulated[3].vote, 'yes');
+    assert.deepEqual(tallyVotes(simulated), { yes: 3, no: 2, abstain: 1, absent: 0 });
+    assert.ok(simulated.every(v => !('change' in v)));
+  });
+
+  it('does not change the input votes', () => {
+    simulateVote(votes, [{ bloc: 'group', key: 'EPP', vote: 'flip', turnout: true }]);
+    assert.equal(votes[0].vote, 'yes');
+    assert.equal(votes[3].vote, 'did_not_vote');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Shared setup for the integration tests
+ *
+ * Tests that need PostgreSQL run against TEST_DATABASE_URL, which is migrated to the latest
+ * schema first; they are skipped when it is not set. Use a database of its own: the tests
+ * add rows (accounts, webhooks) and remove only what they created.
+ */
+
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+import { migrateUp } from '../server/migrate.js';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Passed as the `skip` option of tests that need the database
+export const skipWithoutDatabase = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+/**
+ * A pool on the test database, migrated to the latest schema
+ */
+export async function connectTestDatabase() {
+  const pool = new pg.Pool({ connectionString: TEST_DATABASE_URL });
+  await migrateUp(pool);
+  return pool;
+}
+
+/**
+ * A TCP port that is free right now
+ */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run a script of this repository as a child process and wait until its output matches
+ * `ready`. The output is kept on `child.output` to explain failures.
+ */
+export function startScript(script, env, ready, timeoutMs = 15000) {
+  const child = spawn(process.execPath, [path.join(ROOT, script)], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.output = '';
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${script} did not start within ${timeoutMs} ms:\n${child.output}`));
+    }, timeoutMs);
+
+    const onData = chunk => {
+      child.output += chunk;
+      if (ready.test(child.output)) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with code ${code}:\n${child.output}`));
+    });
+  });
+}
+
+/**
+ * Stop a child started with startScript
+ */
+export function stopScript(child) {
+  if (!child || child.exitCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    child.once('exit', resolve);
+    child.kill();
+  });
+}
+
+/**
+ * Poll `check` until it returns a truthy value
+ */
+export async function waitFor(check, { timeoutMs = 10000, intervalMs = 100 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs} ms`);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Helpers of the HowTheyVote import (scripts/updateData.js): date handling and the
+ * mass-removal guard for votes. Runs east of UTC, where pg parses DATE columns into a local
+ * midnight that is still the previous day in UTC.
+ */
+
+process.env.TZ = 'Europe/Brussels';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+import { toDateString, changedFields, buildDesiredBills, planVoteRemovals } from '../scripts/updateData.js';
+
+// What pg returns for a DATE column
+const parseDateColumn = pg.types.getTypeParser(pg.types.builtins.DATE);
+
+describe('import dates outside UTC', () => {
+  it('runs in a time zone east of UTC', () => {
+    assert.ok(new Date(2024, 6, 18).getTimezoneOffset() < 0);
+  });
+
+  it('formats DATE column values as the stored day', () => {
+    assert.equal(toDateString(parseDateColumn('2024-07-18')), '2024-07-18');
+    assert.equal(toDateString(parseDateColumn('1970-01-02')), '1970-01-02');
+  });
+
+  it('keeps the calendar date written in upstream values', () => {
+    assert.equal(toDateString('2024-07-18'), '2024-07-18');
+    assert.equal(toDateString('2024-07-18 00:30:00'), '2024-07-18');
+    assert.equal(toDateString('2024-07-18T23:30:00Z'), '2024-07-18');
+    assert.equal(toDateString(''), null);
+    assert.equal(toDateString('not a date'), null);
+  });
+
+  it('does not report unchanged dates as changed', () => {
+    const stored = { date_adopted: parseDateColumn('2024-07-18'), title: 'Vote' };
+    const upstream = { date_adopted: '2024-07-18', title: 'Vote' };
+    assert.deepEqual(changedFields(stored, upstream, ['date_adopted', 'title']), []);
+    assert.deepEqual(
+      changedFields(stored, { ...upstream, date_adopted: '2024-07-19' }, ['date_adopted', 'title']),
+      ['date_adopted']
+    );
+  });
+
+  it('dates bills by the day of the vote', () => {
+    const bills = buildDesiredBills([
+      { id: 1, display_title: 'Late vote', is_main: 'True', timestamp: '2024-07-18 00:30:00', result: 'ADOPTED' },
+      { id: 2, display_title: 'Before the term', is_main: 'True', timestamp: '2024-07-15 23:30:00', result: 'ADOPTED' }
+    ]);
+    assert.deepEqual([...bills.keys()], ['1']);
+    assert.equal(bills.get('1').date_adopted, '2024-07-18');
+  });
+});
+
+describe('vote removal guard', () => {
+  const ids = count => Array.from({ length: count }, (_, i) => `mep-${i}`);
+
+  it('applies small removals', () => {
+    const removals = [{ billId: 1, mepIds: ids(2), stored: 700 }, { billId: 2, mepIds: ids(1), stored: 650 }];
+    assert.deepEqual(planVoteRemovals(removals, 1350), { apply: removals, kept: [], overall: false });
+  });
+
+  it('keeps the votes of a bill missing most of them upstream', () => {
+    const emptied = { billId: 2, mepIds: ids(650), stored: 650 };
+    const corrected = { billId: 1, mepIds: ids(2), stored: 700 };
+    const plan = planVoteRemovals([corrected, emptied], 700 * 20);
+    assert.deepEqual(plan.apply, [corrected]);
+    assert.deepEqual(plan.kept, [emptied]);
+    assert.equal(plan.overall, false);
+  });
+
+  it('keeps every vote when too many are missing overall', () => {
+    const removals = [1, 2, 3].map(billId => ({ billId, mepIds: ids(100), stored: 700 }));
+    const plan = planVoteRemovals(removals, 1400);
+    assert.deepEqual(plan.apply, []);
+    assert.equal(plan.kept.length, 3);
+    assert.equal(plan.overall, true);
+  });
+
+  it('removes everything with allowMassRemoval', () => {
+    const removals = [{ billId: 1, mepIds: ids(700), stored: 700 }];
+    assert.deepEqual(planVoteRemovals(removals, 700, { allowMassRemoval: true }).apply, removals);
+  });
+});
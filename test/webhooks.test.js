@@ -0,0 +1,145 @@
+/**
+ * Webhook deliveries from the dispatcher to a local HTTP receiver: signatures, retries after
+ * failed attempts and the delivery log.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { skipWithoutDatabase, connectTestDatabase } from './helpers.js';
+import { generateWebhookSecret, queueEvents, queuePing, createWebhookDispatcher } from '../server/webhooks.js';
+
+describe('webhook deliveries', { skip: skipWithoutDatabase }, () => {
+  let pool;
+  let receiver;
+  let receiverUrl;
+  // Requests received and the status codes still to answer with, by path
+  const received = {};
+  const responses = {};
+  const webhookIds = [];
+  let dispatcher;
+
+  async function createWebhook(path, { active = true } = {}) {
+    const secret = generateWebhookSecret();
+    const result = await pool.query(
+      `INSERT INTO webhooks (url, events, secret, active, created_by)
+       VALUES ($1, $2, $3, $4, 'webhook test') RETURNING id`,
+      [receiverUrl + path, ['bill.created'], secret, active]
+    );
+    webhookIds.push(result.rows[0].id);
+    received[path] = [];
+    return { id: result.rows[0].id, secret };
+  }
+
+  async function deliveryLog(webhookId) {
+    const deliveries = await pool.query('SELECT * FROM webhook_deliveries WHERE webhook_id = $1', [webhookId]);
+    const attempts = await pool.query(
+      `SELECT a.* FROM webhook_delivery_attempts a
+       JOIN webhook_deliveries d ON d.id = a.delivery_id
+       WHERE d.webhook_id = $1 ORDER BY a.attempt`,
+      [webhookId]
+    );
+    return { deliveries: deliveries.rows, attempts: attempts.rows };
+  }
+
+  before(async () => {
+    pool = await connectTestDatabase();
+    // Retry straight away: two attempts in all
+    dispatcher = createWebhookDispatcher(pool, { retryDelays: [0] });
+
+    receiver = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const status = responses[req.url]?.shift() || 200;
+        received[req.url]?.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(status === 200 ? 'ok' : `failed with ${status}`);
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  after(async () => {
+    if (receiver) await new Promise(resolve => receiver.close(resolve));
+    if (pool) {
+      await pool.query(
+        'DELETE FROM webhook_events WHERE id IN (SELECT event_id FROM webhook_deliveries WHERE webhook_id = ANY($1))',
+        [webhookIds]
+      );
+      await pool.query('DELETE FROM webhooks WHERE id = ANY($1)', [webhookIds]);
+      await pool.end();
+    }
+  });
+
+  it('signs each delivery with the webhook secret', async () => {
+    const { id, secret } = await createWebhook('/signed');
+    const queued = await queuePing(pool, id, 'webhook test');
+    assert.equal(queued.deliveries, 1);
+
+    await dispatcher.poll();
+
+    assert.equal(received['/signed'].length, 1);
+    const { headers, body } = received['/signed'][0];
+    assert.equal(headers['x-eulens-event'], 'ping');
+    const expected = crypto.createHmac('sha256', secret)
+      .update(`${headers['x-eulens-timestamp']}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-eulens-signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(body).data.webhook_id, id);
+
+    const log = await deliveryLog(id);
+    assert.equal(headers['x-eulens-delivery'], String(log.deliveries[0].id));
+    assert.equal(log.deliveries[0].status, 'succeeded');
+    assert.equal(log.deliveries[0].attempts, 1);
+    assert.deepEqual(log.attempts.map(a => a.status_code), [200]);
+  });
+
+  it('retries a delivery after a non-2xx answer and logs every attempt', async () => {
+    const { id } = await createWebhook('/flaky');
+    responses['/flaky'] = [503];
+    await queueEvents(pool, [{ type: 'bill.created', data: { bill_id: 'TEST-RETRY' } }], { webhookId: id });
+
+    await dispatcher.poll();
+
+    const requests = received['/flaky'];
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].headers['x-eulens-delivery'], requests[1].headers['x-eulens-delivery']);
+    assert.equal(requests[0].body, requests[1].body);
+
+    const log = await deliveryLog(id);
+    assert.equal(log.deliveries.length, 1);
+    assert.equal(log.deliveries[0].status, 'succeeded');
+    assert.equal(log.deliveries[0].attempts, 2);
+    assert.equal(log.deliveries[0].last_status_code, 200);
+    assert.ok(log.deliveries[0].finished_at);
+    assert.deepEqual(
+      log.attempts.map(a => [a.attempt, a.status_code, a.error, a.response_body]),
+      [[1, 503, 'HTTP 503', 'failed with 503'], [2, 200, null, 'ok']]
+    );
+  });
+
+  it('marks a delivery failed once the retries run out', async () => {
+    const { id } = await createWebhook('/down');
+    responses['/down'] = [500, 500, 500];
+    await queueEvents(pool, [{ type: 'bill.created', data: { bill_id: 'TEST-FAIL' } }], { webhookId: id });
+
+    await dispatcher.poll();
+
+    assert.equal(received['/down'].length, 2);
+    const log = await deliveryLog(id);
+    assert.equal(log.deliveries[0].status, 'failed');
+    assert.equal(log.deliveries[0].attempts, 2);
+    assert.ok(log.deliveries[0].finished_at);
+    assert.deepEqual(log.attempts.map(a => a.status_code), [500, 500]);
+  });
+
+  it('does not queue pings to a paused webhook', async () => {
+    const { id } = await createWebhook('/paused', { active: false });
+    const queued = await queuePing(pool, id, 'webhook test');
+    assert.equal(queued.deliveries, 0);
+    assert.equal((await deliveryLog(id)).deliveries.length, 0);
+  });
+});